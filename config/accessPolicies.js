@@ -0,0 +1,325 @@
+/**
+ * Access policy for every mounted endpoint, keyed by "METHOD /full/path"
+ * exactly as the route is declared in its router.
+ *
+ * Applied centrally by `enforceAccessPolicy` in utils/app.js; the server
+ * refuses to start if a mounted route is missing from this table.
+ *
+ * Service account API keys (Authorization: Bearer) work on any of these
+ * routes that checks `requirePermission`, limited to the key's permissions.
+ */
+
+import { PUBLIC, AUTHENTICATED, ADMIN, ownedBy } from '../middleware/accessPolicy.js';
+
+export const ACCESS_POLICIES = {
+  // System
+  'GET /metrics': PUBLIC,
+  'GET /.well-known/jwks.json': PUBLIC,
+  'GET /api/health': PUBLIC,
+  'GET /api/health/database': PUBLIC,
+  'GET /api/health/complete': PUBLIC,
+  'GET /api/docs.json': PUBLIC,
+  'GET /api': PUBLIC,
+
+  // /api/auth
+  'POST /api/auth/login': PUBLIC,
+  'POST /api/auth/login/mfa': PUBLIC,
+  'POST /api/auth/login/mfa/setup': PUBLIC,
+  'GET /api/auth/oidc/login': PUBLIC,
+  'GET /api/auth/oidc/callback': PUBLIC,
+  'POST /api/auth/refresh': PUBLIC,
+  'POST /api/auth/forgot-password': PUBLIC,
+  'POST /api/auth/reset-password': PUBLIC,
+  'POST /api/auth/activate': PUBLIC,
+  'POST /api/auth/verify-email': PUBLIC,
+  'POST /api/auth/logout': AUTHENTICATED,
+  'POST /api/auth/logout-all': AUTHENTICATED,
+  'POST /api/auth/change-password': AUTHENTICATED,
+  'GET /api/auth/whoami': AUTHENTICATED,
+  'GET /api/auth/sessions': AUTHENTICATED,
+  'DELETE /api/auth/sessions/:sessionId': AUTHENTICATED,
+  'GET /api/auth/notifications': AUTHENTICATED,
+  'POST /api/auth/notifications/:notificationId/read': AUTHENTICATED,
+  'GET /api/auth/email-verification': AUTHENTICATED,
+  'POST /api/auth/email-verification/send': AUTHENTICATED,
+  'GET /api/auth/mfa': AUTHENTICATED,
+  'POST /api/auth/mfa/setup': AUTHENTICATED,
+  'POST /api/auth/mfa/enable': AUTHENTICATED,
+  'POST /api/auth/mfa/recovery-codes': AUTHENTICATED,
+  'POST /api/auth/mfa/disable': AUTHENTICATED,
+  'POST /api/auth/impersonate/stop': AUTHENTICATED,
+  'POST /api/auth/impersonate/:userId': ADMIN,
+
+  // /api/files
+  'GET /api/files/presigned': AUTHENTICATED,
+
+  // /api/me — scoped to the caller's own student record by resolveStudent
+  'GET /api/me/profile': AUTHENTICATED,
+  'PATCH /api/me/profile': AUTHENTICATED,
+  'GET /api/me/academics': AUTHENTICATED,
+  'GET /api/me/address': AUTHENTICATED,
+  'GET /api/me/languages': AUTHENTICATED,
+  'GET /api/me/certifications': AUTHENTICATED,
+  'GET /api/me/internships': AUTHENTICATED,
+  'GET /api/me/documents': AUTHENTICATED,
+  'GET /api/me/offers': AUTHENTICATED,
+  'GET /api/me/eligible-jobs': AUTHENTICATED,
+  'GET /api/me/applications': AUTHENTICATED,
+  'POST /api/me/applications': AUTHENTICATED,
+  'GET /api/me/projects': AUTHENTICATED,
+  'POST /api/me/projects': AUTHENTICATED,
+  'PUT /api/me/projects/:id': AUTHENTICATED,
+  'DELETE /api/me/projects/:id': AUTHENTICATED,
+
+  // /api/audit
+  'GET /api/audit': ADMIN,
+
+  // /api/scheduler
+  'GET /api/scheduler/jobs': ADMIN,
+  'GET /api/scheduler/jobs/:name/runs': ADMIN,
+  'POST /api/scheduler/jobs/:name/run': ADMIN,
+
+  // /api/service-accounts
+  'POST /api/service-accounts': ADMIN,
+  'GET /api/service-accounts': ADMIN,
+  'GET /api/service-accounts/:id': ADMIN,
+  'PUT /api/service-accounts/:id': ADMIN,
+  'DELETE /api/service-accounts/:id': ADMIN,
+  'POST /api/service-accounts/:id/keys': ADMIN,
+  'DELETE /api/service-accounts/:id/keys/:keyId': ADMIN,
+
+  // /api/users
+  'POST /api/users/register': ADMIN,
+  'GET /api/users': ADMIN,
+  'POST /api/users/invite': ADMIN,
+  'POST /api/users/invite/bulk': ADMIN,
+  'GET /api/users/invite/template': ADMIN,
+  'GET /api/users/invitations': ADMIN,
+  'POST /api/users/invitations/:userId/resend': ADMIN,
+  'DELETE /api/users/invitations/:userId': ADMIN,
+  'GET /api/users/:id': ownedBy('user', 'id'),
+  'PUT /api/users/:id': ADMIN,
+  'DELETE /api/users/:id': ADMIN,
+  'GET /api/users/:id/sessions': ADMIN,
+  'DELETE /api/users/:id/sessions': ADMIN,
+  'DELETE /api/users/:id/sessions/:sessionId': ADMIN,
+  'GET /api/users/:id/security-events': ADMIN,
+
+  // /api/roles
+  'POST /api/roles': ADMIN,
+  'GET /api/roles': ADMIN,
+  'GET /api/roles/check/:role_name': ADMIN,
+  'GET /api/roles/search/:searchTerm': ADMIN,
+  'GET /api/roles/count/total': ADMIN,
+  'GET /api/roles/menu': ADMIN,
+  'GET /api/roles/:role_id': ADMIN,
+  'PUT /api/roles/:role_id': ADMIN,
+  'DELETE /api/roles/:role_id': ADMIN,
+
+  // /api/permissions
+  'POST /api/permissions': ADMIN,
+  'GET /api/permissions': ADMIN,
+  'GET /api/permissions/check/:permission_name': ADMIN,
+  'GET /api/permissions/:id': ADMIN,
+  'PUT /api/permissions/:id': ADMIN,
+  'DELETE /api/permissions/:id': ADMIN,
+
+  // /api/role-permissions
+  'POST /api/role-permissions/assign': ADMIN,
+  'POST /api/role-permissions/assign-multiple': ADMIN,
+  'GET /api/role-permissions': ADMIN,
+  'GET /api/role-permissions/role/:role_id': ADMIN,
+  'DELETE /api/role-permissions/remove': ADMIN,
+  'DELETE /api/role-permissions/role/:role_id': ADMIN,
+
+  // /api/student-users
+  'POST /api/student-users': ADMIN,
+  'POST /api/student-users/bulk': ADMIN,
+  'GET /api/student-users': ADMIN,
+  'GET /api/student-users/students': ADMIN,
+  'GET /api/student-users/user/:user_id': ownedBy('user', 'user_id'),
+  'GET /api/student-users/:id': ADMIN,
+  'PUT /api/student-users/:id': ADMIN,
+  'DELETE /api/student-users/:id': ADMIN,
+
+  // /api/students
+  'POST /api/students': AUTHENTICATED,
+  'GET /api/students': AUTHENTICATED,
+  'GET /api/students/:id': ownedBy('student', 'id'),
+  'PUT /api/students/:id': AUTHENTICATED,
+  'PATCH /api/students/:id': AUTHENTICATED,
+  'DELETE /api/students/:id': AUTHENTICATED,
+  'GET /api/students/:studentId/eligible-jobs': ownedBy('student', 'studentId'),
+
+  // /api/student-addresses
+  'POST /api/student-addresses': AUTHENTICATED,
+  'GET /api/student-addresses': AUTHENTICATED,
+  'GET /api/student-addresses/menu': AUTHENTICATED,
+  'GET /api/student-addresses/student/:studentId': ownedBy('student', 'studentId'),
+  'GET /api/student-addresses/:id': AUTHENTICATED,
+  'PUT /api/student-addresses/:id': AUTHENTICATED,
+  'PATCH /api/student-addresses/:id': AUTHENTICATED,
+  'DELETE /api/student-addresses/:id': AUTHENTICATED,
+
+  // /api/student-languages
+  'POST /api/student-languages': AUTHENTICATED,
+  'POST /api/student-languages/bulk': AUTHENTICATED,
+  'GET /api/student-languages': AUTHENTICATED,
+  'GET /api/student-languages/allowed-languages': AUTHENTICATED,
+  'GET /api/student-languages/menu': AUTHENTICATED,
+  'GET /api/student-languages/search': AUTHENTICATED,
+  'GET /api/student-languages/proficient': AUTHENTICATED,
+  'GET /api/student-languages/language/:language': AUTHENTICATED,
+  'GET /api/student-languages/language/:language/experts': AUTHENTICATED,
+  'GET /api/student-languages/student/:studentId': ownedBy('student', 'studentId'),
+  'GET /api/student-languages/student/:studentId/top': ownedBy('student', 'studentId'),
+  'PUT /api/student-languages/student/:studentId/bulk': AUTHENTICATED,
+  'PUT /api/student-languages/:id': AUTHENTICATED,
+  'PATCH /api/student-languages/:id': AUTHENTICATED,
+  'DELETE /api/student-languages/student/:studentId': AUTHENTICATED,
+  'DELETE /api/student-languages/student/:studentId/:language': AUTHENTICATED,
+  'DELETE /api/student-languages/:id': AUTHENTICATED,
+  'GET /api/student-languages/:id': AUTHENTICATED,
+
+  // /api/student-academics
+  'POST /api/student-academics': AUTHENTICATED,
+  'GET /api/student-academics': AUTHENTICATED,
+  'GET /api/student-academics/menu': AUTHENTICATED,
+  'GET /api/student-academics/filter': AUTHENTICATED,
+  'GET /api/student-academics/category/:category': AUTHENTICATED,
+  'GET /api/student-academics/:id': AUTHENTICATED,
+  'PUT /api/student-academics/:id': AUTHENTICATED,
+  'PATCH /api/student-academics/:id': AUTHENTICATED,
+  'DELETE /api/student-academics/:id': AUTHENTICATED,
+
+  // /api/student-internships
+  'GET /api/student-internships/template': AUTHENTICATED,
+  'POST /api/student-internships/import': AUTHENTICATED,
+  'GET /api/student-internships/import': AUTHENTICATED,
+  'POST /api/student-internships': AUTHENTICATED,
+  'GET /api/student-internships': AUTHENTICATED,
+  'GET /api/student-internships/student/:studentId': ownedBy('student', 'studentId'),
+  'GET /api/student-internships/:id': AUTHENTICATED,
+  'PUT /api/student-internships/:id': AUTHENTICATED,
+  'DELETE /api/student-internships/:id': AUTHENTICATED,
+
+  // /api/student-documents
+  'GET /api/student-documents/template': AUTHENTICATED,
+  'POST /api/student-documents/import': AUTHENTICATED,
+  'GET /api/student-documents/import': AUTHENTICATED,
+  'POST /api/student-documents': AUTHENTICATED,
+  'GET /api/student-documents': AUTHENTICATED,
+  'GET /api/student-documents/student/:studentId': ownedBy('student', 'studentId'),
+  'GET /api/student-documents/:id': AUTHENTICATED,
+  'PUT /api/student-documents/:id': AUTHENTICATED,
+  'DELETE /api/student-documents/:id': AUTHENTICATED,
+
+  // /api/student-projects
+  'GET /api/student-projects/template': AUTHENTICATED,
+  'GET /api/student-projects/search': AUTHENTICATED,
+  'POST /api/student-projects/import': AUTHENTICATED,
+  'GET /api/student-projects/import': AUTHENTICATED,
+  'POST /api/student-projects': AUTHENTICATED,
+  'GET /api/student-projects': AUTHENTICATED,
+  'GET /api/student-projects/student/:studentId': ownedBy('student', 'studentId'),
+  'GET /api/student-projects/:id': AUTHENTICATED,
+  'PUT /api/student-projects/:id': AUTHENTICATED,
+  'DELETE /api/student-projects/:id': AUTHENTICATED,
+
+  // /api/student-family
+  'GET /api/student-family/template': AUTHENTICATED,
+  'POST /api/student-family/import': AUTHENTICATED,
+  'GET /api/student-family/import': AUTHENTICATED,
+  'POST /api/student-family': AUTHENTICATED,
+  'GET /api/student-family': AUTHENTICATED,
+  'GET /api/student-family/:id': AUTHENTICATED,
+  'PUT /api/student-family/:id': AUTHENTICATED,
+  'DELETE /api/student-family/:id': AUTHENTICATED,
+
+  // /api/student-certifications
+  'GET /api/student-certifications/template': AUTHENTICATED,
+  'GET /api/student-certifications/search': AUTHENTICATED,
+  'POST /api/student-certifications/import': AUTHENTICATED,
+  'GET /api/student-certifications/import': AUTHENTICATED,
+  'POST /api/student-certifications': AUTHENTICATED,
+  'GET /api/student-certifications': AUTHENTICATED,
+  'GET /api/student-certifications/student/:studentId': ownedBy('student', 'studentId'),
+  'GET /api/student-certifications/:id': AUTHENTICATED,
+  'PUT /api/student-certifications/:id': AUTHENTICATED,
+  'DELETE /api/student-certifications/:id': AUTHENTICATED,
+
+  // /api/student-report
+  'GET /api/student-report/summary': AUTHENTICATED,
+  'GET /api/student-report/:id/pdf': ownedBy('student', 'id'),
+  'GET /api/student-report/:id': ownedBy('student', 'id'),
+
+  // /api/companies
+  'POST /api/companies': AUTHENTICATED,
+  'GET /api/companies': AUTHENTICATED,
+  'GET /api/companies/:id': AUTHENTICATED,
+  'PUT /api/companies/:id': AUTHENTICATED,
+  'PATCH /api/companies/:id': AUTHENTICATED,
+  'DELETE /api/companies/:id': AUTHENTICATED,
+
+  // /api/jobs
+  'POST /api/jobs': AUTHENTICATED,
+  'GET /api/jobs': AUTHENTICATED,
+  'GET /api/jobs/company/:companyId': AUTHENTICATED,
+  'GET /api/jobs/:id': AUTHENTICATED,
+  'PUT /api/jobs/:id': AUTHENTICATED,
+  'DELETE /api/jobs/:id': AUTHENTICATED,
+  'GET /api/jobs/:jobId/rounds': AUTHENTICATED,
+  'POST /api/jobs/:jobId/rounds': AUTHENTICATED,
+  'PUT /api/jobs/:jobId/rounds/:roundId': AUTHENTICATED,
+  'DELETE /api/jobs/:jobId/rounds/:roundId': AUTHENTICATED,
+  'GET /api/jobs/:jobId/rounds/:roundId/candidates': AUTHENTICATED,
+  'POST /api/jobs/:jobId/rounds/:roundId/candidates': AUTHENTICATED,
+  'PUT /api/jobs/:jobId/rounds/:roundId/candidates/:studentId': AUTHENTICATED,
+  'POST /api/jobs/:jobId/rounds/:roundId/results/import': AUTHENTICATED,
+  'GET /api/jobs/:jobId/rounds/:roundId/results/template': AUTHENTICATED,
+  'GET /api/jobs/:jobId/eligibility/near-misses': AUTHENTICATED,
+  'GET /api/jobs/:jobId/eligibility/:studentId': ownedBy('student', 'studentId'),
+
+  // /api/job-requirements
+  'GET /api/job-requirements': AUTHENTICATED,
+  'GET /api/job-requirements/job/:jobId': AUTHENTICATED,
+  'GET /api/job-requirements/:id': AUTHENTICATED,
+
+  // /api/jobs-with-requirements
+  'POST /api/jobs-with-requirements': AUTHENTICATED,
+  'PUT /api/jobs-with-requirements/:jobId': AUTHENTICATED,
+
+  // /api/branches
+  'GET /api/branches': PUBLIC,
+  'POST /api/branches': AUTHENTICATED,
+  'GET /api/branches/departments': PUBLIC,
+  'POST /api/branches/departments': AUTHENTICATED,
+  'PATCH /api/branches/departments/:code': AUTHENTICATED,
+  'GET /api/branches/programmes': PUBLIC,
+  'POST /api/branches/programmes': AUTHENTICATED,
+  'GET /api/branches/:code': PUBLIC,
+  'PATCH /api/branches/:code': AUTHENTICATED,
+  'DELETE /api/branches/:code': AUTHENTICATED,
+  'PUT /api/branches/:code/intakes/:year': AUTHENTICATED,
+
+  // /api/student-offers
+  'POST /api/student-offers': AUTHENTICATED,
+  'GET /api/student-offers': AUTHENTICATED,
+  'GET /api/student-offers/student/:studentId': ownedBy('student', 'studentId'),
+  'GET /api/student-offers/job/:jobId': AUTHENTICATED,
+  'GET /api/student-offers/:id': AUTHENTICATED,
+  'PUT /api/student-offers/:id': AUTHENTICATED,
+  'DELETE /api/student-offers/:id': AUTHENTICATED,
+
+  // /api/applications
+  'POST /api/applications': AUTHENTICATED,
+  'GET /api/applications': AUTHENTICATED,
+  'GET /api/applications/stats': AUTHENTICATED,
+  'POST /api/applications/check-eligibility': AUTHENTICATED,
+  'POST /api/applications/bulk-eligibility-check': AUTHENTICATED,
+  'GET /api/applications/student/:studentId': ownedBy('student', 'studentId'),
+  'GET /api/applications/job/:jobId': AUTHENTICATED,
+  'GET /api/applications/:id': AUTHENTICATED,
+  'PUT /api/applications/:id': AUTHENTICATED,
+  'DELETE /api/applications/:id': AUTHENTICATED,
+};
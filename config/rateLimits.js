@@ -0,0 +1,57 @@
+/**
+ * Rate limit policies, keyed by "METHOD /full/path" exactly like
+ * config/accessPolicies.js. Applied by `enforceRateLimits` in utils/app.js.
+ *
+ * Each entry is a list of limits; a request must pass all of them.
+ *   scope 'ip'   — per client IP (req.ip, honours 'trust proxy')
+ *   scope 'user' — per logged-in user or service account, per IP for anonymous callers
+ *
+ * Every other POST/PUT/PATCH/DELETE gets DEFAULT_WRITE_LIMIT. On top of all
+ * of these, GLOBAL_IP_LIMIT caps each client IP across every request and runs
+ * before authentication.
+ */
+
+const MINUTE = 60 * 1000;
+
+const limit = (name, scope, max, windowMs) => Object.freeze({ name, scope, max, windowMs });
+
+// Coarse cap per IP on all traffic; high enough for a busy NAT'd campus network
+export const GLOBAL_IP_LIMIT = limit('global', 'ip', 600, MINUTE);
+
+// Catch-all for writes that have no specific entry below
+export const DEFAULT_WRITE_LIMIT = limit('write', 'user', 120, MINUTE);
+
+const IMPORT_LIMIT = limit('import', 'user', 10, 10 * MINUTE);
+
+export const RATE_LIMITS = {
+  // /api/auth — credential endpoints are limited per IP so one client can't
+  // spray passwords across many accounts
+  'POST /api/auth/login': [limit('login', 'ip', 20, 15 * MINUTE)],
+  'POST /api/auth/login/mfa': [limit('login-mfa', 'ip', 20, 15 * MINUTE)],
+  'POST /api/auth/login/mfa/setup': [limit('login-mfa-setup', 'ip', 10, 15 * MINUTE)],
+  'GET /api/auth/oidc/login': [limit('oidc-login', 'ip', 30, 15 * MINUTE)],
+  'GET /api/auth/oidc/callback': [limit('oidc-callback', 'ip', 30, 15 * MINUTE)],
+  'POST /api/auth/refresh': [limit('refresh', 'ip', 60, MINUTE)],
+  'POST /api/auth/forgot-password': [limit('forgot-password', 'ip', 5, 15 * MINUTE)],
+  'POST /api/auth/reset-password': [limit('reset-password', 'ip', 10, 15 * MINUTE)],
+  'POST /api/auth/activate': [limit('activate', 'ip', 10, 15 * MINUTE)],
+  'POST /api/auth/verify-email': [limit('verify-email', 'ip', 20, 15 * MINUTE)],
+  'POST /api/auth/email-verification/send': [limit('email-verification-send', 'user', 10, 60 * MINUTE)],
+  'POST /api/auth/change-password': [limit('change-password', 'user', 5, 15 * MINUTE)],
+  'POST /api/auth/mfa/enable': [limit('mfa-enable', 'user', 10, 15 * MINUTE)],
+  'POST /api/auth/mfa/disable': [limit('mfa-disable', 'user', 5, 15 * MINUTE)],
+  'POST /api/auth/mfa/recovery-codes': [limit('mfa-recovery-codes', 'user', 5, 15 * MINUTE)],
+  'POST /api/auth/impersonate/:userId': [limit('impersonate', 'user', 10, 15 * MINUTE)],
+
+  // Bulk and import endpoints
+  'POST /api/student-users/bulk': [limit('student-users-bulk', 'user', 5, 10 * MINUTE)],
+  'POST /api/users/invite/bulk': [IMPORT_LIMIT],
+  'POST /api/student-languages/bulk': [limit('student-languages-bulk', 'user', 10, 10 * MINUTE)],
+  'PUT /api/student-languages/student/:studentId/bulk': [limit('student-languages-bulk', 'user', 10, 10 * MINUTE)],
+  'POST /api/role-permissions/assign-multiple': [limit('role-permissions-bulk', 'user', 20, 10 * MINUTE)],
+  'POST /api/student-internships/import': [IMPORT_LIMIT],
+  'POST /api/student-documents/import': [IMPORT_LIMIT],
+  'POST /api/student-projects/import': [IMPORT_LIMIT],
+  'POST /api/student-family/import': [IMPORT_LIMIT],
+  'POST /api/student-certifications/import': [IMPORT_LIMIT],
+};
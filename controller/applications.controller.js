@@ -0,0 +1,244 @@
+import logger from "../utils/logger.js";
+import * as applicationService from "../db/applications.db.js";
+import joi from "joi";
+import { handleError } from "../utils/errors.js";
+import { submitApplication } from "../services/applications/application.service.js";
+import * as eligibilityService from "../services/eligibility/eligibility.service.js";
+
+const { APPLICATION_STATUSES } = applicationService;
+
+// Validation schema for creating an application
+const createApplicationSchema = joi.object({
+    student_id: joi.string().trim().max(50).required(),
+    job_id: joi.number().integer().positive().required(),
+    status: joi.string().valid(...APPLICATION_STATUSES).optional().default('APPLIED'),
+    notes: joi.string().trim().max(2000).optional().allow(null, '')
+});
+
+// Validation schema for updating an application
+const updateApplicationSchema = joi.object({
+    status: joi.string().valid(...APPLICATION_STATUSES).optional(),
+    notes: joi.string().trim().max(2000).optional().allow(null, '')
+}).min(1);
+
+// Validation schema for query params
+const getApplicationsSchema = joi.object({
+    page: joi.number().integer().min(1).default(1),
+    limit: joi.number().integer().min(1).max(100).default(20),
+    sortBy: joi.string().valid('application_id', 'student_id', 'job_id', 'status', 'applied_at', 'updated_at').default('applied_at'),
+    sortOrder: joi.string().valid('ASC', 'DESC', 'asc', 'desc').default('DESC'),
+    student_id: joi.string().trim().max(50).optional(),
+    job_id: joi.number().integer().positive().optional(),
+    status: joi.string().valid(...APPLICATION_STATUSES).optional()
+});
+
+const getApplicationStatsSchema = joi.object({
+    job_id: joi.number().integer().positive().optional()
+});
+
+const checkEligibilitySchema = joi.object({
+    student_id: joi.string().trim().max(50).required(),
+    job_id: joi.number().integer().positive().required()
+});
+
+// Without a job_id the students are checked against every open job, so they must be listed
+const bulkEligibilitySchema = joi.object({
+    job_id: joi.number().integer().positive().optional(),
+    student_ids: joi.array().items(joi.string().trim().max(50)).min(1).max(500).unique().optional()
+}).or('job_id', 'student_ids');
+
+// Validation schema for ID param
+const idSchema = joi.object({
+    id: joi.number().integer().positive().required()
+});
+
+// Validation schema for student ID param
+const studentIdSchema = joi.object({
+    studentId: joi.string().required()
+});
+
+// Validation schema for job ID param
+const jobIdSchema = joi.object({
+    jobId: joi.number().integer().positive().required()
+});
+
+// Answer 400 with the first validation error
+const rejectInvalid = (res, ctx, error) => {
+    logger.warn(`${ctx}: Validation failed - ${error.details[0].message}`);
+    return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+    });
+};
+
+// Create an application (eligibility and deadline enforced)
+export const createApplication = async (req, res) => {
+    try {
+        logger.info({ student_id: req.body.student_id, job_id: req.body.job_id }, 'createApplication');
+        const { error, value } = createApplicationSchema.validate(req.body);
+        if (error) return rejectInvalid(res, 'createApplication', error);
+
+        const result = await submitApplication(value, req.user?.user_id ?? null);
+        logger.info({ application_id: result.data.application_id }, 'createApplication: success');
+        res.status(201).json(result);
+    } catch (err) {
+        return handleError(err, res, 'createApplication');
+    }
+};
+
+// Get all applications
+export const getAllApplications = async (req, res) => {
+    try {
+        logger.info({ query: req.query }, 'getAllApplications');
+        const { error, value } = getApplicationsSchema.validate(req.query);
+        if (error) return rejectInvalid(res, 'getAllApplications', error);
+
+        const result = await applicationService.getAllApplications(value);
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getAllApplications');
+    }
+};
+
+// Get application statistics
+export const getApplicationStats = async (req, res) => {
+    try {
+        const { error, value } = getApplicationStatsSchema.validate(req.query);
+        if (error) return rejectInvalid(res, 'getApplicationStats', error);
+
+        const result = await applicationService.getApplicationStats(value);
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getApplicationStats');
+    }
+};
+
+// Check whether a student is eligible for a job
+export const checkEligibility = async (req, res) => {
+    try {
+        const { error, value } = checkEligibilitySchema.validate(req.body);
+        if (error) return rejectInvalid(res, 'checkEligibility', error);
+
+        const result = await eligibilityService.checkEligibility(value.student_id, value.job_id);
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: result.eligible ? 'Student is eligible for this job' : 'Student is not eligible for this job'
+        });
+    } catch (err) {
+        return handleError(err, res, 'checkEligibility');
+    }
+};
+
+// Check many students against a job, or students against every open job
+export const bulkEligibilityCheck = async (req, res) => {
+    try {
+        const { error, value } = bulkEligibilitySchema.validate(req.body);
+        if (error) return rejectInvalid(res, 'bulkEligibilityCheck', error);
+
+        const result = await eligibilityService.checkEligibilityBulk(value);
+        logger.info({
+            job_id: value.job_id,
+            students: result.students_checked,
+            eligible: result.eligible_count
+        }, 'bulkEligibilityCheck: done');
+
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: `${result.eligible_count} eligible student-job pair(s) found`
+        });
+    } catch (err) {
+        return handleError(err, res, 'bulkEligibilityCheck');
+    }
+};
+
+// Get applications by student ID
+export const getApplicationsByStudentId = async (req, res) => {
+    try {
+        const { error } = studentIdSchema.validate(req.params);
+        if (error) return rejectInvalid(res, 'getApplicationsByStudentId', error);
+
+        const result = await applicationService.getApplicationsByStudentId(req.params.studentId);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getApplicationsByStudentId');
+    }
+};
+
+// Get applications by job ID
+export const getApplicationsByJobId = async (req, res) => {
+    try {
+        const { error } = jobIdSchema.validate(req.params);
+        if (error) return rejectInvalid(res, 'getApplicationsByJobId', error);
+
+        const result = await applicationService.getApplicationsByJobId(req.params.jobId);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getApplicationsByJobId');
+    }
+};
+
+// Get application by ID
+export const getApplicationById = async (req, res) => {
+    try {
+        const { error } = idSchema.validate(req.params);
+        if (error) return rejectInvalid(res, 'getApplicationById', error);
+
+        const result = await applicationService.getApplicationById(req.params.id);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getApplicationById');
+    }
+};
+
+// Update application by ID
+export const updateApplication = async (req, res) => {
+    try {
+        logger.info({ id: req.params.id }, 'updateApplication');
+        const { error: idError } = idSchema.validate(req.params);
+        if (idError) return rejectInvalid(res, 'updateApplication', idError);
+
+        const { error, value } = updateApplicationSchema.validate(req.body);
+        if (error) return rejectInvalid(res, 'updateApplication', error);
+
+        const result = await applicationService.updateApplication(req.params.id, value);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'updateApplication');
+    }
+};
+
+// Delete application by ID
+export const deleteApplication = async (req, res) => {
+    try {
+        logger.info({ id: req.params.id }, 'deleteApplication');
+        const { error } = idSchema.validate(req.params);
+        if (error) return rejectInvalid(res, 'deleteApplication', error);
+
+        const result = await applicationService.deleteApplication(req.params.id);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'deleteApplication');
+    }
+};
@@ -0,0 +1,37 @@
+import logger from "../utils/logger.js";
+import * as auditService from "../db/audit.db.js";
+import joi from "joi";
+import { handleError } from "../utils/errors.js";
+
+// Validation schema for audit log filters
+const getAuditLogsSchema = joi.object({
+    actor_id: joi.number().integer().positive().optional(),
+    service_account_id: joi.number().integer().positive().optional(),
+    impersonated_user_id: joi.number().integer().positive().optional(),
+    entity: joi.string().trim().max(64).optional(),
+    entity_id: joi.string().trim().max(64).optional(),
+    action: joi.string().trim().max(32).optional(),
+    from: joi.date().iso().optional(),
+    to: joi.date().iso().min(joi.ref('from')).optional(),
+    page: joi.number().integer().min(1).default(1),
+    limit: joi.number().integer().min(1).max(100).default(20)
+});
+
+// Get audit log entries with filters and pagination
+export const getAuditLogs = async (req, res) => {
+    try {
+        const { error, value } = getAuditLogsSchema.validate(req.query);
+        if (error) {
+            logger.warn(`getAuditLogs: Validation failed - ${error.details[0].message}`);
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const result = await auditService.getAuditLogs(value);
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getAuditLogs');
+    }
+};
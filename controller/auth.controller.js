@@ -1,24 +1,55 @@
 /**
- * Auth Controller — Login, Refresh, Logout, WhoAmI
+ * Auth Controller — Login (+ 2FA step), Refresh, Logout, WhoAmI, Password Reset/Change
  *
  * Implements:
- *  - Brute-force protection (5 attempts → 15-min lock)
- *  - Refresh token rotation with bcrypt-hashed opaque tokens
+ *  - Brute-force protection (5 attempts → 15-min lock, recorded as a security event)
+ *  - Login anomaly alerts: new device, new network, login after a lockout
+ *    (see services/auth/loginAnomaly.service.js)
+ *  - Refresh token rotation with bcrypt-hashed opaque tokens; replay of a
+ *    rotated token revokes that session and every outstanding access token
  *  - Session tracking in PostgreSQL (user_sessions)
- *  - HTTP-only cookie transport
+ *  - HTTP-only cookie transport, with a per-session CSRF token (utils/csrf.js)
  *  - Token-version–based invalidation
+ *  - Emailed single-use password reset tokens (SHA-256 hashed at rest)
+ *  - Account activation for invited users (see services/auth/invitation.service.js)
+ *  - Password policy and reuse history on every new password
+ *  - Optional TOTP second factor, mandatory for roles with mfa_required
+ *  - OpenID Connect single sign-on (authorization code + PKCE)
  */
 
 import crypto from 'crypto';
+import net from 'net';
 import bcrypt from 'bcrypt';
 import Joi from 'joi';
 import logger from '../utils/logger.js';
 import * as authDB from '../db/auth.db.js';
+import * as passwordResetDB from '../db/password_reset.db.js';
+import * as passwordHistoryDB from '../db/password_history.db.js';
+import * as usersDB from '../db/users.db.js';
+import * as mfaDB from '../db/mfa.db.js';
+import * as securityEventsDB from '../db/security_events.db.js';
+import * as mfaService from '../services/auth/mfa.service.js';
+import * as oidcService from '../services/auth/oidc.service.js';
+import * as invitationService from '../services/auth/invitation.service.js';
+import * as loginAnomalyService from '../services/auth/loginAnomaly.service.js';
+import * as invitationsDB from '../db/invitations.db.js';
+import { AppError } from '../utils/errors.js';
+import { checkPasswordPolicy, getPasswordPolicy } from '../utils/passwordPolicy.js';
+import { sendMail } from '../services/mail/mailer.js';
+import { passwordResetEmail } from '../services/mail/templates.js';
+import { CSRF_COOKIE, generateCsrfToken, readCsrfHeader, csrfTokenMatches } from '../utils/csrf.js';
 import {
   generateAccessToken,
   verifyAccessToken,
+  generateMfaToken,
+  verifyMfaToken,
   setAuthCookies,
   clearAuthCookies,
+  generateOidcStateToken,
+  verifyOidcStateToken,
+  setOidcStateCookie,
+  readOidcStateCookie,
+  clearOidcStateCookie,
 } from '../utils/jwt.js';
 
 // ─── Constants ──────────────────────────────────────────────────────────────────
@@ -28,6 +59,9 @@ const LOCK_DURATION_MS = 15 * 60 * 1000; // 15 minutes
 const REFRESH_TOKEN_BYTES = 64;
 const BCRYPT_ROUNDS = 12;
 const REFRESH_TOKEN_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const REFRESH_REUSE_GRACE_MS = 10 * 1000; // concurrent refreshes within this window aren't theft
+const RESET_TOKEN_BYTES = 32;
+const RESET_TOKEN_LIFETIME_MS = 30 * 60 * 1000; // 30 minutes
 
 // ─── Validation ─────────────────────────────────────────────────────────────────
 
@@ -36,15 +70,219 @@ const loginSchema = Joi.object({
   password: Joi.string().min(1).required(),
 });
 
+const mfaTokenSchema = Joi.object({
+  mfa_token: Joi.string().required(),
+});
+
+const loginMfaSchema = Joi.object({
+  mfa_token: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/).messages({ 'string.pattern.base': 'code must be a 6-digit number' }),
+  recovery_code: Joi.string().trim().max(32),
+}).xor('code', 'recovery_code');
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(RESET_TOKEN_BYTES * 2).required(),
+  password: Joi.string().min(1).required(),
+});
+
+const activateAccountSchema = Joi.object({
+  token: Joi.string().hex().length(invitationService.INVITATION_TOKEN_LENGTH).required(),
+  password: Joi.string().min(1).required(),
+});
+
+const changePasswordSchema = Joi.object({
+  current_password: Joi.string().min(1).required(),
+  new_password: Joi.string().min(1).required(),
+});
+
+const oidcLoginSchema = Joi.object({
+  // A path on the frontend only — never another origin
+  return_to: Joi.string().max(500).pattern(/^\/(?![/\\])\S*$/)
+    .messages({ 'string.pattern.base': 'return_to must be a path such as /dashboard' }),
+});
+
 // ─── Helpers ────────────────────────────────────────────────────────────────────
 
-/** Extract client IP, respecting X-Forwarded-For behind a proxy. */
+/**
+ * Client IP as Express resolves it: X-Forwarded-For is honoured only for the
+ * proxy hops `trust proxy` allows (utils/app.js), so a client can't choose
+ * its own address. Null unless it is a valid IP.
+ */
 function getClientIp(req) {
-  const forwarded = req.headers['x-forwarded-for'];
-  if (forwarded) {
-    return forwarded.split(',')[0].trim();
+  const ip = req.ip || req.socket?.remoteAddress;
+  return ip && net.isIP(ip) ? ip : null;
+}
+
+/**
+ * Create a session for a fully authenticated user and set the auth cookies.
+ * Returns the new session ID and the session's CSRF token.
+ */
+async function startSession(res, user, { ip, userAgent, method }) {
+  // 1. Generate session ID
+  const sessionId = crypto.randomUUID();
+
+  // 2. Generate opaque refresh token + hash
+  const rawRefreshToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('hex');
+  const refreshTokenHash = await bcrypt.hash(rawRefreshToken, BCRYPT_ROUNDS);
+
+  // 3. Generate JWT access token, bound to a new CSRF token
+  const csrfToken = generateCsrfToken();
+  const accessToken = generateAccessToken({
+    user_id: user.user_id,
+    role_id: user.role_id,
+    role_name: user.role_name,
+    session_id: sessionId,
+    token_version: user.token_version,
+    csrf_token: csrfToken,
+  });
+
+  // 4. For single login: delete any existing sessions for this user first
+  await authDB.deleteAllUserSessions(user.user_id);
+
+  // 5. Store session in DB
+  await authDB.createSession({
+    session_id: sessionId,
+    user_id: user.user_id,
+    refresh_token_hash: refreshTokenHash,
+    ip_address: ip,
+    user_agent: userAgent,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_LIFETIME_MS),
+  });
+
+  // 6. Update last_login_at
+  await authDB.updateLastLogin(user.user_id);
+
+  // 7. Set cookies
+  setAuthCookies(res, accessToken, rawRefreshToken, csrfToken);
+
+  // 8. Look for anything unusual about this login; not awaited, since alerting
+  //    the user (email included) shouldn't hold up the response
+  loginAnomalyService.assessLogin(user, { ip, userAgent, method });
+
+  return { sessionId, csrfToken };
+}
+
+/**
+ * Record a lockout as a security event; the next successful login is
+ * flagged as suspicious because of it (see loginAnomaly.service.js).
+ */
+async function recordLockout(user, { ip, userAgent, failedAttempts, lockUntil, stage }) {
+  await securityEventsDB.recordSecurityEvent({
+    user_id: user.user_id,
+    event_type: 'account_locked',
+    severity: 'medium',
+    ip_address: ip,
+    user_agent: userAgent,
+    details: { failed_attempts: failedAttempts, lock_until: lockUntil.toISOString(), stage },
+  });
+}
+
+/** User fields returned by a successful login. */
+function toLoginUser(user) {
+  return {
+    user_id: user.user_id,
+    username: user.username,
+    email: user.email,
+    role_id: user.role_id,
+    role_name: user.role_name,
+    must_change_password: user.must_change_password,
+  };
+}
+
+/**
+ * Fast deterministic digest for high-entropy tokens that must be looked up
+ * by value (reset tokens, retired refresh tokens).
+ */
+function sha256Hex(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A retired refresh token was presented again: one of the two holders is an
+ * attacker. Revoke the session the token belonged to, invalidate outstanding
+ * access tokens and record a security event.
+ */
+async function handleRefreshTokenReuse(req, res, rotated) {
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || null;
+  const sinceRotationMs = Date.now() - new Date(rotated.rotated_at).getTime();
+
+  // Two tabs refreshing at the same moment is not theft
+  if (sinceRotationMs < REFRESH_REUSE_GRACE_MS) {
+    logger.warn({ session_id: rotated.session_id, user_id: rotated.user_id }, 'refreshToken: token rotated moments ago, not treating as reuse');
+    return res.status(409).json({ success: false, message: 'Refresh token already rotated. Retry with the latest token.' });
+  }
+
+  const sessionRevoked = await authDB.deleteSession(rotated.session_id);
+  await authDB.incrementTokenVersion(rotated.user_id);
+  await securityEventsDB.recordSecurityEvent({
+    user_id: rotated.user_id,
+    event_type: 'refresh_token_reuse',
+    severity: 'high',
+    ip_address: ip,
+    user_agent: userAgent,
+    details: {
+      session_id: rotated.session_id,
+      rotated_at: rotated.rotated_at,
+      session_revoked: sessionRevoked,
+    },
+  });
+
+  clearAuthCookies(res);
+  logger.warn({
+    user_id: rotated.user_id,
+    session_id: rotated.session_id,
+    session_revoked: sessionRevoked,
+    ip,
+  }, 'refreshToken: reuse of rotated token detected — session revoked');
+
+  return res.status(401).json({
+    success: false,
+    message: 'Refresh token reuse detected. This session has been revoked for security; please log in again.',
+  });
+}
+
+/**
+ * Validate a new password against the policy and the user's recent passwords.
+ * Returns an error message, or null if the password may be used.
+ */
+async function findNewPasswordProblem(user, newPassword, currentHash) {
+  const violations = checkPasswordPolicy(newPassword, user);
+  if (violations.length > 0) {
+    return violations.join('. ');
+  }
+
+  const { historySize } = getPasswordPolicy();
+  const previousHashes = [
+    currentHash,
+    ...await passwordHistoryDB.getRecentPasswordHashes(user.user_id, historySize),
+  ].filter(Boolean);
+
+  for (const hash of previousHashes) {
+    if (await bcrypt.compare(newPassword, hash)) {
+      return `Password must differ from your last ${historySize + 1} password(s)`;
+    }
   }
-  return req.ip || req.socket?.remoteAddress || null;
+  return null;
+}
+
+/** Keep the replaced hash so it cannot be reused. */
+async function rememberReplacedPassword(userId, previousHash) {
+  const { historySize } = getPasswordPolicy();
+  if (previousHash && historySize > 0) {
+    await passwordHistoryDB.addPasswordHistory(userId, previousHash, historySize);
+  }
+}
+
+function buildResetUrl(token) {
+  const base = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+  const url = new URL(base);
+  url.searchParams.set('token', token);
+  return url.toString();
 }
 
 // ─── LOGIN ──────────────────────────────────────────────────────────────────────
@@ -75,6 +313,13 @@ export const login = async (req, res) => {
 
     // 3. Check account active
     if (!user.is_active) {
+      if (await invitationsDB.isAwaitingActivation(user.user_id)) {
+        logger.warn({ user_id: user.user_id, email, ip }, 'login: account not activated');
+        return res.status(403).json({
+          success: false,
+          message: 'Account has not been activated yet. Use the link in your invitation email.',
+        });
+      }
       logger.warn({ user_id: user.user_id, email, ip }, 'login: account inactive');
       return res.status(403).json({ success: false, message: 'Account is deactivated. Contact an administrator.' });
     }
@@ -108,6 +353,7 @@ export const login = async (req, res) => {
       if (newCount >= MAX_FAILED_ATTEMPTS) {
         const lockUntil = new Date(Date.now() + LOCK_DURATION_MS);
         await authDB.lockAccount(user.user_id, lockUntil);
+        await recordLockout(user, { ip, userAgent, failedAttempts: newCount, lockUntil, stage: 'password' });
         logger.warn({
           user_id: user.user_id, email, ip, failed_attempts: newCount, lock_until: lockUntil,
         }, 'login: account locked after too many failures');
@@ -125,75 +371,351 @@ export const login = async (req, res) => {
       });
     }
 
-    // 6. Successful password — reset failed attempts
+    // 6. Second factor — enrolled users, and users whose role requires MFA,
+    //    get a short-lived pending token instead of a session. Failed attempts
+    //    are left alone: wrong codes count on them too, and are only cleared
+    //    once the second factor succeeds (see loginMfa)
+    const mfa = await mfaDB.getMfaState(user.user_id);
+    if (mfa?.enabled || mfa?.mfa_required) {
+      const enrollment = !mfa.enabled;
+      const mfaToken = generateMfaToken({
+        user_id: user.user_id,
+        token_version: user.token_version,
+        enrollment,
+      });
+
+      logger.info({ user_id: user.user_id, email, ip, enrollment }, 'login: password ok, second factor pending');
+
+      return res.status(200).json({
+        success: true,
+        message: enrollment
+          ? 'Two-factor authentication must be set up for this account'
+          : 'Two-factor authentication code required',
+        data: {
+          mfa_required: true,
+          enrollment_required: enrollment,
+          mfa_token: mfaToken,
+        },
+      });
+    }
+
+    // 7. Successful password — reset failed attempts
     if (user.failed_attempts > 0 || user.is_locked) {
       await authDB.resetFailedAttempts(user.user_id);
     }
 
-    // 7. Generate session ID
-    const sessionId = crypto.randomUUID();
-
-    // 8. Generate opaque refresh token + hash
-    const rawRefreshToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('hex');
-    const refreshTokenHash = await bcrypt.hash(rawRefreshToken, BCRYPT_ROUNDS);
+    // 8. Create the session and set cookies
+    const { sessionId, csrfToken } = await startSession(res, user, { ip, userAgent, method: 'password' });
 
-    // 9. Generate JWT access token
-    const accessToken = generateAccessToken({
+    logger.info({
       user_id: user.user_id,
-      role_id: user.role_id,
-      role_name: user.role_name,
+      email,
+      role: user.role_name,
       session_id: sessionId,
-      token_version: user.token_version,
+      ip,
+      userAgent,
+    }, 'login: success');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: { user: toLoginUser(user), csrf_token: csrfToken },
     });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Login error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
 
-    // 10. For single login: delete any existing sessions for this user first
-    await authDB.deleteAllUserSessions(user.user_id);
+// ─── LOGIN — SECOND FACTOR ──────────────────────────────────────────────────────
 
-    // 11. Store session in DB
-    await authDB.createSession({
-      session_id: sessionId,
-      user_id: user.user_id,
-      refresh_token_hash: refreshTokenHash,
-      ip_address: ip,
-      user_agent: userAgent,
-      expires_at: new Date(Date.now() + REFRESH_TOKEN_LIFETIME_MS),
+/**
+ * Resolve the user behind an MFA pending token. Responds and returns null when
+ * the token is invalid or the account changed since the password step.
+ */
+async function resolveMfaPendingUser(req, res, mfaToken) {
+  let decoded;
+  try {
+    decoded = verifyMfaToken(mfaToken);
+  } catch {
+    res.status(401).json({ success: false, message: 'Two-factor session expired. Please log in again.' });
+    return null;
+  }
+
+  const user = await authDB.getUserForAuth(decoded.user_id);
+  if (!user || !user.is_active || user.token_version !== decoded.token_version) {
+    res.status(401).json({ success: false, message: 'Two-factor session expired. Please log in again.' });
+    return null;
+  }
+
+  return { user, enrollment: decoded.enrollment };
+}
+
+/**
+ * Start TOTP enrollment during login, for users whose role requires MFA.
+ */
+export const loginMfaSetup = async (req, res) => {
+  try {
+    const { error, value } = mfaTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const pending = await resolveMfaPendingUser(req, res, value.mfa_token);
+    if (!pending) return;
+
+    if (!pending.enrollment) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already set up' });
+    }
+
+    const enrollment = await mfaService.beginEnrollment(pending.user);
+    if (!enrollment) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already set up' });
+    }
+
+    logger.info({ user_id: pending.user.user_id }, 'loginMfaSetup: secret issued');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment,
     });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Login MFA setup error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
 
-    // 12. Update last_login_at
-    await authDB.updateLastLogin(user.user_id);
+/**
+ * Complete login with a TOTP or recovery code. For enrollment tokens the code
+ * also confirms the new secret, and the recovery codes are returned once.
+ */
+export const loginMfa = async (req, res) => {
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || null;
 
-    // 13. Set HTTP-only cookies
-    setAuthCookies(res, accessToken, rawRefreshToken);
+  try {
+    const { error, value } = loginMfaSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const pending = await resolveMfaPendingUser(req, res, value.mfa_token);
+    if (!pending) return;
+    const { user, enrollment } = pending;
+
+    let recoveryCodes = null;
+    let verified;
+    if (enrollment) {
+      recoveryCodes = value.code ? await mfaService.completeEnrollment(user.user_id, value.code) : null;
+      verified = Boolean(recoveryCodes);
+    } else {
+      verified = await mfaService.verifySecondFactor(user.user_id, value);
+    }
+
+    if (!verified) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const newCount = await authDB.incrementFailedAttempts(user.user_id);
+      if (newCount >= MAX_FAILED_ATTEMPTS) {
+        const lockUntil = new Date(Date.now() + LOCK_DURATION_MS);
+        await authDB.lockAccount(user.user_id, lockUntil);
+        await authDB.incrementTokenVersion(user.user_id);
+        await recordLockout(user, { ip, userAgent, failedAttempts: newCount, lockUntil, stage: 'mfa' });
+        logger.warn({ user_id: user.user_id, ip, failed_attempts: newCount }, 'loginMfa: account locked after too many failures');
+        return res.status(423).json({
+          success: false,
+          message: 'Too many failed attempts. Account locked for 15 minutes.',
+        });
+      }
+
+      logger.warn({ user_id: user.user_id, ip, failed_attempts: newCount }, 'loginMfa: invalid code');
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    await authDB.resetFailedAttempts(user.user_id);
+    const { sessionId, csrfToken } = await startSession(res, user, { ip, userAgent, method: 'mfa' });
 
     logger.info({
       user_id: user.user_id,
-      email,
       role: user.role_name,
       session_id: sessionId,
       ip,
       userAgent,
-    }, 'login: success');
+      enrolled: enrollment,
+      recovery_code_used: Boolean(value.recovery_code),
+    }, 'login: success (2FA)');
+
+    const data = { user: toLoginUser(user), csrf_token: csrfToken };
+    if (recoveryCodes) {
+      data.recovery_codes = recoveryCodes;
+    }
 
     return res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          user_id: user.user_id,
-          username: user.username,
-          email: user.email,
-          role_id: user.role_id,
-          role_name: user.role_name,
-          must_change_password: user.must_change_password,
-        },
-      },
+      message: enrollment
+        ? 'Two-factor authentication enabled. Store your recovery codes safely.'
+        : 'Login successful',
+      data,
     });
   } catch (err) {
-    logger.error({ error: err.message, stack: err.stack }, 'Login error');
+    logger.error({ error: err.message, stack: err.stack }, 'Login MFA error');
     return res.status(500).json({ success: false, message: 'Internal server error' });
   }
 };
 
+// ─── SINGLE SIGN-ON (OIDC) ──────────────────────────────────────────────────────
+
+/**
+ * Frontend URL to land on after SSO: OIDC_POST_LOGIN_REDIRECT, optionally at
+ * the `return_to` path, with an error code in the query or the MFA pending
+ * token in the fragment (never sent to servers or logged by proxies).
+ */
+function buildSsoRedirect(returnTo, { query = {}, fragment = {} } = {}) {
+  const url = new URL(oidcService.getOidcConfig().postLoginRedirect);
+  if (returnTo) {
+    const target = new URL(returnTo, url);
+    url.pathname = target.pathname;
+    url.search = target.search;
+  }
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  if (Object.keys(fragment).length > 0) {
+    url.hash = new URLSearchParams(fragment).toString();
+  }
+  return url.toString();
+}
+
+/**
+ * Start SSO: remember state, nonce and PKCE verifier in a signed cookie and
+ * send the browser to the identity provider.
+ */
+export const oidcLogin = async (req, res) => {
+  if (!oidcService.isOidcEnabled()) {
+    return res.status(404).json({ success: false, message: 'Single sign-on is not configured' });
+  }
+
+  const { error, value } = oidcLoginSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error.details[0].message });
+  }
+
+  try {
+    const request = await oidcService.createAuthorizationRequest();
+
+    setOidcStateCookie(res, generateOidcStateToken({
+      state: request.state,
+      nonce: request.nonce,
+      code_verifier: request.codeVerifier,
+      return_to: value.return_to || null,
+    }));
+
+    logger.info({ ip: getClientIp(req) }, 'oidcLogin: redirecting to identity provider');
+    return res.redirect(302, request.url);
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'OIDC login error');
+    return res.redirect(302, buildSsoRedirect(value.return_to, { query: { sso_error: 'provider_unavailable' } }));
+  }
+};
+
+/**
+ * Provider callback: check state, exchange the code, verify the ID token,
+ * map it to a local user and start a session exactly like a password login.
+ * Always answers with a redirect to the frontend.
+ */
+export const oidcCallback = async (req, res) => {
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || null;
+  let returnTo = null;
+
+  if (!oidcService.isOidcEnabled()) {
+    return res.status(404).json({ success: false, message: 'Single sign-on is not configured' });
+  }
+
+  try {
+    // 1. The state must match the one we set for this browser
+    const stateToken = readOidcStateCookie(req);
+    clearOidcStateCookie(res);
+
+    let pending;
+    try {
+      pending = verifyOidcStateToken(stateToken);
+    } catch {
+      throw new oidcService.SsoError('invalid_state', 'Sign-in session expired. Please try again.');
+    }
+    returnTo = pending.return_to;
+
+    if (typeof req.query.state !== 'string' || req.query.state !== pending.state) {
+      throw new oidcService.SsoError('invalid_state', 'Sign-in state mismatch');
+    }
+
+    // 2. The provider may report an error (e.g. the user cancelled)
+    if (req.query.error) {
+      throw new oidcService.SsoError(
+        req.query.error === 'access_denied' ? 'access_denied' : 'provider_error',
+        `Identity provider error: ${req.query.error}`
+      );
+    }
+    if (typeof req.query.code !== 'string' || !req.query.code) {
+      throw new oidcService.SsoError('invalid_request', 'Authorization code missing');
+    }
+
+    // 3. Exchange the code (with the PKCE verifier) and verify the ID token
+    const claims = await oidcService.completeAuthorization({
+      code: req.query.code,
+      codeVerifier: pending.code_verifier,
+      nonce: pending.nonce,
+    });
+
+    // 4. Map to a local user, provisioning students on first sign-in
+    const { user, provisioned } = await oidcService.resolveSsoUser(claims);
+
+    if (!user.is_active) {
+      throw new oidcService.SsoError('account_inactive', 'Account is deactivated', 403);
+    }
+    if (user.is_locked && user.lock_until && new Date() < new Date(user.lock_until)) {
+      throw new oidcService.SsoError('account_locked', 'Account is locked', 423);
+    }
+
+    // 5. Second factor, as in the password login
+    const mfa = await mfaDB.getMfaState(user.user_id);
+    if (mfa?.enabled || mfa?.mfa_required) {
+      const enrollment = !mfa.enabled;
+      const mfaToken = generateMfaToken({
+        user_id: user.user_id,
+        token_version: user.token_version,
+        enrollment,
+      });
+
+      logger.info({ user_id: user.user_id, ip, enrollment }, 'oidcCallback: second factor pending');
+      return res.redirect(302, buildSsoRedirect(returnTo, {
+        fragment: { mfa_token: mfaToken, enrollment_required: String(enrollment) },
+      }));
+    }
+
+    // 6. Create the session and set cookies
+    const { sessionId } = await startSession(res, user, { ip, userAgent, method: 'oidc' });
+
+    logger.info({
+      user_id: user.user_id,
+      email: user.email,
+      role: user.role_name,
+      session_id: sessionId,
+      provisioned,
+      ip,
+      userAgent,
+    }, 'oidcCallback: success');
+
+    return res.redirect(302, buildSsoRedirect(returnTo));
+  } catch (err) {
+    const reason = err instanceof oidcService.SsoError ? err.reason : 'server_error';
+    if (reason === 'server_error') {
+      logger.error({ error: err.message, stack: err.stack }, 'OIDC callback error');
+    } else {
+      logger.warn({ reason, error: err.message, ip }, 'oidcCallback: sign-in rejected');
+    }
+    return res.redirect(302, buildSsoRedirect(returnTo, { query: { sso_error: reason } }));
+  }
+};
+
 // ─── REFRESH TOKEN ──────────────────────────────────────────────────────────────
 
 export const refreshToken = async (req, res) => {
@@ -205,6 +727,21 @@ export const refreshToken = async (req, res) => {
     }
     logger.info({ ip: getClientIp(req) }, 'refreshToken: attempt');
 
+    // Double-submit check: a cross-site request cannot read the csrfToken cookie
+    // to copy it into the header. Sessions from before CSRF tokens have no cookie.
+    const csrfCookie = req.cookies?.[CSRF_COOKIE];
+    if (csrfCookie && readCsrfHeader(req) !== csrfCookie) {
+      logger.warn({ ip: getClientIp(req), origin: req.get('Origin') }, 'refreshToken: CSRF check failed');
+      return res.status(403).json({ success: false, message: 'Invalid or missing CSRF token.' });
+    }
+
+    // 0. A token that was already rotated away is being replayed — treat as theft
+    const fingerprint = sha256Hex(rawRefreshToken);
+    const rotated = await authDB.findRotatedRefreshToken(fingerprint);
+    if (rotated) {
+      return handleRefreshTokenReuse(req, res, rotated);
+    }
+
     // 1. Try to extract session_id from the (possibly expired) access token
     let sessionId = null;
     const accessTokenCookie = req.cookies?.accessToken;
@@ -246,7 +783,7 @@ export const refreshToken = async (req, res) => {
     // 4. Compare refresh token with stored hash
     const tokenValid = await bcrypt.compare(rawRefreshToken, session.refresh_token_hash);
     if (!tokenValid) {
-      // Possible token theft — destroy the session
+      // Unknown token for this session — destroy the session
       await authDB.deleteSession(sessionId);
       clearAuthCookies(res);
       logger.warn(`Refresh token mismatch — possible theft. session=${sessionId}, user_id=${session.user_id}`);
@@ -264,25 +801,36 @@ export const refreshToken = async (req, res) => {
     // 6. Refresh token rotation — generate new opaque refresh token
     const newRawRefreshToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('hex');
     const newRefreshTokenHash = await bcrypt.hash(newRawRefreshToken, BCRYPT_ROUNDS);
-    await authDB.rotateSessionRefreshToken(sessionId, newRefreshTokenHash);
+    const rotatedSession = await authDB.rotateSessionRefreshToken(sessionId, newRefreshTokenHash, {
+      previousHash: session.refresh_token_hash,
+      previousFingerprint: fingerprint,
+    });
+    if (!rotatedSession) {
+      // A concurrent request rotated this token first; its response carries the new cookies
+      logger.warn({ session_id: sessionId, user_id: user.user_id }, 'refreshToken: lost rotation race');
+      return res.status(409).json({ success: false, message: 'Refresh token already rotated. Retry with the latest token.' });
+    }
 
-    // 7. Generate new access token
+    // 7. Generate new access token and CSRF token
+    const csrfToken = generateCsrfToken();
     const newAccessToken = generateAccessToken({
       user_id: user.user_id,
       role_id: user.role_id,
       role_name: user.role_name,
       session_id: sessionId,
       token_version: user.token_version,
+      csrf_token: csrfToken,
     });
 
     // 8. Set new cookies
-    setAuthCookies(res, newAccessToken, newRawRefreshToken);
+    setAuthCookies(res, newAccessToken, newRawRefreshToken, csrfToken);
 
     logger.info(`Token refreshed: user_id=${user.user_id}, session=${sessionId}`);
 
     return res.status(200).json({
       success: true,
       message: 'Token refreshed successfully',
+      data: { csrf_token: csrfToken },
     });
   } catch (err) {
     logger.error({ error: err.message, stack: err.stack }, 'Refresh token error');
@@ -349,6 +897,9 @@ export const whoami = async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    // Lets a frontend on another domain (which cannot read the cookie) recover the token after a reload
+    const csrfCookie = req.cookies?.[CSRF_COOKIE];
+
     return res.status(200).json({
       success: true,
       data: {
@@ -358,6 +909,14 @@ export const whoami = async (req, res) => {
         role_id: user.role_id,
         role_name: user.role_name,
         is_active: user.is_active,
+        csrf_token: csrfTokenMatches(csrfCookie, req.user.csrf) ? csrfCookie : null,
+        impersonation: req.user.impersonator
+          ? {
+            impersonator_user_id: req.user.impersonator.user_id,
+            impersonator_username: req.user.impersonator.username,
+            expires_at: req.user.impersonator.expires_at,
+          }
+          : null,
       },
     });
   } catch (err) {
@@ -365,3 +924,249 @@ export const whoami = async (req, res) => {
     return res.status(500).json({ success: false, message: 'Internal server error' });
   }
 };
+
+// ─── FORGOT PASSWORD ────────────────────────────────────────────────────────────
+
+export const forgotPassword = async (req, res) => {
+  const ip = getClientIp(req);
+  // Same response whether or not the email exists
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.',
+  };
+
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      logger.warn({ message: error.details[0].message, ip }, 'forgotPassword: validation failed');
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await authDB.findUserByEmail(value.email);
+    if (!user || !user.is_active) {
+      logger.warn({ email: value.email, ip }, 'forgotPassword: unknown or inactive account');
+      return res.status(200).json(genericResponse);
+    }
+
+    // Only the newest link is valid
+    await passwordResetDB.invalidateUserResetTokens(user.user_id);
+
+    const rawToken = crypto.randomBytes(RESET_TOKEN_BYTES).toString('hex');
+    await passwordResetDB.createResetToken({
+      user_id: user.user_id,
+      token_hash: sha256Hex(rawToken),
+      requested_ip: ip,
+      expires_at: new Date(Date.now() + RESET_TOKEN_LIFETIME_MS),
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({
+          username: user.username,
+          resetUrl: buildResetUrl(rawToken),
+          expiresInMinutes: RESET_TOKEN_LIFETIME_MS / 60000,
+        }),
+      });
+    } catch (mailErr) {
+      // Don't reveal delivery problems to the caller; the user can ask again
+      logger.error({ error: mailErr.message, user_id: user.user_id }, 'forgotPassword: failed to send reset email');
+    }
+
+    logger.info({ user_id: user.user_id, ip }, 'forgotPassword: reset token issued');
+    return res.status(200).json(genericResponse);
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Forgot password error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── RESET PASSWORD ─────────────────────────────────────────────────────────────
+
+export const resetPassword = async (req, res) => {
+  const ip = getClientIp(req);
+
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      logger.warn({ message: error.details[0].message, ip }, 'resetPassword: validation failed');
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const tokenHash = sha256Hex(value.token);
+    const invalidToken = { success: false, message: 'Reset link is invalid or has expired.' };
+
+    // 1. Look up the token — unknown, expired or already used tokens fail
+    const userId = await passwordResetDB.findValidResetToken(tokenHash);
+    if (!userId) {
+      logger.warn({ ip }, 'resetPassword: invalid or expired token');
+      return res.status(400).json(invalidToken);
+    }
+
+    // 2. Check the new password against policy and history; the token stays
+    //    usable so the user can retry with a different password
+    const user = await authDB.getUserForAuth(userId);
+    const currentHash = await passwordHistoryDB.getPasswordHash(userId);
+    const problem = await findNewPasswordProblem(user, value.password, currentHash);
+    if (problem) {
+      logger.warn({ user_id: userId, ip }, 'resetPassword: new password rejected by policy');
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    // 3. Spend the token atomically, then set the new password
+    if (!await passwordResetDB.consumeResetToken(tokenHash)) {
+      logger.warn({ user_id: userId, ip }, 'resetPassword: token used concurrently');
+      return res.status(400).json(invalidToken);
+    }
+
+    const passwordHash = await bcrypt.hash(value.password, BCRYPT_ROUNDS);
+    await passwordResetDB.setPasswordAfterReset(userId, passwordHash);
+    await rememberReplacedPassword(userId, currentHash);
+
+    // 4. Invalidate every issued access token and session
+    await authDB.incrementTokenVersion(userId);
+    const sessionsRemoved = await authDB.deleteAllUserSessions(userId);
+    clearAuthCookies(res);
+
+    logger.info({ user_id: userId, ip, sessions_removed: sessionsRemoved }, 'resetPassword: success');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Reset password error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── ACTIVATE ACCOUNT ───────────────────────────────────────────────────────────
+
+export const activateAccount = async (req, res) => {
+  const ip = getClientIp(req);
+
+  try {
+    const { error, value } = activateAccountSchema.validate(req.body);
+    if (error) {
+      logger.warn({ message: error.details[0].message, ip }, 'activateAccount: validation failed');
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const tokenHash = invitationService.hashInvitationToken(value.token);
+    const invalidToken = {
+      success: false,
+      message: 'Activation link is invalid or has expired. Ask an administrator to resend your invitation.',
+    };
+
+    // 1. Look up the invitation without spending it
+    const invitation = await invitationsDB.findPendingInvitation(tokenHash);
+    if (!invitation) {
+      logger.warn({ ip }, 'activateAccount: invalid or expired token');
+      return res.status(400).json(invalidToken);
+    }
+
+    // 2. Check the first password against policy; the link stays usable so
+    //    the user can retry with a different password
+    const user = await authDB.getUserForAuth(invitation.user_id);
+    const problem = await findNewPasswordProblem(user, value.password, null);
+    if (problem) {
+      logger.warn({ user_id: invitation.user_id, ip }, 'activateAccount: password rejected by policy');
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    // 3. Spend the token and activate atomically
+    const passwordHash = await bcrypt.hash(value.password, BCRYPT_ROUNDS);
+    const accepted = await invitationsDB.acceptInvitation(tokenHash, passwordHash);
+    if (!accepted.success) {
+      logger.warn({ user_id: invitation.user_id, ip }, 'activateAccount: token used concurrently');
+      return res.status(400).json(invalidToken);
+    }
+
+    logger.info({ user_id: invitation.user_id, ip }, 'activateAccount: success');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account activated. Please log in with your new password.',
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Activate account error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── CHANGE PASSWORD ────────────────────────────────────────────────────────────
+
+export const changePassword = async (req, res) => {
+  const ip = getClientIp(req);
+  const userId = req.user?.user_id;
+  const sessionId = req.user?.session_id;
+
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      logger.warn({ message: error.details[0].message, user_id: userId }, 'changePassword: validation failed');
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await authDB.getUserForAuth(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // 1. Verify the current password before revealing anything about the new one
+    const currentHash = await passwordHistoryDB.getPasswordHash(userId);
+    if (!currentHash || !await bcrypt.compare(value.current_password, currentHash)) {
+      logger.warn({ user_id: userId, ip }, 'changePassword: wrong current password');
+      return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    // 2. Policy and reuse history
+    const problem = await findNewPasswordProblem(user, value.new_password, currentHash);
+    if (problem) {
+      logger.warn({ user_id: userId, ip }, 'changePassword: new password rejected by policy');
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    // 3. Store the new password and remember the old one
+    const newHash = await bcrypt.hash(value.new_password, BCRYPT_ROUNDS);
+    await usersDB.changePassword(userId, value.current_password, newHash);
+    await rememberReplacedPassword(userId, currentHash);
+
+    // 4. Revoke every other session and outstanding access token
+    const sessionsRemoved = await authDB.deleteAllUserSessions(userId, sessionId);
+    const tokenVersion = await authDB.incrementTokenVersion(userId);
+
+    // 5. Re-issue credentials for the current session under the new token_version
+    const newRawRefreshToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('hex');
+    const newRefreshTokenHash = await bcrypt.hash(newRawRefreshToken, BCRYPT_ROUNDS);
+    const currentRefreshToken = req.cookies?.refreshToken;
+    await authDB.rotateSessionRefreshToken(sessionId, newRefreshTokenHash, {
+      previousFingerprint: currentRefreshToken ? sha256Hex(currentRefreshToken) : null,
+    });
+
+    const csrfToken = generateCsrfToken();
+    const accessToken = generateAccessToken({
+      user_id: user.user_id,
+      role_id: user.role_id,
+      role_name: user.role_name,
+      session_id: sessionId,
+      token_version: tokenVersion,
+      csrf_token: csrfToken,
+    });
+    setAuthCookies(res, accessToken, newRawRefreshToken, csrfToken);
+
+    logger.info({ user_id: userId, ip, sessions_removed: sessionsRemoved }, 'changePassword: success');
+
+    return res.status(200).json({
+      success: true,
+      message: `Password changed. Signed out of ${sessionsRemoved} other session(s).`,
+      data: { csrf_token: csrfToken },
+    });
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    logger.error({ error: err.message, stack: err.stack }, 'Change password error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
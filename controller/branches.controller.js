@@ -1,51 +1,216 @@
 import joi from 'joi';
 import logger from '../utils/logger.js';
 import { handleError } from '../utils/errors.js';
-import { readBranches, addBranch, removeBranch } from '../utils/branches.js';
+import * as branchesDB from '../db/branches.db.js';
+
+const codeSchema = joi.string().trim().alphanum().max(20);
+
+const listBranchesSchema = joi.object({
+  include_inactive: joi.boolean().default(false),
+  department: codeSchema.optional(),
+  programme: codeSchema.optional(),
+});
 
 const addBranchSchema = joi.object({
-  code: joi.string().alphanum().max(20).required(),
-  name: joi.string().max(200).required(),
+  code: codeSchema.required(),
+  name: joi.string().trim().max(200).required(),
+  department_code: codeSchema.optional(),
+  programme_code: codeSchema.optional(),
+});
+
+const updateBranchSchema = joi.object({
+  code: codeSchema.optional(),
+  name: joi.string().trim().max(200).optional(),
+  department_code: codeSchema.allow(null).optional(),
+  programme_code: codeSchema.allow(null).optional(),
+  is_active: joi.boolean().optional(),
+}).min(1);
+
+const intakeSchema = joi.object({
+  year: joi.number().integer().min(1990).max(2100).required(),
+  intake: joi.number().integer().min(0).max(100000).required(),
+});
+
+const listDepartmentsSchema = joi.object({
+  include_inactive: joi.boolean().default(false),
+});
+
+const addDepartmentSchema = joi.object({
+  code: codeSchema.required(),
+  name: joi.string().trim().max(200).required(),
 });
 
-export const listBranches = (req, res) => {
+const updateDepartmentSchema = joi.object({
+  name: joi.string().trim().max(200).optional(),
+  is_active: joi.boolean().optional(),
+}).min(1);
+
+const addProgrammeSchema = joi.object({
+  code: codeSchema.required(),
+  name: joi.string().trim().max(200).required(),
+  level: joi.string().valid('UG', 'PG').required(),
+  duration_years: joi.number().integer().min(1).max(6).required(),
+});
+
+const badRequest = (res, error) =>
+  res.status(400).json({ success: false, message: error.details[0].message });
+
+// Resolve :code (current or previous) to a branch, answering 404 otherwise
+const findBranch = async (req, res) => {
+  const branch = await branchesDB.getBranchByCode(req.params.code);
+  if (!branch) {
+    res.status(404).json({ success: false, message: `Branch "${req.params.code}" not found` });
+    return null;
+  }
+  return branch;
+};
+
+// ─── BRANCHES ───────────────────────────────────────────────────────────────────
+
+export const listBranches = async (req, res) => {
+  const { error, value } = listBranchesSchema.validate(req.query);
+  if (error) return badRequest(res, error);
+
   try {
-    const branches = readBranches();
+    const branches = await branchesDB.listBranches(value);
     return res.status(200).json({ success: true, data: branches });
-  } catch (error) {
-    return handleError(error, res, 'listBranches');
+  } catch (err) {
+    return handleError(err, res, 'listBranches');
   }
 };
 
-export const createBranch = (req, res) => {
-  const { error, value } = addBranchSchema.validate(req.body);
-  if (error) {
-    return res.status(400).json({
-      success: false,
-      message: error.details[0].message,
-    });
+export const getBranch = async (req, res) => {
+  try {
+    const branch = await findBranch(req, res);
+    if (!branch) return;
+    return res.status(200).json({ success: true, data: branch });
+  } catch (err) {
+    return handleError(err, res, 'getBranch');
   }
+};
+
+export const createBranch = async (req, res) => {
+  const { error, value } = addBranchSchema.validate(req.body);
+  if (error) return badRequest(res, error);
 
   try {
-    const updated = addBranch(value.code, value.name);
-    logger.info({ code: value.code, by: req.user?.user_id }, 'Branch added');
-    return res.status(201).json({ success: true, data: updated });
+    const result = await branchesDB.createBranch(value);
+    logger.info({ code: result.data.code, by: req.user?.user_id }, 'Branch added');
+    return res.status(201).json(result);
   } catch (err) {
     return handleError(err, res, 'createBranch');
   }
 };
 
-export const deleteBranch = (req, res) => {
-  const { code } = req.params;
-  if (!code) {
-    return res.status(400).json({ success: false, message: 'Branch code is required' });
+// Rename, move, (re)activate a branch
+export const updateBranch = async (req, res) => {
+  const { error, value } = updateBranchSchema.validate(req.body);
+  if (error) return badRequest(res, error);
+
+  try {
+    const branch = await findBranch(req, res);
+    if (!branch) return;
+
+    const result = await branchesDB.updateBranch(branch.branch_id, value);
+    logger.info({ branch_id: branch.branch_id, changes: value, by: req.user?.user_id }, 'Branch updated');
+    return res.status(200).json(result);
+  } catch (err) {
+    return handleError(err, res, 'updateBranch');
   }
+};
 
+// Branches are deactivated rather than deleted: students and job requirements
+// may still hold the code.
+export const deleteBranch = async (req, res) => {
   try {
-    const updated = removeBranch(code);
-    logger.info({ code, by: req.user?.user_id }, 'Branch removed');
-    return res.status(200).json({ success: true, data: updated });
+    const branch = await findBranch(req, res);
+    if (!branch) return;
+
+    const result = await branchesDB.updateBranch(branch.branch_id, { is_active: false });
+    logger.info({ code: branch.code, by: req.user?.user_id }, 'Branch deactivated');
+    return res.status(200).json({ ...result, message: 'Branch deactivated successfully' });
   } catch (err) {
     return handleError(err, res, 'deleteBranch');
   }
 };
+
+export const setBranchIntake = async (req, res) => {
+  const { error, value } = intakeSchema.validate({ year: req.params.year, intake: req.body?.intake });
+  if (error) return badRequest(res, error);
+
+  try {
+    const branch = await findBranch(req, res);
+    if (!branch) return;
+
+    const result = await branchesDB.setBranchIntake(branch.branch_id, value.year, value.intake);
+    return res.status(200).json(result);
+  } catch (err) {
+    return handleError(err, res, 'setBranchIntake');
+  }
+};
+
+// ─── DEPARTMENTS ────────────────────────────────────────────────────────────────
+
+export const listDepartments = async (req, res) => {
+  const { error, value } = listDepartmentsSchema.validate(req.query);
+  if (error) return badRequest(res, error);
+
+  try {
+    const departments = await branchesDB.listDepartments(value);
+    return res.status(200).json({ success: true, data: departments });
+  } catch (err) {
+    return handleError(err, res, 'listDepartments');
+  }
+};
+
+export const createDepartment = async (req, res) => {
+  const { error, value } = addDepartmentSchema.validate(req.body);
+  if (error) return badRequest(res, error);
+
+  try {
+    const result = await branchesDB.createDepartment(value);
+    return res.status(201).json(result);
+  } catch (err) {
+    return handleError(err, res, 'createDepartment');
+  }
+};
+
+export const updateDepartment = async (req, res) => {
+  const { error, value } = updateDepartmentSchema.validate(req.body);
+  if (error) return badRequest(res, error);
+
+  try {
+    const department = await branchesDB.getDepartmentByCode(req.params.code);
+    if (!department) {
+      return res.status(404).json({ success: false, message: `Department "${req.params.code}" not found` });
+    }
+
+    const result = await branchesDB.updateDepartment(department.department_id, value);
+    return res.status(200).json(result);
+  } catch (err) {
+    return handleError(err, res, 'updateDepartment');
+  }
+};
+
+// ─── DEGREE PROGRAMMES ──────────────────────────────────────────────────────────
+
+export const listProgrammes = async (req, res) => {
+  try {
+    const programmes = await branchesDB.listProgrammes();
+    return res.status(200).json({ success: true, data: programmes });
+  } catch (err) {
+    return handleError(err, res, 'listProgrammes');
+  }
+};
+
+export const createProgramme = async (req, res) => {
+  const { error, value } = addProgrammeSchema.validate(req.body);
+  if (error) return badRequest(res, error);
+
+  try {
+    const result = await branchesDB.createProgramme(value);
+    return res.status(201).json(result);
+  } catch (err) {
+    return handleError(err, res, 'createProgramme');
+  }
+};
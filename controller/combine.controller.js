@@ -2,9 +2,11 @@ import logger from "../utils/logger.js";
 import joi from "joi";
 import { handleError } from "../utils/errors.js";
 import pool from "../db/connection.js";
+import { audited } from "../db/audit.db.js";
 import { cacheStudentJobViewByJobId } from "../services/cache/studentJobView.cache.js";
 import { publishJobCreatedEligibilityEvent } from "../services/events/jobEligibility.publisher.js";
-import { getBranchCodes } from "../utils/branches.js";
+import { emitJobRequirementsChanged } from "../services/events/eligibilityEvents.js";
+import { getBranchCodes, canonicalizeBranchCodes } from "../utils/branches.js";
 
 /* ----------------------------------------------------
    CONSTANTS
@@ -23,11 +25,13 @@ const JOB_TYPES = [
 /* ----------------------------------------------------
    VALIDATION SCHEMA
    Built per-request so it always reflects the current
-   branches.json without requiring a server restart.
+   branch registry. `keepBranches` are accepted even if
+   their branch has since been deactivated (codes a job
+   already has, so editing it doesn't force them out).
 ---------------------------------------------------- */
 
-const buildJobSchema = () => {
-  const branches = getBranchCodes();
+const buildJobSchema = async (keepBranches = []) => {
+  const branches = [...new Set([...(await getBranchCodes()), ...keepBranches])];
   return joi.object({
     company_id: joi.number().integer().required(),
     job_title: joi.string().required(),
@@ -119,15 +123,55 @@ const publishEligibilityEvent = async ({
   }
 };
 
+// Requirement columns eligibility is judged on
+const ELIGIBILITY_NUMBER_FIELDS = [
+  "tenth_percent",
+  "twelfth_percent",
+  "ug_cgpa",
+  "min_experience_yrs",
+  "backlogs_allowed",
+  "year_of_graduation",
+];
+
+const toNumberOrNull = (value) =>
+  value === null || value === undefined || value === "" ? null : Number(value);
+
+const toTimeOrNull = (value) => (value ? new Date(value).getTime() : null);
+
+const branchList = (codes) =>
+  (codes || []).map((code) => String(code).toUpperCase()).sort().join(",");
+
+// Whether an update changes who is eligible for the job, or whether it is still open
+const eligibilityChanged = (current, validated) =>
+  !current ||
+  ELIGIBILITY_NUMBER_FIELDS.some(
+    (field) => toNumberOrNull(current[field]) !== toNumberOrNull(validated[field])
+  ) ||
+  branchList(current.allowed_branches) !== branchList(validated.allowed_branches) ||
+  toTimeOrNull(current.application_deadline) !== toTimeOrNull(validated.application_deadline);
+
+// Audit snapshot: the job row with its requirements nested
+const JOB_AUDIT_SPEC = {
+  entity: "job",
+  select: `
+    SELECT j.*, to_jsonb(r) - 'job_id' AS requirements
+    FROM jobs j
+    LEFT JOIN job_requirements r ON r.job_id = j.job_id
+    WHERE j.job_id = $1
+  `,
+};
+
 /* ----------------------------------------------------
    CREATE JOB + REQUIREMENTS
 ---------------------------------------------------- */
 
-export const createJobWithRequirements = async (data) => {
+export const createJobWithRequirements = audited({ ...JOB_AUDIT_SPEC, action: "create", resultId: (result) => result.jobId }, async (data) => {
   const client = await pool.connect();
 
   try {
-    const validated = await buildJobSchema().validateAsync(data);
+    const schema = await buildJobSchema();
+    const validated = await schema.validateAsync(data);
+    validated.allowed_branches = await canonicalizeBranchCodes(validated.allowed_branches);
 
     await client.query("BEGIN");
 
@@ -213,6 +257,7 @@ export const createJobWithRequirements = async (data) => {
       validated,
       companyName,
     });
+    emitJobRequirementsChanged(jobId, "createJobWithRequirements");
 
     logger.info({ jobId }, "Job created successfully");
 
@@ -228,7 +273,7 @@ export const createJobWithRequirements = async (data) => {
   } finally {
     client.release();
   }
-};
+});
 
 /* ----------------------------------------------------
    UPDATE JOB + REQUIREMENTS
@@ -236,7 +281,7 @@ export const createJobWithRequirements = async (data) => {
    - job_id cannot change
 ---------------------------------------------------- */
 
-export const updateJobWithRequirements = async (jobId, data) => {
+export const updateJobWithRequirements = audited({ ...JOB_AUDIT_SPEC, action: "update", id: (jobId) => jobId }, async (jobId, data) => {
   const client = await pool.connect();
 
   try {
@@ -244,7 +289,19 @@ export const updateJobWithRequirements = async (jobId, data) => {
       throw new Error("jobId is required for update");
     }
 
-    const validated = await buildJobSchema().validateAsync(data);
+    const currentResult = await client.query(
+      `SELECT j.year_of_graduation, j.application_deadline,
+              jr.tenth_percent, jr.twelfth_percent, jr.ug_cgpa,
+              jr.min_experience_yrs, jr.backlogs_allowed, jr.allowed_branches
+       FROM jobs j
+       LEFT JOIN job_requirements jr ON jr.job_id = j.job_id
+       WHERE j.job_id = $1`,
+      [jobId]
+    );
+    const current = currentResult.rows[0];
+    const schema = await buildJobSchema(current?.allowed_branches ?? []);
+    const validated = await schema.validateAsync(data);
+    validated.allowed_branches = await canonicalizeBranchCodes(validated.allowed_branches);
 
     await client.query("BEGIN");
 
@@ -341,6 +398,9 @@ export const updateJobWithRequirements = async (jobId, data) => {
       validated,
       companyName,
     });
+    if (eligibilityChanged(current, validated)) {
+      emitJobRequirementsChanged(jobId, "updateJobWithRequirements");
+    }
 
     logger.info({ jobId }, "Job updated successfully");
 
@@ -356,7 +416,7 @@ export const updateJobWithRequirements = async (jobId, data) => {
   } finally {
     client.release();
   }
-};
+});
 
 export const createCombinedJob = async (req, res) => {
   try {
@@ -0,0 +1,111 @@
+/**
+ * Email Verification Controller — proving the caller owns their addresses
+ *
+ *  - GET  /api/auth/email-verification       — which addresses are verified
+ *  - POST /api/auth/email-verification/send  — email a link for one address (throttled)
+ *  - POST /api/auth/verify-email             — spend the link's token (public: the
+ *                                              link may be opened in another browser)
+ *
+ * See services/auth/emailVerification.service.js for the token and throttling rules.
+ */
+
+import Joi from 'joi';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/errors.js';
+import * as emailVerificationService from '../services/auth/emailVerification.service.js';
+
+// ─── Validation ─────────────────────────────────────────────────────────────────
+
+const sendSchema = Joi.object({
+  address_type: Joi.string().valid(...emailVerificationService.ADDRESS_TYPES).required(),
+});
+
+const verifySchema = Joi.object({
+  token: Joi.string().hex().length(emailVerificationService.VERIFICATION_TOKEN_LENGTH).required(),
+});
+
+// ─── STATUS ─────────────────────────────────────────────────────────────────────
+
+export const getEmailVerificationStatus = async (req, res) => {
+  try {
+    const addresses = await emailVerificationService.getVerificationStatus(req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        addresses,
+        notifications_require_verification: emailVerificationService.notifyVerifiedEmailsOnly(),
+      },
+    });
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    logger.error({ error: err.message, stack: err.stack }, 'Email verification status error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── SEND ───────────────────────────────────────────────────────────────────────
+
+export const sendEmailVerification = async (req, res) => {
+  const userId = req.user.user_id;
+
+  try {
+    const { error, value } = sendSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const sent = await emailVerificationService.sendVerification(userId, value.address_type);
+
+    return res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${sent.email}`,
+      data: sent,
+    });
+  } catch (err) {
+    if (err instanceof AppError) {
+      if (err.retryAfterSeconds) {
+        res.set('Retry-After', String(err.retryAfterSeconds));
+      }
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    logger.error({ error: err.message, stack: err.stack, user_id: userId }, 'Send email verification error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── VERIFY ─────────────────────────────────────────────────────────────────────
+
+export const verifyEmail = async (req, res) => {
+  try {
+    const { error, value } = verifySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const result = await emailVerificationService.verifyToken(value.token);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired. Request a new one.',
+      });
+    }
+    if (!result.verified) {
+      return res.status(409).json({
+        success: false,
+        message: 'This address has changed since the link was sent. Request a new verification email.',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `${result.email} has been verified`,
+      data: { address_type: result.address_type, email: result.email },
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Verify email error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
@@ -0,0 +1,190 @@
+/**
+ * Impersonation Controller — SUPER_ADMIN acting as another user
+ *
+ *  - POST /api/auth/impersonate/:userId — start (SUPER_ADMIN only)
+ *  - POST /api/auth/impersonate/stop    — go back to the admin's own identity
+ *
+ * Starting swaps the admin's access token for a time-boxed one naming the
+ * target user and carrying the admin as `impersonator`; the admin's session
+ * and refresh token are untouched, so logging out or refreshing also ends the
+ * impersonation. Every request is authorised as the target, while audit_log
+ * attributes changes to the admin (see utils/auditContext.js). Start and stop
+ * are recorded as security events and audit entries.
+ */
+
+import Joi from 'joi';
+import logger from '../utils/logger.js';
+import * as authDB from '../db/auth.db.js';
+import * as securityEventsDB from '../db/security_events.db.js';
+import { recordAudit } from '../db/audit.db.js';
+import { generateCsrfToken } from '../utils/csrf.js';
+import { generateAccessToken, generateImpersonationToken, setAccessCookies } from '../utils/jwt.js';
+
+// ─── Constants ──────────────────────────────────────────────────────────────────
+
+const DEFAULT_DURATION_MINUTES = 30;
+const MAX_DURATION_MINUTES = 60;
+const PROTECTED_ROLES = ['SUPER_ADMIN'];
+
+// ─── Validation ─────────────────────────────────────────────────────────────────
+
+const userIdSchema = Joi.number().integer().min(1).required();
+
+const startSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required(),
+  duration_minutes: Joi.number().integer().min(1).max(MAX_DURATION_MINUTES).default(DEFAULT_DURATION_MINUTES),
+});
+
+// ─── START ──────────────────────────────────────────────────────────────────────
+
+export const startImpersonation = async (req, res) => {
+  const adminId = req.user.user_id;
+
+  try {
+    const { error: idError, value: targetId } = userIdSchema.validate(req.params.userId);
+    if (idError) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const { error, value } = startSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    if (targetId === adminId) {
+      return res.status(400).json({ success: false, message: 'You cannot impersonate yourself' });
+    }
+
+    const [admin, target] = await Promise.all([
+      authDB.getUserForAuth(adminId),
+      authDB.getUserForAuth(targetId),
+    ]);
+
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!target.is_active) {
+      return res.status(409).json({ success: false, message: 'Cannot impersonate a deactivated account' });
+    }
+    if (PROTECTED_ROLES.includes((target.role_name || '').toUpperCase())) {
+      logger.warn({ user_id: adminId, target_user_id: targetId }, 'startImpersonation: protected target');
+      return res.status(403).json({ success: false, message: 'This account cannot be impersonated' });
+    }
+
+    const expiresIn = value.duration_minutes * 60;
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+    const csrfToken = generateCsrfToken();
+    const accessToken = generateImpersonationToken({
+      user_id: target.user_id,
+      role_id: target.role_id,
+      role_name: target.role_name,
+      session_id: req.user.session_id,
+      token_version: target.token_version,
+      csrf_token: csrfToken,
+      impersonator: admin,
+      expires_in: expiresIn,
+    });
+    setAccessCookies(res, accessToken, csrfToken, { maxAgeMs: expiresIn * 1000 });
+
+    const details = {
+      target_user_id: target.user_id,
+      target_username: target.username,
+      reason: value.reason,
+      session_id: req.user.session_id,
+      expires_at: expiresAt.toISOString(),
+    };
+    await Promise.all([
+      securityEventsDB.recordSecurityEvent({
+        user_id: adminId,
+        event_type: 'impersonation_started',
+        severity: 'high',
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        details,
+      }),
+      recordAudit({ action: 'impersonate_start', entity: 'user', entity_id: target.user_id, details }),
+    ]);
+
+    logger.info({ user_id: adminId, target_user_id: target.user_id, expires_at: details.expires_at }, 'Impersonation started');
+
+    return res.status(200).json({
+      success: true,
+      message: `Now acting as ${target.username}`,
+      data: {
+        user: {
+          user_id: target.user_id,
+          username: target.username,
+          email: target.email,
+          role_id: target.role_id,
+          role_name: target.role_name,
+        },
+        expires_at: details.expires_at,
+        csrf_token: csrfToken,
+      },
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Start impersonation error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── STOP ───────────────────────────────────────────────────────────────────────
+
+export const stopImpersonation = async (req, res) => {
+  try {
+    const { impersonator } = req.user;
+    if (!impersonator) {
+      return res.status(400).json({ success: false, message: 'You are not impersonating anyone' });
+    }
+
+    // authenticate has just confirmed the admin is active and still SUPER_ADMIN
+    const admin = await authDB.getUserForAuth(impersonator.user_id);
+    const csrfToken = generateCsrfToken();
+    const accessToken = generateAccessToken({
+      user_id: admin.user_id,
+      role_id: admin.role_id,
+      role_name: admin.role_name,
+      session_id: req.user.session_id,
+      token_version: admin.token_version,
+      csrf_token: csrfToken,
+    });
+    setAccessCookies(res, accessToken, csrfToken);
+
+    const details = {
+      target_user_id: req.user.user_id,
+      target_username: req.user.username,
+      session_id: req.user.session_id,
+    };
+    await Promise.all([
+      securityEventsDB.recordSecurityEvent({
+        user_id: admin.user_id,
+        event_type: 'impersonation_stopped',
+        severity: 'low',
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        details,
+      }),
+      recordAudit({ action: 'impersonate_stop', entity: 'user', entity_id: req.user.user_id, details }),
+    ]);
+
+    logger.info({ user_id: admin.user_id, target_user_id: req.user.user_id }, 'Impersonation stopped');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+      data: {
+        user: {
+          user_id: admin.user_id,
+          username: admin.username,
+          email: admin.email,
+          role_id: admin.role_id,
+          role_name: admin.role_name,
+        },
+        csrf_token: csrfToken,
+      },
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Stop impersonation error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
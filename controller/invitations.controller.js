@@ -0,0 +1,290 @@
+import Joi from 'joi';
+import * as usersDB from '../db/users.db.js';
+import * as invitationsDB from '../db/invitations.db.js';
+import * as invitationService from '../services/auth/invitation.service.js';
+import logger from '../utils/logger.js';
+import { handleError } from '../utils/errors.js';
+import { parseExcelBuffer, validateColumns, generateExcelTemplate } from '../utils/excelParser.js';
+import { canAssignRole } from './users.controller.js';
+
+const STUDENT_ROLE = 'STUDENT';
+const MAX_BULK_ROWS = 500;
+
+const TEMPLATE_COLUMNS = ['student_id', 'email', 'username'];
+const REQUIRED_COLUMNS = ['student_id', 'email'];
+
+// ─── Validation ─────────────────────────────────────────────────────────────────
+
+const inviteUserSchema = Joi.object({
+    email: Joi.string().trim().lowercase().email().max(150).required(),
+    username: Joi.string().trim().min(3).max(100).optional(),
+    role_id: Joi.number().integer().min(1).required(),
+    student_id: Joi.string().trim().min(1).max(50).optional()
+});
+
+const inviteRowSchema = Joi.object({
+    student_id: Joi.string().trim().min(1).max(50).required(),
+    email: Joi.string().trim().lowercase().email().max(150).required(),
+    username: Joi.string().trim().min(3).max(100).allow(null, '').optional()
+});
+
+const getInvitationsSchema = Joi.object({
+    status: Joi.string().valid('pending', 'expired', 'accepted', 'revoked').optional(),
+    search: Joi.string().trim().max(100).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const userIdSchema = Joi.number().integer().min(1).required();
+
+// ─── Helpers ────────────────────────────────────────────────────────────────────
+
+// Invitees may be given a username later; until then use the email's local part
+const defaultUsername = (email) => email.split('@')[0];
+
+// ─── INVITE ─────────────────────────────────────────────────────────────────────
+
+// Invite one user: created inactive, activates via the emailed link
+export const inviteUser = async (req, res) => {
+    try {
+        logger.info({ email: req.body.email, role_id: req.body.role_id }, 'inviteUser');
+        const { error, value } = inviteUserSchema.validate(req.body);
+        if (error) {
+            logger.warn({ message: error.details[0].message }, 'inviteUser: validation failed');
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const roleName = await usersDB.getRoleNameById(value.role_id);
+        if (!roleName) {
+            return res.status(422).json({ success: false, message: 'Role not found' });
+        }
+        if (roleName === STUDENT_ROLE && !value.student_id) {
+            return res.status(400).json({ success: false, message: 'student_id is required when role is STUDENT' });
+        }
+        if (!canAssignRole(req.user, roleName)) {
+            logger.warn({ user_id: req.user?.user_id, role_id: value.role_id }, 'inviteUser: role escalation denied');
+            return res.status(403).json({ success: false, message: 'Only a SUPER_ADMIN can assign the SUPER_ADMIN role' });
+        }
+
+        const result = await invitationService.inviteUser(
+            { ...value, username: value.username || defaultUsername(value.email) },
+            req.user
+        );
+
+        res.status(201).json({
+            success: true,
+            data: {
+                user: result.user,
+                expires_at: result.expires_at,
+                email_sent: result.email_sent
+            },
+            message: result.email_sent
+                ? 'Invitation sent successfully'
+                : 'User invited, but the invitation email could not be sent. Resend it later.'
+        });
+    } catch (error) {
+        return handleError(error, res, 'inviteUser');
+    }
+};
+
+// Invite students from a spreadsheet of student IDs and emails
+export const bulkInviteStudents = async (req, res) => {
+    try {
+        logger.info({ filename: req.file?.originalname }, 'bulkInviteStudents');
+        if (!req.file || !req.file.buffer) {
+            return res.status(400).json({
+                success: false,
+                message: 'No Excel file uploaded. Please upload an .xlsx, .xls or .csv file.'
+            });
+        }
+
+        const parseResult = parseExcelBuffer(req.file.buffer);
+        if (!parseResult.success) {
+            return res.status(400).json(parseResult);
+        }
+
+        if (parseResult.data.length > MAX_BULK_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `At most ${MAX_BULK_ROWS} rows can be invited at once`
+            });
+        }
+
+        const columnValidation = validateColumns(parseResult.data, REQUIRED_COLUMNS);
+        if (!columnValidation.success) {
+            return res.status(400).json({
+                success: false,
+                message: columnValidation.message,
+                requiredColumns: REQUIRED_COLUMNS,
+                existingColumns: columnValidation.existingColumns
+            });
+        }
+
+        // Validate every row (and duplicates within the sheet) before inviting anyone
+        const validatedRows = [];
+        const validationErrors = [];
+        const seenEmails = new Set();
+        const seenStudentIds = new Set();
+
+        parseResult.data.forEach((row, i) => {
+            const rowNumber = i + 2; // Excel row number (1-indexed, +1 for header)
+            const { error, value } = inviteRowSchema.validate(row, { abortEarly: false, stripUnknown: true });
+
+            if (error) {
+                validationErrors.push({ row: rowNumber, errors: error.details.map(d => d.message) });
+                return;
+            }
+
+            const studentKey = value.student_id.toUpperCase();
+            const errors = [];
+            if (seenEmails.has(value.email)) errors.push(`Duplicate email ${value.email} in file`);
+            if (seenStudentIds.has(studentKey)) errors.push(`Duplicate student_id ${value.student_id} in file`);
+            if (errors.length > 0) {
+                validationErrors.push({ row: rowNumber, errors });
+                return;
+            }
+
+            seenEmails.add(value.email);
+            seenStudentIds.add(studentKey);
+            validatedRows.push({ row: rowNumber, ...value });
+        });
+
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Validation failed for ${validationErrors.length} rows`,
+                validationErrors,
+                totalRows: parseResult.data.length,
+                validRows: validatedRows.length
+            });
+        }
+
+        const studentRoleId = await usersDB.getRoleIdByName(STUDENT_ROLE);
+        if (!studentRoleId) {
+            return res.status(422).json({ success: false, message: 'Role STUDENT does not exist' });
+        }
+
+        // One at a time: each invite is its own transaction, so one taken
+        // email or student ID doesn't sink the rest of the sheet
+        const results = [];
+        for (const row of validatedRows) {
+            try {
+                const invited = await invitationService.inviteUser({
+                    username: row.username || defaultUsername(row.email),
+                    email: row.email,
+                    role_id: studentRoleId,
+                    student_id: row.student_id
+                }, req.user);
+
+                results.push({
+                    row: row.row,
+                    student_id: row.student_id,
+                    email: row.email,
+                    status: 'invited',
+                    user_id: invited.user.user_id,
+                    email_sent: invited.email_sent
+                });
+            } catch (err) {
+                if (!err.statusCode || err.statusCode >= 500) throw err;
+                results.push({
+                    row: row.row,
+                    student_id: row.student_id,
+                    email: row.email,
+                    status: 'failed',
+                    message: err.message
+                });
+            }
+        }
+
+        const invited = results.filter((result) => result.status === 'invited').length;
+        logger.info({ invited, failed: results.length - invited }, 'bulkInviteStudents: done');
+
+        res.status(invited > 0 ? 201 : 400).json({
+            success: invited > 0,
+            data: {
+                invited,
+                failed: results.length - invited,
+                results
+            },
+            message: `Invited ${invited} of ${results.length} students`
+        });
+    } catch (error) {
+        return handleError(error, res, 'bulkInviteStudents');
+    }
+};
+
+// Download the Excel template for bulk invites
+export const downloadInviteTemplate = async (req, res) => {
+    try {
+        logger.info('downloadInviteTemplate');
+        const sampleData = [
+            ['STU2024001', 'asha.k@college.edu', 'Asha K'],
+            ['STU2024002', 'rahul.m@college.edu', '']
+        ];
+
+        const buffer = generateExcelTemplate(TEMPLATE_COLUMNS, sampleData, 'Invitations');
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', 'attachment; filename=user_invitations_template.xlsx');
+        res.send(buffer);
+    } catch (error) {
+        return handleError(error, res, 'downloadInviteTemplate');
+    }
+};
+
+// ─── MANAGE ─────────────────────────────────────────────────────────────────────
+
+// List invitations by status
+export const getInvitations = async (req, res) => {
+    try {
+        const { error, value } = getInvitationsSchema.validate(req.query);
+        if (error) {
+            logger.warn({ message: error.details[0].message }, 'getInvitations: validation failed');
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const result = await invitationsDB.getInvitations(value);
+        res.status(200).json(result);
+    } catch (error) {
+        return handleError(error, res, 'getInvitations');
+    }
+};
+
+// Send a fresh activation link; the previous one stops working
+export const resendInvitation = async (req, res) => {
+    try {
+        const { error, value: userId } = userIdSchema.validate(req.params.userId);
+        if (error) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID' });
+        }
+
+        logger.info({ user_id: userId }, 'resendInvitation');
+        const result = await invitationService.resendInvitation(userId, req.user);
+
+        res.status(200).json({
+            success: true,
+            data: { ...result.invitation, email_sent: result.email_sent },
+            message: result.email_sent
+                ? 'Invitation resent successfully'
+                : 'Invitation renewed, but the email could not be sent. Try again later.'
+        });
+    } catch (error) {
+        return handleError(error, res, 'resendInvitation');
+    }
+};
+
+// Revoke an invitation that has not been accepted
+export const revokeInvitation = async (req, res) => {
+    try {
+        const { error, value: userId } = userIdSchema.validate(req.params.userId);
+        if (error) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID' });
+        }
+
+        logger.info({ user_id: userId }, 'revokeInvitation');
+        const result = await invitationsDB.revokeInvitation(userId);
+        res.status(200).json(result);
+    } catch (error) {
+        return handleError(error, res, 'revokeInvitation');
+    }
+};
@@ -0,0 +1,72 @@
+import logger from "../utils/logger.js";
+import joi from "joi";
+import { handleError } from "../utils/errors.js";
+import * as eligibilityService from "../services/eligibility/eligibility.service.js";
+
+const { ELIGIBILITY_CRITERIA } = eligibilityService;
+
+const jobIdSchema = joi.object({
+    jobId: joi.number().integer().positive().required()
+});
+
+const explainParamsSchema = jobIdSchema.keys({
+    studentId: joi.string().trim().max(50).required()
+});
+
+const nearMissQuerySchema = joi.object({
+    criterion: joi.string().trim().lowercase().valid(...ELIGIBILITY_CRITERIA).optional()
+});
+
+// Answer 400 with the first validation error
+const rejectInvalid = (res, ctx, error) => {
+    logger.warn(`${ctx}: Validation failed - ${error.details[0].message}`);
+    return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+    });
+};
+
+// Each criterion of the job with the student's value and whether it passed
+export const explainEligibility = async (req, res) => {
+    try {
+        const { error, value } = explainParamsSchema.validate(req.params);
+        if (error) return rejectInvalid(res, 'explainEligibility', error);
+
+        const result = await eligibilityService.checkEligibility(value.studentId, value.jobId);
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: result.eligible
+                ? `${result.student_id} meets all ${result.checks.length} criteria`
+                : `${result.student_id} fails ${result.reasons.length} of ${result.checks.length} criteria`
+        });
+    } catch (err) {
+        return handleError(err, res, 'explainEligibility');
+    }
+};
+
+// Students who miss the job by exactly one criterion
+export const getNearMisses = async (req, res) => {
+    try {
+        const { error: paramError, value: params } = jobIdSchema.validate(req.params);
+        if (paramError) return rejectInvalid(res, 'getNearMisses', paramError);
+
+        const { error, value } = nearMissQuerySchema.validate(req.query);
+        if (error) return rejectInvalid(res, 'getNearMisses', error);
+
+        const result = await eligibilityService.findNearMisses(params.jobId, value);
+        logger.info({
+            jobId: params.jobId,
+            students: result.students_checked,
+            nearMisses: result.near_miss_count
+        }, 'getNearMisses: done');
+
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: `${result.near_miss_count} student(s) miss this job by one criterion`
+        });
+    } catch (err) {
+        return handleError(err, res, 'getNearMisses');
+    }
+};
@@ -0,0 +1,327 @@
+import logger from "../utils/logger.js";
+import * as jobRoundService from "../db/job_rounds.db.js";
+import joi from "joi";
+import { handleError } from "../utils/errors.js";
+import { parseExcelBuffer, validateColumns, generateExcelTemplate } from "../utils/excelParser.js";
+
+const { ROUND_MODES, CANDIDATE_STATUSES } = jobRoundService;
+
+// Validation schema for creating a round
+const createRoundSchema = joi.object({
+    name: joi.string().trim().max(100).required(),
+    mode: joi.string().uppercase().valid(...ROUND_MODES).optional().default('OFFLINE'),
+    scheduled_at: joi.date().iso().optional().allow(null),
+    venue: joi.string().trim().max(255).optional().allow(null, ''),
+    meeting_link: joi.string().trim().uri().max(500).optional().allow(null, ''),
+    notes: joi.string().trim().optional().allow(null, '')
+});
+
+// Validation schema for updating a round
+const updateRoundSchema = joi.object({
+    name: joi.string().trim().max(100).optional(),
+    mode: joi.string().uppercase().valid(...ROUND_MODES).optional(),
+    scheduled_at: joi.date().iso().optional().allow(null),
+    venue: joi.string().trim().max(255).optional().allow(null, ''),
+    meeting_link: joi.string().trim().uri().max(500).optional().allow(null, ''),
+    notes: joi.string().trim().optional().allow(null, '')
+}).min(1);
+
+const jobIdSchema = joi.object({
+    jobId: joi.number().integer().positive().required()
+});
+
+const roundParamsSchema = joi.object({
+    jobId: joi.number().integer().positive().required(),
+    roundId: joi.number().integer().positive().required()
+});
+
+const candidateParamsSchema = roundParamsSchema.keys({
+    studentId: joi.string().trim().max(50).required()
+});
+
+const getCandidatesSchema = joi.object({
+    status: joi.string().uppercase().valid(...CANDIDATE_STATUSES).optional()
+});
+
+const shortlistSchema = joi.object({
+    student_ids: joi.array().items(joi.string().trim().max(50)).min(1).max(1000).unique().required()
+});
+
+const resultSchema = joi.object({
+    status: joi.string().uppercase().valid(...CANDIDATE_STATUSES).required(),
+    remarks: joi.string().trim().max(1000).optional().allow(null, '')
+});
+
+// Company result sheets don't agree on wording; map what they use to our statuses
+const SHEET_STATUS_ALIASES = {
+    CLEARED: 'CLEARED',
+    PASSED: 'CLEARED',
+    PASS: 'CLEARED',
+    QUALIFIED: 'CLEARED',
+    SELECTED: 'CLEARED',
+    REJECTED: 'REJECTED',
+    FAILED: 'REJECTED',
+    FAIL: 'REJECTED',
+    'NOT SELECTED': 'REJECTED',
+    'NOT QUALIFIED': 'REJECTED',
+    ABSENT: 'ABSENT',
+    'NOT ATTENDED': 'ABSENT',
+    SHORTLISTED: 'SHORTLISTED'
+};
+
+// Validation schema for one row of a result sheet
+const importResultSchema = joi.object({
+    student_id: joi.string().trim().max(50).required(),
+    status: joi.string().trim().required()
+        .custom((value, helpers) => SHEET_STATUS_ALIASES[value.toUpperCase().replace(/\s+/g, ' ')]
+            ?? helpers.message(`status "${value}" is not one of ${Object.keys(SHEET_STATUS_ALIASES).join(', ')}`)),
+    remarks: joi.string().trim().max(1000).optional().allow(null, '')
+}).unknown(true);
+
+// Template columns for the result sheet
+const TEMPLATE_COLUMNS = ['student_id', 'status', 'remarks'];
+
+const REQUIRED_COLUMNS = ['student_id', 'status'];
+
+// Answer 400 with the first validation error
+const rejectInvalid = (res, ctx, error) => {
+    logger.warn(`${ctx}: Validation failed - ${error.details[0].message}`);
+    return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+    });
+};
+
+// ─── Rounds ─────────────────────────────────────────────────────────────────
+
+export const getJobRounds = async (req, res) => {
+    try {
+        const { error, value } = jobIdSchema.validate(req.params);
+        if (error) return rejectInvalid(res, 'getJobRounds', error);
+
+        const result = await jobRoundService.getRoundsByJobId(value.jobId);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getJobRounds');
+    }
+};
+
+export const createJobRound = async (req, res) => {
+    try {
+        logger.info({ jobId: req.params.jobId }, 'createJobRound');
+        const { error: paramError, value: params } = jobIdSchema.validate(req.params);
+        if (paramError) return rejectInvalid(res, 'createJobRound', paramError);
+
+        const { error, value } = createRoundSchema.validate(req.body);
+        if (error) return rejectInvalid(res, 'createJobRound', error);
+
+        const result = await jobRoundService.createRound(params.jobId, value);
+        logger.info({ jobId: params.jobId, roundId: result.data.round_id }, 'createJobRound: success');
+        res.status(201).json(result);
+    } catch (err) {
+        return handleError(err, res, 'createJobRound');
+    }
+};
+
+export const updateJobRound = async (req, res) => {
+    try {
+        const { error: paramError, value: params } = roundParamsSchema.validate(req.params);
+        if (paramError) return rejectInvalid(res, 'updateJobRound', paramError);
+
+        const { error, value } = updateRoundSchema.validate(req.body);
+        if (error) return rejectInvalid(res, 'updateJobRound', error);
+
+        const result = await jobRoundService.updateRound(params.jobId, params.roundId, value);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'updateJobRound');
+    }
+};
+
+export const deleteJobRound = async (req, res) => {
+    try {
+        logger.info({ jobId: req.params.jobId, roundId: req.params.roundId }, 'deleteJobRound');
+        const { error, value } = roundParamsSchema.validate(req.params);
+        if (error) return rejectInvalid(res, 'deleteJobRound', error);
+
+        const result = await jobRoundService.deleteRound(value.jobId, value.roundId);
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'deleteJobRound');
+    }
+};
+
+// ─── Candidates ─────────────────────────────────────────────────────────────
+
+export const getRoundCandidates = async (req, res) => {
+    try {
+        const { error: paramError, value: params } = roundParamsSchema.validate(req.params);
+        if (paramError) return rejectInvalid(res, 'getRoundCandidates', paramError);
+
+        const { error, value } = getCandidatesSchema.validate(req.query);
+        if (error) return rejectInvalid(res, 'getRoundCandidates', error);
+
+        const result = await jobRoundService.getRoundCandidates(params.jobId, params.roundId, value);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getRoundCandidates');
+    }
+};
+
+export const shortlistRoundCandidates = async (req, res) => {
+    try {
+        const { error: paramError, value: params } = roundParamsSchema.validate(req.params);
+        if (paramError) return rejectInvalid(res, 'shortlistRoundCandidates', paramError);
+
+        const { error, value } = shortlistSchema.validate(req.body);
+        if (error) return rejectInvalid(res, 'shortlistRoundCandidates', error);
+
+        const result = await jobRoundService.shortlistCandidates(params.jobId, params.roundId, value.student_ids, req.user?.user_id);
+        logger.info({
+            roundId: params.roundId,
+            added: result.data.added.length,
+            skipped: result.data.skipped.length
+        }, 'shortlistRoundCandidates: done');
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'shortlistRoundCandidates');
+    }
+};
+
+// Record one candidate's result
+export const updateRoundCandidate = async (req, res) => {
+    try {
+        const { error: paramError, value: params } = candidateParamsSchema.validate(req.params);
+        if (paramError) return rejectInvalid(res, 'updateRoundCandidate', paramError);
+
+        const { error, value } = resultSchema.validate(req.body);
+        if (error) return rejectInvalid(res, 'updateRoundCandidate', error);
+
+        const result = await jobRoundService.recordRoundResults(
+            params.jobId,
+            params.roundId,
+            [{ student_id: params.studentId, ...value }],
+            req.user?.user_id
+        );
+        if (!result.success) {
+            const [{ error: reason }] = result.errors;
+            return res.status(reason === 'Not a candidate in this round' ? 404 : 409).json({ success: false, message: reason });
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'updateRoundCandidate');
+    }
+};
+
+// Record a round's results from the company's Excel sheet
+export const importRoundResults = async (req, res) => {
+    try {
+        logger.info({ filename: req.file?.originalname, roundId: req.params.roundId }, 'importRoundResults');
+        const { error: paramError, value: params } = roundParamsSchema.validate(req.params);
+        if (paramError) return rejectInvalid(res, 'importRoundResults', paramError);
+
+        if (!req.file || !req.file.buffer) {
+            return res.status(400).json({
+                success: false,
+                message: "No Excel file uploaded. Please upload an .xlsx or .xls file."
+            });
+        }
+
+        const parseResult = parseExcelBuffer(req.file.buffer);
+        if (!parseResult.success) {
+            return res.status(400).json(parseResult);
+        }
+
+        const columnValidation = validateColumns(parseResult.data, REQUIRED_COLUMNS);
+        if (!columnValidation.success) {
+            return res.status(400).json({
+                success: false,
+                message: columnValidation.message,
+                requiredColumns: REQUIRED_COLUMNS,
+                existingColumns: columnValidation.existingColumns
+            });
+        }
+
+        const results = [];
+        const validationErrors = [];
+        const rowByStudent = new Map();
+
+        for (let i = 0; i < parseResult.data.length; i++) {
+            const rowNumber = i + 2; // Excel row number (1-indexed, +1 for header)
+            const { error, value } = importResultSchema.validate(parseResult.data[i], { abortEarly: false });
+
+            if (error) {
+                validationErrors.push({ row: rowNumber, errors: error.details.map(d => d.message) });
+                continue;
+            }
+
+            const key = value.student_id.toUpperCase();
+            if (rowByStudent.has(key)) {
+                validationErrors.push({ row: rowNumber, errors: [`student_id ${value.student_id} already appears in row ${rowByStudent.get(key)}`] });
+                continue;
+            }
+            rowByStudent.set(key, rowNumber);
+            results.push({ student_id: value.student_id, status: value.status, remarks: value.remarks });
+        }
+
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Validation failed for ${validationErrors.length} rows`,
+                validationErrors,
+                totalRows: parseResult.data.length,
+                validRows: results.length
+            });
+        }
+
+        const result = await jobRoundService.recordRoundResults(params.jobId, params.roundId, results, req.user?.user_id);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+                validationErrors: result.errors.map(({ student_id, error }) => ({
+                    row: rowByStudent.get(student_id.toUpperCase()),
+                    errors: [error]
+                })),
+                totalRows: parseResult.data.length
+            });
+        }
+
+        logger.info({ roundId: params.roundId, ...result.data }, 'importRoundResults: success');
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'importRoundResults');
+    }
+};
+
+// Download the result sheet template
+export const downloadResultsTemplate = async (req, res) => {
+    try {
+        const sampleData = [
+            ['STU001', 'CLEARED', 'Strong problem solving'],
+            ['STU002', 'REJECTED', ''],
+            ['STU003', 'ABSENT', '']
+        ];
+
+        const buffer = generateExcelTemplate(TEMPLATE_COLUMNS, sampleData, 'Round Results');
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', 'attachment; filename=round_results_template.xlsx');
+        res.send(buffer);
+    } catch (err) {
+        return handleError(err, res, 'downloadResultsTemplate');
+    }
+};
@@ -0,0 +1,204 @@
+import logger from "../utils/logger.js";
+import joi from "joi";
+import { handleError } from "../utils/errors.js";
+import * as studentService from "../db/student.db.js";
+import * as studentAcademicService from "../db/student_academics.db.js";
+import * as studentAddressService from "../db/student_addresses.db.js";
+import * as studentLanguageService from "../db/student_languages.db.js";
+import * as studentProjectService from "../db/student_projects.db.js";
+import * as studentCertificationService from "../db/student_certifications.db.js";
+import * as studentInternshipService from "../db/student_internships.db.js";
+import * as studentDocumentService from "../db/student_documents.db.js";
+import * as studentOfferService from "../db/student_offers.db.js";
+import * as applicationService from "../db/applications.db.js";
+import { submitApplication } from "../services/applications/application.service.js";
+import { getStudentEligibleJobs } from "../services/cache/studentEligibleJobs.service.js";
+import { studentProjectSchema } from "./student_projects.controller.js";
+
+/*
+ * Student self-service ("me") handlers.
+ * Every handler works on req.studentId, resolved from student_users by the
+ * resolveStudent middleware — never on a student id supplied by the client.
+ */
+
+// Fields a student may change on their own profile; everything else is
+// maintained by the placement office.
+const selfProfileSchema = joi.object({
+    alt_email: joi.string().email().optional().allow(null, ''),
+    mobile: joi.string().pattern(/^[0-9]{10}$/).optional(),
+    emergency_contact: joi.string().pattern(/^[0-9]{10}$/).optional()
+}).min(1);
+
+const selfApplicationSchema = joi.object({
+    job_id: joi.number().integer().positive().required()
+});
+
+const projectIdSchema = joi.object({
+    id: joi.number().integer().min(1).required()
+});
+
+// Respond with a student-scoped read, mapping { success: false } to 404
+const sendOwnRecords = (ctx, fetch) => async (req, res) => {
+    try {
+        logger.info({ studentId: req.studentId }, ctx);
+        const result = await fetch(req.studentId, req);
+
+        if (result && result.success === false) {
+            logger.warn({ studentId: req.studentId }, `${ctx}: not found`);
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, ctx);
+    }
+};
+
+// Load a project and make sure it belongs to the calling student
+const findOwnProject = async (req, res) => {
+    const { error } = projectIdSchema.validate(req.params);
+    if (error) {
+        res.status(400).json({ success: false, message: error.details[0].message });
+        return null;
+    }
+
+    const existing = await studentProjectService.getStudentProjectById(req.params.id);
+    if (!existing.success
+        || String(existing.data.student_id).toUpperCase() !== String(req.studentId).toUpperCase()) {
+        // Same response whether the project is missing or someone else's
+        logger.warn({ studentId: req.studentId, projectId: req.params.id }, 'me: project not found for student');
+        res.status(404).json({ success: false, message: 'Student project not found' });
+        return null;
+    }
+
+    return existing.data;
+};
+
+// ─── Profile ────────────────────────────────────────────────────────────────
+
+export const getMyProfile = sendOwnRecords('getMyProfile', (studentId) => studentService.getStudentById(studentId));
+
+export const updateMyProfile = async (req, res) => {
+    try {
+        logger.info({ studentId: req.studentId }, 'updateMyProfile');
+        const { error, value } = selfProfileSchema.validate(req.body);
+        if (error) {
+            logger.warn({ message: error.details[0].message }, 'updateMyProfile: validation failed');
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const result = await studentService.patchStudentById(req.studentId, value);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        logger.info({ studentId: req.studentId }, 'updateMyProfile: success');
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'updateMyProfile');
+    }
+};
+
+// ─── Read-only sections ─────────────────────────────────────────────────────
+
+export const getMyAcademics = sendOwnRecords('getMyAcademics', (studentId) => studentAcademicService.getStudentAcademicById(studentId));
+
+export const getMyAddress = sendOwnRecords('getMyAddress', (studentId) => studentAddressService.getAddressByStudentId(studentId));
+
+export const getMyLanguages = sendOwnRecords('getMyLanguages', (studentId) => studentLanguageService.getLanguagesByStudentId(studentId));
+
+export const getMyCertifications = sendOwnRecords('getMyCertifications', (studentId) => studentCertificationService.getCertificationsByStudentId(studentId));
+
+export const getMyInternships = sendOwnRecords('getMyInternships', (studentId) => studentInternshipService.getInternshipsByStudentId(studentId));
+
+export const getMyDocuments = sendOwnRecords('getMyDocuments', (studentId) => studentDocumentService.getDocumentsByStudentId(studentId));
+
+export const getMyOffers = sendOwnRecords('getMyOffers', (studentId) => studentOfferService.getOffersByStudentId(studentId));
+
+export const getMyEligibleJobs = sendOwnRecords('getMyEligibleJobs', async (studentId) => {
+    const result = await getStudentEligibleJobs(studentId);
+    return {
+        success: true,
+        message: result.count > 0
+            ? `Found ${result.count} eligible job(s)`
+            : "No eligible jobs found",
+        data: result
+    };
+});
+
+// ─── Applications ───────────────────────────────────────────────────────────
+
+export const getMyApplications = sendOwnRecords('getMyApplications', (studentId) => applicationService.getApplicationsByStudentId(studentId));
+
+// Apply to a job; refused unless the student is eligible and the deadline hasn't passed
+export const applyForJob = async (req, res) => {
+    try {
+        logger.info({ studentId: req.studentId, jobId: req.body?.job_id }, 'applyForJob');
+        const { error, value } = selfApplicationSchema.validate(req.body);
+        if (error) {
+            logger.warn({ message: error.details[0].message }, 'applyForJob: validation failed');
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const result = await submitApplication({ student_id: req.studentId, job_id: value.job_id }, req.user.user_id);
+        logger.info({ studentId: req.studentId, applicationId: result.data.application_id }, 'applyForJob: success');
+        res.status(201).json(result);
+    } catch (err) {
+        return handleError(err, res, 'applyForJob');
+    }
+};
+
+// ─── Projects ───────────────────────────────────────────────────────────────
+
+export const getMyProjects = sendOwnRecords('getMyProjects', (studentId) => studentProjectService.getProjectsByStudentId(studentId));
+
+export const createMyProject = async (req, res) => {
+    try {
+        logger.info({ studentId: req.studentId }, 'createMyProject');
+        const { error, value } = studentProjectSchema.validate({ ...req.body, student_id: req.studentId });
+        if (error) {
+            logger.warn({ message: error.details[0].message }, 'createMyProject: validation failed');
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const project = await studentProjectService.createStudentProject(value);
+        logger.info({ studentId: req.studentId }, 'createMyProject: success');
+        res.status(201).json(project);
+    } catch (err) {
+        return handleError(err, res, 'createMyProject');
+    }
+};
+
+export const updateMyProject = async (req, res) => {
+    try {
+        logger.info({ studentId: req.studentId, projectId: req.params.id }, 'updateMyProject');
+        const project = await findOwnProject(req, res);
+        if (!project) return;
+
+        const { error, value } = studentProjectSchema.validate({ ...req.body, student_id: req.studentId });
+        if (error) {
+            logger.warn({ message: error.details[0].message }, 'updateMyProject: validation failed');
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const result = await studentProjectService.updateStudentProjectById(project.project_id, value);
+        logger.info({ studentId: req.studentId, projectId: project.project_id }, 'updateMyProject: success');
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'updateMyProject');
+    }
+};
+
+export const deleteMyProject = async (req, res) => {
+    try {
+        logger.info({ studentId: req.studentId, projectId: req.params.id }, 'deleteMyProject');
+        const project = await findOwnProject(req, res);
+        if (!project) return;
+
+        const result = await studentProjectService.deleteStudentProjectById(project.project_id);
+        logger.info({ studentId: req.studentId, projectId: project.project_id }, 'deleteMyProject: success');
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'deleteMyProject');
+    }
+};
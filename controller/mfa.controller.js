@@ -0,0 +1,170 @@
+/**
+ * MFA Controller — self-service TOTP management for the logged-in user.
+ *
+ *  - Status, enrollment (secret + otpauth URI), confirmation
+ *  - Recovery code regeneration
+ *  - Disabling, unless the user's role requires MFA
+ */
+
+import bcrypt from 'bcrypt';
+import Joi from 'joi';
+import logger from '../utils/logger.js';
+import * as mfaDB from '../db/mfa.db.js';
+import * as passwordHistoryDB from '../db/password_history.db.js';
+import * as mfaService from '../services/auth/mfa.service.js';
+
+// ─── Validation ─────────────────────────────────────────────────────────────────
+
+const codeField = Joi.string()
+  .pattern(/^\d{6}$/)
+  .required()
+  .messages({ 'string.pattern.base': 'code must be a 6-digit number' });
+
+const codeSchema = Joi.object({
+  code: codeField,
+});
+
+const disableSchema = Joi.object({
+  password: Joi.string().min(1).required(),
+  code: codeField,
+});
+
+// ─── STATUS ─────────────────────────────────────────────────────────────────────
+
+export const getMfaStatus = async (req, res) => {
+  try {
+    const mfa = await mfaDB.getMfaState(req.user.user_id);
+    if (!mfa) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        enabled: mfa.enabled,
+        required: mfa.mfa_required,
+        enabled_at: mfa.enabled_at,
+        recovery_codes_remaining: mfa.enabled ? mfa.recovery_codes_remaining : 0,
+      },
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'MFA status error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── ENROLLMENT ─────────────────────────────────────────────────────────────────
+
+export const setupMfa = async (req, res) => {
+  try {
+    const enrollment = await mfaService.beginEnrollment(req.user);
+    if (!enrollment) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    logger.info({ user_id: req.user.user_id }, 'setupMfa: secret issued');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment,
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'MFA setup error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+export const enableMfa = async (req, res) => {
+  try {
+    const { error, value } = codeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const recoveryCodes = await mfaService.completeEnrollment(req.user.user_id, value.code);
+    if (!recoveryCodes) {
+      logger.warn({ user_id: req.user.user_id }, 'enableMfa: invalid code or no pending setup');
+      return res.status(400).json({ success: false, message: 'Invalid code, or no two-factor setup in progress' });
+    }
+
+    logger.info({ user_id: req.user.user_id }, 'enableMfa: two-factor enabled');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes safely.',
+      data: { recovery_codes: recoveryCodes },
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'MFA enable error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── RECOVERY CODES ─────────────────────────────────────────────────────────────
+
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { error, value } = codeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const mfa = await mfaDB.getMfaState(req.user.user_id);
+    if (!mfa?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await mfaService.verifyCode(req.user.user_id, value.code, mfa)) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await mfaService.issueRecoveryCodes(req.user.user_id);
+    logger.info({ user_id: req.user.user_id }, 'regenerateRecoveryCodes: new codes issued');
+
+    return res.status(200).json({
+      success: true,
+      message: 'New recovery codes issued. Previous codes no longer work.',
+      data: { recovery_codes: recoveryCodes },
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'MFA recovery codes error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── DISABLE ────────────────────────────────────────────────────────────────────
+
+export const disableMfa = async (req, res) => {
+  try {
+    const { error, value } = disableSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const userId = req.user.user_id;
+    const mfa = await mfaDB.getMfaState(userId);
+    if (!mfa?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (mfa.mfa_required) {
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    const passwordHash = await passwordHistoryDB.getPasswordHash(userId);
+    if (!passwordHash || !await bcrypt.compare(value.password, passwordHash)) {
+      return res.status(400).json({ success: false, message: 'Password is incorrect' });
+    }
+    if (!await mfaService.verifyCode(userId, value.code, mfa)) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    await mfaDB.disableMfa(userId);
+    logger.info({ user_id: userId }, 'disableMfa: two-factor disabled');
+
+    return res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'MFA disable error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * Notifications Controller — the logged-in user's in-app notifications
+ *
+ *  - GET  /api/auth/notifications                        — newest first, with unread count
+ *  - POST /api/auth/notifications/:notificationId/read   — mark one read
+ */
+
+import Joi from 'joi';
+import logger from '../utils/logger.js';
+import * as notificationsDB from '../db/notifications.db.js';
+
+// ─── Validation ─────────────────────────────────────────────────────────────────
+
+const listSchema = Joi.object({
+  unread_only: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const notificationIdSchema = Joi.number().integer().min(1).required();
+
+// ─── OWN NOTIFICATIONS ──────────────────────────────────────────────────────────
+
+export const listMyNotifications = async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const result = await notificationsDB.getUserNotifications(req.user.user_id, value);
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'List notifications error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+export const markMyNotificationRead = async (req, res) => {
+  try {
+    const { error, value: notificationId } = notificationIdSchema.validate(req.params.notificationId);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
+    }
+
+    const updated = await notificationsDB.markNotificationRead(req.user.user_id, notificationId);
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    return res.status(200).json({ success: true, message: 'Notification marked as read' });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Mark notification read error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
@@ -2,6 +2,7 @@ import Joi from 'joi';
 import * as permissionDB from '../db/permission.db.js';
 import logger from '../utils/logger.js';
 import { handleError } from '../utils/errors.js';
+import { invalidateAllRolePermissions } from '../services/cache/rolePermissions.cache.js';
 
 export const createPermissionSchema = Joi.object({
     permission_name: Joi.string().trim().min(3).max(100).required().messages({
@@ -253,6 +254,8 @@ export const updatePermission = async (req, res) => {
             });
         }
 
+        await invalidateAllRolePermissions();
+
         logger.info({
             permissionId,
             old_name: existingPermission.data.permission_name,
@@ -311,6 +314,8 @@ export const deletePermission = async (req, res) => {
             });
         }
 
+        await invalidateAllRolePermissions();
+
         logger.info({
             permissionId,
             permission_name: existingPermission.data.permission_name
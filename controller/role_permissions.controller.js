@@ -2,6 +2,7 @@ import Joi from 'joi';
 import * as rolePermissionDB from '../db/role_permissions.db.js';
 import logger from '../utils/logger.js';
 import { handleError } from '../utils/errors.js';
+import { invalidateRolePermissions } from '../services/cache/rolePermissions.cache.js';
 
 export const assignPermissionSchema = Joi.object({
     role_id: Joi.number().integer().min(1).required().messages({
@@ -58,6 +59,7 @@ export const assignPermissionToRole = async (req, res) => {
         }
 
         const result = await rolePermissionDB.assignPermissionToRole(req.body);
+        await invalidateRolePermissions(req.body.role_id);
         logger.info({ role_id: req.body.role_id, permission_id: req.body.permission_id }, 'assignPermissionToRole: success');
         res.status(201).json(result);
     } catch (error) {
@@ -79,6 +81,7 @@ export const assignPermissionsToRole = async (req, res) => {
         }
 
         const result = await rolePermissionDB.assignPermissionsToRole(req.body);
+        await invalidateRolePermissions(req.body.role_id);
         logger.info({ role_id: req.body.role_id, count: req.body.permission_ids?.length }, 'assignPermissionsToRole: success');
         res.status(201).json(result);
     } catch (error) {
@@ -154,6 +157,7 @@ export const removePermissionFromRole = async (req, res) => {
         }
 
         const result = await rolePermissionDB.removePermissionFromRole(req.body);
+        await invalidateRolePermissions(req.body.role_id);
         logger.info({ role_id: req.body.role_id, permission_id: req.body.permission_id }, 'removePermissionFromRole: success');
         res.status(200).json(result);
     } catch (error) {
@@ -176,6 +180,7 @@ export const removeAllPermissionsFromRole = async (req, res) => {
 
         const role_id = parseInt(req.params.role_id);
         const result = await rolePermissionDB.removeAllPermissionsFromRole(role_id);
+        await invalidateRolePermissions(role_id);
         logger.info({ role_id }, 'removeAllPermissionsFromRole: success');
         res.status(200).json(result);
     } catch (error) {
@@ -25,6 +25,11 @@ export const createRoleSchema = Joi.object({
     .messages({
       'string.base': 'Role description should be a type of text',
       'string.max': 'Role description should have a maximum length of 255 characters'
+    }),
+  mfa_required: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'mfa_required should be true or false'
     })
 });
 
@@ -0,0 +1,88 @@
+import Joi from 'joi';
+import * as schedulerDB from '../db/scheduler.db.js';
+import * as scheduler from '../services/scheduler/scheduler.js';
+import logger from '../utils/logger.js';
+import { handleError } from '../utils/errors.js';
+
+// ─── Validation ─────────────────────────────────────────────────────────────────
+
+const jobNameSchema = Joi.string().trim().max(100).required();
+
+const getJobRunsSchema = Joi.object({
+    status: Joi.string().valid('running', 'succeeded', 'failed').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Resolve :name to a registered job, answering 400/404 otherwise
+const findJobName = (req, res) => {
+    const { error, value } = jobNameSchema.validate(req.params.name);
+    if (error) {
+        res.status(400).json({ success: false, message: 'Invalid job name' });
+        return null;
+    }
+    if (!scheduler.hasJob(value)) {
+        res.status(404).json({ success: false, message: `Scheduled job "${value}" not found` });
+        return null;
+    }
+    return value;
+};
+
+// ─── JOBS ───────────────────────────────────────────────────────────────────────
+
+// Registered jobs with their schedule, next run on this instance and last run anywhere
+export const getScheduledJobs = async (req, res) => {
+    try {
+        const latestRuns = await schedulerDB.getLatestRuns();
+        const jobs = scheduler.listJobs().map((job) => ({
+            ...job,
+            last_run: latestRuns.get(job.name) || null
+        }));
+
+        res.status(200).json({
+            success: true,
+            data: jobs,
+            message: 'Scheduled jobs retrieved successfully'
+        });
+    } catch (error) {
+        return handleError(error, res, 'getScheduledJobs');
+    }
+};
+
+// Run history of one job, newest first
+export const getJobRuns = async (req, res) => {
+    try {
+        const name = findJobName(req, res);
+        if (!name) return;
+
+        const { error, value } = getJobRunsSchema.validate(req.query);
+        if (error) {
+            logger.warn({ message: error.details[0].message }, 'getJobRuns: validation failed');
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const result = await schedulerDB.getRuns({ ...value, job_name: name });
+        res.status(200).json(result);
+    } catch (error) {
+        return handleError(error, res, 'getJobRuns');
+    }
+};
+
+// Start a job now; it finishes in the background, so poll its runs for the outcome
+export const runJob = async (req, res) => {
+    try {
+        const name = findJobName(req, res);
+        if (!name) return;
+
+        logger.info({ job: name, user_id: req.user?.user_id }, 'runJob');
+        const run = await scheduler.triggerJob(name, req.user?.user_id);
+
+        res.status(202).json({
+            success: true,
+            data: run,
+            message: `Job "${name}" started`
+        });
+    } catch (error) {
+        return handleError(error, res, 'runJob');
+    }
+};
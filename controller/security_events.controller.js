@@ -0,0 +1,61 @@
+/**
+ * Security Events Controller — per-user security timeline for admins
+ *
+ *  - GET /api/users/:id/security-events
+ *
+ * Lockouts, suspicious logins, refresh token reuse, impersonation and other
+ * events recorded through db/security_events.db.js, newest first.
+ */
+
+import Joi from 'joi';
+import logger from '../utils/logger.js';
+import * as authDB from '../db/auth.db.js';
+import * as securityEventsDB from '../db/security_events.db.js';
+
+// ─── Validation ─────────────────────────────────────────────────────────────────
+
+const userIdSchema = Joi.number().integer().min(1).required();
+
+const timelineSchema = Joi.object({
+  event_type: Joi.string().trim().max(64).optional(),
+  severity: Joi.string().valid('low', 'medium', 'high', 'critical').optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// ─── TIMELINE ───────────────────────────────────────────────────────────────────
+
+export const getUserSecurityEvents = async (req, res) => {
+  try {
+    const { error: idError, value: userId } = userIdSchema.validate(req.params.id);
+    if (idError) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const { error, value } = timelineSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await authDB.getUserForAuth(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const timeline = await securityEventsDB.getUserSecurityEvents(userId, value);
+    logger.info({ admin_id: req.user.user_id, user_id: userId }, 'Admin viewed user security events');
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user: { user_id: user.user_id, username: user.username, email: user.email },
+        ...timeline,
+      },
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Security events timeline error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
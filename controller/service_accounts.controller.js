@@ -0,0 +1,213 @@
+import logger from "../utils/logger.js";
+import * as serviceAccountService from "../db/service_accounts.db.js";
+import joi from "joi";
+import { handleError } from "../utils/errors.js";
+import { generateApiKey } from "../utils/apiKey.js";
+import { getRolePermissionNames } from "../services/cache/rolePermissions.cache.js";
+
+const SUPERUSER_ROLE = 'SUPER_ADMIN';
+
+// Validation schema for creating a service account
+const createServiceAccountSchema = joi.object({
+    name: joi.string().trim().pattern(/^[a-z0-9][a-z0-9._-]*$/).min(3).max(100).required()
+        .messages({ 'string.pattern.base': 'name may only contain lowercase letters, digits, ".", "_" and "-"' }),
+    description: joi.string().trim().max(500).optional().allow(null, '')
+});
+
+// Validation schema for updating a service account
+const updateServiceAccountSchema = joi.object({
+    description: joi.string().trim().max(500).optional().allow(null, ''),
+    is_active: joi.boolean().optional()
+}).min(1);
+
+// Validation schema for issuing an API key
+const createApiKeySchema = joi.object({
+    name: joi.string().trim().min(1).max(100).required(),
+    permissions: joi.array().items(joi.string().trim().max(100)).min(1).unique().required(),
+    expires_at: joi.date().iso().greater('now').optional().allow(null)
+});
+
+// Validation schema for ID params
+const idSchema = joi.object({
+    id: joi.number().integer().positive().required(),
+    keyId: joi.number().integer().positive().optional()
+});
+
+// Permissions the caller may put on a key: their own, or anything for SUPER_ADMIN
+const findUngrantablePermissions = async (user, requested) => {
+    if (user.auth_method !== 'api_key' && (user.role_name || '').toUpperCase() === SUPERUSER_ROLE) {
+        return [];
+    }
+    const held = user.auth_method === 'api_key' ? user.permissions : await getRolePermissionNames(user.role_id);
+    return requested.filter((permission) => !held.includes(permission));
+};
+
+// Create a service account
+export const createServiceAccount = async (req, res) => {
+    try {
+        const { error, value } = createServiceAccountSchema.validate(req.body);
+        if (error) {
+            logger.warn(`createServiceAccount: Validation failed - ${error.details[0].message}`);
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const result = await serviceAccountService.createServiceAccount({ ...value, created_by: req.user.user_id });
+        res.status(201).json(result);
+    } catch (err) {
+        return handleError(err, res, 'createServiceAccount');
+    }
+};
+
+// List service accounts
+export const getAllServiceAccounts = async (req, res) => {
+    try {
+        const result = await serviceAccountService.getAllServiceAccounts();
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getAllServiceAccounts');
+    }
+};
+
+// Get a service account and its keys
+export const getServiceAccountById = async (req, res) => {
+    try {
+        const { error, value } = idSchema.validate(req.params);
+        if (error) {
+            logger.warn(`getServiceAccountById: Validation failed - ${error.details[0].message}`);
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const result = await serviceAccountService.getServiceAccountById(value.id);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'getServiceAccountById');
+    }
+};
+
+// Update a service account (deactivating it stops all of its keys)
+export const updateServiceAccount = async (req, res) => {
+    try {
+        const { error: idError, value: params } = idSchema.validate(req.params);
+        if (idError) {
+            logger.warn(`updateServiceAccount: ID validation failed - ${idError.details[0].message}`);
+            return res.status(400).json({
+                success: false,
+                message: idError.details[0].message
+            });
+        }
+
+        const { error: bodyError, value } = updateServiceAccountSchema.validate(req.body);
+        if (bodyError) {
+            logger.warn(`updateServiceAccount: Validation failed - ${bodyError.details[0].message}`);
+            return res.status(400).json({
+                success: false,
+                message: bodyError.details[0].message
+            });
+        }
+
+        const result = await serviceAccountService.updateServiceAccount(params.id, value);
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'updateServiceAccount');
+    }
+};
+
+// Delete a service account and all of its keys
+export const deleteServiceAccount = async (req, res) => {
+    try {
+        const { error, value } = idSchema.validate(req.params);
+        if (error) {
+            logger.warn(`deleteServiceAccount: Validation failed - ${error.details[0].message}`);
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const result = await serviceAccountService.deleteServiceAccount(value.id);
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'deleteServiceAccount');
+    }
+};
+
+// Issue an API key; the plaintext key is returned only in this response
+export const createApiKey = async (req, res) => {
+    try {
+        const { error: idError, value: params } = idSchema.validate(req.params);
+        if (idError) {
+            logger.warn(`createApiKey: ID validation failed - ${idError.details[0].message}`);
+            return res.status(400).json({
+                success: false,
+                message: idError.details[0].message
+            });
+        }
+
+        const { error: bodyError, value } = createApiKeySchema.validate(req.body);
+        if (bodyError) {
+            logger.warn(`createApiKey: Validation failed - ${bodyError.details[0].message}`);
+            return res.status(400).json({
+                success: false,
+                message: bodyError.details[0].message
+            });
+        }
+
+        // No one can hand a key more than they hold themselves
+        const ungrantable = await findUngrantablePermissions(req.user, value.permissions);
+        if (ungrantable.length > 0) {
+            logger.warn({ user_id: req.user.user_id, ungrantable }, 'createApiKey: permission escalation refused');
+            return res.status(403).json({
+                success: false,
+                message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}`
+            });
+        }
+
+        const { key, prefix, hash } = generateApiKey();
+        const result = await serviceAccountService.createApiKey({
+            service_account_id: params.id,
+            name: value.name,
+            permissions: value.permissions,
+            expires_at: value.expires_at ?? null,
+            key_prefix: prefix,
+            key_hash: hash,
+            created_by: req.user.user_id
+        });
+
+        res.status(201).json({
+            ...result,
+            data: { ...result.data, api_key: key },
+            message: 'API key created. Store it now — it cannot be shown again.'
+        });
+    } catch (err) {
+        return handleError(err, res, 'createApiKey');
+    }
+};
+
+// Revoke an API key
+export const revokeApiKey = async (req, res) => {
+    try {
+        const { error, value } = idSchema.validate(req.params);
+        if (error) {
+            logger.warn(`revokeApiKey: Validation failed - ${error.details[0].message}`);
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const result = await serviceAccountService.revokeApiKey(value.id, value.keyId);
+        res.status(200).json(result);
+    } catch (err) {
+        return handleError(err, res, 'revokeApiKey');
+    }
+};
@@ -0,0 +1,149 @@
+/**
+ * Sessions Controller — list and revoke login sessions (user_sessions).
+ *
+ *  - Own sessions:   GET/DELETE /api/auth/sessions
+ *  - Admin variant:  GET/DELETE /api/users/:id/sessions
+ *
+ * Revocation deletes the session row; `authenticate` rejects access tokens
+ * whose session no longer exists, so the revoked device is signed out at once.
+ */
+
+import Joi from 'joi';
+import logger from '../utils/logger.js';
+import * as authDB from '../db/auth.db.js';
+import { clearAuthCookies } from '../utils/jwt.js';
+
+// ─── Validation ─────────────────────────────────────────────────────────────────
+
+const sessionIdSchema = Joi.string().guid().required();
+
+const userIdSchema = Joi.number().integer().min(1).required();
+
+// ─── Helpers ────────────────────────────────────────────────────────────────────
+
+const toSessionView = (session, currentSessionId) => ({
+  session_id: session.session_id,
+  ip_address: session.ip_address,
+  user_agent: session.user_agent,
+  created_at: session.created_at,
+  last_activity: session.last_activity,
+  expires_at: session.expires_at,
+  current: session.session_id === currentSessionId,
+});
+
+// ─── OWN SESSIONS ───────────────────────────────────────────────────────────────
+
+export const listMySessions = async (req, res) => {
+  try {
+    const sessions = await authDB.listUserSessions(req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      data: sessions.map((session) => toSessionView(session, req.user.session_id)),
+      count: sessions.length,
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'List sessions error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+export const revokeMySession = async (req, res) => {
+  try {
+    const { error, value: sessionId } = sessionIdSchema.validate(req.params.sessionId);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Invalid session ID' });
+    }
+
+    // Someone else's session looks exactly like a missing one
+    const session = await authDB.findSessionById(sessionId);
+    if (!session || session.user_id !== req.user.user_id) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    await authDB.deleteSession(sessionId);
+
+    const isCurrent = sessionId === req.user.session_id;
+    if (isCurrent) {
+      clearAuthCookies(res);
+    }
+
+    logger.info({ user_id: req.user.user_id, session_id: sessionId, current: isCurrent }, 'Session revoked by owner');
+
+    return res.status(200).json({
+      success: true,
+      message: isCurrent ? 'Current session ended. Please log in again.' : 'Session revoked',
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Revoke session error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── ADMIN: ANOTHER USER'S SESSIONS ─────────────────────────────────────────────
+
+export const listUserSessions = async (req, res) => {
+  try {
+    const { error, value: userId } = userIdSchema.validate(req.params.id);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const user = await authDB.getUserForAuth(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const sessions = await authDB.listUserSessions(userId);
+    logger.info({ admin_id: req.user.user_id, user_id: userId }, 'Admin listed user sessions');
+
+    return res.status(200).json({
+      success: true,
+      data: sessions.map((session) => toSessionView(session, req.user.session_id)),
+      count: sessions.length,
+    });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Admin list sessions error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+export const revokeUserSession = async (req, res) => {
+  try {
+    const { error: userIdError, value: userId } = userIdSchema.validate(req.params.id);
+    const { error: sessionIdError, value: sessionId } = sessionIdSchema.validate(req.params.sessionId);
+    if (userIdError || sessionIdError) {
+      return res.status(400).json({ success: false, message: userIdError ? 'Invalid user ID' : 'Invalid session ID' });
+    }
+
+    const session = await authDB.findSessionById(sessionId);
+    if (!session || session.user_id !== userId) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    await authDB.deleteSession(sessionId);
+    logger.warn({ admin_id: req.user.user_id, user_id: userId, session_id: sessionId }, 'Admin revoked user session');
+
+    return res.status(200).json({ success: true, message: 'Session revoked' });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Admin revoke session error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+export const revokeAllUserSessions = async (req, res) => {
+  try {
+    const { error, value: userId } = userIdSchema.validate(req.params.id);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const count = await authDB.deleteAllUserSessions(userId);
+    logger.warn({ admin_id: req.user.user_id, user_id: userId, sessions_removed: count }, 'Admin revoked all user sessions');
+
+    return res.status(200).json({ success: true, message: `Revoked ${count} session(s)` });
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'Admin revoke all sessions error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
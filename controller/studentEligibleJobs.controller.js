@@ -5,7 +5,8 @@ import { handleError } from "../utils/errors.js";
 /**
  * GET /api/students/:studentId/eligible-jobs
  *
- * Reads the Redis sorted set  student:{studentId}:jobs  (populated by another service)
+ * Reads the Redis sorted set  student:{studentId}:jobs  (kept up to date by
+ * services/eligibility/eligibilityCache.service.js)
  * then fetches full job details from PostgreSQL.
  */
 export const getEligibleJobs = async (req, res) => {
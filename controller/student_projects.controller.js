@@ -8,7 +8,7 @@ import joi from "joi";
 const urlPattern = /^(https?:\/\/)?([\da-z\.-]+)\.([a-z\.]{2,6})([\/\w \.-]*)*\/?$/;
 
 // Validation schema for creating/updating student project record
-const studentProjectSchema = joi.object({
+export const studentProjectSchema = joi.object({
     student_id: joi.string().required(),
     title: joi.string().max(200).required(),
     description: joi.string().optional().allow(null, ''),
@@ -23,6 +23,9 @@ export const updateUserSchema = Joi.object({
     is_active: Joi.boolean().optional()
 }).min(1);
 
+// Only a SUPER_ADMIN may hand out the SUPER_ADMIN role
+export const canAssignRole = (actor, roleName) => roleName !== 'SUPER_ADMIN' || actor?.role_name === 'SUPER_ADMIN';
+
 export const createUser = async (req, res) => {
     try {
         logger.info({ username: req.body.username, role_id: req.body.role_id, student_id: req.body.student_id }, 'createUser');
@@ -38,6 +41,10 @@ export const createUser = async (req, res) => {
             if (roleName === 'STUDENT' && !req.body.student_id) {
                 return res.status(400).json({ success: false, message: 'student_id is required when role is STUDENT' });
             }
+            if (!canAssignRole(req.user, roleName)) {
+                logger.warn({ user_id: req.user?.user_id, role_id: req.body.role_id }, 'createUser: role escalation denied');
+                return res.status(403).json({ success: false, message: 'Only a SUPER_ADMIN can assign the SUPER_ADMIN role' });
+            }
         }
 
         const saltRounds = 12;
@@ -83,6 +90,14 @@ export const updateUser = async (req, res) => {
             return res.status(400).json({ success: false, message: error.details[0].message });
         }
 
+        if (req.body.role_id) {
+            const roleName = await userDB.getRoleNameById(req.body.role_id);
+            if (!canAssignRole(req.user, roleName)) {
+                logger.warn({ user_id: req.user?.user_id, role_id: req.body.role_id }, 'updateUser: role escalation denied');
+                return res.status(403).json({ success: false, message: 'Only a SUPER_ADMIN can assign the SUPER_ADMIN role' });
+            }
+        }
+
         const result = await userDB.updateUser(parseInt(req.params.id), req.body);
         logger.info({ id: req.params.id }, 'updateUser: success');
         res.status(200).json(result);
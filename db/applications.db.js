@@ -0,0 +1,356 @@
+import logger from '../utils/logger.js';
+import pool from './connection.js';
+import { audited } from './audit.db.js';
+import { AppError } from '../utils/errors.js';
+
+export const APPLICATION_STATUSES = ['APPLIED', 'SHORTLISTED', 'SELECTED', 'REJECTED', 'WITHDRAWN'];
+
+const APPLICATION_COLUMNS = `
+    a.application_id, a.student_id, s.full_name AS student_name, s.branch,
+    a.job_id, j.job_title, c.company_name, j.application_deadline,
+    a.status, a.notes, a.eligibility, a.applied_by, a.applied_at, a.updated_at
+`;
+
+const APPLICATION_FROM = `
+    FROM applications a
+    JOIN students s ON s.student_id = a.student_id
+    JOIN jobs j ON j.job_id = a.job_id
+    LEFT JOIN companies c ON c.company_id = j.company_id
+`;
+
+const APPLICATION_AUDIT_SPEC = { entity: 'application', table: 'applications', idColumn: 'application_id' };
+
+/**
+ * Create an application. Only inserted while the job is taking applications
+ * (no deadline, or the deadline has not passed); checking eligibility is the
+ * caller's job (services/applications/application.service.js).
+ */
+export const createApplication = audited({ ...APPLICATION_AUDIT_SPEC, action: 'create' }, async (application) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO applications (student_id, job_id, status, notes, eligibility, applied_by)
+             SELECT $1, j.job_id, $3, $4, $5, $6
+             FROM jobs j
+             WHERE j.job_id = $2
+               AND (j.application_deadline IS NULL OR NOW() <= j.application_deadline)
+             RETURNING *`,
+            [
+                application.student_id,
+                application.job_id,
+                application.status || 'APPLIED',
+                application.notes || null,
+                JSON.stringify(application.eligibility || []),
+                application.applied_by ?? null
+            ]
+        );
+
+        if (result.rowCount === 0) {
+            throw new AppError(422, 'Applications for this job are closed');
+        }
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Application created successfully'
+        };
+    } catch (error) {
+        if (error.code === '23505') {
+            throw new AppError(409, 'Application already exists for this student and job');
+        }
+        if (!(error instanceof AppError)) {
+            logger.error({
+                stack: error.stack,
+                application
+            }, `createApplication: ${error.message}`);
+        }
+        throw error;
+    }
+});
+
+// Get all applications with pagination and filters
+export const getAllApplications = async (params = {}) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            sortBy = 'applied_at',
+            sortOrder = 'DESC',
+            student_id = null,
+            job_id = null,
+            status = null
+        } = params;
+
+        const offset = (page - 1) * limit;
+
+        const allowedSortFields = ['application_id', 'student_id', 'job_id', 'status', 'applied_at', 'updated_at'];
+        const safeSortBy = allowedSortFields.includes(sortBy) ? sortBy : 'applied_at';
+        const safeSortOrder = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+        const conditions = [];
+        const queryParams = [];
+
+        if (student_id) {
+            queryParams.push(student_id.toUpperCase());
+            conditions.push(`UPPER(a.student_id) = $${queryParams.length}`);
+        }
+        if (job_id) {
+            queryParams.push(job_id);
+            conditions.push(`a.job_id = $${queryParams.length}`);
+        }
+        if (status) {
+            queryParams.push(status);
+            conditions.push(`a.status = $${queryParams.length}`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const countResult = await pool.query(`SELECT COUNT(*) AS total ${APPLICATION_FROM} ${whereClause}`, queryParams);
+        const total = parseInt(countResult.rows[0].total);
+
+        const dataResult = await pool.query(
+            `SELECT ${APPLICATION_COLUMNS} ${APPLICATION_FROM} ${whereClause}
+             ORDER BY a.${safeSortBy} ${safeSortOrder}, a.application_id ${safeSortOrder}
+             LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+            [...queryParams, limit, offset]
+        );
+        const totalPages = Math.ceil(total / limit);
+
+        return {
+            success: true,
+            data: {
+                applications: dataResult.rows,
+                pagination: {
+                    current_page: parseInt(page),
+                    total_pages: totalPages,
+                    total_count: total,
+                    limit: parseInt(limit),
+                    has_next: page < totalPages,
+                    has_prev: page > 1
+                }
+            },
+            message: 'Applications retrieved successfully'
+        };
+    } catch (error) {
+        logger.error({
+            stack: error.stack,
+            params
+        }, `getAllApplications: ${error.message}`);
+        throw error;
+    }
+};
+
+// Get application by ID
+export const getApplicationById = async (applicationId) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${APPLICATION_COLUMNS} ${APPLICATION_FROM} WHERE a.application_id = $1`,
+            [applicationId]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                success: false,
+                message: 'Application not found'
+            };
+        }
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Application retrieved successfully'
+        };
+    } catch (error) {
+        logger.error({
+            stack: error.stack,
+            applicationId
+        }, `getApplicationById: ${error.message}`);
+        throw error;
+    }
+};
+
+// Get all applications of a student, newest first
+export const getApplicationsByStudentId = async (studentId) => {
+    try {
+        const studentResult = await pool.query(
+            'SELECT student_id FROM students WHERE UPPER(student_id) = UPPER($1)',
+            [studentId]
+        );
+        if (studentResult.rows.length === 0) {
+            return {
+                success: false,
+                message: 'Student not found'
+            };
+        }
+
+        const result = await pool.query(
+            `SELECT ${APPLICATION_COLUMNS} ${APPLICATION_FROM}
+             WHERE a.student_id = $1
+             ORDER BY a.applied_at DESC, a.application_id DESC`,
+            [studentResult.rows[0].student_id]
+        );
+
+        return {
+            success: true,
+            data: result.rows,
+            message: 'Student applications retrieved successfully',
+            count: result.rows.length
+        };
+    } catch (error) {
+        logger.error({
+            stack: error.stack,
+            studentId
+        }, `getApplicationsByStudentId: ${error.message}`);
+        throw error;
+    }
+};
+
+// Get all applications for a job, in the order they were made
+export const getApplicationsByJobId = async (jobId) => {
+    try {
+        const jobResult = await pool.query('SELECT job_id FROM jobs WHERE job_id = $1', [jobId]);
+        if (jobResult.rows.length === 0) {
+            return {
+                success: false,
+                message: 'Job not found'
+            };
+        }
+
+        const result = await pool.query(
+            `SELECT ${APPLICATION_COLUMNS} ${APPLICATION_FROM}
+             WHERE a.job_id = $1
+             ORDER BY a.applied_at ASC, a.application_id ASC`,
+            [jobId]
+        );
+
+        return {
+            success: true,
+            data: result.rows,
+            message: 'Job applications retrieved successfully',
+            count: result.rows.length
+        };
+    } catch (error) {
+        logger.error({
+            stack: error.stack,
+            jobId
+        }, `getApplicationsByJobId: ${error.message}`);
+        throw error;
+    }
+};
+
+// Update an application's status and/or notes
+export const updateApplication = audited({ ...APPLICATION_AUDIT_SPEC, action: 'update', id: (applicationId) => applicationId }, async (applicationId, updates) => {
+    try {
+        const result = await pool.query(
+            `UPDATE applications
+             SET status = COALESCE($2, status),
+                 notes = CASE WHEN $3 THEN $4 ELSE notes END,
+                 updated_at = NOW()
+             WHERE application_id = $1
+             RETURNING *`,
+            [applicationId, updates.status ?? null, updates.notes !== undefined, updates.notes || null]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                success: false,
+                message: 'Application not found'
+            };
+        }
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Application updated successfully'
+        };
+    } catch (error) {
+        logger.error({
+            stack: error.stack,
+            applicationId,
+            updates
+        }, `updateApplication: ${error.message}`);
+        throw error;
+    }
+});
+
+// Delete an application
+export const deleteApplication = audited({ ...APPLICATION_AUDIT_SPEC, action: 'delete', id: (applicationId) => applicationId }, async (applicationId) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM applications WHERE application_id = $1 RETURNING application_id',
+            [applicationId]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                success: false,
+                message: 'Application not found'
+            };
+        }
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Application deleted successfully'
+        };
+    } catch (error) {
+        logger.error({
+            stack: error.stack,
+            applicationId
+        }, `deleteApplication: ${error.message}`);
+        throw error;
+    }
+});
+
+// Application counts overall, by status and per job (optionally for one job)
+export const getApplicationStats = async ({ job_id = null } = {}) => {
+    try {
+        const where = job_id ? 'WHERE a.job_id = $1' : '';
+        const values = job_id ? [job_id] : [];
+
+        const totals = await pool.query(
+            `SELECT COUNT(*)::int AS total, COUNT(DISTINCT a.student_id)::int AS unique_students
+             FROM applications a ${where}`,
+            values
+        );
+
+        const byStatus = await pool.query(
+            `SELECT a.status, COUNT(*)::int AS count
+             FROM applications a ${where}
+             GROUP BY a.status`,
+            values
+        );
+
+        const byJob = await pool.query(
+            `SELECT a.job_id, j.job_title, c.company_name,
+                    COUNT(*)::int AS total,
+                    ${APPLICATION_STATUSES.map((status) => `COUNT(*) FILTER (WHERE a.status = '${status}')::int AS ${status.toLowerCase()}`).join(',\n                    ')}
+             FROM applications a
+             JOIN jobs j ON j.job_id = a.job_id
+             LEFT JOIN companies c ON c.company_id = j.company_id
+             ${where}
+             GROUP BY a.job_id, j.job_title, c.company_name
+             ORDER BY total DESC, a.job_id`,
+            values
+        );
+
+        const by_status = Object.fromEntries(APPLICATION_STATUSES.map((status) => [status, 0]));
+        for (const row of byStatus.rows) by_status[row.status] = row.count;
+
+        return {
+            success: true,
+            data: {
+                total: totals.rows[0].total,
+                unique_students: totals.rows[0].unique_students,
+                by_status,
+                by_job: byJob.rows
+            },
+            message: 'Application statistics retrieved successfully'
+        };
+    } catch (error) {
+        logger.error({
+            stack: error.stack,
+            job_id
+        }, `getApplicationStats: ${error.message}`);
+        throw error;
+    }
+};
@@ -0,0 +1,237 @@
+import pool from './connection.js';
+import logger from '../utils/logger.js';
+import { getAuditActor } from '../utils/auditContext.js';
+
+// Never copied into the audit log; a change to one is recorded as "[REDACTED]"
+const SENSITIVE_FIELDS = ['password_hash', 'refresh_token_hash', 'token_hash', 'key_hash', 'secret_encrypted', 'pending_secret_encrypted'];
+const REDACTED = '[REDACTED]';
+
+const BULK_ACTIONS = ['bulk_create', 'bulk_update', 'bulk_delete'];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────────
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const redact = (row) => {
+    if (!isRecord(row)) return row ?? null;
+    const copy = { ...row };
+    for (const field of SENSITIVE_FIELDS) {
+        if (field in copy) copy[field] = REDACTED;
+    }
+    return copy;
+};
+
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+/**
+ * Field-level diff of two row snapshots: { field: { from, to } }.
+ * Sensitive fields show up as changed but without their values.
+ */
+const diffRows = (before, after) => {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+        changes[field] = SENSITIVE_FIELDS.includes(field)
+            ? { from: REDACTED, to: REDACTED }
+            : { from, to };
+    }
+    return changes;
+};
+
+const countOf = (result) => {
+    const data = result?.data;
+    if (Array.isArray(data)) return data.length;
+    return result?.count ?? data?.count ?? null;
+};
+
+// ─── RECORD ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Write one audit entry, attributed to the current request (see utils/auditContext.js).
+ * Failures are logged, never thrown: the change itself has already happened.
+ *
+ * @param {{ action: string, entity: string, entity_id?: string|number,
+ *           before?: object, after?: object, changes?: object, details?: object }} entry
+ */
+export const recordAudit = async ({ action, entity, entity_id = null, before = null, after = null, changes = null, details = {} }) => {
+    const actor = getAuditActor();
+
+    const query = `
+        INSERT INTO audit_log (
+            actor_user_id, actor_role, action, entity, entity_id,
+            before, after, changes, details,
+            ip_address, user_agent, request_method, request_path,
+            actor_service_account_id, impersonated_user_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::inet, $11, $12, $13, $14, $15)
+        RETURNING audit_id
+    `;
+
+    try {
+        const result = await pool.query(query, [
+            actor.actor_user_id,
+            actor.actor_role,
+            action,
+            entity,
+            entity_id === null ? null : String(entity_id),
+            toJson(redact(before)),
+            toJson(redact(after)),
+            toJson(changes),
+            toJson(details),
+            actor.ip_address,
+            actor.user_agent,
+            actor.request_method,
+            actor.request_path,
+            actor.actor_service_account_id,
+            actor.impersonated_user_id,
+        ]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error({ error: error.message, action, entity, entity_id, actor_user_id: actor.actor_user_id }, 'Failed to record audit entry');
+        return null;
+    }
+};
+
+// ─── WRAPPER ────────────────────────────────────────────────────────────────────
+
+const loadSnapshot = async (spec, id) => {
+    const query = spec.select || `SELECT * FROM ${spec.table} WHERE ${spec.idColumn} = $1`;
+    try {
+        const result = await pool.query(query, [id]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.warn({ error: error.message, entity: spec.entity, entity_id: id }, 'Audit snapshot failed');
+        return null;
+    }
+};
+
+/**
+ * Wrap a db write function so every successful call is recorded in audit_log.
+ *
+ * Row snapshots are taken before and after the write when the spec names a
+ * table (or a custom `select` taking the id as $1); otherwise only `details`
+ * are kept. Calls that throw or return `{ success: false }` are not recorded.
+ *
+ * @param {{ entity: string,
+ *           action: 'create'|'update'|'delete'|'bulk_create'|'bulk_update'|'bulk_delete'|string,
+ *           table?: string, idColumn?: string, select?: string,
+ *           id?: (...args) => any,             // entity id from the call arguments
+ *           resultId?: (result) => any,        // entity id from the result (creates)
+ *           details?: (...args) => object }} spec
+ * @param {Function} fn
+ */
+export const audited = (spec, fn) => async (...args) => {
+    const canSnapshot = Boolean(spec.select || (spec.table && spec.idColumn));
+    const isBulk = BULK_ACTIONS.includes(spec.action);
+    const argId = spec.id ? spec.id(...args) : null;
+
+    const before = canSnapshot && argId != null && spec.action !== 'create'
+        ? await loadSnapshot(spec, argId)
+        : null;
+
+    const result = await fn(...args);
+    if (result?.success === false) return result;
+
+    try {
+        const details = spec.details ? spec.details(...args) : {};
+
+        if (isBulk) {
+            await recordAudit({ action: spec.action, entity: spec.entity, entity_id: argId, details: { ...details, count: countOf(result) } });
+            return result;
+        }
+
+        const data = isRecord(result?.data) ? result.data : null;
+        const entityId = argId ?? spec.resultId?.(result) ?? (spec.idColumn ? data?.[spec.idColumn] : null) ?? null;
+
+        let after = null;
+        if (spec.action !== 'delete') {
+            after = canSnapshot && entityId != null ? await loadSnapshot(spec, entityId) : data;
+        }
+
+        const changes = before && after ? diffRows(before, after) : null;
+        // An update that touched nothing is not worth an entry
+        if (changes && Object.keys(changes).length === 0) return result;
+
+        await recordAudit({ action: spec.action, entity: spec.entity, entity_id: entityId, before, after, changes, details });
+    } catch (error) {
+        logger.error({ error: error.message, entity: spec.entity, action: spec.action }, 'Audit recording failed');
+    }
+
+    return result;
+};
+
+// ─── QUERY ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Paginated audit log, newest first.
+ * @param {{ actor_id?: number, service_account_id?: number, impersonated_user_id?: number,
+ *           entity?: string, entity_id?: string, action?: string,
+ *           from?: Date, to?: Date, page?: number, limit?: number }} params
+ */
+export const getAuditLogs = async (params = {}) => {
+    const { actor_id, service_account_id, impersonated_user_id, entity, entity_id, action, from, to, page = 1, limit = 20 } = params;
+
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (actor_id) addCondition('a.actor_user_id = ?', actor_id);
+    if (service_account_id) addCondition('a.actor_service_account_id = ?', service_account_id);
+    if (impersonated_user_id) addCondition('a.impersonated_user_id = ?', impersonated_user_id);
+    if (entity) addCondition('a.entity = ?', entity);
+    if (entity_id) addCondition('a.entity_id = ?', String(entity_id));
+    if (action) addCondition('a.action = ?', action);
+    if (from) addCondition('a.created_at >= ?', from);
+    if (to) addCondition('a.created_at <= ?', to);
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    try {
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM audit_log a ${where}`, values);
+        const total = parseInt(countResult.rows[0].total, 10);
+
+        const dataResult = await pool.query(`
+            SELECT a.*, u.username AS actor_username, s.name AS actor_service_account,
+                   iu.username AS impersonated_username
+            FROM audit_log a
+            LEFT JOIN users u ON u.user_id = a.actor_user_id
+            LEFT JOIN users iu ON iu.user_id = a.impersonated_user_id
+            LEFT JOIN service_accounts s ON s.service_account_id = a.actor_service_account_id
+            ${where}
+            ORDER BY a.created_at DESC, a.audit_id DESC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `, [...values, limit, offset]);
+
+        const totalPages = Math.ceil(total / limit);
+
+        logger.info(`getAuditLogs: Retrieved ${dataResult.rows.length} audit entries`);
+
+        return {
+            success: true,
+            data: {
+                entries: dataResult.rows,
+                pagination: {
+                    current_page: page,
+                    total_pages: totalPages,
+                    total_count: total,
+                    limit,
+                    has_next: page < totalPages,
+                    has_prev: page > 1
+                }
+            },
+            message: 'Audit log retrieved successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, params }, `getAuditLogs: ${error.message}`);
+        throw error;
+    }
+};
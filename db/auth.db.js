@@ -42,6 +42,7 @@ export const getUserForAuth = async (userId) => {
       u.role_id,
       r.role_name,
       u.is_active,
+      u.must_change_password,
       u.token_version
     FROM users u
     LEFT JOIN roles r ON u.role_id = r.role_id
@@ -155,18 +156,91 @@ export const findSessionById = async (sessionId) => {
   return result.rows[0] || null;
 };
 
+/**
+ * List a user's unexpired sessions, most recently active first.
+ * Never returns the refresh token hash.
+ */
+export const listUserSessions = async (userId) => {
+  const query = `
+    SELECT 
+      session_id,
+      ip_address,
+      user_agent,
+      created_at,
+      last_activity,
+      expires_at
+    FROM user_sessions
+    WHERE user_id = $1
+      AND expires_at > NOW()
+    ORDER BY COALESCE(last_activity, created_at) DESC
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+};
+
+/**
+ * Whether a session still exists and has not expired.
+ * Used on every authenticated request so revoked sessions stop working at once.
+ */
+export const isSessionActive = async (sessionId) => {
+  const query = `SELECT 1 FROM user_sessions WHERE session_id = $1 AND expires_at > NOW()`;
+  const result = await pool.query(query, [sessionId]);
+  return result.rowCount > 0;
+};
+
 /**
  * Update the refresh_token_hash and last_activity for token rotation.
+ *
+ * When `previousFingerprint` (SHA-256 of the token being retired) is given,
+ * it is recorded in refresh_token_history so a later replay can be detected.
+ * With `previousHash` the update only succeeds if the session still holds
+ * that hash, so two concurrent refreshes cannot both rotate the same token.
+ * Returns null if nothing was rotated.
+ */
+export const rotateSessionRefreshToken = async (sessionId, newRefreshTokenHash, { previousHash = null, previousFingerprint = null } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const updateQuery = `
+      UPDATE user_sessions
+      SET refresh_token_hash = $2,
+          last_activity = NOW()
+      WHERE session_id = $1
+        AND ($3::text IS NULL OR refresh_token_hash = $3::text)
+      RETURNING session_id, user_id, last_activity, expires_at
+    `;
+    const result = await client.query(updateQuery, [sessionId, newRefreshTokenHash, previousHash]);
+    const session = result.rows[0];
+
+    if (session && previousFingerprint) {
+      await client.query(`
+        INSERT INTO refresh_token_history (token_fingerprint, session_id, user_id, expires_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (token_fingerprint) DO NOTHING
+      `, [previousFingerprint, session.session_id, session.user_id, session.expires_at]);
+    }
+
+    await client.query('COMMIT');
+    return session || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Look up a retired refresh token by its SHA-256 fingerprint.
  */
-export const rotateSessionRefreshToken = async (sessionId, newRefreshTokenHash) => {
+export const findRotatedRefreshToken = async (fingerprint) => {
   const query = `
-    UPDATE user_sessions
-    SET refresh_token_hash = $2,
-        last_activity = NOW()
-    WHERE session_id = $1
-    RETURNING session_id, last_activity
+    SELECT session_id, user_id, rotated_at
+    FROM refresh_token_history
+    WHERE token_fingerprint = $1
   `;
-  const result = await pool.query(query, [sessionId, newRefreshTokenHash]);
+  const result = await pool.query(query, [fingerprint]);
   return result.rows[0] || null;
 };
 
@@ -181,10 +255,15 @@ export const deleteSession = async (sessionId) => {
 
 /**
  * Delete all sessions for a user (global logout / token invalidation).
+ * Pass `exceptSessionId` to keep the caller's own session.
  */
-export const deleteAllUserSessions = async (userId) => {
-  const query = `DELETE FROM user_sessions WHERE user_id = $1`;
-  const result = await pool.query(query, [userId]);
+export const deleteAllUserSessions = async (userId, exceptSessionId = null) => {
+  const query = `
+    DELETE FROM user_sessions
+    WHERE user_id = $1
+      AND ($2::text IS NULL OR session_id::text <> $2::text)
+  `;
+  const result = await pool.query(query, [userId, exceptSessionId]);
   return result.rowCount;
 };
 
@@ -197,6 +276,9 @@ export const cleanExpiredSessions = async () => {
   if (result.rowCount > 0) {
     logger.info(`Cleaned ${result.rowCount} expired sessions`);
   }
+
+  // Retired refresh tokens are only worth keeping while they could still be replayed
+  await pool.query(`DELETE FROM refresh_token_history WHERE expires_at < NOW()`);
   return result.rowCount;
 };
 
@@ -0,0 +1,371 @@
+import pool from './connection.js';
+import logger from '../utils/logger.js';
+import { audited } from './audit.db.js';
+import { AppError } from '../utils/errors.js';
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const BRANCH_COLUMNS = `
+    b.branch_id, b.code, b.name, b.is_active, b.deactivated_at,
+    d.code AS department_code, d.name AS department_name,
+    p.code AS programme_code, p.name AS programme_name,
+    COALESCE(
+        (SELECT array_agg(a.code ORDER BY a.created_at) FROM branch_code_aliases a WHERE a.branch_id = b.branch_id),
+        '{}'
+    ) AS previous_codes,
+    b.created_at, b.updated_at
+`;
+
+const BRANCH_FROM = `
+    FROM branches b
+    LEFT JOIN departments d ON d.department_id = b.department_id
+    LEFT JOIN degree_programmes p ON p.programme_id = b.programme_id
+`;
+
+// Branch codes are unique across branches.code and branch_code_aliases. Taken
+// by every transaction that adds a code, so two of them can't claim the same one.
+const lockBranchCodes = (client) =>
+    client.query('LOCK TABLE branch_code_aliases IN SHARE ROW EXCLUSIVE MODE');
+
+// Throw 409 if `code` is the current or a previous code of a branch other than `branchId`
+const assertCodeAvailable = async (client, code, branchId = null) => {
+    const result = await client.query(
+        `SELECT branch_id FROM branches WHERE code = $1
+         UNION ALL
+         SELECT branch_id FROM branch_code_aliases WHERE code = $1`,
+        [code]
+    );
+    if (result.rows.some((row) => row.branch_id !== branchId)) {
+        throw new AppError(409, `Branch code "${code}" is already in use`);
+    }
+};
+
+const findIdByCode = async (client, table, idColumn, code, label) => {
+    const result = await client.query(`SELECT ${idColumn} FROM ${table} WHERE code = $1`, [normalizeCode(code)]);
+    if (result.rowCount === 0) {
+        throw new AppError(422, `${label} "${normalizeCode(code)}" does not exist`);
+    }
+    return result.rows[0][idColumn];
+};
+
+// ─── BRANCH CODES ───────────────────────────────────────────────────────────────
+
+/**
+ * Every code that refers to a branch: current codes and the codes branches
+ * had before being renamed. Deactivated branches are left out unless
+ * `includeInactive` is set.
+ */
+export const getBranchCodes = async ({ includeInactive = false } = {}) => {
+    const result = await pool.query(
+        `SELECT b.code FROM branches b WHERE $1 OR b.is_active
+         UNION
+         SELECT a.code
+         FROM branch_code_aliases a
+         JOIN branches b ON b.branch_id = a.branch_id
+         WHERE $1 OR b.is_active
+         ORDER BY code`,
+        [includeInactive]
+    );
+    return result.rows.map((row) => row.code);
+};
+
+/**
+ * Look up branch codes, current or previous. Codes that match no branch are
+ * left out of the result.
+ *
+ * @param {string[]} codes
+ * @returns {Promise<{ code: string, current_code: string, is_active: boolean }[]>}
+ */
+export const resolveBranchCodes = async (codes) => {
+    if (!codes?.length) return [];
+    const result = await pool.query(
+        `SELECT c.code, b.code AS current_code, b.is_active
+         FROM unnest($1::text[]) AS c(code)
+         JOIN LATERAL (
+             SELECT branch_id FROM branches WHERE code = c.code
+             UNION ALL
+             SELECT branch_id FROM branch_code_aliases WHERE code = c.code
+             LIMIT 1
+         ) m ON TRUE
+         JOIN branches b ON b.branch_id = m.branch_id`,
+        [[...new Set(codes.map(normalizeCode))]]
+    );
+    return result.rows;
+};
+
+// ─── BRANCHES ───────────────────────────────────────────────────────────────────
+
+/**
+ * @param {{ include_inactive?: boolean, department?: string, programme?: string }} [filters]
+ */
+export const listBranches = async ({ include_inactive = false, department, programme } = {}) => {
+    const conditions = [];
+    const values = [];
+
+    if (!include_inactive) conditions.push('b.is_active');
+    if (department) {
+        values.push(normalizeCode(department));
+        conditions.push(`d.code = $${values.length}`);
+    }
+    if (programme) {
+        values.push(normalizeCode(programme));
+        conditions.push(`p.code = $${values.length}`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await pool.query(
+        `SELECT ${BRANCH_COLUMNS} ${BRANCH_FROM} ${where} ORDER BY b.code`,
+        values
+    );
+    return result.rows;
+};
+
+/**
+ * A branch by its current or a previous code, with its intake per admission
+ * year. Null if no branch ever had the code.
+ */
+export const getBranchByCode = async (code) => {
+    const upper = normalizeCode(code);
+    const result = await pool.query(
+        `SELECT ${BRANCH_COLUMNS} ${BRANCH_FROM}
+         WHERE b.code = $1
+            OR b.branch_id = (SELECT branch_id FROM branch_code_aliases WHERE code = $1)`,
+        [upper]
+    );
+    const branch = result.rows[0];
+    if (!branch) return null;
+
+    const intakes = await pool.query(
+        `SELECT admission_year, intake
+         FROM branch_intakes
+         WHERE branch_id = $1
+         ORDER BY admission_year DESC`,
+        [branch.branch_id]
+    );
+    return { ...branch, intakes: intakes.rows };
+};
+
+export const createBranch = audited({ entity: 'branch', action: 'create', table: 'branches', idColumn: 'branch_id' }, async (branch) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await lockBranchCodes(client);
+
+        const code = normalizeCode(branch.code);
+        await assertCodeAvailable(client, code);
+
+        const departmentId = branch.department_code
+            ? await findIdByCode(client, 'departments', 'department_id', branch.department_code, 'Department')
+            : null;
+        const programmeId = branch.programme_code
+            ? await findIdByCode(client, 'degree_programmes', 'programme_id', branch.programme_code, 'Programme')
+            : null;
+
+        const result = await client.query(
+            `INSERT INTO branches (code, name, department_id, programme_id)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [code, branch.name.trim(), departmentId, programmeId]
+        );
+
+        await client.query('COMMIT');
+        return { success: true, data: result.rows[0], message: 'Branch created successfully' };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error({ stack: error.stack, code: branch.code }, `createBranch: ${error.message}`);
+        throw error;
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Update a branch. Changing `code` renames it: the old code is kept as an
+ * alias, so students and job requirements that hold it still resolve to the
+ * branch. Renaming back to a previous code drops that alias.
+ *
+ * @param {number} branchId
+ * @param {{ code?: string, name?: string, department_code?: string|null,
+ *           programme_code?: string|null, is_active?: boolean }} changes
+ */
+export const updateBranch = audited({ entity: 'branch', action: 'update', table: 'branches', idColumn: 'branch_id', id: (branchId) => branchId }, async (branchId, changes) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const current = await client.query('SELECT * FROM branches WHERE branch_id = $1 FOR UPDATE', [branchId]);
+        if (current.rowCount === 0) {
+            throw new AppError(404, 'Branch not found');
+        }
+        const branch = current.rows[0];
+
+        const sets = [];
+        const values = [];
+        const set = (column, value) => {
+            values.push(value);
+            sets.push(`${column} = $${values.length}`);
+        };
+
+        if (changes.code !== undefined && normalizeCode(changes.code) !== branch.code) {
+            const code = normalizeCode(changes.code);
+            await lockBranchCodes(client);
+            await assertCodeAvailable(client, code, branchId);
+
+            await client.query('DELETE FROM branch_code_aliases WHERE code = $1', [code]);
+            await client.query(
+                'INSERT INTO branch_code_aliases (code, branch_id) VALUES ($1, $2)',
+                [branch.code, branchId]
+            );
+            set('code', code);
+        }
+        if (changes.name !== undefined) set('name', changes.name.trim());
+        if (changes.department_code !== undefined) {
+            set('department_id', changes.department_code === null
+                ? null
+                : await findIdByCode(client, 'departments', 'department_id', changes.department_code, 'Department'));
+        }
+        if (changes.programme_code !== undefined) {
+            set('programme_id', changes.programme_code === null
+                ? null
+                : await findIdByCode(client, 'degree_programmes', 'programme_id', changes.programme_code, 'Programme'));
+        }
+        if (changes.is_active !== undefined && changes.is_active !== branch.is_active) {
+            set('is_active', changes.is_active);
+            sets.push(changes.is_active ? 'deactivated_at = NULL' : 'deactivated_at = NOW()');
+        }
+
+        let updated = branch;
+        if (sets.length > 0) {
+            values.push(branchId);
+            const result = await client.query(
+                `UPDATE branches SET ${sets.join(', ')}, updated_at = NOW()
+                 WHERE branch_id = $${values.length}
+                 RETURNING *`,
+                values
+            );
+            updated = result.rows[0];
+        }
+
+        await client.query('COMMIT');
+        return { success: true, data: updated, message: 'Branch updated successfully' };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error({ stack: error.stack, branchId }, `updateBranch: ${error.message}`);
+        throw error;
+    } finally {
+        client.release();
+    }
+});
+
+// Set the intake of a branch for one admission year
+export const setBranchIntake = audited({
+    entity: 'branch',
+    action: 'set_intake',
+    id: (branchId) => branchId,
+    details: (branchId, admissionYear, intake) => ({ admission_year: admissionYear, intake })
+}, async (branchId, admissionYear, intake) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO branch_intakes (branch_id, admission_year, intake)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (branch_id, admission_year)
+             DO UPDATE SET intake = EXCLUDED.intake, updated_at = NOW()
+             RETURNING admission_year, intake, updated_at`,
+            [branchId, admissionYear, intake]
+        );
+        return { success: true, data: result.rows[0], message: 'Intake saved successfully' };
+    } catch (error) {
+        logger.error({ stack: error.stack, branchId, admissionYear }, `setBranchIntake: ${error.message}`);
+        throw error;
+    }
+});
+
+// ─── DEPARTMENTS ────────────────────────────────────────────────────────────────
+
+// Departments with the number of active branches in each
+export const listDepartments = async ({ include_inactive = false } = {}) => {
+    const result = await pool.query(
+        `SELECT d.department_id, d.code, d.name, d.is_active,
+                COUNT(b.branch_id) FILTER (WHERE b.is_active)::int AS active_branches,
+                d.created_at, d.updated_at
+         FROM departments d
+         LEFT JOIN branches b ON b.department_id = d.department_id
+         WHERE $1 OR d.is_active
+         GROUP BY d.department_id
+         ORDER BY d.code`,
+        [include_inactive]
+    );
+    return result.rows;
+};
+
+export const getDepartmentByCode = async (code) => {
+    const result = await pool.query('SELECT * FROM departments WHERE code = $1', [normalizeCode(code)]);
+    return result.rows[0] || null;
+};
+
+export const createDepartment = audited({ entity: 'department', action: 'create', table: 'departments', idColumn: 'department_id' }, async ({ code, name }) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO departments (code, name) VALUES ($1, $2) RETURNING *`,
+            [normalizeCode(code), name.trim()]
+        );
+        return { success: true, data: result.rows[0], message: 'Department created successfully' };
+    } catch (error) {
+        if (error.code === '23505') {
+            throw new AppError(409, `Department "${normalizeCode(code)}" already exists`);
+        }
+        logger.error({ stack: error.stack, code }, `createDepartment: ${error.message}`);
+        throw error;
+    }
+});
+
+// Rename or (de)activate a department. Its branches are left as they are.
+export const updateDepartment = audited({ entity: 'department', action: 'update', table: 'departments', idColumn: 'department_id', id: (departmentId) => departmentId }, async (departmentId, { name, is_active }) => {
+    try {
+        const result = await pool.query(
+            `UPDATE departments
+             SET name = COALESCE($2, name),
+                 is_active = COALESCE($3, is_active),
+                 updated_at = NOW()
+             WHERE department_id = $1
+             RETURNING *`,
+            [departmentId, name?.trim() ?? null, is_active ?? null]
+        );
+        if (result.rowCount === 0) {
+            throw new AppError(404, 'Department not found');
+        }
+        return { success: true, data: result.rows[0], message: 'Department updated successfully' };
+    } catch (error) {
+        logger.error({ stack: error.stack, departmentId }, `updateDepartment: ${error.message}`);
+        throw error;
+    }
+});
+
+// ─── DEGREE PROGRAMMES ──────────────────────────────────────────────────────────
+
+export const listProgrammes = async () => {
+    const result = await pool.query(
+        `SELECT programme_id, code, name, level, duration_years, is_active, created_at
+         FROM degree_programmes
+         ORDER BY level DESC, code`
+    );
+    return result.rows;
+};
+
+export const createProgramme = audited({ entity: 'degree_programme', action: 'create', table: 'degree_programmes', idColumn: 'programme_id' }, async ({ code, name, level, duration_years }) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO degree_programmes (code, name, level, duration_years)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [normalizeCode(code), name.trim(), level, duration_years]
+        );
+        return { success: true, data: result.rows[0], message: 'Programme created successfully' };
+    } catch (error) {
+        if (error.code === '23505') {
+            throw new AppError(409, `Programme "${normalizeCode(code)}" already exists`);
+        }
+        logger.error({ stack: error.stack, code }, `createProgramme: ${error.message}`);
+        throw error;
+    }
+});
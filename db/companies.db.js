@@ -1,9 +1,10 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 import { AppError } from '../utils/errors.js';
 
 // Create a new company
-export const createCompany = async (company) => {
+export const createCompany = audited({ entity: 'company', action: 'create', table: 'companies', idColumn: 'company_id' }, async (company) => {
     const client = await pool.connect();
     try {
         logger.info('createCompany: Creating a new company record');
@@ -60,7 +61,7 @@ export const createCompany = async (company) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all companies with pagination and multi-field search
 export const getAllCompanies = async (params = {}) => {
@@ -168,7 +169,7 @@ export const getCompanyById = async (companyId) => {
 };
 
 // Update company by ID
-export const updateCompany = async (companyId, company) => {
+export const updateCompany = audited({ entity: 'company', action: 'update', table: 'companies', idColumn: 'company_id', id: (companyId) => companyId }, async (companyId, company) => {
     const client = await pool.connect();
     try {
         logger.info(`updateCompany: Updating company with ID ${companyId}`);
@@ -235,10 +236,10 @@ export const updateCompany = async (companyId, company) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete company by ID
-export const deleteCompany = async (companyId) => {
+export const deleteCompany = audited({ entity: 'company', action: 'delete', table: 'companies', idColumn: 'company_id', id: (companyId) => companyId }, async (companyId) => {
     const client = await pool.connect();
     try {
         logger.info(`deleteCompany: Deleting company with ID ${companyId}`);
@@ -272,4 +273,4 @@ export const deleteCompany = async (companyId) => {
     } finally {
         client.release();
     }
-};
+});
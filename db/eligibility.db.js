@@ -0,0 +1,96 @@
+import logger from '../utils/logger.js';
+import pool from './connection.js';
+
+// ─── ELIGIBILITY INPUTS ─────────────────────────────────────────────────────────
+
+// What eligibility is judged on: the student's branch and batch, their latest
+// academics and their internship experience in years
+const PROFILE_QUERY = `
+    SELECT
+        s.student_id,
+        s.full_name,
+        s.branch,
+        s.graduation_year,
+        (sa.student_id IS NOT NULL) AS has_academics,
+        sa.tenth_percent::float AS tenth_percent,
+        sa.twelfth_percent::float AS twelfth_percent,
+        sa.diploma_percent::float AS diploma_percent,
+        sa.ug_cgpa::float AS ug_cgpa,
+        sa.updated_arrears,
+        COALESCE((
+            SELECT SUM(GREATEST(COALESCE(i.end_date::date, CURRENT_DATE) - i.start_date::date, 0))
+            FROM student_internships i
+            WHERE i.student_id = s.student_id AND i.start_date IS NOT NULL
+        ), 0) / 365.25 AS experience_years
+    FROM students s
+    LEFT JOIN student_academics sa ON sa.student_id = s.student_id
+`;
+
+/**
+ * Eligibility profiles of the given students, or of every student when
+ * `studentIds` is null. Ids are matched case-insensitively.
+ *
+ * @param {string[]|null} studentIds
+ */
+export const getEligibilityProfiles = async (studentIds = null) => {
+    try {
+        const result = studentIds === null
+            ? await pool.query(`${PROFILE_QUERY} ORDER BY s.student_id`)
+            : await pool.query(
+                `${PROFILE_QUERY} WHERE UPPER(s.student_id) = ANY($1::text[]) ORDER BY s.student_id`,
+                [studentIds.map((id) => String(id).toUpperCase())]
+            );
+        return result.rows.map((row) => ({ ...row, experience_years: Number(row.experience_years) }));
+    } catch (error) {
+        logger.error({ stack: error.stack, studentCount: studentIds?.length ?? 'all' }, `getEligibilityProfiles: ${error.message}`);
+        throw error;
+    }
+};
+
+const JOB_QUERY = `
+    SELECT
+        j.job_id,
+        j.job_title,
+        c.company_name,
+        j.application_deadline,
+        j.year_of_graduation,
+        (j.application_deadline IS NULL OR NOW() <= j.application_deadline) AS is_open,
+        jr.tenth_percent::float AS tenth_percent,
+        jr.twelfth_percent::float AS twelfth_percent,
+        jr.ug_cgpa::float AS ug_cgpa,
+        jr.min_experience_yrs::float AS min_experience_yrs,
+        jr.allowed_branches,
+        jr.backlogs_allowed
+    FROM jobs j
+    LEFT JOIN companies c ON c.company_id = j.company_id
+    LEFT JOIN job_requirements jr ON jr.job_id = j.job_id
+`;
+
+/**
+ * Jobs with their requirements, by id. With `openOnly` and no ids, every job
+ * still taking applications.
+ *
+ * @param {number[]|null} jobIds
+ * @param {{ openOnly?: boolean }} [options]
+ */
+export const getEligibilityJobs = async (jobIds = null, { openOnly = false } = {}) => {
+    const conditions = [];
+    const values = [];
+
+    if (jobIds !== null) {
+        values.push(jobIds);
+        conditions.push(`j.job_id = ANY($${values.length}::int[])`);
+    }
+    if (openOnly) {
+        conditions.push('(j.application_deadline IS NULL OR NOW() <= j.application_deadline)');
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    try {
+        const result = await pool.query(`${JOB_QUERY} ${where} ORDER BY j.job_id`, values);
+        return result.rows;
+    } catch (error) {
+        logger.error({ stack: error.stack, jobIds, openOnly }, `getEligibilityJobs: ${error.message}`);
+        throw error;
+    }
+};
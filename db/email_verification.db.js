@@ -0,0 +1,174 @@
+import pool from './connection.js';
+
+// Where each verifiable address lives, keyed by address_type
+const ADDRESS_COLUMNS = {
+  account: { table: 'users', email: 'email', verifiedAt: 'email_verified_at', key: 'user_id' },
+  student_email: { table: 'students', email: 'email', verifiedAt: 'email_verified_at', key: 'student_id' },
+  student_alt_email: { table: 'students', email: 'alt_email', verifiedAt: 'alt_email_verified_at', key: 'student_id' },
+};
+
+export const ADDRESS_TYPES = Object.keys(ADDRESS_COLUMNS);
+
+// ─── ADDRESSES ──────────────────────────────────────────────────────────────────
+
+/**
+ * The user's account address and, for a student, the linked student record's
+ * addresses, each with its verification timestamp. Null if the user is unknown.
+ */
+export const getUserAddresses = async (userId) => {
+  const query = `
+    SELECT u.user_id, u.username, u.email AS account_email, u.email_verified_at AS account_verified_at,
+           s.student_id,
+           s.email AS student_email, s.email_verified_at AS student_email_verified_at,
+           s.alt_email AS student_alt_email, s.alt_email_verified_at AS student_alt_email_verified_at
+    FROM users u
+    LEFT JOIN student_users su ON su.user_id = u.user_id
+    LEFT JOIN students s ON s.student_id = su.student_id
+    WHERE u.user_id = $1
+  `;
+  const result = await pool.query(query, [userId]);
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const addresses = [{ address_type: 'account', email: row.account_email, verified_at: row.account_verified_at }];
+  if (row.student_id) {
+    addresses.push(
+      { address_type: 'student_email', email: row.student_email, verified_at: row.student_email_verified_at },
+      { address_type: 'student_alt_email', email: row.student_alt_email, verified_at: row.student_alt_email_verified_at },
+    );
+  }
+
+  return { user_id: row.user_id, username: row.username, student_id: row.student_id, addresses };
+};
+
+// ─── TOKENS ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Links sent for one of the user's addresses since `since`, with when the
+ * first and latest of them went out. Used to throttle resends.
+ */
+export const getRecentSends = async (userId, addressType, since) => {
+  const query = `
+    SELECT COUNT(*)::int AS count, MIN(created_at) AS first_sent_at, MAX(created_at) AS last_sent_at
+    FROM email_verification_tokens
+    WHERE user_id = $1 AND address_type = $2 AND created_at > $3
+  `;
+  const result = await pool.query(query, [userId, addressType, since]);
+  return result.rows[0];
+};
+
+/**
+ * Store a new verification token (hash only), spending any outstanding one
+ * for the same address so only the newest link works.
+ */
+export const createVerificationToken = async ({ user_id, address_type, student_id, email, token_hash, expires_at }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE email_verification_tokens
+       SET used_at = NOW()
+       WHERE user_id = $1 AND address_type = $2 AND used_at IS NULL`,
+      [user_id, address_type]
+    );
+    const result = await client.query(
+      `INSERT INTO email_verification_tokens (user_id, address_type, student_id, email, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING token_id, expires_at`,
+      [user_id, address_type, student_id ?? null, email, token_hash, expires_at]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Spend a valid token and mark its address verified, in one transaction.
+ *
+ * Returns null if the token is unknown, expired or already used. Otherwise
+ * returns the token's { user_id, address_type, student_id, email } with
+ * `verified: false` when the address has changed since the link was sent
+ * (the token is spent either way).
+ */
+export const consumeVerificationToken = async (tokenHash) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const spent = await client.query(
+      `UPDATE email_verification_tokens
+       SET used_at = NOW()
+       WHERE token_hash = $1
+         AND used_at IS NULL
+         AND expires_at > NOW()
+       RETURNING user_id, address_type, student_id, email`,
+      [tokenHash]
+    );
+    const token = spent.rows[0];
+    if (!token) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const column = ADDRESS_COLUMNS[token.address_type];
+    const marked = await client.query(
+      `UPDATE ${column.table}
+       SET ${column.verifiedAt} = COALESCE(${column.verifiedAt}, NOW())
+       WHERE ${column.key} = $1 AND lower(${column.email}) = lower($2)`,
+      [column.key === 'user_id' ? token.user_id : token.student_id, token.email]
+    );
+
+    await client.query('COMMIT');
+    return { ...token, verified: marked.rowCount > 0 };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// ─── NOTIFICATIONS ──────────────────────────────────────────────────────────────
+
+/**
+ * Addresses to notify for each student: their account address plus the
+ * student record's email and alt_email, de-duplicated case-insensitively.
+ * With `verifiedOnly`, unverified addresses are left out; students left with
+ * none are still returned, with an empty `emails` list.
+ *
+ * @param {string[]} studentIds
+ * @param {{ verifiedOnly?: boolean }} [options]
+ * @returns {Promise<Array<{ student_id: string, emails: string[] }>>}
+ */
+export const getNotificationAddresses = async (studentIds, { verifiedOnly = false } = {}) => {
+  if (!studentIds.length) return [];
+
+  const query = `
+    SELECT s.student_id, a.email
+    FROM students s
+    LEFT JOIN student_users su ON su.student_id = s.student_id
+    LEFT JOIN users u ON u.user_id = su.user_id
+    LEFT JOIN LATERAL (
+      VALUES (u.email, u.email_verified_at),
+             (s.email, s.email_verified_at),
+             (s.alt_email, s.alt_email_verified_at)
+    ) AS a(email, verified_at)
+      ON a.email IS NOT NULL AND a.email <> ''
+     AND ($2::boolean = false OR a.verified_at IS NOT NULL)
+    WHERE s.student_id = ANY($1::varchar[])
+    ORDER BY s.student_id
+  `;
+  const result = await pool.query(query, [studentIds, verifiedOnly]);
+
+  const byStudent = new Map();
+  for (const row of result.rows) {
+    if (!byStudent.has(row.student_id)) byStudent.set(row.student_id, new Map());
+    if (row.email) byStudent.get(row.student_id).set(row.email.toLowerCase(), row.email);
+  }
+
+  return [...byStudent].map(([student_id, emails]) => ({ student_id, emails: [...emails.values()] }));
+};
@@ -0,0 +1,286 @@
+import pool from './connection.js';
+import { audited } from './audit.db.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/errors.js';
+
+const INVITATION_SPEC = { entity: 'invitation', table: 'user_invitations', idColumn: 'user_id' };
+
+// pending → expired is a matter of time, so status is derived, not stored
+const STATUS_SQL = `
+    CASE
+        WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+        WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+        WHEN i.expires_at <= NOW() THEN 'expired'
+        ELSE 'pending'
+    END
+`;
+
+const INVITATION_COLUMNS = `
+    i.invitation_id, i.user_id, u.username, u.email, r.role_name, su.student_id,
+    i.invited_by, inviter.username AS invited_by_username,
+    i.expires_at, i.send_count, i.last_sent_at, i.accepted_at, i.revoked_at, i.created_at,
+    ${STATUS_SQL} AS status
+`;
+
+const INVITATION_FROM = `
+    FROM user_invitations i
+    JOIN users u ON u.user_id = i.user_id
+    LEFT JOIN roles r ON r.role_id = u.role_id
+    LEFT JOIN student_users su ON su.user_id = i.user_id
+    LEFT JOIN users inviter ON inviter.user_id = i.invited_by
+`;
+
+// ─── ADMIN ──────────────────────────────────────────────────────────────────────
+
+// Record the invitation for a freshly created (inactive) user
+export const createInvitation = audited({ ...INVITATION_SPEC, action: 'create' }, async ({ user_id, token_hash, invited_by, expires_at }) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO user_invitations (user_id, token_hash, invited_by, expires_at)
+             VALUES ($1, $2, $3, $4)
+             RETURNING invitation_id, user_id, expires_at`,
+            [user_id, token_hash, invited_by ?? null, expires_at]
+        );
+
+        logger.info(`createInvitation: Invited user ${user_id}`);
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Invitation created successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, user_id }, `createInvitation: ${error.message}`);
+        if (error.code === '23505') {
+            throw new AppError(409, 'User already has an invitation');
+        }
+        throw error;
+    }
+});
+
+/**
+ * Replace the token of a pending or expired invitation (the old link stops
+ * working) and push the expiry out again.
+ */
+export const reissueInvitation = audited({ ...INVITATION_SPEC, action: 'resend', id: ({ user_id }) => user_id }, async ({ user_id, token_hash, invited_by, expires_at }) => {
+    try {
+        const result = await pool.query(
+            `UPDATE user_invitations
+             SET token_hash = $2,
+                 invited_by = COALESCE($3, invited_by),
+                 expires_at = $4,
+                 send_count = send_count + 1,
+                 last_sent_at = NOW()
+             WHERE user_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+             RETURNING invitation_id, user_id, expires_at, send_count`,
+            [user_id, token_hash, invited_by ?? null, expires_at]
+        );
+
+        if (result.rows.length === 0) {
+            throw new AppError(409, 'Invitation has already been accepted or revoked');
+        }
+
+        logger.info(`reissueInvitation: Reissued invitation for user ${user_id}`);
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Invitation resent successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, user_id }, `reissueInvitation: ${error.message}`);
+        throw error;
+    }
+});
+
+// Cancel an invitation that has not been accepted; the user stays inactive
+export const revokeInvitation = audited({ ...INVITATION_SPEC, action: 'revoke', id: (userId) => userId }, async (userId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE user_invitations
+             SET revoked_at = COALESCE(revoked_at, NOW())
+             WHERE user_id = $1 AND accepted_at IS NULL
+             RETURNING invitation_id, user_id, revoked_at`,
+            [userId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new AppError(404, 'No open invitation found for this user');
+        }
+
+        logger.info(`revokeInvitation: Revoked invitation for user ${userId}`);
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Invitation revoked successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, userId }, `revokeInvitation: ${error.message}`);
+        throw error;
+    }
+});
+
+export const getInvitationByUserId = async (userId) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${INVITATION_COLUMNS} ${INVITATION_FROM} WHERE i.user_id = $1`,
+            [userId]
+        );
+
+        if (result.rows.length === 0) {
+            return { success: false, message: 'Invitation not found' };
+        }
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Invitation retrieved successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, userId }, `getInvitationByUserId: ${error.message}`);
+        throw error;
+    }
+};
+
+/**
+ * Paginated invitations, newest first.
+ * @param {{ status?: 'pending'|'expired'|'accepted'|'revoked', search?: string, page?: number, limit?: number }} params
+ */
+export const getInvitations = async (params = {}) => {
+    const { status, search, page = 1, limit = 20 } = params;
+
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+        values.push(status);
+        conditions.push(`${STATUS_SQL} = $${values.length}`);
+    }
+    if (search) {
+        values.push(`%${search}%`);
+        conditions.push(`(u.username ILIKE $${values.length} OR u.email ILIKE $${values.length} OR su.student_id ILIKE $${values.length})`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    try {
+        const countResult = await pool.query(`SELECT COUNT(*) AS total ${INVITATION_FROM} ${where}`, values);
+        const total = parseInt(countResult.rows[0].total, 10);
+
+        const dataResult = await pool.query(`
+            SELECT ${INVITATION_COLUMNS}
+            ${INVITATION_FROM}
+            ${where}
+            ORDER BY i.created_at DESC, i.invitation_id DESC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `, [...values, limit, offset]);
+
+        const totalPages = Math.ceil(total / limit);
+
+        logger.info(`getInvitations: Retrieved ${dataResult.rows.length} invitations`);
+
+        return {
+            success: true,
+            data: {
+                invitations: dataResult.rows,
+                pagination: {
+                    current_page: page,
+                    total_pages: totalPages,
+                    total_count: total,
+                    limit,
+                    has_next: page < totalPages,
+                    has_prev: page > 1
+                }
+            },
+            message: 'Invitations retrieved successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, params }, `getInvitations: ${error.message}`);
+        throw error;
+    }
+};
+
+// ─── ACTIVATION ─────────────────────────────────────────────────────────────────
+
+/**
+ * The invited user behind a token that is still usable, without spending it.
+ */
+export const findPendingInvitation = async (tokenHash) => {
+    const result = await pool.query(
+        `SELECT i.user_id, i.expires_at
+         FROM user_invitations i
+         WHERE i.token_hash = $1
+           AND i.accepted_at IS NULL
+           AND i.revoked_at IS NULL
+           AND i.expires_at > NOW()`,
+        [tokenHash]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Spend the token and activate the account with its first password, in one
+ * transaction. Returns the user_id, or null if the token is no longer usable.
+ */
+export const acceptInvitation = audited({ ...INVITATION_SPEC, action: 'accept', resultId: (result) => result?.data?.user_id }, async (tokenHash, passwordHash) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const accepted = await client.query(
+            `UPDATE user_invitations
+             SET accepted_at = NOW()
+             WHERE token_hash = $1
+               AND accepted_at IS NULL
+               AND revoked_at IS NULL
+               AND expires_at > NOW()
+             RETURNING user_id`,
+            [tokenHash]
+        );
+
+        if (accepted.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { success: false, message: 'Invitation is invalid or has expired' };
+        }
+
+        const userId = accepted.rows[0].user_id;
+        await client.query(
+            `UPDATE users
+             SET password_hash = $2,
+                 is_active = true,
+                 must_change_password = false,
+                 failed_attempts = 0,
+                 is_locked = false,
+                 lock_until = NULL,
+                 updated_at = NOW()
+             WHERE user_id = $1`,
+            [userId, passwordHash]
+        );
+
+        await client.query('COMMIT');
+        logger.info(`acceptInvitation: Activated user ${userId}`);
+
+        return {
+            success: true,
+            data: { user_id: userId },
+            message: 'Account activated successfully'
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error({ stack: error.stack }, `acceptInvitation: ${error.message}`);
+        throw error;
+    } finally {
+        client.release();
+    }
+});
+
+// True while the user has an invitation that was neither accepted nor revoked
+export const isAwaitingActivation = async (userId) => {
+    const result = await pool.query(
+        'SELECT 1 FROM user_invitations WHERE user_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL',
+        [userId]
+    );
+    return result.rows.length > 0;
+};
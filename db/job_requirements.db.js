@@ -1,6 +1,8 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 import { AppError } from '../utils/errors.js';
+import { emitJobRequirementsChanged } from '../services/events/eligibilityEvents.js';
 
 
 // Get all job requirements with pagination
@@ -169,7 +171,7 @@ export const getJobRequirementByJobId = async (jobId) => {
 
 
 // Delete job requirement by ID
-export const deleteJobRequirement = async (requirementId) => {
+export const deleteJobRequirement = audited({ entity: 'job_requirement', action: 'delete', table: 'job_requirements', idColumn: 'job_requirement_id', id: (requirementId) => requirementId }, async (requirementId) => {
     const client = await pool.connect();
     try {
         logger.info(`deleteJobRequirement: Deleting job requirement with ID ${requirementId}`);
@@ -188,6 +190,8 @@ export const deleteJobRequirement = async (requirementId) => {
         
         await client.query('COMMIT');
 
+        emitJobRequirementsChanged(result.rows[0].job_id, 'deleteJobRequirement');
+
         return {
             success: true,
             data: result.rows[0],
@@ -203,5 +207,5 @@ export const deleteJobRequirement = async (requirementId) => {
     } finally {
         client.release();
     }
-};
+});
 
@@ -0,0 +1,501 @@
+import logger from '../utils/logger.js';
+import pool from './connection.js';
+import { audited, recordAudit } from './audit.db.js';
+import { AppError } from '../utils/errors.js';
+
+export const ROUND_MODES = ['ONLINE', 'OFFLINE'];
+export const CANDIDATE_STATUSES = ['SHORTLISTED', 'CLEARED', 'REJECTED', 'ABSENT'];
+
+// Application status that follows from a round result
+const APPLICATION_STATUS_FOR = {
+    SHORTLISTED: 'SHORTLISTED',
+    CLEARED: 'SHORTLISTED',
+    REJECTED: 'REJECTED',
+    ABSENT: 'REJECTED'
+};
+
+const ROUND_AUDIT_SPEC = { entity: 'job_round', table: 'job_rounds', idColumn: 'round_id' };
+
+// AppErrors thrown here and below are expected outcomes (404, 409, ...);
+// the catch blocks pass them on without logging them as failures
+const ensureJob = async (client, jobId) => {
+    const result = await client.query('SELECT job_id FROM jobs WHERE job_id = $1', [jobId]);
+    if (result.rows.length === 0) {
+        throw new AppError(404, 'Job not found');
+    }
+};
+
+// Lock a job's rounds for a change to the pipeline; returns them in order
+const lockRounds = async (client, jobId) => {
+    await ensureJob(client, jobId);
+    const result = await client.query(
+        'SELECT * FROM job_rounds WHERE job_id = $1 ORDER BY round_number FOR UPDATE',
+        [jobId]
+    );
+    return result.rows;
+};
+
+const findRound = (rounds, roundId) => {
+    const index = rounds.findIndex((round) => round.round_id === Number(roundId));
+    if (index === -1) {
+        throw new AppError(404, 'Round not found for this job');
+    }
+    return { round: rounds[index], next: rounds[index + 1] || null, previous: rounds[index - 1] || null };
+};
+
+// ─── ROUNDS ─────────────────────────────────────────────────────────────────────
+
+// Rounds of a job in order, with their candidate counts
+export const getRoundsByJobId = async (jobId) => {
+    try {
+        const jobResult = await pool.query('SELECT job_id FROM jobs WHERE job_id = $1', [jobId]);
+        if (jobResult.rows.length === 0) {
+            return {
+                success: false,
+                message: 'Job not found'
+            };
+        }
+
+        const result = await pool.query(
+            `SELECT r.*,
+                    r.round_number = MAX(r.round_number) OVER () AS is_final,
+                    COUNT(rc.application_id)::int AS candidates,
+                    ${CANDIDATE_STATUSES.map((status) => `COUNT(rc.application_id) FILTER (WHERE rc.status = '${status}')::int AS ${status.toLowerCase()}`).join(',\n                    ')}
+             FROM job_rounds r
+             LEFT JOIN round_candidates rc ON rc.round_id = r.round_id
+             WHERE r.job_id = $1
+             GROUP BY r.round_id
+             ORDER BY r.round_number`,
+            [jobId]
+        );
+
+        return {
+            success: true,
+            data: result.rows,
+            message: 'Job rounds retrieved successfully',
+            count: result.rows.length
+        };
+    } catch (error) {
+        if (!(error instanceof AppError)) {
+            logger.error({
+                stack: error.stack,
+                jobId
+            }, `getRoundsByJobId: ${error.message}`);
+        }
+        throw error;
+    }
+};
+
+// Add a round after the job's current last round
+export const createRound = audited({ ...ROUND_AUDIT_SPEC, action: 'create' }, async (jobId, round) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const rounds = await lockRounds(client, jobId);
+        const last = rounds[rounds.length - 1];
+
+        if (last) {
+            const cleared = await client.query(
+                `SELECT 1 FROM round_candidates WHERE round_id = $1 AND status = 'CLEARED' LIMIT 1`,
+                [last.round_id]
+            );
+            if (cleared.rows.length > 0) {
+                throw new AppError(409, 'Candidates have already cleared the final round; no rounds can be added after it');
+            }
+        }
+
+        const result = await client.query(
+            `INSERT INTO job_rounds (job_id, round_number, name, mode, scheduled_at, venue, meeting_link, notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [
+                jobId,
+                (last?.round_number ?? 0) + 1,
+                round.name,
+                round.mode || 'OFFLINE',
+                round.scheduled_at || null,
+                round.venue || null,
+                round.meeting_link || null,
+                round.notes || null
+            ]
+        );
+
+        await client.query('COMMIT');
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Round created successfully'
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (!(error instanceof AppError)) {
+            logger.error({
+                stack: error.stack,
+                jobId,
+                round
+            }, `createRound: ${error.message}`);
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+});
+
+// Update a round's details (not its position)
+export const updateRound = audited({ ...ROUND_AUDIT_SPEC, action: 'update', id: (jobId, roundId) => roundId }, async (jobId, roundId, round) => {
+    try {
+        const fields = ['name', 'mode', 'scheduled_at', 'venue', 'meeting_link', 'notes'].filter((field) => round[field] !== undefined);
+        const sets = fields.map((field, i) => `${field} = $${i + 3}`);
+
+        const result = await pool.query(
+            `UPDATE job_rounds
+             SET ${[...sets, 'updated_at = NOW()'].join(', ')}
+             WHERE job_id = $1 AND round_id = $2
+             RETURNING *`,
+            [jobId, roundId, ...fields.map((field) => (round[field] === '' ? null : round[field]))]
+        );
+
+        if (result.rows.length === 0) {
+            return {
+                success: false,
+                message: 'Round not found for this job'
+            };
+        }
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Round updated successfully'
+        };
+    } catch (error) {
+        if (!(error instanceof AppError)) {
+            logger.error({
+                stack: error.stack,
+                jobId,
+                roundId
+            }, `updateRound: ${error.message}`);
+        }
+        throw error;
+    }
+});
+
+// Delete a round that has no candidates; later rounds move up
+export const deleteRound = audited({ ...ROUND_AUDIT_SPEC, action: 'delete', id: (jobId, roundId) => roundId }, async (jobId, roundId) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const rounds = await lockRounds(client, jobId);
+        const { round } = findRound(rounds, roundId);
+
+        const candidates = await client.query('SELECT 1 FROM round_candidates WHERE round_id = $1 LIMIT 1', [round.round_id]);
+        if (candidates.rows.length > 0) {
+            throw new AppError(409, 'Round has candidates and cannot be deleted');
+        }
+
+        await client.query('DELETE FROM job_rounds WHERE round_id = $1', [round.round_id]);
+        await client.query(
+            `UPDATE job_rounds SET round_number = round_number - 1, updated_at = NOW()
+             WHERE job_id = $1 AND round_number > $2`,
+            [jobId, round.round_number]
+        );
+
+        await client.query('COMMIT');
+        return {
+            success: true,
+            data: { round_id: round.round_id },
+            message: 'Round deleted successfully'
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (!(error instanceof AppError)) {
+            logger.error({
+                stack: error.stack,
+                jobId,
+                roundId
+            }, `deleteRound: ${error.message}`);
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+});
+
+// ─── CANDIDATES ─────────────────────────────────────────────────────────────────
+
+// Candidates of a round, optionally by status
+export const getRoundCandidates = async (jobId, roundId, { status = null } = {}) => {
+    try {
+        const roundResult = await pool.query(
+            'SELECT round_id FROM job_rounds WHERE job_id = $1 AND round_id = $2',
+            [jobId, roundId]
+        );
+        if (roundResult.rows.length === 0) {
+            return {
+                success: false,
+                message: 'Round not found for this job'
+            };
+        }
+
+        const values = [roundId];
+        let statusFilter = '';
+        if (status) {
+            values.push(status);
+            statusFilter = 'AND rc.status = $2';
+        }
+
+        const result = await pool.query(
+            `SELECT a.student_id, s.full_name AS student_name, s.branch, rc.application_id,
+                    rc.status, rc.remarks, rc.updated_by, rc.created_at, rc.updated_at
+             FROM round_candidates rc
+             JOIN applications a ON a.application_id = rc.application_id
+             JOIN students s ON s.student_id = a.student_id
+             WHERE rc.round_id = $1 ${statusFilter}
+             ORDER BY a.student_id`,
+            values
+        );
+
+        return {
+            success: true,
+            data: result.rows,
+            message: 'Round candidates retrieved successfully',
+            count: result.rows.length
+        };
+    } catch (error) {
+        if (!(error instanceof AppError)) {
+            logger.error({
+                stack: error.stack,
+                jobId,
+                roundId
+            }, `getRoundCandidates: ${error.message}`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Shortlist students for a round. Students must have an active application to
+ * the job (APPLIED or SHORTLISTED) and, past the first round, have cleared the
+ * previous one. Students already in the round or not qualifying are skipped
+ * with a reason.
+ */
+export const shortlistCandidates = audited({
+    entity: 'job_round',
+    action: 'shortlist',
+    id: (jobId, roundId) => roundId,
+    details: (jobId, roundId, studentIds) => ({ job_id: jobId, student_ids: studentIds })
+}, async (jobId, roundId, studentIds, userId) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const rounds = await lockRounds(client, jobId);
+        const { round, previous } = findRound(rounds, roundId);
+
+        const applications = await client.query(
+            `SELECT a.application_id, a.student_id, a.status,
+                    prev.status AS previous_round_status,
+                    (cur.application_id IS NOT NULL) AS in_round
+             FROM applications a
+             LEFT JOIN round_candidates prev ON prev.application_id = a.application_id AND prev.round_id = $3
+             LEFT JOIN round_candidates cur ON cur.application_id = a.application_id AND cur.round_id = $4
+             WHERE a.job_id = $1 AND UPPER(a.student_id) = ANY($2::text[])`,
+            [jobId, studentIds.map((id) => id.toUpperCase()), previous?.round_id ?? null, round.round_id]
+        );
+        const byStudent = new Map(applications.rows.map((row) => [row.student_id.toUpperCase(), row]));
+
+        const added = [];
+        const skipped = [];
+        for (const studentId of studentIds) {
+            const application = byStudent.get(studentId.toUpperCase());
+            let reason = null;
+            if (!application) reason = 'Has not applied to this job';
+            else if (application.in_round) reason = 'Already a candidate in this round';
+            else if (!['APPLIED', 'SHORTLISTED'].includes(application.status)) reason = `Application is ${application.status}`;
+            else if (previous && application.previous_round_status !== 'CLEARED') reason = `Has not cleared round ${previous.round_number} (${previous.name})`;
+
+            if (reason) {
+                skipped.push({ student_id: studentId, reason });
+                continue;
+            }
+
+            await client.query(
+                `INSERT INTO round_candidates (round_id, application_id, updated_by) VALUES ($1, $2, $3)`,
+                [round.round_id, application.application_id, userId ?? null]
+            );
+            await client.query(
+                `UPDATE applications SET status = 'SHORTLISTED', updated_at = NOW()
+                 WHERE application_id = $1 AND status <> 'SHORTLISTED'`,
+                [application.application_id]
+            );
+            added.push(application.student_id);
+        }
+
+        await client.query('COMMIT');
+        return {
+            success: true,
+            data: { round_id: round.round_id, added, skipped },
+            message: `${added.length} candidate(s) shortlisted`
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (!(error instanceof AppError)) {
+            logger.error({
+                stack: error.stack,
+                jobId,
+                roundId
+            }, `shortlistCandidates: ${error.message}`);
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Record round results, all or nothing. Each result is { student_id, status,
+ * remarks? } for a candidate of the round.
+ *
+ * Clearing a round shortlists the candidate for the next one; clearing the
+ * final round marks the application SELECTED and creates the student's offer
+ * for the job. REJECTED and ABSENT reject the application.
+ *
+ * A CLEARED result is locked once it has consequences that can't be undone
+ * here: a result in the next round, or the offer from the final round.
+ *
+ * Returns { success: false, errors: [{ student_id, error }] } without
+ * changing anything when any result can't be recorded.
+ */
+export const recordRoundResults = audited({
+    entity: 'job_round',
+    action: 'record_results',
+    id: (jobId, roundId) => roundId,
+    details: (jobId, roundId, results) => ({ job_id: jobId, results: results.length })
+}, async (jobId, roundId, results, userId) => {
+    const client = await pool.connect();
+    const offers = [];
+    try {
+        await client.query('BEGIN');
+        const rounds = await lockRounds(client, jobId);
+        const { round, next } = findRound(rounds, roundId);
+
+        const current = await client.query(
+            `SELECT rc.application_id, rc.status, rc.remarks, a.student_id,
+                    nxt.status AS next_round_status
+             FROM round_candidates rc
+             JOIN applications a ON a.application_id = rc.application_id
+             LEFT JOIN round_candidates nxt ON nxt.application_id = rc.application_id AND nxt.round_id = $2
+             WHERE rc.round_id = $1 AND UPPER(a.student_id) = ANY($3::text[])
+             FOR UPDATE OF rc`,
+            [round.round_id, next?.round_id ?? null, results.map((r) => r.student_id.toUpperCase())]
+        );
+        const byStudent = new Map(current.rows.map((row) => [row.student_id.toUpperCase(), row]));
+
+        const errors = [];
+        for (const result of results) {
+            const candidate = byStudent.get(result.student_id.toUpperCase());
+            if (!candidate) {
+                errors.push({ student_id: result.student_id, error: 'Not a candidate in this round' });
+            } else if (candidate.status === 'CLEARED' && result.status !== 'CLEARED') {
+                if (!next) {
+                    errors.push({ student_id: result.student_id, error: 'Already cleared the final round and has an offer' });
+                } else if (candidate.next_round_status && candidate.next_round_status !== 'SHORTLISTED') {
+                    errors.push({ student_id: result.student_id, error: `Already has a result in round ${next.round_number}` });
+                }
+            }
+        }
+        if (errors.length > 0) {
+            await client.query('ROLLBACK');
+            return {
+                success: false,
+                message: `${errors.length} result(s) could not be recorded`,
+                errors
+            };
+        }
+
+        const summary = { updated: 0, advanced: 0, selected: 0, rejected: 0, offers_created: 0 };
+        for (const result of results) {
+            const candidate = byStudent.get(result.student_id.toUpperCase());
+            const statusChanged = candidate.status !== result.status;
+
+            await client.query(
+                `UPDATE round_candidates
+                 SET status = $3, remarks = COALESCE($4, remarks), updated_by = $5, updated_at = NOW()
+                 WHERE round_id = $1 AND application_id = $2`,
+                [round.round_id, candidate.application_id, result.status, result.remarks || null, userId ?? null]
+            );
+            summary.updated++;
+            if (!statusChanged) continue;
+
+            // Undo the shortlisting for the next round that a CLEARED result made
+            if (candidate.status === 'CLEARED' && next) {
+                await client.query(
+                    'DELETE FROM round_candidates WHERE round_id = $1 AND application_id = $2',
+                    [next.round_id, candidate.application_id]
+                );
+            }
+
+            let applicationStatus = APPLICATION_STATUS_FOR[result.status];
+            if (result.status === 'CLEARED' && next) {
+                await client.query(
+                    `INSERT INTO round_candidates (round_id, application_id, updated_by)
+                     VALUES ($1, $2, $3)
+                     ON CONFLICT (round_id, application_id) DO NOTHING`,
+                    [next.round_id, candidate.application_id, userId ?? null]
+                );
+                summary.advanced++;
+            } else if (result.status === 'CLEARED') {
+                applicationStatus = 'SELECTED';
+                summary.selected++;
+
+                const offer = await client.query(
+                    `INSERT INTO student_offers (student_id, job_id, offered_at, is_pbc, is_internship, is_offcampus, offer_ctc, offer_stipend, remarks)
+                     SELECT $1, j.job_id, NOW(), COALESCE(j.job_type = 'PBC', FALSE), COALESCE(j.job_type = 'Internship', FALSE), FALSE, j.ctc_lpa, j.stipend_per_month, $3
+                     FROM jobs j
+                     WHERE j.job_id = $2
+                       AND NOT EXISTS (SELECT 1 FROM student_offers WHERE student_id = $1 AND job_id = $2)
+                     RETURNING *`,
+                    [candidate.student_id, jobId, `Cleared final round: ${round.name}`]
+                );
+                if (offer.rows.length > 0) {
+                    offers.push(offer.rows[0]);
+                    summary.offers_created++;
+                }
+            }
+            if (applicationStatus === 'REJECTED') summary.rejected++;
+
+            await client.query(
+                'UPDATE applications SET status = $2, updated_at = NOW() WHERE application_id = $1',
+                [candidate.application_id, applicationStatus]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        for (const offer of offers) {
+            await recordAudit({
+                action: 'create',
+                entity: 'student_offer',
+                entity_id: offer.offer_id,
+                after: offer,
+                details: { source: 'job_round', job_id: jobId, round_id: round.round_id }
+            });
+        }
+
+        return {
+            success: true,
+            data: { round_id: round.round_id, is_final: !next, ...summary },
+            message: `${summary.updated} result(s) recorded`
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (!(error instanceof AppError)) {
+            logger.error({
+                stack: error.stack,
+                jobId,
+                roundId
+            }, `recordRoundResults: ${error.message}`);
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+});
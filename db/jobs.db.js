@@ -1,9 +1,11 @@
 import pool from "./connection.js";
+import { audited } from "./audit.db.js";
 import logger from "../utils/logger.js";
 import { AppError } from '../utils/errors.js';
+import { emitJobRequirementsChanged } from '../services/events/eligibilityEvents.js';
 
 // Create a new job
-export const createJob = async (job) => {
+export const createJob = audited({ entity: 'job', action: 'create', table: 'jobs', idColumn: 'job_id' }, async (job) => {
     try {
         // Verify company exists
         const companyCheck = await pool.query('SELECT company_id FROM companies WHERE company_id = $1', [job.company_id]);
@@ -37,7 +39,7 @@ export const createJob = async (job) => {
         logger.error({ error: err.message, job }, 'createJob failed');
         throw err;
     }
-};
+});
 
 // Get all jobs with pagination and search
 export const getAllJobs = async (params = {}) => {
@@ -177,7 +179,7 @@ export const getJobsByCompanyId = async (companyId, params = {}) => {
 };
 
 // Update a job
-export const updateJob = async (jobId, job) => {
+export const updateJob = audited({ entity: 'job', action: 'update', table: 'jobs', idColumn: 'job_id', id: (jobId) => jobId }, async (jobId, job) => {
     try {
         const updateQuery = `
             UPDATE jobs SET
@@ -212,21 +214,26 @@ export const updateJob = async (jobId, job) => {
 
         const res = await pool.query(updateQuery, values);
         if (res.rowCount === 0) throw new AppError(404, 'Job not found');
+        // Batch and deadline decide eligibility; other fields leave it alone
+        if (job.year_of_graduation != null || job.application_deadline != null) {
+            emitJobRequirementsChanged(jobId, 'updateJob');
+        }
         return { success: true, data: res.rows[0], message: 'Job updated successfully' };
     } catch (err) {
         logger.error({ error: err.message, jobId, job }, 'updateJob failed');
         throw err;
     }
-};
+});
 
 // Delete a job
-export const deleteJob = async (jobId) => {
+export const deleteJob = audited({ entity: 'job', action: 'delete', table: 'jobs', idColumn: 'job_id', id: (jobId) => jobId }, async (jobId) => {
     try {
         const res = await pool.query('DELETE FROM jobs WHERE job_id = $1 RETURNING *', [jobId]);
         if (res.rowCount === 0) throw new AppError(404, 'Job not found');
+        emitJobRequirementsChanged(jobId, 'deleteJob');
         return { success: true, data: res.rows[0], message: 'Job deleted successfully' };
     } catch (err) {
         logger.error({ error: err.message, jobId }, 'deleteJob failed');
         throw err;
     }
-};
\ No newline at end of file
+});
\ No newline at end of file
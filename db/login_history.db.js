@@ -0,0 +1,60 @@
+import pool from './connection.js';
+
+// The network a login came from: its /24 for IPv4, /48 for IPv6
+const IP_NETWORK_SQL = `network(set_masklen($1::inet, CASE WHEN family($1::inet) = 4 THEN 24 ELSE 48 END))`;
+
+// ─── LOGIN HISTORY ──────────────────────────────────────────────────────────────
+
+/**
+ * How a login compares with the user's earlier successful logins since
+ * `since`: how many there were, whether any came from the same device or
+ * network, and the latest lockout after both `lockoutSince` and the last of
+ * those logins (if any).
+ *
+ * @returns {Promise<{ prior_logins: number, known_device: boolean, known_network: boolean,
+ *                     lockout_at: Date|null }>}
+ */
+export const getLoginBaseline = async (userId, { ipAddress, deviceHash, since, lockoutSince }) => {
+  const query = `
+    WITH history AS (
+      SELECT device_hash, ip_network, created_at
+      FROM login_history
+      WHERE user_id = $2 AND created_at > $4
+    )
+    SELECT
+      (SELECT COUNT(*)::int FROM history) AS prior_logins,
+      EXISTS (SELECT 1 FROM history WHERE device_hash = $3) AS known_device,
+      ($1::inet IS NOT NULL AND EXISTS (SELECT 1 FROM history WHERE ip_network = ${IP_NETWORK_SQL})) AS known_network,
+      (
+        SELECT MAX(e.created_at)
+        FROM security_events e
+        WHERE e.user_id = $2
+          AND e.event_type = 'account_locked'
+          AND e.created_at > $5
+          AND e.created_at > COALESCE((SELECT MAX(created_at) FROM history), '-infinity'::timestamptz)
+      ) AS lockout_at
+  `;
+  const result = await pool.query(query, [ipAddress || null, userId, deviceHash, since, lockoutSince]);
+  return result.rows[0];
+};
+
+/**
+ * Record a successful login and what was unusual about it.
+ */
+export const recordLogin = async ({ user_id, method, ip_address, user_agent, device_hash, anomalies = [] }) => {
+  const query = `
+    INSERT INTO login_history (user_id, method, ip_address, ip_network, user_agent, device_hash, anomalies)
+    VALUES ($2, $3, $1::inet, CASE WHEN $1::inet IS NULL THEN NULL ELSE ${IP_NETWORK_SQL} END, $4, $5, $6)
+    RETURNING login_id, ip_network, created_at
+  `;
+  const result = await pool.query(query, [ip_address || null, user_id, method, user_agent || null, device_hash, anomalies]);
+  return result.rows[0];
+};
+
+/**
+ * Delete logins older than `before`. Returns the number removed.
+ */
+export const deleteLoginsBefore = async (before) => {
+  const result = await pool.query('DELETE FROM login_history WHERE created_at < $1', [before]);
+  return result.rowCount;
+};
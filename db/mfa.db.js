@@ -0,0 +1,160 @@
+import logger from '../utils/logger.js';
+import pool from './connection.js';
+
+// ─── MFA STATE ──────────────────────────────────────────────────────────────────
+
+/**
+ * Two-factor state of a user: whether it is enabled, whether the user's role
+ * requires it, and the stored (encrypted) secret if one has been set up.
+ */
+export const getMfaState = async (userId) => {
+  try {
+    const query = `
+      SELECT
+        COALESCE(m.enabled, false) AS enabled,
+        COALESCE(r.mfa_required, false) AS mfa_required,
+        m.secret_encrypted,
+        m.last_used_step,
+        m.enabled_at,
+        (
+          SELECT COUNT(*)::int
+          FROM user_mfa_recovery_codes c
+          WHERE c.user_id = u.user_id AND c.used_at IS NULL
+        ) AS recovery_codes_remaining
+      FROM users u
+      LEFT JOIN roles r ON u.role_id = r.role_id
+      LEFT JOIN user_mfa m ON m.user_id = u.user_id
+      WHERE u.user_id = $1
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error({ stack: error.stack, userId }, `getMfaState: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Store a new, not yet confirmed secret. Never overwrites an enabled one.
+ * Returns false if MFA is already enabled.
+ */
+export const savePendingSecret = async (userId, secretEncrypted) => {
+  try {
+    const query = `
+      INSERT INTO user_mfa (user_id, secret_encrypted)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE
+        SET secret_encrypted = EXCLUDED.secret_encrypted,
+            last_used_step = NULL,
+            updated_at = NOW()
+        WHERE user_mfa.enabled = false
+      RETURNING user_id
+    `;
+    const result = await pool.query(query, [userId, secretEncrypted]);
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error({ stack: error.stack, userId }, `savePendingSecret: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Record the time step of an accepted code. Fails (returns false) if that
+ * step or a later one was already used, which stops replays.
+ */
+export const markStepUsed = async (userId, step) => {
+  try {
+    const query = `
+      UPDATE user_mfa
+      SET last_used_step = $2,
+          updated_at = NOW()
+      WHERE user_id = $1
+        AND (last_used_step IS NULL OR last_used_step < $2)
+    `;
+    const result = await pool.query(query, [userId, step]);
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error({ stack: error.stack, userId, step }, `markStepUsed: ${error.message}`);
+    throw error;
+  }
+};
+
+export const enableMfa = async (userId) => {
+  try {
+    const query = `
+      UPDATE user_mfa
+      SET enabled = true,
+          enabled_at = NOW(),
+          updated_at = NOW()
+      WHERE user_id = $1
+    `;
+    await pool.query(query, [userId]);
+  } catch (error) {
+    logger.error({ stack: error.stack, userId }, `enableMfa: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Remove the secret and all recovery codes.
+ */
+export const disableMfa = async (userId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM user_mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_mfa WHERE user_id = $1', [userId]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error({ stack: error.stack, userId }, `disableMfa: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// ─── RECOVERY CODES ─────────────────────────────────────────────────────────────
+
+/**
+ * Replace all recovery codes of a user with the given hashes.
+ */
+export const replaceRecoveryCodes = async (userId, codeHashes) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM user_mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(
+      `INSERT INTO user_mfa_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::text[])`,
+      [userId, codeHashes]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error({ stack: error.stack, userId }, `replaceRecoveryCodes: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Spend a recovery code. Returns true if an unused matching code existed.
+ */
+export const consumeRecoveryCode = async (userId, codeHash) => {
+  try {
+    const query = `
+      UPDATE user_mfa_recovery_codes
+      SET used_at = NOW()
+      WHERE user_id = $1
+        AND code_hash = $2
+        AND used_at IS NULL
+    `;
+    const result = await pool.query(query, [userId, codeHash]);
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error({ stack: error.stack, userId }, `consumeRecoveryCode: ${error.message}`);
+    throw error;
+  }
+};
@@ -0,0 +1,82 @@
+-- Permissions checked by requirePermission() on every protected route.
+-- Grant them to roles through /api/role-permissions; SUPER_ADMIN bypasses the check.
+
+INSERT INTO permissions (permission_name, module, description)
+VALUES
+    ('applications:create', 'applications', 'Create applications'),
+    ('applications:delete', 'applications', 'Delete applications'),
+    ('applications:read', 'applications', 'Read applications'),
+    ('applications:update', 'applications', 'Update applications'),
+    ('branches:create', 'branches', 'Create branches'),
+    ('branches:delete', 'branches', 'Delete branches'),
+    ('companies:create', 'companies', 'Create companies'),
+    ('companies:delete', 'companies', 'Delete companies'),
+    ('companies:read', 'companies', 'Read companies'),
+    ('companies:update', 'companies', 'Update companies'),
+    ('eligible_jobs:read', 'eligible_jobs', 'Read eligible jobs'),
+    ('files:read', 'files', 'Read files'),
+    ('job_requirements:read', 'job_requirements', 'Read job requirements'),
+    ('jobs:create', 'jobs', 'Create jobs'),
+    ('jobs:delete', 'jobs', 'Delete jobs'),
+    ('jobs:read', 'jobs', 'Read jobs'),
+    ('jobs:update', 'jobs', 'Update jobs'),
+    ('permissions:create', 'permissions', 'Create permissions'),
+    ('permissions:delete', 'permissions', 'Delete permissions'),
+    ('permissions:read', 'permissions', 'Read permissions'),
+    ('permissions:update', 'permissions', 'Update permissions'),
+    ('role_permissions:create', 'role_permissions', 'Create role permissions'),
+    ('role_permissions:delete', 'role_permissions', 'Delete role permissions'),
+    ('role_permissions:read', 'role_permissions', 'Read role permissions'),
+    ('roles:create', 'roles', 'Create roles'),
+    ('roles:delete', 'roles', 'Delete roles'),
+    ('roles:read', 'roles', 'Read roles'),
+    ('roles:update', 'roles', 'Update roles'),
+    ('student_academics:create', 'student_academics', 'Create student academics'),
+    ('student_academics:delete', 'student_academics', 'Delete student academics'),
+    ('student_academics:read', 'student_academics', 'Read student academics'),
+    ('student_academics:update', 'student_academics', 'Update student academics'),
+    ('student_addresses:create', 'student_addresses', 'Create student addresses'),
+    ('student_addresses:delete', 'student_addresses', 'Delete student addresses'),
+    ('student_addresses:read', 'student_addresses', 'Read student addresses'),
+    ('student_addresses:update', 'student_addresses', 'Update student addresses'),
+    ('student_certifications:create', 'student_certifications', 'Create student certifications'),
+    ('student_certifications:delete', 'student_certifications', 'Delete student certifications'),
+    ('student_certifications:read', 'student_certifications', 'Read student certifications'),
+    ('student_certifications:update', 'student_certifications', 'Update student certifications'),
+    ('student_documents:create', 'student_documents', 'Create student documents'),
+    ('student_documents:delete', 'student_documents', 'Delete student documents'),
+    ('student_documents:read', 'student_documents', 'Read student documents'),
+    ('student_documents:update', 'student_documents', 'Update student documents'),
+    ('student_family:create', 'student_family', 'Create student family'),
+    ('student_family:delete', 'student_family', 'Delete student family'),
+    ('student_family:read', 'student_family', 'Read student family'),
+    ('student_family:update', 'student_family', 'Update student family'),
+    ('student_internships:create', 'student_internships', 'Create student internships'),
+    ('student_internships:delete', 'student_internships', 'Delete student internships'),
+    ('student_internships:read', 'student_internships', 'Read student internships'),
+    ('student_internships:update', 'student_internships', 'Update student internships'),
+    ('student_languages:create', 'student_languages', 'Create student languages'),
+    ('student_languages:delete', 'student_languages', 'Delete student languages'),
+    ('student_languages:read', 'student_languages', 'Read student languages'),
+    ('student_languages:update', 'student_languages', 'Update student languages'),
+    ('student_offers:create', 'student_offers', 'Create student offers'),
+    ('student_offers:delete', 'student_offers', 'Delete student offers'),
+    ('student_offers:read', 'student_offers', 'Read student offers'),
+    ('student_offers:update', 'student_offers', 'Update student offers'),
+    ('student_projects:create', 'student_projects', 'Create student projects'),
+    ('student_projects:delete', 'student_projects', 'Delete student projects'),
+    ('student_projects:read', 'student_projects', 'Read student projects'),
+    ('student_projects:update', 'student_projects', 'Update student projects'),
+    ('student_report:read', 'student_report', 'Read student report'),
+    ('student_users:create', 'student_users', 'Create student users'),
+    ('student_users:delete', 'student_users', 'Delete student users'),
+    ('student_users:read', 'student_users', 'Read student users'),
+    ('student_users:update', 'student_users', 'Update student users'),
+    ('students:create', 'students', 'Create students'),
+    ('students:delete', 'students', 'Delete students'),
+    ('students:read', 'students', 'Read students'),
+    ('students:update', 'students', 'Update students'),
+    ('users:delete', 'users', 'Delete users'),
+    ('users:read', 'users', 'Read users'),
+    ('users:update', 'users', 'Update users')
+ON CONFLICT (permission_name) DO NOTHING;
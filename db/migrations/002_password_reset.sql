@@ -0,0 +1,30 @@
+-- Single-use password reset tokens. Only the SHA-256 of the emailed token is
+-- stored; a row is spent by setting used_at.
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    token_id      BIGSERIAL PRIMARY KEY,
+    user_id       INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    token_hash    CHAR(64) NOT NULL UNIQUE,
+    requested_ip  INET,
+    expires_at    TIMESTAMPTZ NOT NULL,
+    used_at       TIMESTAMPTZ,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id
+    ON password_reset_tokens (user_id);
+
+-- Outgoing mail recorded by the 'outbox' mail transport (MAIL_TRANSPORT=outbox).
+CREATE TABLE IF NOT EXISTS mail_outbox (
+    mail_id       BIGSERIAL PRIMARY KEY,
+    to_address    TEXT NOT NULL,
+    from_address  TEXT NOT NULL,
+    subject       TEXT NOT NULL,
+    text_body     TEXT,
+    html_body     TEXT,
+    status        VARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    sent_at       TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_outbox_status
+    ON mail_outbox (status, created_at);
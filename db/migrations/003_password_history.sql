@@ -0,0 +1,11 @@
+-- Previous password hashes, checked so users cannot cycle back to a recent
+-- password. Trimmed to PASSWORD_HISTORY_SIZE entries per user on each change.
+CREATE TABLE IF NOT EXISTS password_history (
+    history_id     BIGSERIAL PRIMARY KEY,
+    user_id        INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    password_hash  TEXT NOT NULL,
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_user_created
+    ON password_history (user_id, created_at DESC);
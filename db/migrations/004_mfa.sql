@@ -0,0 +1,31 @@
+-- TOTP two-factor authentication.
+
+-- Per-role switch: users of these roles must enroll before they can log in.
+ALTER TABLE roles
+    ADD COLUMN IF NOT EXISTS mfa_required BOOLEAN NOT NULL DEFAULT false;
+
+UPDATE roles
+SET mfa_required = true
+WHERE UPPER(role_name) IN ('ADMIN', 'SUPER_ADMIN');
+
+-- One TOTP secret per user (AES-256-GCM encrypted). enabled stays false
+-- until the user confirms a code; last_used_step blocks code replay.
+CREATE TABLE IF NOT EXISTS user_mfa (
+    user_id           INTEGER PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+    secret_encrypted  TEXT NOT NULL,
+    enabled           BOOLEAN NOT NULL DEFAULT false,
+    enabled_at        TIMESTAMPTZ,
+    last_used_step    BIGINT,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Single-use recovery codes, SHA-256 hashed.
+CREATE TABLE IF NOT EXISTS user_mfa_recovery_codes (
+    code_id     BIGSERIAL PRIMARY KEY,
+    user_id     INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    code_hash   CHAR(64) NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, code_hash)
+);
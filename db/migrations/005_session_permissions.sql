@@ -0,0 +1,6 @@
+-- Permissions for the admin session endpoints (/api/users/:id/sessions).
+INSERT INTO permissions (permission_name, module, description)
+VALUES
+    ('sessions:delete', 'sessions', 'Revoke other users'' sessions'),
+    ('sessions:read', 'sessions', 'Read other users'' sessions')
+ON CONFLICT (permission_name) DO NOTHING;
@@ -0,0 +1,36 @@
+-- Refresh token rotation lineage.
+--
+-- Each time a session's refresh token is rotated, the SHA-256 fingerprint of
+-- the retired token is kept here; presenting a retired token again is treated
+-- as theft and the session it belonged to is revoked.
+
+CREATE TABLE IF NOT EXISTS refresh_token_history (
+    history_id         BIGSERIAL PRIMARY KEY,
+    token_fingerprint  CHAR(64) NOT NULL UNIQUE,
+    session_id         VARCHAR(64) NOT NULL,
+    user_id            INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    rotated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Kept until the session would have expired anyway
+    expires_at         TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_token_history_expires_at
+    ON refresh_token_history (expires_at);
+
+-- Security-relevant events (token theft, lockouts, ...), kept for review.
+CREATE TABLE IF NOT EXISTS security_events (
+    event_id     BIGSERIAL PRIMARY KEY,
+    user_id      INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    event_type   VARCHAR(64) NOT NULL,
+    severity     VARCHAR(16) NOT NULL DEFAULT 'medium',
+    ip_address   INET,
+    user_agent   TEXT,
+    details      JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_user_created
+    ON security_events (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_type_created
+    ON security_events (event_type, created_at DESC);
@@ -0,0 +1,33 @@
+-- Persistent record of every administrative create/update/delete, written by
+-- the `audited` wrapper in db/audit.db.js.
+CREATE TABLE IF NOT EXISTS audit_log (
+    audit_id        BIGSERIAL PRIMARY KEY,
+    actor_user_id   INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    actor_role      VARCHAR(64),
+    action          VARCHAR(32) NOT NULL,
+    entity          VARCHAR(64) NOT NULL,
+    entity_id       VARCHAR(64),
+    before          JSONB,
+    after           JSONB,
+    changes         JSONB,
+    details         JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ip_address      INET,
+    user_agent      TEXT,
+    request_method  VARCHAR(10),
+    request_path    TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at
+    ON audit_log (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_created
+    ON audit_log (actor_user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity_created
+    ON audit_log (entity, entity_id, created_at DESC);
+
+-- Permission for GET /api/audit
+INSERT INTO permissions (permission_name, module, description)
+VALUES ('audit:read', 'audit', 'Read the audit log')
+ON CONFLICT (permission_name) DO NOTHING;
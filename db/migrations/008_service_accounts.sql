@@ -0,0 +1,49 @@
+-- Non-human callers (workers, reporting scripts) authenticating with API keys
+-- sent as "Authorization: Bearer sk_<prefix>_<secret>".
+CREATE TABLE IF NOT EXISTS service_accounts (
+    service_account_id  SERIAL PRIMARY KEY,
+    name                VARCHAR(100) NOT NULL UNIQUE,
+    description         TEXT,
+    is_active           BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by          INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Only the SHA-256 of a key is stored; the prefix identifies it in lists and logs.
+CREATE TABLE IF NOT EXISTS api_keys (
+    api_key_id          SERIAL PRIMARY KEY,
+    service_account_id  INTEGER NOT NULL REFERENCES service_accounts(service_account_id) ON DELETE CASCADE,
+    name                VARCHAR(100) NOT NULL,
+    key_prefix          VARCHAR(16) NOT NULL UNIQUE,
+    key_hash            CHAR(64) NOT NULL,
+    expires_at          TIMESTAMPTZ,
+    revoked_at          TIMESTAMPTZ,
+    last_used_at        TIMESTAMPTZ,
+    last_used_ip        INET,
+    created_by          INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_service_account
+    ON api_keys (service_account_id);
+
+-- The permissions a key may use; checked by requirePermission instead of a role.
+CREATE TABLE IF NOT EXISTS api_key_permissions (
+    api_key_id      INTEGER NOT NULL REFERENCES api_keys(api_key_id) ON DELETE CASCADE,
+    permission_id   INTEGER NOT NULL REFERENCES permissions(permission_id) ON DELETE CASCADE,
+    PRIMARY KEY (api_key_id, permission_id)
+);
+
+-- Changes made with an API key are attributed to the service account
+ALTER TABLE audit_log
+    ADD COLUMN IF NOT EXISTS actor_service_account_id INTEGER
+        REFERENCES service_accounts(service_account_id) ON DELETE SET NULL;
+
+INSERT INTO permissions (permission_name, module, description)
+VALUES
+    ('service_accounts:create', 'service_accounts', 'Create service accounts and API keys'),
+    ('service_accounts:delete', 'service_accounts', 'Delete service accounts and revoke API keys'),
+    ('service_accounts:read', 'service_accounts', 'Read service accounts and API keys'),
+    ('service_accounts:update', 'service_accounts', 'Update service accounts')
+ON CONFLICT (permission_name) DO NOTHING;
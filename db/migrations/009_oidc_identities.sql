@@ -0,0 +1,19 @@
+-- External identities (OIDC issuer + subject) linked to local users, so a
+-- returning SSO user is recognised even if their email changes upstream.
+CREATE TABLE IF NOT EXISTS user_identities (
+    identity_id     SERIAL PRIMARY KEY,
+    user_id         INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    issuer          TEXT NOT NULL,
+    subject         TEXT NOT NULL,
+    email           VARCHAR(255),
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_login_at   TIMESTAMPTZ,
+    UNIQUE (issuer, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user
+    ON user_identities (user_id);
+
+-- SSO matches students by their college address
+CREATE INDEX IF NOT EXISTS idx_students_college_email_lower
+    ON students (LOWER(college_email));
@@ -0,0 +1,8 @@
+-- Changes made while a SUPER_ADMIN impersonates a user are attributed to the
+-- admin (actor_user_id) and record whose account they acted as.
+ALTER TABLE audit_log
+    ADD COLUMN IF NOT EXISTS impersonated_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_impersonated_user
+    ON audit_log (impersonated_user_id, created_at DESC)
+    WHERE impersonated_user_id IS NOT NULL;
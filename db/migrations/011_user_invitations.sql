@@ -0,0 +1,24 @@
+-- Invite-based onboarding. An invited user is created inactive with a
+-- password nobody knows, and activates the account by choosing a password
+-- through the emailed link. Only the SHA-256 of the link's token is stored;
+-- resending replaces it, so one row per user is enough.
+CREATE TABLE IF NOT EXISTS user_invitations (
+    invitation_id   SERIAL PRIMARY KEY,
+    user_id         INTEGER NOT NULL UNIQUE REFERENCES users(user_id) ON DELETE CASCADE,
+    token_hash      CHAR(64) NOT NULL UNIQUE,
+    invited_by      INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    expires_at      TIMESTAMPTZ NOT NULL,
+    send_count      INTEGER NOT NULL DEFAULT 1,
+    last_sent_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    accepted_at     TIMESTAMPTZ,
+    revoked_at      TIMESTAMPTZ,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_pending
+    ON user_invitations (expires_at)
+    WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+INSERT INTO permissions (permission_name, module, description)
+VALUES ('users:invite', 'users', 'Invite users and manage their invitations')
+ON CONFLICT (permission_name) DO NOTHING;
@@ -0,0 +1,59 @@
+-- Email verification for the addresses that receive placement mail:
+-- users.email, students.email and students.alt_email. Each gets a
+-- *_verified_at timestamp, set when the owner opens a link sent to it.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+ALTER TABLE students ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+ALTER TABLE students ADD COLUMN IF NOT EXISTS alt_email_verified_at TIMESTAMPTZ;
+
+-- Changing an address un-verifies it, whichever code path (admin edit,
+-- self-service profile, Excel import) does the update.
+CREATE OR REPLACE FUNCTION reset_user_email_verification() RETURNS trigger AS $$
+BEGIN
+    IF lower(NEW.email) IS DISTINCT FROM lower(OLD.email) THEN
+        NEW.email_verified_at := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_users_reset_email_verification ON users;
+CREATE TRIGGER trg_users_reset_email_verification
+    BEFORE UPDATE OF email ON users
+    FOR EACH ROW EXECUTE FUNCTION reset_user_email_verification();
+
+CREATE OR REPLACE FUNCTION reset_student_email_verification() RETURNS trigger AS $$
+BEGIN
+    IF lower(NEW.email) IS DISTINCT FROM lower(OLD.email) THEN
+        NEW.email_verified_at := NULL;
+    END IF;
+    IF lower(NEW.alt_email) IS DISTINCT FROM lower(OLD.alt_email) THEN
+        NEW.alt_email_verified_at := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_students_reset_email_verification ON students;
+CREATE TRIGGER trg_students_reset_email_verification
+    BEFORE UPDATE OF email, alt_email ON students
+    FOR EACH ROW EXECUTE FUNCTION reset_student_email_verification();
+
+-- Single-use verification links. Only the SHA-256 of the emailed token is
+-- stored, together with the address it was sent to: a link for an address
+-- that has since changed verifies nothing. Rows also drive resend throttling.
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    token_id      BIGSERIAL PRIMARY KEY,
+    user_id       INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    address_type  VARCHAR(20) NOT NULL
+                  CHECK (address_type IN ('account', 'student_email', 'student_alt_email')),
+    student_id    VARCHAR(50) REFERENCES students(student_id) ON DELETE CASCADE,
+    email         VARCHAR(150) NOT NULL,
+    token_hash    CHAR(64) NOT NULL UNIQUE,
+    expires_at    TIMESTAMPTZ NOT NULL,
+    used_at       TIMESTAMPTZ,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK ((address_type = 'account') = (student_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user
+    ON email_verification_tokens (user_id, address_type, created_at DESC);
@@ -0,0 +1,26 @@
+-- History of background job runs (services/scheduler/scheduler.js). A run is
+-- inserted as 'running' when a replica takes the job's lock and finished as
+-- 'succeeded' or 'failed'; a row left 'running' means the process died mid-run.
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+    run_id        BIGSERIAL PRIMARY KEY,
+    job_name      VARCHAR(100) NOT NULL,
+    trigger       VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+    triggered_by  INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    instance_id   VARCHAR(255) NOT NULL,
+    status        VARCHAR(20) NOT NULL DEFAULT 'running'
+                  CHECK (status IN ('running', 'succeeded', 'failed')),
+    result        JSONB,
+    error         TEXT,
+    started_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at   TIMESTAMPTZ,
+    duration_ms   INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job
+    ON scheduled_job_runs (job_name, started_at DESC);
+
+INSERT INTO permissions (permission_name, module, description)
+VALUES
+    ('scheduler:read', 'scheduler', 'View scheduled jobs and their run history'),
+    ('scheduler:run', 'scheduler', 'Run a scheduled job on demand')
+ON CONFLICT (permission_name) DO NOTHING;
@@ -0,0 +1,45 @@
+-- Successful logins, kept so new ones can be compared with what is usual for
+-- the account. user_sessions can't serve: a login replaces earlier sessions.
+-- device_hash is the SHA-256 of the user agent with version numbers removed,
+-- so browser updates don't look like a new device; ip_network is the /24
+-- (IPv4) or /48 (IPv6) the login came from.
+CREATE TABLE IF NOT EXISTS login_history (
+    login_id      BIGSERIAL PRIMARY KEY,
+    user_id       INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    method        VARCHAR(20) NOT NULL,
+    ip_address    INET,
+    ip_network    CIDR,
+    user_agent    TEXT,
+    device_hash   CHAR(64),
+    anomalies     TEXT[] NOT NULL DEFAULT '{}',
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_history_user_created
+    ON login_history (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_login_history_created
+    ON login_history (created_at);
+
+-- In-app notifications shown to a user (security alerts, ...).
+CREATE TABLE IF NOT EXISTS user_notifications (
+    notification_id  BIGSERIAL PRIMARY KEY,
+    user_id          INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    category         VARCHAR(32) NOT NULL,
+    title            VARCHAR(200) NOT NULL,
+    body             TEXT NOT NULL,
+    data             JSONB NOT NULL DEFAULT '{}'::jsonb,
+    read_at          TIMESTAMPTZ,
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_notifications_user_created
+    ON user_notifications (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_user_notifications_unread
+    ON user_notifications (user_id)
+    WHERE read_at IS NULL;
+
+INSERT INTO permissions (permission_name, module, description)
+VALUES ('security_events:read', 'security', 'View the security events of any user')
+ON CONFLICT (permission_name) DO NOTHING;
@@ -0,0 +1,103 @@
+-- Branch registry, replacing config/branches.json.
+--
+-- Branch codes are what students.branch and job_requirements.allowed_branches
+-- hold, so they are never deleted: a branch is deactivated instead, and when a
+-- branch is renamed its old code is kept in branch_code_aliases so existing
+-- references still resolve to it.
+
+CREATE TABLE IF NOT EXISTS departments (
+    department_id  SERIAL PRIMARY KEY,
+    code           VARCHAR(20) NOT NULL UNIQUE,
+    name           VARCHAR(200) NOT NULL,
+    is_active      BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS degree_programmes (
+    programme_id    SERIAL PRIMARY KEY,
+    code            VARCHAR(20) NOT NULL UNIQUE,
+    name            VARCHAR(200) NOT NULL,
+    level           VARCHAR(2) NOT NULL CHECK (level IN ('UG', 'PG')),
+    duration_years  SMALLINT NOT NULL CHECK (duration_years BETWEEN 1 AND 6),
+    is_active       BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- department_id / programme_id are NULL only for pseudo-branches such as ALL.
+CREATE TABLE IF NOT EXISTS branches (
+    branch_id       SERIAL PRIMARY KEY,
+    code            VARCHAR(20) NOT NULL UNIQUE,
+    name            VARCHAR(200) NOT NULL,
+    department_id   INTEGER REFERENCES departments(department_id),
+    programme_id    INTEGER REFERENCES degree_programmes(programme_id),
+    is_active       BOOLEAN NOT NULL DEFAULT TRUE,
+    deactivated_at  TIMESTAMPTZ,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_branches_department ON branches (department_id);
+
+-- Codes a branch used to have. A code is either a current code (branches.code)
+-- or an alias, never both; db/branches.db.js checks this under a lock.
+CREATE TABLE IF NOT EXISTS branch_code_aliases (
+    code        VARCHAR(20) PRIMARY KEY,
+    branch_id   INTEGER NOT NULL REFERENCES branches(branch_id) ON DELETE CASCADE,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_branch_code_aliases_branch ON branch_code_aliases (branch_id);
+
+-- Sanctioned intake of a branch for the batch admitted in admission_year.
+CREATE TABLE IF NOT EXISTS branch_intakes (
+    branch_id       INTEGER NOT NULL REFERENCES branches(branch_id) ON DELETE CASCADE,
+    admission_year  SMALLINT NOT NULL CHECK (admission_year BETWEEN 1990 AND 2100),
+    intake          INTEGER NOT NULL CHECK (intake >= 0),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (branch_id, admission_year)
+);
+
+-- ─── SEED (the contents of config/branches.json) ─────────────────────────────────
+
+INSERT INTO degree_programmes (code, name, level, duration_years) VALUES
+    ('BE',    'Bachelor of Engineering',         'UG', 4),
+    ('MTECH', 'Master of Technology',            'PG', 2),
+    ('MCA',   'Master of Computer Applications', 'PG', 2)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO departments (code, name) VALUES
+    ('CSE',   'Computer Science and Engineering'),
+    ('ISE',   'Information Science and Engineering'),
+    ('AI',    'Artificial Intelligence'),
+    ('ECE',   'Electronics and Communication Engineering'),
+    ('MECH',  'Mechanical Engineering'),
+    ('EEE',   'Electrical and Electronics Engineering'),
+    ('CIVIL', 'Civil Engineering'),
+    ('CSBS',  'Computer Science and Business Systems'),
+    ('ETE',   'Electronics and Telecommunication Engineering'),
+    ('MCA',   'Computer Applications')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO branches (code, name, department_id, programme_id)
+SELECT b.code, b.name, d.department_id, p.programme_id
+FROM (VALUES
+    ('CSE',   'Computer Science and Engineering',              'CSE',   'BE'),
+    ('ISE',   'Information Science and Engineering',           'ISE',   'BE'),
+    ('AI',    'Artificial Intelligence',                       'AI',    'BE'),
+    ('ECE',   'Electronics and Communication Engineering',     'ECE',   'BE'),
+    ('MECH',  'Mechanical Engineering',                        'MECH',  'BE'),
+    ('EEE',   'Electrical and Electronics Engineering',        'EEE',   'BE'),
+    ('CIVIL', 'Civil Engineering',                             'CIVIL', 'BE'),
+    ('CSBS',  'Computer Science and Business Systems',         'CSBS',  'BE'),
+    ('ETE',   'Electronics and Telecommunication Engineering', 'ETE',   'BE'),
+    ('MCA',   'Master of Computer Applications',               'MCA',   'MCA'),
+    ('ALL',   'All Branches',                                  NULL,    NULL)
+) AS b (code, name, department_code, programme_code)
+LEFT JOIN departments d ON d.code = b.department_code
+LEFT JOIN degree_programmes p ON p.code = b.programme_code
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO permissions (permission_name, module, description)
+VALUES ('branches:update', 'branches', 'Rename branches, manage departments, programmes and intakes')
+ON CONFLICT (permission_name) DO NOTHING;
@@ -0,0 +1,19 @@
+-- Job applications. A student applies to a job once; the eligibility checks
+-- that let the application through are kept with it, since the student's
+-- academics and the job's requirements can change afterwards.
+CREATE TABLE IF NOT EXISTS applications (
+    application_id  SERIAL PRIMARY KEY,
+    student_id      VARCHAR(50) NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    job_id          INTEGER NOT NULL REFERENCES jobs(job_id) ON DELETE CASCADE,
+    status          VARCHAR(20) NOT NULL DEFAULT 'APPLIED'
+                    CHECK (status IN ('APPLIED', 'SHORTLISTED', 'SELECTED', 'REJECTED', 'WITHDRAWN')),
+    notes           TEXT,
+    eligibility     JSONB NOT NULL DEFAULT '[]'::jsonb,
+    applied_by      INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    applied_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (student_id, job_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_applications_job_status ON applications (job_id, status);
+CREATE INDEX IF NOT EXISTS idx_applications_student ON applications (student_id, applied_at DESC);
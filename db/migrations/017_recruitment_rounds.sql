@@ -0,0 +1,41 @@
+-- Selection rounds of a job's drive (aptitude, GD, technical, HR, ...), run in
+-- round_number order. The last round is the final one: clearing it selects
+-- the candidate and creates their student_offers row.
+CREATE TABLE IF NOT EXISTS job_rounds (
+    round_id      SERIAL PRIMARY KEY,
+    job_id        INTEGER NOT NULL REFERENCES jobs(job_id) ON DELETE CASCADE,
+    round_number  SMALLINT NOT NULL CHECK (round_number > 0),
+    name          VARCHAR(100) NOT NULL,
+    mode          VARCHAR(10) NOT NULL DEFAULT 'OFFLINE' CHECK (mode IN ('ONLINE', 'OFFLINE')),
+    scheduled_at  TIMESTAMPTZ,
+    venue         VARCHAR(255),
+    meeting_link  VARCHAR(500),
+    notes         TEXT,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Deferred so rounds can be renumbered in one statement
+    CONSTRAINT job_rounds_job_round_number_key UNIQUE (job_id, round_number) DEFERRABLE INITIALLY DEFERRED
+);
+
+-- Candidates of a round, by their application to the job. Everyone starts a
+-- round SHORTLISTED; clearing a round shortlists them for the next one.
+CREATE TABLE IF NOT EXISTS round_candidates (
+    round_id        INTEGER NOT NULL REFERENCES job_rounds(round_id) ON DELETE CASCADE,
+    application_id  INTEGER NOT NULL REFERENCES applications(application_id) ON DELETE CASCADE,
+    status          VARCHAR(12) NOT NULL DEFAULT 'SHORTLISTED'
+                    CHECK (status IN ('SHORTLISTED', 'CLEARED', 'REJECTED', 'ABSENT')),
+    remarks         TEXT,
+    updated_by      INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (round_id, application_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_round_candidates_application ON round_candidates (application_id);
+
+INSERT INTO permissions (permission_name, module, description) VALUES
+    ('job_rounds:create', 'job_rounds', 'Add selection rounds to jobs'),
+    ('job_rounds:read', 'job_rounds', 'Read selection rounds and their candidates'),
+    ('job_rounds:update', 'job_rounds', 'Edit rounds, shortlist candidates and record results'),
+    ('job_rounds:delete', 'job_rounds', 'Delete selection rounds')
+ON CONFLICT (permission_name) DO NOTHING;
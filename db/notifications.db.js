@@ -0,0 +1,78 @@
+import pool from './connection.js';
+import logger from '../utils/logger.js';
+
+// ─── IN-APP NOTIFICATIONS ───────────────────────────────────────────────────────
+
+/**
+ * Add a notification to a user's in-app inbox. Failures are logged, never
+ * thrown: a notification is never worth failing the action that raised it.
+ *
+ * @param {{ user_id: number, category: string, title: string, body: string, data?: object }} notification
+ */
+export const createNotification = async ({ user_id, category, title, body, data = {} }) => {
+  const query = `
+    INSERT INTO user_notifications (user_id, category, title, body, data)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING notification_id, created_at
+  `;
+
+  try {
+    const result = await pool.query(query, [user_id, category, title, body, data]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error({ error: error.message, user_id, category }, 'Failed to create notification');
+    return null;
+  }
+};
+
+/**
+ * A user's notifications, newest first, with the unread count.
+ * @param {{ unread_only?: boolean, page?: number, limit?: number }} [params]
+ */
+export const getUserNotifications = async (userId, { unread_only = false, page = 1, limit = 20 } = {}) => {
+  const where = unread_only ? 'WHERE user_id = $1 AND read_at IS NULL' : 'WHERE user_id = $1';
+  const offset = (page - 1) * limit;
+
+  const countResult = await pool.query(`
+    SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE read_at IS NULL)::int AS unread
+    FROM user_notifications
+    ${where}
+  `, [userId]);
+  const { total, unread } = countResult.rows[0];
+
+  const dataResult = await pool.query(`
+    SELECT notification_id, category, title, body, data, read_at, created_at
+    FROM user_notifications
+    ${where}
+    ORDER BY created_at DESC, notification_id DESC
+    LIMIT $2 OFFSET $3
+  `, [userId, limit, offset]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    notifications: dataResult.rows,
+    unread_count: unread,
+    pagination: {
+      current_page: page,
+      total_pages: totalPages,
+      total_count: total,
+      limit,
+      has_next: page < totalPages,
+      has_prev: page > 1,
+    },
+  };
+};
+
+/**
+ * Mark one of the user's notifications read. Returns false if the user has
+ * no such notification.
+ */
+export const markNotificationRead = async (userId, notificationId) => {
+  const result = await pool.query(`
+    UPDATE user_notifications
+    SET read_at = COALESCE(read_at, NOW())
+    WHERE notification_id = $1 AND user_id = $2
+  `, [notificationId, userId]);
+  return result.rowCount > 0;
+};
@@ -0,0 +1,101 @@
+import pool from './connection.js';
+
+// Same shape as findUserByEmail in auth.db.js, so SSO users go through the
+// same checks as password logins
+const AUTH_USER_COLUMNS = `
+  u.user_id,
+  u.username,
+  u.email,
+  u.role_id,
+  r.role_name,
+  u.is_active,
+  u.is_locked,
+  u.failed_attempts,
+  u.lock_until,
+  u.must_change_password,
+  u.token_version
+`;
+
+// ─── USERS ──────────────────────────────────────────────────────────────────────
+
+/**
+ * User previously linked to this issuer + subject.
+ */
+export const findUserByIdentity = async (issuer, subject) => {
+  const query = `
+    SELECT ${AUTH_USER_COLUMNS}
+    FROM user_identities i
+    JOIN users u ON u.user_id = i.user_id
+    LEFT JOIN roles r ON u.role_id = r.role_id
+    WHERE i.issuer = $1 AND i.subject = $2
+  `;
+  const result = await pool.query(query, [issuer, subject]);
+  return result.rows[0] || null;
+};
+
+/**
+ * User by email, ignoring case (providers don't preserve it reliably).
+ */
+export const findUserByEmailInsensitive = async (email) => {
+  const query = `
+    SELECT ${AUTH_USER_COLUMNS}
+    FROM users u
+    LEFT JOIN roles r ON u.role_id = r.role_id
+    WHERE LOWER(u.email) = LOWER($1)
+    ORDER BY u.user_id
+    LIMIT 1
+  `;
+  const result = await pool.query(query, [email]);
+  return result.rows[0] || null;
+};
+
+export const findUserByIdForSso = async (userId) => {
+  const query = `
+    SELECT ${AUTH_USER_COLUMNS}
+    FROM users u
+    LEFT JOIN roles r ON u.role_id = r.role_id
+    WHERE u.user_id = $1
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows[0] || null;
+};
+
+// ─── STUDENTS ───────────────────────────────────────────────────────────────────
+
+/**
+ * Student whose college_email matches, with the user already linked to it (if any).
+ * @returns {Promise<{ student_id: string, full_name: string|null, user_id: number|null }|null>}
+ */
+export const findStudentByCollegeEmail = async (email) => {
+  const query = `
+    SELECT s.student_id, s.full_name, su.user_id
+    FROM students s
+    LEFT JOIN student_users su ON su.student_id = s.student_id
+    WHERE LOWER(s.college_email) = LOWER($1)
+    LIMIT 1
+  `;
+  const result = await pool.query(query, [email]);
+  return result.rows[0] || null;
+};
+
+export const getRoleIdByName = async (roleName) => {
+  const result = await pool.query('SELECT role_id FROM roles WHERE UPPER(role_name) = UPPER($1)', [roleName]);
+  return result.rows[0]?.role_id ?? null;
+};
+
+// ─── IDENTITIES ─────────────────────────────────────────────────────────────────
+
+/**
+ * Link (or re-confirm) an external identity and stamp the login time.
+ */
+export const linkIdentity = async ({ user_id, issuer, subject, email }) => {
+  const query = `
+    INSERT INTO user_identities (user_id, issuer, subject, email, last_login_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    ON CONFLICT (issuer, subject)
+    DO UPDATE SET email = EXCLUDED.email, last_login_at = NOW()
+    RETURNING identity_id, user_id
+  `;
+  const result = await pool.query(query, [user_id, issuer, subject, email]);
+  return result.rows[0];
+};
@@ -0,0 +1,50 @@
+import pool from './connection.js';
+
+// ─── PASSWORD HISTORY ───────────────────────────────────────────────────────────
+
+/**
+ * Current password hash of a user, or null if the user does not exist.
+ */
+export const getPasswordHash = async (userId) => {
+  const query = `SELECT password_hash FROM users WHERE user_id = $1`;
+  const result = await pool.query(query, [userId]);
+  return result.rows[0]?.password_hash ?? null;
+};
+
+/**
+ * Most recent previous password hashes, newest first.
+ */
+export const getRecentPasswordHashes = async (userId, limit) => {
+  if (limit <= 0) return [];
+  const query = `
+    SELECT password_hash
+    FROM password_history
+    WHERE user_id = $1
+    ORDER BY created_at DESC, history_id DESC
+    LIMIT $2
+  `;
+  const result = await pool.query(query, [userId, limit]);
+  return result.rows.map((row) => row.password_hash);
+};
+
+/**
+ * Record a replaced password hash and keep only the newest `keep` entries.
+ */
+export const addPasswordHistory = async (userId, passwordHash, keep) => {
+  await pool.query(
+    `INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)`,
+    [userId, passwordHash]
+  );
+
+  await pool.query(`
+    DELETE FROM password_history
+    WHERE user_id = $1
+      AND history_id NOT IN (
+        SELECT history_id
+        FROM password_history
+        WHERE user_id = $1
+        ORDER BY created_at DESC, history_id DESC
+        LIMIT $2
+      )
+  `, [userId, keep]);
+};
@@ -0,0 +1,80 @@
+import pool from './connection.js';
+
+// ─── PASSWORD RESET TOKENS ──────────────────────────────────────────────────────
+
+/**
+ * Store a new reset token (hash only) for a user.
+ */
+export const createResetToken = async ({ user_id, token_hash, requested_ip, expires_at }) => {
+  const query = `
+    INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+    VALUES ($1, $2, $3::inet, $4)
+    RETURNING token_id, expires_at
+  `;
+  const result = await pool.query(query, [user_id, token_hash, requested_ip || null, expires_at]);
+  return result.rows[0];
+};
+
+/**
+ * Spend every outstanding token of a user, so only the newest link works.
+ */
+export const invalidateUserResetTokens = async (userId) => {
+  const query = `
+    UPDATE password_reset_tokens
+    SET used_at = NOW()
+    WHERE user_id = $1 AND used_at IS NULL
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rowCount;
+};
+
+/**
+ * Owner of a token that is still usable, without spending it.
+ */
+export const findValidResetToken = async (tokenHash) => {
+  const query = `
+    SELECT user_id
+    FROM password_reset_tokens
+    WHERE token_hash = $1
+      AND used_at IS NULL
+      AND expires_at > NOW()
+  `;
+  const result = await pool.query(query, [tokenHash]);
+  return result.rows[0]?.user_id ?? null;
+};
+
+/**
+ * Atomically mark a valid token as used. Returns the owning user_id, or null
+ * if the token is unknown, expired or already used.
+ */
+export const consumeResetToken = async (tokenHash) => {
+  const query = `
+    UPDATE password_reset_tokens
+    SET used_at = NOW()
+    WHERE token_hash = $1
+      AND used_at IS NULL
+      AND expires_at > NOW()
+    RETURNING user_id
+  `;
+  const result = await pool.query(query, [tokenHash]);
+  return result.rows[0]?.user_id ?? null;
+};
+
+/**
+ * Set a new password hash after a reset, clearing any lockout and the
+ * must_change_password flag.
+ */
+export const setPasswordAfterReset = async (userId, passwordHash) => {
+  const query = `
+    UPDATE users
+    SET password_hash = $2,
+        must_change_password = false,
+        failed_attempts = 0,
+        is_locked = false,
+        lock_until = NULL,
+        updated_at = NOW()
+    WHERE user_id = $1
+  `;
+  const result = await pool.query(query, [userId, passwordHash]);
+  return result.rowCount > 0;
+};
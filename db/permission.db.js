@@ -1,9 +1,10 @@
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../utils/errors.js';
 
 // Create a new permission in the database
-export const createPermission = async (data) => {
+export const createPermission = audited({ entity: 'permission', action: 'create', table: 'permissions', idColumn: 'permission_id' }, async (data) => {
     const Query = `INSERT INTO permissions (permission_name, module, description) VALUES ($1, $2, $3) RETURNING *`;
     const values = [data.permission_name, data.module || null, data.description || null];
 
@@ -36,9 +37,9 @@ export const createPermission = async (data) => {
 
         throw new Error('Permission creation failed due to an unexpected error');
     }
-};
+});
 
-export const updatePermission = async (permission_id, data) => {
+export const updatePermission = audited({ entity: 'permission', action: 'update', table: 'permissions', idColumn: 'permission_id', id: (permission_id) => permission_id }, async (permission_id, data) => {
     const Query = `UPDATE permissions SET permission_name=$1, module=$2, description=$3 WHERE permission_id=$4 RETURNING *`;
     const values = [data.permission_name, data.module || null, data.description || null, permission_id];
 
@@ -74,7 +75,7 @@ export const updatePermission = async (permission_id, data) => {
 
         throw new Error('Permission update failed due to an unexpected error');
     }
-};
+});
 
 export const getAllPermissions = async (options = {}) => {
     const {
@@ -169,7 +170,7 @@ export const getPermissionById = async (permissionId) => {
         throw new Error(`Failed to retrieve permission: ${error.message}`);
     }
 };
-export const deletePermission = async (permissionId) => {
+export const deletePermission = audited({ entity: 'permission', action: 'delete', table: 'permissions', idColumn: 'permission_id', id: (permissionId) => permissionId }, async (permissionId) => {
     const queryText = `
         DELETE FROM permissions 
         WHERE permission_id = $1
@@ -202,7 +203,7 @@ export const deletePermission = async (permissionId) => {
         }, `Error deleting permission: ${error.message}`);
         throw new Error(`Failed to delete permission: ${error.message}`);
     }
-};
+});
 
 export const permissionExistsByName = async (permissionName) => {
     const queryText = `
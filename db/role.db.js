@@ -1,4 +1,5 @@
 import pool from './connection.js';  // Fixed import path
+import { audited } from './audit.db.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../utils/errors.js';
 
@@ -22,9 +23,9 @@ export const getRoles = async () => {
     }
 }   
 //create a new role in the database 
-export const createRole = async (data) => {
-    const Query = `INSERT INTO roles (role_name, role_description) VALUES ($1, $2) RETURNING *`;
-    const values = [data.role_name, data.role_description || null]; // Handle optional description
+export const createRole = audited({ entity: 'role', action: 'create', table: 'roles', idColumn: 'role_id' }, async (data) => {
+    const Query = `INSERT INTO roles (role_name, role_description, mfa_required) VALUES ($1, $2, $3) RETURNING *`;
+    const values = [data.role_name, data.role_description || null, data.mfa_required ?? false]; // Handle optional description
 
     try {
         logger.info("createRole: Attempting to create a new role with name: " + data.role_name);
@@ -55,14 +56,15 @@ export const createRole = async (data) => {
 
         throw new Error('Role creation failed due to an unexpected error');
     }
-};
+});
 
 
 
-export const updateRole = async (role_id, data) => {
+export const updateRole = audited({ entity: 'role', action: 'update', table: 'roles', idColumn: 'role_id', id: (role_id) => role_id }, async (role_id, data) => {
     // Fixed: Match your table structure - no updated_at column, use role_id
-    const Query = `UPDATE roles SET role_name=$1, role_description=$2 WHERE role_id=$3 RETURNING *`;
-    const values = [data.role_name, data.role_description || null, role_id];
+    // mfa_required is left unchanged when omitted
+    const Query = `UPDATE roles SET role_name=$1, role_description=$2, mfa_required=COALESCE($4, mfa_required) WHERE role_id=$3 RETURNING *`;
+    const values = [data.role_name, data.role_description || null, role_id, data.mfa_required ?? null];
 
     try {
         logger.debug("updateRole: Attempting to update role with ID: " + role_id);
@@ -96,7 +98,7 @@ export const updateRole = async (role_id, data) => {
 
         throw new Error('Role update failed due to an unexpected error');
     }
-};
+});
 
 /**
  * Get all roles with pagination
@@ -137,7 +139,7 @@ export const getAllRoles = async (options = {}) => {
 
         // Query 2: Paginated data without window function
         const dataQuery = `
-            SELECT role_id, role_name, role_description, created_at
+            SELECT role_id, role_name, role_description, mfa_required, created_at
             FROM roles 
             ORDER BY ${sortBy} ${sortOrder.toUpperCase()}
             LIMIT $1 OFFSET $2`;
@@ -182,7 +184,7 @@ export const getAllRoles = async (options = {}) => {
 export const getRoleById = async (roleId) => {
     // Fixed: Use role_id and remove deleted_at check
     const queryText = `
-        SELECT role_id, role_name, role_description, created_at 
+        SELECT role_id, role_name, role_description, mfa_required, created_at 
         FROM roles 
         WHERE role_id = $1`;
 
@@ -220,7 +222,7 @@ export const getRoleById = async (roleId) => {
  * @param {number} roleId - Role ID
  * @returns {Object} Deletion result
  */
-export const deleteRole = async (roleId) => {
+export const deleteRole = audited({ entity: 'role', action: 'delete', table: 'roles', idColumn: 'role_id', id: (roleId) => roleId }, async (roleId) => {
     // Fixed: Hard delete since your table doesn't have deleted_at
     const queryText = `
         DELETE FROM roles 
@@ -254,7 +256,7 @@ export const deleteRole = async (roleId) => {
         }, `Error deleting role: ${error.message}`);
         throw new Error(`Failed to delete role: ${error.message}`);
     }
-};
+});
 
 
 /**
@@ -1,9 +1,10 @@
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../utils/errors.js';
 
 // Assign a single permission to a role
-export const assignPermissionToRole = async (data) => {
+export const assignPermissionToRole = audited({ entity: 'role', action: 'assign_permission', id: (data) => data.role_id, details: (data) => ({ permission_id: data.permission_id }) }, async (data) => {
     const client = await pool.connect();
     
     try {
@@ -58,10 +59,10 @@ export const assignPermissionToRole = async (data) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Assign multiple permissions to a role
-export const assignPermissionsToRole = async (data) => {
+export const assignPermissionsToRole = audited({ entity: 'role', action: 'assign_permissions', id: (data) => data.role_id, details: (data) => ({ permission_ids: data.permission_ids }) }, async (data) => {
     const client = await pool.connect();
     
     try {
@@ -135,7 +136,7 @@ export const assignPermissionsToRole = async (data) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get permissions for a specific role with pagination
 export const getRolePermissions = async (params) => {
@@ -291,7 +292,7 @@ export const getAllRolePermissions = async (params) => {
 };
 
 // Remove a specific permission from a role
-export const removePermissionFromRole = async (data) => {
+export const removePermissionFromRole = audited({ entity: 'role', action: 'remove_permission', id: (data) => data.role_id, details: (data) => ({ permission_id: data.permission_id }) }, async (data) => {
     const client = await pool.connect();
     
     try {
@@ -336,10 +337,10 @@ export const removePermissionFromRole = async (data) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Remove all permissions from a role
-export const removeAllPermissionsFromRole = async (role_id) => {
+export const removeAllPermissionsFromRole = audited({ entity: 'role', action: 'remove_all_permissions', id: (role_id) => role_id }, async (role_id) => {
     const client = await pool.connect();
     
     try {
@@ -385,4 +386,24 @@ export const removeAllPermissionsFromRole = async (role_id) => {
     } finally {
         client.release();
     }
-};
\ No newline at end of file
+});
+
+// Get the permission names granted to a role (used by requirePermission at request time)
+export const getPermissionNamesByRoleId = async (role_id) => {
+    try {
+        const query = `
+            SELECT p.permission_name
+            FROM role_permissions rp
+            INNER JOIN permissions p ON rp.permission_id = p.permission_id
+            WHERE rp.role_id = $1
+        `;
+        const result = await pool.query(query, [role_id]);
+        return result.rows.map((row) => row.permission_name);
+    } catch (error) {
+        logger.error({
+            stack: error.stack,
+            role_id
+        }, `getPermissionNamesByRoleId: ${error.message}`);
+        throw error;
+    }
+};
@@ -0,0 +1,125 @@
+import pool from './connection.js';
+import logger from '../utils/logger.js';
+
+const RUN_COLUMNS = `
+    r.run_id, r.job_name, r.trigger, r.triggered_by, u.username AS triggered_by_username,
+    r.instance_id, r.status, r.result, r.error, r.started_at, r.finished_at, r.duration_ms
+`;
+
+const RUN_FROM = `
+    FROM scheduled_job_runs r
+    LEFT JOIN users u ON u.user_id = r.triggered_by
+`;
+
+// ─── RUNS ───────────────────────────────────────────────────────────────────────
+
+// Record that a run has started on this instance
+export const startRun = async ({ job_name, trigger, triggered_by, instance_id }) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO scheduled_job_runs (job_name, trigger, triggered_by, instance_id)
+             VALUES ($1, $2, $3, $4)
+             RETURNING run_id, job_name, trigger, triggered_by, instance_id, status, started_at`,
+            [job_name, trigger, triggered_by ?? null, instance_id]
+        );
+        return result.rows[0];
+    } catch (error) {
+        logger.error({ stack: error.stack, job_name }, `startRun: ${error.message}`);
+        throw error;
+    }
+};
+
+// Close a run as 'succeeded' (with the job's result) or 'failed' (with its error)
+export const finishRun = async (runId, { status, result = null, error = null }) => {
+    try {
+        const updated = await pool.query(
+            `UPDATE scheduled_job_runs
+             SET status = $2,
+                 result = $3,
+                 error = $4,
+                 finished_at = NOW(),
+                 duration_ms = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::int
+             WHERE run_id = $1
+             RETURNING run_id, status, finished_at, duration_ms`,
+            [runId, status, result === null ? null : JSON.stringify(result), error]
+        );
+        return updated.rows[0] || null;
+    } catch (err) {
+        logger.error({ stack: err.stack, runId }, `finishRun: ${err.message}`);
+        throw err;
+    }
+};
+
+// ─── HISTORY ────────────────────────────────────────────────────────────────────
+
+// Latest run of each job, keyed by job name
+export const getLatestRuns = async () => {
+    try {
+        const result = await pool.query(`
+            SELECT DISTINCT ON (r.job_name) ${RUN_COLUMNS}
+            ${RUN_FROM}
+            ORDER BY r.job_name, r.started_at DESC, r.run_id DESC
+        `);
+        return new Map(result.rows.map((row) => [row.job_name, row]));
+    } catch (error) {
+        logger.error({ stack: error.stack }, `getLatestRuns: ${error.message}`);
+        throw error;
+    }
+};
+
+/**
+ * Paginated run history, newest first.
+ * @param {{ job_name?: string, status?: 'running'|'succeeded'|'failed', page?: number, limit?: number }} params
+ */
+export const getRuns = async (params = {}) => {
+    const { job_name, status, page = 1, limit = 20 } = params;
+
+    const conditions = [];
+    const values = [];
+
+    if (job_name) {
+        values.push(job_name);
+        conditions.push(`r.job_name = $${values.length}`);
+    }
+    if (status) {
+        values.push(status);
+        conditions.push(`r.status = $${values.length}`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    try {
+        const countResult = await pool.query(`SELECT COUNT(*) AS total ${RUN_FROM} ${where}`, values);
+        const total = parseInt(countResult.rows[0].total, 10);
+
+        const dataResult = await pool.query(`
+            SELECT ${RUN_COLUMNS}
+            ${RUN_FROM}
+            ${where}
+            ORDER BY r.started_at DESC, r.run_id DESC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `, [...values, limit, offset]);
+
+        const totalPages = Math.ceil(total / limit);
+
+        return {
+            success: true,
+            data: {
+                runs: dataResult.rows,
+                pagination: {
+                    current_page: page,
+                    total_pages: totalPages,
+                    total_count: total,
+                    limit,
+                    has_next: page < totalPages,
+                    has_prev: page > 1
+                }
+            },
+            message: 'Job runs retrieved successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, params }, `getRuns: ${error.message}`);
+        throw error;
+    }
+};
@@ -0,0 +1,94 @@
+import pool from './connection.js';
+import logger from '../utils/logger.js';
+
+// ─── SECURITY EVENTS ────────────────────────────────────────────────────────────
+
+/**
+ * Record a security event. Failures are logged, never thrown, so recording an
+ * event can't break the request that detected it.
+ *
+ * @param {{ user_id?: number, event_type: string, severity?: 'low'|'medium'|'high'|'critical',
+ *           ip_address?: string, user_agent?: string, details?: object }} event
+ */
+export const recordSecurityEvent = async ({
+  user_id = null,
+  event_type,
+  severity = 'medium',
+  ip_address = null,
+  user_agent = null,
+  details = {},
+}) => {
+  const query = `
+    INSERT INTO security_events (user_id, event_type, severity, ip_address, user_agent, details)
+    VALUES ($1, $2, $3, $4::inet, $5, $6)
+    RETURNING event_id, created_at
+  `;
+
+  try {
+    const result = await pool.query(query, [user_id, event_type, severity, ip_address, user_agent, details]);
+    logger.warn({ user_id, event_type, severity, ip_address, details }, 'Security event recorded');
+    return result.rows[0];
+  } catch (error) {
+    logger.error({ error: error.message, user_id, event_type, details }, 'Failed to record security event');
+    return null;
+  }
+};
+
+/**
+ * One user's security events, newest first, for the admin timeline.
+ *
+ * @param {number} userId
+ * @param {{ event_type?: string, severity?: string, from?: Date, to?: Date,
+ *           page?: number, limit?: number }} [params]
+ */
+export const getUserSecurityEvents = async (userId, params = {}) => {
+  const { event_type, severity, from, to, page = 1, limit = 20 } = params;
+
+  const conditions = ['user_id = $1'];
+  const values = [userId];
+
+  if (event_type) {
+    values.push(event_type);
+    conditions.push(`event_type = $${values.length}`);
+  }
+  if (severity) {
+    values.push(severity);
+    conditions.push(`severity = $${values.length}`);
+  }
+  if (from) {
+    values.push(from);
+    conditions.push(`created_at >= $${values.length}`);
+  }
+  if (to) {
+    values.push(to);
+    conditions.push(`created_at <= $${values.length}`);
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const offset = (page - 1) * limit;
+
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM security_events ${where}`, values);
+  const total = countResult.rows[0].total;
+
+  const dataResult = await pool.query(`
+    SELECT event_id, event_type, severity, ip_address, user_agent, details, created_at
+    FROM security_events
+    ${where}
+    ORDER BY created_at DESC, event_id DESC
+    LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+  `, [...values, limit, offset]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    events: dataResult.rows,
+    pagination: {
+      current_page: page,
+      total_pages: totalPages,
+      total_count: total,
+      limit,
+      has_next: page < totalPages,
+      has_prev: page > 1,
+    },
+  };
+};
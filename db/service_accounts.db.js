@@ -0,0 +1,279 @@
+import pool from './connection.js';
+import { audited } from './audit.db.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/errors.js';
+
+// last_used_at is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION = '1 minute';
+
+const KEY_COLUMNS = `
+    k.api_key_id, k.service_account_id, k.name, k.key_prefix, k.expires_at, k.revoked_at,
+    k.last_used_at, k.last_used_ip, k.created_by, k.created_at,
+    COALESCE(
+        (SELECT array_agg(p.permission_name ORDER BY p.permission_name)
+         FROM api_key_permissions kp
+         JOIN permissions p ON p.permission_id = kp.permission_id
+         WHERE kp.api_key_id = k.api_key_id),
+        '{}'
+    ) AS permissions
+`;
+
+// ─── SERVICE ACCOUNTS ───────────────────────────────────────────────────────────
+
+// Create a service account
+export const createServiceAccount = audited({ entity: 'service_account', action: 'create', table: 'service_accounts', idColumn: 'service_account_id' }, async (account) => {
+    try {
+        logger.info(`createServiceAccount: Creating service account ${account.name}`);
+
+        const result = await pool.query(
+            `INSERT INTO service_accounts (name, description, created_by)
+             VALUES ($1, $2, $3)
+             RETURNING *`,
+            [account.name, account.description || null, account.created_by ?? null]
+        );
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Service account created successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, name: account.name }, `createServiceAccount: ${error.message}`);
+        if (error.code === '23505') {
+            throw new AppError(409, 'Service account name already exists');
+        }
+        throw error;
+    }
+});
+
+// List service accounts with their active key counts
+export const getAllServiceAccounts = async () => {
+    try {
+        const result = await pool.query(`
+            SELECT s.*,
+                   COUNT(k.api_key_id) FILTER (
+                       WHERE k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())
+                   )::int AS active_keys
+            FROM service_accounts s
+            LEFT JOIN api_keys k ON k.service_account_id = s.service_account_id
+            GROUP BY s.service_account_id
+            ORDER BY s.name
+        `);
+
+        logger.info(`getAllServiceAccounts: Retrieved ${result.rows.length} service accounts`);
+
+        return {
+            success: true,
+            data: result.rows,
+            message: 'Service accounts retrieved successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack }, `getAllServiceAccounts: ${error.message}`);
+        throw error;
+    }
+};
+
+// Get a service account with all of its keys (never their hashes)
+export const getServiceAccountById = async (serviceAccountId) => {
+    try {
+        const accountResult = await pool.query(
+            'SELECT * FROM service_accounts WHERE service_account_id = $1',
+            [serviceAccountId]
+        );
+
+        if (accountResult.rows.length === 0) {
+            return { success: false, message: 'Service account not found' };
+        }
+
+        const keysResult = await pool.query(
+            `SELECT ${KEY_COLUMNS} FROM api_keys k WHERE k.service_account_id = $1 ORDER BY k.created_at DESC`,
+            [serviceAccountId]
+        );
+
+        return {
+            success: true,
+            data: { ...accountResult.rows[0], api_keys: keysResult.rows },
+            message: 'Service account retrieved successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, serviceAccountId }, `getServiceAccountById: ${error.message}`);
+        throw error;
+    }
+};
+
+// Update description / active flag
+export const updateServiceAccount = audited({ entity: 'service_account', action: 'update', table: 'service_accounts', idColumn: 'service_account_id', id: (serviceAccountId) => serviceAccountId }, async (serviceAccountId, account) => {
+    try {
+        const result = await pool.query(
+            `UPDATE service_accounts
+             SET description = COALESCE($1, description),
+                 is_active = COALESCE($2, is_active),
+                 updated_at = NOW()
+             WHERE service_account_id = $3
+             RETURNING *`,
+            [account.description ?? null, account.is_active ?? null, serviceAccountId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new AppError(404, 'Service account not found');
+        }
+
+        logger.info(`updateServiceAccount: Updated service account ${serviceAccountId}`);
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Service account updated successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, serviceAccountId }, `updateServiceAccount: ${error.message}`);
+        throw error;
+    }
+});
+
+// Delete a service account; its keys go with it
+export const deleteServiceAccount = audited({ entity: 'service_account', action: 'delete', table: 'service_accounts', idColumn: 'service_account_id', id: (serviceAccountId) => serviceAccountId }, async (serviceAccountId) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM service_accounts WHERE service_account_id = $1 RETURNING *',
+            [serviceAccountId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new AppError(404, 'Service account not found');
+        }
+
+        logger.info(`deleteServiceAccount: Deleted service account ${serviceAccountId}`);
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'Service account deleted successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, serviceAccountId }, `deleteServiceAccount: ${error.message}`);
+        throw error;
+    }
+});
+
+// ─── API KEYS ───────────────────────────────────────────────────────────────────
+
+/**
+ * Store a new key and its permission scope (permission names).
+ * Unknown permission names are rejected rather than silently dropped.
+ */
+export const createApiKey = audited({ entity: 'api_key', action: 'create', table: 'api_keys', idColumn: 'api_key_id' }, async (apiKey) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const accountCheck = await client.query(
+            'SELECT service_account_id FROM service_accounts WHERE service_account_id = $1',
+            [apiKey.service_account_id]
+        );
+        if (accountCheck.rows.length === 0) {
+            throw new AppError(404, 'Service account not found');
+        }
+
+        const permissionResult = await client.query(
+            'SELECT permission_id, permission_name FROM permissions WHERE permission_name = ANY($1::text[])',
+            [apiKey.permissions]
+        );
+        const found = permissionResult.rows.map((row) => row.permission_name);
+        const unknown = apiKey.permissions.filter((name) => !found.includes(name));
+        if (unknown.length > 0) {
+            throw new AppError(422, `Unknown permission(s): ${unknown.join(', ')}`);
+        }
+
+        const keyResult = await client.query(
+            `INSERT INTO api_keys (service_account_id, name, key_prefix, key_hash, expires_at, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING api_key_id`,
+            [apiKey.service_account_id, apiKey.name, apiKey.key_prefix, apiKey.key_hash, apiKey.expires_at ?? null, apiKey.created_by ?? null]
+        );
+        const apiKeyId = keyResult.rows[0].api_key_id;
+
+        await client.query(
+            `INSERT INTO api_key_permissions (api_key_id, permission_id)
+             SELECT $1, UNNEST($2::int[])`,
+            [apiKeyId, permissionResult.rows.map((row) => row.permission_id)]
+        );
+
+        const created = await client.query(`SELECT ${KEY_COLUMNS} FROM api_keys k WHERE k.api_key_id = $1`, [apiKeyId]);
+
+        await client.query('COMMIT');
+        logger.info(`createApiKey: Created key ${apiKey.key_prefix} for service account ${apiKey.service_account_id}`);
+
+        return {
+            success: true,
+            data: created.rows[0],
+            message: 'API key created successfully'
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error({ stack: error.stack, service_account_id: apiKey.service_account_id }, `createApiKey: ${error.message}`);
+        throw error;
+    } finally {
+        client.release();
+    }
+});
+
+// Revoke a key; it stops working on the next request
+export const revokeApiKey = audited({ entity: 'api_key', action: 'revoke', table: 'api_keys', idColumn: 'api_key_id', id: (serviceAccountId, apiKeyId) => apiKeyId }, async (serviceAccountId, apiKeyId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE api_keys
+             SET revoked_at = COALESCE(revoked_at, NOW())
+             WHERE api_key_id = $1 AND service_account_id = $2
+             RETURNING api_key_id, key_prefix, revoked_at`,
+            [apiKeyId, serviceAccountId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new AppError(404, 'API key not found');
+        }
+
+        logger.info(`revokeApiKey: Revoked key ${result.rows[0].key_prefix}`);
+
+        return {
+            success: true,
+            data: result.rows[0],
+            message: 'API key revoked successfully'
+        };
+    } catch (error) {
+        logger.error({ stack: error.stack, serviceAccountId, apiKeyId }, `revokeApiKey: ${error.message}`);
+        throw error;
+    }
+});
+
+// ─── AUTHENTICATION ─────────────────────────────────────────────────────────────
+
+/**
+ * Everything `authenticate` needs to accept or reject a key, by prefix.
+ * @returns {Promise<object|null>}
+ */
+export const findApiKeyForAuth = async (keyPrefix) => {
+    const result = await pool.query(
+        `SELECT ${KEY_COLUMNS}, k.key_hash, s.name AS service_account_name, s.is_active
+         FROM api_keys k
+         JOIN service_accounts s ON s.service_account_id = k.service_account_id
+         WHERE k.key_prefix = $1`,
+        [keyPrefix]
+    );
+    return result.rows[0] || null;
+};
+
+// Record key usage; throttled so busy workers don't write on every request
+export const touchApiKey = async (apiKeyId, ipAddress) => {
+    try {
+        await pool.query(
+            `UPDATE api_keys
+             SET last_used_at = NOW(), last_used_ip = $2::inet
+             WHERE api_key_id = $1
+               AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '${LAST_USED_RESOLUTION}')`,
+            [apiKeyId, ipAddress || null]
+        );
+    } catch (error) {
+        logger.warn({ apiKeyId, error: error.message }, 'touchApiKey: failed to record key usage');
+    }
+};
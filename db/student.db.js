@@ -1,5 +1,7 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
+import { emitStudentAcademicsChanged, emitStudentDeleted } from '../services/events/eligibilityEvents.js';
 
 const ALLOWED_STUDENT_FIELDS = [
     'first_name', 'middle_name', 'last_name', 'full_name',
@@ -9,7 +11,10 @@ const ALLOWED_STUDENT_FIELDS = [
     'graduation_year', 'semester'
 ];
 
-export const createStudent = async (student) => {
+// Student fields that eligibility is judged on
+const ELIGIBILITY_FIELDS = ['branch', 'graduation_year'];
+
+export const createStudent = audited({ entity: 'student', action: 'create', table: 'students', idColumn: 'student_id' }, async (student) => {
     const client = await pool.connect();
 
     try {
@@ -69,6 +74,8 @@ export const createStudent = async (student) => {
         const result = await client.query(insertQuery, values);
         await client.query('COMMIT');
 
+        emitStudentAcademicsChanged(result.rows[0].student_id, 'createStudent');
+
         return {
             success: true,
             data: result.rows[0],
@@ -84,7 +91,7 @@ export const createStudent = async (student) => {
     } finally {
         client.release();
     }
-};
+});
 
 export const getStudentById = async (studentId) => {
     try {
@@ -113,7 +120,7 @@ export const getStudentById = async (studentId) => {
     }
 };
 
-export const deleteStudentById = async (studentId) => {
+export const deleteStudentById = audited({ entity: 'student', action: 'delete', table: 'students', idColumn: 'student_id', id: (studentId) => studentId }, async (studentId) => {
     const client = await pool.connect();
     try {
         logger.info(`deleteStudentById: Deleting student with ID ${studentId}`);
@@ -128,6 +135,7 @@ export const deleteStudentById = async (studentId) => {
                 message: 'Student not found'
             };
         }
+        emitStudentDeleted(studentId, 'deleteStudentById');
         return {
             success: true,
             data: result.rows[0],
@@ -143,9 +151,9 @@ export const deleteStudentById = async (studentId) => {
     } finally {
         client.release();
     }
-};
+});
 
-export const patchStudentById = async (studentId, updateFields) => {
+export const patchStudentById = audited({ entity: 'student', action: 'update', table: 'students', idColumn: 'student_id', id: (studentId) => studentId }, async (studentId, updateFields) => {
     const client = await pool.connect();
     try {
         if (Object.keys(updateFields).length === 0) {
@@ -188,6 +196,10 @@ export const patchStudentById = async (studentId, updateFields) => {
                 message: 'Student not found'
             };
         }
+        if (ELIGIBILITY_FIELDS.some(field => Object.hasOwn(updateFields, field))) {
+            emitStudentAcademicsChanged(studentId, 'patchStudentById');
+        }
+
         return {
             success: true,
             data: result.rows[0],
@@ -203,7 +215,7 @@ export const patchStudentById = async (studentId, updateFields) => {
     } finally {
         client.release();
     }
-};
+});
 
 export const getAllStudents = async () => {
     try {
@@ -249,7 +261,7 @@ export const getAllStudents = async () => {
     }
 };
 
-export const updateStudentById = async (studentId, student) => {
+export const updateStudentById = audited({ entity: 'student', action: 'update', table: 'students', idColumn: 'student_id', id: (studentId) => studentId }, async (studentId, student) => {
     const client = await pool.connect();
     try {
         logger.info(`updateStudentById: Updating student with ID ${studentId}`);
@@ -311,6 +323,8 @@ export const updateStudentById = async (studentId, student) => {
             };
         }
 
+        emitStudentAcademicsChanged(studentId, 'updateStudentById');
+
         return {
             success: true,
             data: result.rows[0],
@@ -327,4 +341,4 @@ export const updateStudentById = async (studentId, student) => {
     } finally {
         client.release();
     }
-};
+});
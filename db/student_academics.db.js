@@ -1,5 +1,7 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
+import { emitStudentAcademicsChanged } from '../services/events/eligibilityEvents.js';
 
 // Get students menu for dropdowns
 export const getStudentsMenu = async (searchParams = {}) => {
@@ -55,7 +57,7 @@ export const getStudentsMenu = async (searchParams = {}) => {
 };
 
 // Create a new student academic record
-export const createStudentAcademic = async (academic) => {
+export const createStudentAcademic = audited({ entity: 'student_academic', action: 'create', table: 'student_academics', idColumn: 'student_id' }, async (academic) => {
     const client = await pool.connect();
 
     try {
@@ -115,6 +117,8 @@ export const createStudentAcademic = async (academic) => {
         const result = await client.query(insertQuery, values);
         await client.query('COMMIT');
 
+        emitStudentAcademicsChanged(result.rows[0].student_id, 'createStudentAcademic');
+
         return {
             success: true,
             data: result.rows[0],
@@ -130,7 +134,7 @@ export const createStudentAcademic = async (academic) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get student academic by student ID (primary key)
 export const getStudentAcademicById = async (studentId) => {
@@ -209,7 +213,7 @@ export const getAllStudentAcademics = async () => {
 };
 
 // Update student academic (full update)
-export const updateStudentAcademicById = async (studentId, academic) => {
+export const updateStudentAcademicById = audited({ entity: 'student_academic', action: 'update', table: 'student_academics', idColumn: 'student_id', id: (studentId) => studentId }, async (studentId, academic) => {
     const client = await pool.connect();
     try {
         logger.info(`updateStudentAcademicById: Updating student academic with student_id ${studentId}`);
@@ -272,6 +276,8 @@ export const updateStudentAcademicById = async (studentId, academic) => {
             };
         }
 
+        emitStudentAcademicsChanged(studentId, 'updateStudentAcademicById');
+
         return {
             success: true,
             data: result.rows[0],
@@ -288,10 +294,10 @@ export const updateStudentAcademicById = async (studentId, academic) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Patch student academic (partial update)
-export const patchStudentAcademicById = async (studentId, updates) => {
+export const patchStudentAcademicById = audited({ entity: 'student_academic', action: 'update', table: 'student_academics', idColumn: 'student_id', id: (studentId) => studentId }, async (studentId, updates) => {
     const client = await pool.connect();
     try {
         logger.info(`patchStudentAcademicById: Patching student academic with student_id ${studentId}`);
@@ -344,6 +350,8 @@ export const patchStudentAcademicById = async (studentId, updates) => {
             };
         }
 
+        emitStudentAcademicsChanged(studentId, 'patchStudentAcademicById');
+
         return {
             success: true,
             data: result.rows[0],
@@ -360,10 +368,10 @@ export const patchStudentAcademicById = async (studentId, updates) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete student academic
-export const deleteStudentAcademicById = async (studentId) => {
+export const deleteStudentAcademicById = audited({ entity: 'student_academic', action: 'delete', table: 'student_academics', idColumn: 'student_id', id: (studentId) => studentId }, async (studentId) => {
     const client = await pool.connect();
     try {
         logger.info(`deleteStudentAcademicById: Deleting student academic with student_id ${studentId}`);
@@ -381,6 +389,8 @@ export const deleteStudentAcademicById = async (studentId) => {
             };
         }
 
+        emitStudentAcademicsChanged(studentId, 'deleteStudentAcademicById');
+
         return {
             success: true,
             data: result.rows[0],
@@ -396,7 +406,7 @@ export const deleteStudentAcademicById = async (studentId) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get academics by category
 export const getAcademicsByCategory = async (category) => {
@@ -1,5 +1,6 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 
 const ALLOWED_ADDRESS_FIELDS = [
     'student_id', 'permanent_address', 'permanent_city', 'permanent_state',
@@ -66,7 +67,7 @@ export const getStudentsMenu = async (searchParams = {}) => {
     }
 };
 
-export const createStudentAddress = async (address) => {
+export const createStudentAddress = audited({ entity: 'student_address', action: 'create', table: 'student_addresses', idColumn: 'address_id' }, async (address) => {
     const client = await pool.connect();
 
     try {
@@ -122,7 +123,7 @@ export const createStudentAddress = async (address) => {
     } finally {
         client.release();
     }
-};
+});
 
 export const getStudentAddressById = async (addressId) => {
     try {
@@ -219,7 +220,7 @@ export const getAllStudentAddresses = async () => {
     }
 };
 
-export const updateStudentAddressById = async (addressId, updateFields) => {
+export const updateStudentAddressById = audited({ entity: 'student_address', action: 'update', table: 'student_addresses', idColumn: 'address_id', id: (addressId) => addressId }, async (addressId, updateFields) => {
     const client = await pool.connect();
     try {
         logger.info(`updateStudentAddressById: Updating student address with ID ${addressId}`);
@@ -282,9 +283,9 @@ export const updateStudentAddressById = async (addressId, updateFields) => {
     } finally {
         client.release();
     }
-};
+});
 
-export const patchStudentAddressById = async (addressId, updateFields) => {
+export const patchStudentAddressById = audited({ entity: 'student_address', action: 'update', table: 'student_addresses', idColumn: 'address_id', id: (addressId) => addressId }, async (addressId, updateFields) => {
     const client = await pool.connect();
     try {
         if (Object.keys(updateFields).length === 0) {
@@ -342,9 +343,9 @@ export const patchStudentAddressById = async (addressId, updateFields) => {
     } finally {
         client.release();
     }
-};
+});
 
-export const deleteStudentAddressById = async (addressId) => {
+export const deleteStudentAddressById = audited({ entity: 'student_address', action: 'delete', table: 'student_addresses', idColumn: 'address_id', id: (addressId) => addressId }, async (addressId) => {
     const client = await pool.connect();
     try {
         logger.info(`deleteStudentAddressById: Deleting student address with ID ${addressId}`);
@@ -375,4 +376,4 @@ export const deleteStudentAddressById = async (addressId) => {
     } finally {
         client.release();
     }
-};
+});
@@ -1,8 +1,9 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 
 // Create a new student certification record
-export const createStudentCertification = async (certification) => {
+export const createStudentCertification = audited({ entity: 'student_certification', action: 'create', table: 'student_certifications', idColumn: 'cert_id' }, async (certification) => {
     const client = await pool.connect();
 
     try {
@@ -46,7 +47,7 @@ export const createStudentCertification = async (certification) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all student certifications
 export const getAllStudentCertifications = async () => {
@@ -196,7 +197,7 @@ export const searchCertificationsBySkill = async (skill) => {
 };
 
 // Update student certification by ID
-export const updateStudentCertificationById = async (certId, certification) => {
+export const updateStudentCertificationById = audited({ entity: 'student_certification', action: 'update', table: 'student_certifications', idColumn: 'cert_id', id: (certId) => certId }, async (certId, certification) => {
     const client = await pool.connect();
 
     try {
@@ -252,10 +253,10 @@ export const updateStudentCertificationById = async (certId, certification) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete student certification by ID
-export const deleteStudentCertificationById = async (certId) => {
+export const deleteStudentCertificationById = audited({ entity: 'student_certification', action: 'delete', table: 'student_certifications', idColumn: 'cert_id', id: (certId) => certId }, async (certId) => {
     const client = await pool.connect();
 
     try {
@@ -295,10 +296,10 @@ export const deleteStudentCertificationById = async (certId) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Bulk insert student certifications (for Excel import)
-export const bulkInsertStudentCertifications = async (certifications) => {
+export const bulkInsertStudentCertifications = audited({ entity: 'student_certification', action: 'bulk_create' }, async (certifications) => {
     const client = await pool.connect();
 
     try {
@@ -376,4 +377,4 @@ export const bulkInsertStudentCertifications = async (certifications) => {
     } finally {
         client.release();
     }
-};
+});
@@ -1,8 +1,9 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 
 // Create a new student document record
-export const createStudentDocument = async (document) => {
+export const createStudentDocument = audited({ entity: 'student_document', action: 'create', table: 'student_documents', idColumn: 'doc_id' }, async (document) => {
     const client = await pool.connect();
 
     try {
@@ -43,7 +44,7 @@ export const createStudentDocument = async (document) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all student documents
 export const getAllStudentDocuments = async () => {
@@ -157,7 +158,7 @@ export const getDocumentsByStudentId = async (studentId) => {
 };
 
 // Update student document by ID
-export const updateStudentDocumentById = async (docId, document) => {
+export const updateStudentDocumentById = audited({ entity: 'student_document', action: 'update', table: 'student_documents', idColumn: 'doc_id', id: (docId) => docId }, async (docId, document) => {
     const client = await pool.connect();
 
     try {
@@ -209,10 +210,10 @@ export const updateStudentDocumentById = async (docId, document) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete student document by ID
-export const deleteStudentDocumentById = async (docId) => {
+export const deleteStudentDocumentById = audited({ entity: 'student_document', action: 'delete', table: 'student_documents', idColumn: 'doc_id', id: (docId) => docId }, async (docId) => {
     const client = await pool.connect();
 
     try {
@@ -252,10 +253,10 @@ export const deleteStudentDocumentById = async (docId) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Bulk insert student documents (for Excel import - metadata only)
-export const bulkInsertStudentDocuments = async (documents) => {
+export const bulkInsertStudentDocuments = audited({ entity: 'student_document', action: 'bulk_create' }, async (documents) => {
     const client = await pool.connect();
 
     try {
@@ -331,4 +332,4 @@ export const bulkInsertStudentDocuments = async (documents) => {
     } finally {
         client.release();
     }
-};
+});
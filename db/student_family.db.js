@@ -1,8 +1,9 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 
 // Create a new student family record
-export const createStudentFamily = async (family) => {
+export const createStudentFamily = audited({ entity: 'student_family', action: 'create', table: 'student_family', idColumn: 'student_id' }, async (family) => {
     const client = await pool.connect();
 
     try {
@@ -52,7 +53,7 @@ export const createStudentFamily = async (family) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all student family records
 export const getAllStudentFamilies = async () => {
@@ -130,7 +131,7 @@ export const getStudentFamilyById = async (studentId) => {
 };
 
 // Update student family by student ID
-export const updateStudentFamilyById = async (studentId, family) => {
+export const updateStudentFamilyById = audited({ entity: 'student_family', action: 'update', table: 'student_family', idColumn: 'student_id', id: (studentId) => studentId }, async (studentId, family) => {
     const client = await pool.connect();
 
     try {
@@ -190,10 +191,10 @@ export const updateStudentFamilyById = async (studentId, family) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete student family by student ID
-export const deleteStudentFamilyById = async (studentId) => {
+export const deleteStudentFamilyById = audited({ entity: 'student_family', action: 'delete', table: 'student_family', idColumn: 'student_id', id: (studentId) => studentId }, async (studentId) => {
     const client = await pool.connect();
 
     try {
@@ -233,10 +234,10 @@ export const deleteStudentFamilyById = async (studentId) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Bulk insert student family records (for Excel import)
-export const bulkInsertStudentFamilies = async (families) => {
+export const bulkInsertStudentFamilies = audited({ entity: 'student_family', action: 'bulk_create' }, async (families) => {
     const client = await pool.connect();
 
     try {
@@ -320,4 +321,4 @@ export const bulkInsertStudentFamilies = async (families) => {
     } finally {
         client.release();
     }
-};
+});
@@ -1,8 +1,10 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
+import { emitStudentAcademicsChanged } from '../services/events/eligibilityEvents.js';
 
 // Create a new student internship record
-export const createStudentInternship = async (internship) => {
+export const createStudentInternship = audited({ entity: 'student_internship', action: 'create', table: 'student_internships', idColumn: 'internship_id' }, async (internship) => {
     const client = await pool.connect();
 
     try {
@@ -37,6 +39,9 @@ export const createStudentInternship = async (internship) => {
         const result = await client.query(insertQuery, values);
         await client.query('COMMIT');
 
+        // Internships make up a student's experience, an eligibility criterion
+        emitStudentAcademicsChanged(result.rows[0].student_id, 'createStudentInternship');
+
         return {
             success: true,
             data: result.rows[0],
@@ -52,7 +57,7 @@ export const createStudentInternship = async (internship) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all student internships
 export const getAllStudentInternships = async () => {
@@ -166,13 +171,19 @@ export const getInternshipsByStudentId = async (studentId) => {
 };
 
 // Update student internship by ID
-export const updateStudentInternshipById = async (internshipId, internship) => {
+export const updateStudentInternshipById = audited({ entity: 'student_internship', action: 'update', table: 'student_internships', idColumn: 'internship_id', id: (internshipId) => internshipId }, async (internshipId, internship) => {
     const client = await pool.connect();
 
     try {
         logger.info({ internshipId }, 'updateStudentInternshipById: Updating student internship');
         await client.query('BEGIN');
 
+        // The internship may move to another student; both need re-evaluating
+        const previous = await client.query(
+            'SELECT student_id FROM student_internships WHERE internship_id = $1 FOR UPDATE',
+            [internshipId]
+        );
+
         const updateQuery = `
             UPDATE student_internships
             SET 
@@ -212,6 +223,12 @@ export const updateStudentInternshipById = async (internshipId, internship) => {
 
         await client.query('COMMIT');
 
+        const studentId = result.rows[0].student_id;
+        emitStudentAcademicsChanged(studentId, 'updateStudentInternshipById');
+        if (previous.rows[0].student_id !== studentId) {
+            emitStudentAcademicsChanged(previous.rows[0].student_id, 'updateStudentInternshipById');
+        }
+
         return {
             success: true,
             data: result.rows[0],
@@ -228,10 +245,10 @@ export const updateStudentInternshipById = async (internshipId, internship) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete student internship by ID
-export const deleteStudentInternshipById = async (internshipId) => {
+export const deleteStudentInternshipById = audited({ entity: 'student_internship', action: 'delete', table: 'student_internships', idColumn: 'internship_id', id: (internshipId) => internshipId }, async (internshipId) => {
     const client = await pool.connect();
 
     try {
@@ -256,6 +273,8 @@ export const deleteStudentInternshipById = async (internshipId) => {
 
         await client.query('COMMIT');
 
+        emitStudentAcademicsChanged(result.rows[0].student_id, 'deleteStudentInternshipById');
+
         return {
             success: true,
             data: result.rows[0],
@@ -271,10 +290,10 @@ export const deleteStudentInternshipById = async (internshipId) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Bulk insert student internships (for Excel import)
-export const bulkInsertStudentInternships = async (internships) => {
+export const bulkInsertStudentInternships = audited({ entity: 'student_internship', action: 'bulk_create' }, async (internships) => {
     const client = await pool.connect();
 
     try {
@@ -345,6 +364,11 @@ export const bulkInsertStudentInternships = async (internships) => {
 
         await client.query('COMMIT');
 
+        const studentIds = new Set(results.successful.map(({ data }) => data.student_id));
+        for (const studentId of studentIds) {
+            emitStudentAcademicsChanged(studentId, 'bulkInsertStudentInternships');
+        }
+
         return {
             success: true,
             message: `Imported ${results.successful.length} records, ${results.failed.length} failed`,
@@ -359,4 +383,4 @@ export const bulkInsertStudentInternships = async (internships) => {
     } finally {
         client.release();
     }
-};
+});
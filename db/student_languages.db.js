@@ -1,5 +1,6 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 
 // Allowed programming languages
 export const ALLOWED_LANGUAGES = [
@@ -10,7 +11,7 @@ export const ALLOWED_LANGUAGES = [
 ];
 
 // Create single language entry
-export const createStudentLanguage = async (data) => {
+export const createStudentLanguage = audited({ entity: 'student_language', action: 'create', table: 'student_languages', idColumn: 'lang_id' }, async (data) => {
     const client = await pool.connect();
     try {
         logger.info('createStudentLanguage: Creating new language record');
@@ -38,10 +39,10 @@ export const createStudentLanguage = async (data) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Bulk insert languages for a student
-export const bulkCreateStudentLanguages = async (studentId, languages) => {
+export const bulkCreateStudentLanguages = audited({ entity: 'student_language', action: 'bulk_create', details: (studentId) => ({ student_id: studentId }) }, async (studentId, languages) => {
     const client = await pool.connect();
     try {
         logger.info({ studentId, count: Object.keys(languages).length }, 'bulkCreateStudentLanguages: Bulk inserting languages');
@@ -75,7 +76,7 @@ export const bulkCreateStudentLanguages = async (studentId, languages) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all student languages
 export const getAllStudentLanguages = async () => {
@@ -412,7 +413,7 @@ export const getStudentLanguagesMenu = async (searchParams = {}) => {
 };
 
 // Update by lang_id
-export const updateStudentLanguageById = async (langId, updateData) => {
+export const updateStudentLanguageById = audited({ entity: 'student_language', action: 'update', table: 'student_languages', idColumn: 'lang_id', id: (langId) => langId }, async (langId, updateData) => {
     const client = await pool.connect();
     try {
         logger.info(`updateStudentLanguageById: Updating lang_id ${langId}`);
@@ -462,10 +463,10 @@ export const updateStudentLanguageById = async (langId, updateData) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Bulk update student's languages
-export const bulkUpdateStudentLanguages = async (studentId, languages) => {
+export const bulkUpdateStudentLanguages = audited({ entity: 'student_language', action: 'bulk_update', details: (studentId) => ({ student_id: studentId }) }, async (studentId, languages) => {
     const client = await pool.connect();
     try {
         logger.info({ studentId }, 'bulkUpdateStudentLanguages: Bulk updating languages');
@@ -499,10 +500,10 @@ export const bulkUpdateStudentLanguages = async (studentId, languages) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete by lang_id
-export const deleteStudentLanguageById = async (langId) => {
+export const deleteStudentLanguageById = audited({ entity: 'student_language', action: 'delete', table: 'student_languages', idColumn: 'lang_id', id: (langId) => langId }, async (langId) => {
     const client = await pool.connect();
     try {
         logger.info(`deleteStudentLanguageById: Deleting lang_id ${langId}`);
@@ -532,10 +533,10 @@ export const deleteStudentLanguageById = async (langId) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete all languages for a student
-export const deleteAllStudentLanguages = async (studentId) => {
+export const deleteAllStudentLanguages = audited({ entity: 'student_language', action: 'bulk_delete', details: (studentId) => ({ student_id: studentId }) }, async (studentId) => {
     const client = await pool.connect();
     try {
         logger.info(`deleteAllStudentLanguages: Deleting all languages for student ${studentId}`);
@@ -558,10 +559,10 @@ export const deleteAllStudentLanguages = async (studentId) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete specific language for a student
-export const deleteStudentSpecificLanguage = async (studentId, language) => {
+export const deleteStudentSpecificLanguage = audited({ entity: 'student_language', action: 'delete', details: (studentId, language) => ({ student_id: studentId, language }) }, async (studentId, language) => {
     const client = await pool.connect();
     try {
         logger.info(`deleteStudentSpecificLanguage: Deleting ${language} for student ${studentId}`);
@@ -591,4 +592,4 @@ export const deleteStudentSpecificLanguage = async (studentId, language) => {
     } finally {
         client.release();
     }
-};
+});
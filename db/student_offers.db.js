@@ -1,9 +1,10 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 import { AppError } from '../utils/errors.js';
 
 // Create a new student offer
-export const createStudentOffer = async (offer) => {
+export const createStudentOffer = audited({ entity: 'student_offer', action: 'create', table: 'student_offers', idColumn: 'offer_id' }, async (offer) => {
     const client = await pool.connect();
     try {
         logger.info('createStudentOffer: Creating a new student offer record');
@@ -87,7 +88,7 @@ export const createStudentOffer = async (offer) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all student offers with pagination and filters
 export const getAllStudentOffers = async (params = {}) => {
@@ -276,7 +277,7 @@ export const getOffersByJobId = async (jobId, params = {}) => {
 };
 
 // Update student offer by ID
-export const updateStudentOffer = async (offerId, offer) => {
+export const updateStudentOffer = audited({ entity: 'student_offer', action: 'update', table: 'student_offers', idColumn: 'offer_id', id: (offerId) => offerId }, async (offerId, offer) => {
     const client = await pool.connect();
     try {
         logger.info(`updateStudentOffer: Updating offer with ID ${offerId}`);
@@ -337,10 +338,10 @@ export const updateStudentOffer = async (offerId, offer) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete student offer by ID
-export const deleteStudentOffer = async (offerId) => {
+export const deleteStudentOffer = audited({ entity: 'student_offer', action: 'delete', table: 'student_offers', idColumn: 'offer_id', id: (offerId) => offerId }, async (offerId) => {
     const client = await pool.connect();
     try {
         logger.info(`deleteStudentOffer: Deleting offer with ID ${offerId}`);
@@ -373,4 +374,4 @@ export const deleteStudentOffer = async (offerId) => {
     } finally {
         client.release();
     }
-};
+});
@@ -1,8 +1,9 @@
 import logger from '../utils/logger.js';
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 
 // Create a new student project record
-export const createStudentProject = async (project) => {
+export const createStudentProject = audited({ entity: 'student_project', action: 'create', table: 'student_projects', idColumn: 'project_id' }, async (project) => {
     const client = await pool.connect();
 
     try {
@@ -46,7 +47,7 @@ export const createStudentProject = async (project) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all student projects
 export const getAllStudentProjects = async () => {
@@ -204,7 +205,7 @@ export const searchProjectsByTools = async (tools) => {
 };
 
 // Update student project by ID
-export const updateStudentProjectById = async (projectId, project) => {
+export const updateStudentProjectById = audited({ entity: 'student_project', action: 'update', table: 'student_projects', idColumn: 'project_id', id: (projectId) => projectId }, async (projectId, project) => {
     const client = await pool.connect();
 
     try {
@@ -260,10 +261,10 @@ export const updateStudentProjectById = async (projectId, project) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete student project by ID
-export const deleteStudentProjectById = async (projectId) => {
+export const deleteStudentProjectById = audited({ entity: 'student_project', action: 'delete', table: 'student_projects', idColumn: 'project_id', id: (projectId) => projectId }, async (projectId) => {
     const client = await pool.connect();
 
     try {
@@ -303,10 +304,10 @@ export const deleteStudentProjectById = async (projectId) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Bulk insert student projects (for Excel import)
-export const bulkInsertStudentProjects = async (projects) => {
+export const bulkInsertStudentProjects = audited({ entity: 'student_project', action: 'bulk_create' }, async (projects) => {
     const client = await pool.connect();
 
     try {
@@ -385,4 +386,4 @@ export const bulkInsertStudentProjects = async (projects) => {
     } finally {
         client.release();
     }
-};
+});
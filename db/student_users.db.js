@@ -1,9 +1,10 @@
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../utils/errors.js';
 
 // Create a new student user association
-export const createStudentUser = async (data) => {
+export const createStudentUser = audited({ entity: 'student_user', action: 'create', table: 'student_users', idColumn: 'student_id' }, async (data) => {
     const client = await pool.connect();
     
     try {
@@ -53,7 +54,7 @@ export const createStudentUser = async (data) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all student users with pagination and filtering
 export const getAllStudentUsers = async (params) => {
@@ -232,8 +233,22 @@ export const getStudentUserByUserId = async (user_id) => {
     }
 };
 
+// Resolve the student_id linked to a user (null when the user is not a student)
+export const findStudentIdByUserId = async (user_id) => {
+    try {
+        const result = await pool.query('SELECT student_id FROM student_users WHERE user_id = $1', [user_id]);
+        return result.rows[0]?.student_id || null;
+    } catch (error) {
+        logger.error({
+            stack: error.stack,
+            user_id
+        }, `findStudentIdByUserId: ${error.message}`);
+        throw error;
+    }
+};
+
 // Update a student user association
-export const updateStudentUser = async (student_id, data) => {
+export const updateStudentUser = audited({ entity: 'student_user', action: 'update', table: 'student_users', idColumn: 'student_id', id: (student_id) => student_id }, async (student_id, data) => {
     const client = await pool.connect();
     
     try {
@@ -292,10 +307,10 @@ export const updateStudentUser = async (student_id, data) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete a student user association
-export const deleteStudentUser = async (student_id) => {
+export const deleteStudentUser = audited({ entity: 'student_user', action: 'delete', table: 'student_users', idColumn: 'student_id', id: (student_id) => student_id }, async (student_id) => {
     const client = await pool.connect();
     
     try {
@@ -333,7 +348,7 @@ export const deleteStudentUser = async (student_id) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all students with full user information
 export const getAllStudents = async (params) => {
@@ -419,7 +434,7 @@ export const getAllStudents = async (params) => {
 };
 
 // Bulk create student user associations
-export const bulkCreateStudentUsers = async (user_ids) => {
+export const bulkCreateStudentUsers = audited({ entity: 'student_user', action: 'bulk_create' }, async (user_ids) => {
     const client = await pool.connect();
     
     try {
@@ -488,4 +503,4 @@ export const bulkCreateStudentUsers = async (user_ids) => {
     } finally {
         client.release();
     }
-};
\ No newline at end of file
+});
\ No newline at end of file
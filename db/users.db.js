@@ -1,4 +1,5 @@
 import pool from './connection.js';
+import { audited } from './audit.db.js';
 import logger from '../utils/logger.js';
 import bcrypt from 'bcrypt';
 import { AppError } from '../utils/errors.js';
@@ -9,8 +10,14 @@ export const getRoleNameById = async (roleId) => {
     return result.rows[0]?.role_name || null;
 };
 
+// Get role_id by role_name (case-insensitive)
+export const getRoleIdByName = async (roleName) => {
+    const result = await pool.query('SELECT role_id FROM roles WHERE UPPER(role_name) = UPPER($1)', [roleName]);
+    return result.rows[0]?.role_id ?? null;
+};
+
 // Create a new user
-export const createUser = async (data) => {
+export const createUser = audited({ entity: 'user', action: 'create', table: 'users', idColumn: 'user_id' }, async (data) => {
     const client = await pool.connect();
 
     try {
@@ -116,7 +123,7 @@ export const createUser = async (data) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Get all users with pagination and filtering
 export const getAllUsers = async (params) => {
@@ -238,7 +245,7 @@ export const getUserById = async (user_id) => {
 };
 
 // Update a user
-export const updateUser = async (user_id, data) => {
+export const updateUser = audited({ entity: 'user', action: 'update', table: 'users', idColumn: 'user_id', id: (user_id) => user_id }, async (user_id, data) => {
     const client = await pool.connect();
 
     try {
@@ -313,10 +320,10 @@ export const updateUser = async (user_id, data) => {
     } finally {
         client.release();
     }
-};
+});
 
 // Delete a user (soft delete by setting is_active to false)
-export const deleteUser = async (user_id) => {
+export const deleteUser = audited({ entity: 'user', action: 'delete', table: 'users', idColumn: 'user_id', id: (user_id) => user_id }, async (user_id) => {
     try {
         const deleteQuery = `
             UPDATE users 
@@ -331,10 +338,10 @@ export const deleteUser = async (user_id) => {
         logger.error(`deleteUser: ${error.message}`);
         throw error;
     }
-};
+});
 
 // Change user password
-export const changePassword = async (user_id, currentPassword, newPasswordHash) => {
+export const changePassword = audited({ entity: 'user', action: 'password_change', table: 'users', idColumn: 'user_id', id: (user_id) => user_id }, async (user_id, currentPassword, newPasswordHash) => {
     try {
         const userQuery = `SELECT password_hash FROM users WHERE user_id = $1 AND is_active = true`;
         const userResult = await pool.query(userQuery, [user_id]);
@@ -343,11 +350,11 @@ export const changePassword = async (user_id, currentPassword, newPasswordHash)
         const isCurrentPasswordValid = await bcrypt.compare(currentPassword, userResult.rows[0].password_hash);
         if (!isCurrentPasswordValid) throw new AppError(400, 'Current password is incorrect');
 
-        const updateQuery = `UPDATE users SET password_hash = $1 WHERE user_id = $2 RETURNING user_id, username`;
+        const updateQuery = `UPDATE users SET password_hash = $1, must_change_password = false, updated_at = NOW() WHERE user_id = $2 RETURNING user_id, username`;
         const result = await pool.query(updateQuery, [newPasswordHash, user_id]);
         return { success: true, data: result.rows[0], message: 'Password changed successfully' };
     } catch (error) {
         logger.error(`changePassword: ${error.message}`);
         throw error;
     }
-};
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,14 +1,27 @@
 import 'dotenv/config';
-import app from "./utils/app.js";
+import app, { apiRouters } from "./utils/app.js";
 import { initKafka } from "./utils/kafka.js";
 import { connectRedis } from "./db/redis.js";
 import logger from "./utils/logger.js";
+import { verifyRoutePolicies } from "./middleware/accessPolicy.js";
+import { ACCESS_POLICIES } from "./config/accessPolicies.js";
+import { assertJwtKeysConfigured } from "./utils/jwtKeys.js";
+import { assertMfaKeyConfigured } from "./utils/totp.js";
+import { registerScheduledJobs } from "./services/scheduler/jobs.js";
+import { startScheduler } from "./services/scheduler/scheduler.js";
+import { subscribeToEligibilityChanges } from "./services/eligibility/eligibilityCache.service.js";
 
 const PORT = process.env.PORT || 3225;
 
 async function startServer() {
+  assertJwtKeysConfigured();
+  assertMfaKeyConfigured();
+  verifyRoutePolicies(app, apiRouters, ACCESS_POLICIES);
   await initKafka();
   await connectRedis();
+  subscribeToEligibilityChanges();
+  registerScheduledJobs();
+  startScheduler();
   app.listen(PORT, () => logger.info(`Backend running on port ${PORT}`));
 }
 
@@ -0,0 +1,256 @@
+/**
+ * Route-level Access Policy Middleware
+ *
+ * Every endpoint mounted on the app declares one access level in
+ * config/accessPolicies.js. `enforceAccessPolicy` is mounted once in
+ * utils/app.js, before all routes, and applies the matching policy:
+ *
+ *   PUBLIC        — no authentication
+ *   AUTHENTICATED — valid access token (see `authenticate`)
+ *   ADMIN         — authenticated with role ADMIN or SUPER_ADMIN
+ *   OWNER         — authenticated; the caller owns the resource named by a
+ *                   route param, otherwise the route's own permission check
+ *                   (requirePermission) decides
+ *
+ * Fine-grained capabilities stay in the routers via `requirePermission`.
+ * `verifyRoutePolicies` is run at startup and refuses to boot if any
+ * mounted route has no policy.
+ *
+ * Service account API keys carry no role, so they are accepted only on routes
+ * guarded by `requirePermission` (recorded by `verifyRoutePolicies`); there the
+ * key's permission scope replaces the ADMIN role and OWNER checks. Every other
+ * route rejects them — until verification has run, that is all of them.
+ *
+ * Cookie-authenticated POST/PUT/PATCH/DELETE requests must also pass the CSRF
+ * check (middleware/csrf.js); API keys are exempt.
+ */
+
+import logger from '../utils/logger.js';
+import { authenticate } from './authenticate.js';
+import { requireRole } from './requireRole.js';
+import { requireCsrfToken } from './csrf.js';
+import { findStudentIdByUserId } from '../db/student_users.db.js';
+
+// ─── Access levels ──────────────────────────────────────────────────────────────
+
+export const PUBLIC = Object.freeze({ access: 'public' });
+export const AUTHENTICATED = Object.freeze({ access: 'authenticated' });
+export const ADMIN = Object.freeze({ access: 'admin' });
+
+/**
+ * Owner policy for a resource identified by a route param.
+ * @param {'student'|'user'} resource — what the param identifies
+ * @param {string} param — route param name, e.g. 'studentId'
+ */
+export const ownedBy = (resource, param) => Object.freeze({ access: 'owner', resource, param });
+
+const ADMIN_ROLES = ['ADMIN', 'SUPER_ADMIN'];
+const requireAdmin = requireRole(ADMIN_ROLES);
+
+// "METHOD /path" keys of routes that run requirePermission, filled by verifyRoutePolicies
+const permissionScopedRoutes = new Set();
+
+const isApiKeyCaller = (req) => req.user?.auth_method === 'api_key';
+
+// ─── Policy matching ────────────────────────────────────────────────────────────
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile "METHOD /path/:param" keys into matchers.
+ * Express matches paths case-insensitively and tolerates a trailing slash.
+ */
+const compilePolicies = (policies) => Object.entries(policies).map(([key, policy]) => {
+  const [method, path] = key.split(' ');
+  const paramNames = [];
+  const pattern = path
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        paramNames.push(segment.slice(1));
+        return '([^/]+?)';
+      }
+      return escapeRegExp(segment);
+    })
+    .join('/');
+
+  return {
+    key,
+    method,
+    regexp: new RegExp(`^${pattern}\\/?$`, 'i'),
+    paramNames,
+    policy,
+  };
+});
+
+/**
+ * Find the policy for a request. Static segments win over params, mirroring
+ * the way the routers register `/menu` before `/:id`.
+ */
+const matchPolicy = (compiled, method, path) => {
+  const lookupMethod = method === 'HEAD' ? 'GET' : method;
+  let best = null;
+
+  for (const entry of compiled) {
+    if (entry.method !== lookupMethod) continue;
+    const match = entry.regexp.exec(path);
+    if (!match) continue;
+    if (!best || entry.paramNames.length < best.entry.paramNames.length) {
+      best = { entry, match };
+    }
+  }
+
+  if (!best) return null;
+
+  const params = {};
+  best.entry.paramNames.forEach((name, i) => {
+    try {
+      params[name] = decodeURIComponent(best.match[i + 1]);
+    } catch {
+      params[name] = best.match[i + 1];
+    }
+  });
+  return { key: best.entry.key, policy: best.entry.policy, params };
+};
+
+// ─── Ownership ──────────────────────────────────────────────────────────────────
+
+const isOwner = async (user, policy, params) => {
+  const value = params[policy.param];
+  if (!value) return false;
+
+  if (policy.resource === 'user') {
+    return String(user.user_id) === String(value);
+  }
+
+  if (policy.resource === 'student') {
+    const studentId = await findStudentIdByUserId(user.user_id);
+    return Boolean(studentId) && String(studentId).toUpperCase() === String(value).toUpperCase();
+  }
+
+  return false;
+};
+
+const checkOwnership = (policy, params) => async (req, res, next) => {
+  try {
+    if (ADMIN_ROLES.includes((req.user.role_name || '').toUpperCase())) {
+      return next();
+    }
+
+    req.isResourceOwner = await isOwner(req.user, policy, params);
+    return next();
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'accessPolicy ownership check error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// ─── API keys ───────────────────────────────────────────────────────────────────
+
+/**
+ * Authenticate, turn API keys away from routes that have no permission check
+ * to scope them, and require the CSRF token from cookie sessions.
+ */
+const authenticateRoute = (req, res, next) => authenticate(req, res, () => {
+  if (isApiKeyCaller(req) && !permissionScopedRoutes.has(req.accessPolicy)) {
+    logger.warn({
+      service_account_id: req.user.service_account_id,
+      key_prefix: req.user.api_key_prefix,
+      route: req.accessPolicy,
+    }, 'API key used on a route that does not accept API keys');
+    return res.status(403).json({ success: false, message: 'This endpoint does not accept API keys.' });
+  }
+  return requireCsrfToken(req, res, next);
+});
+
+// ─── Middleware ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build the central access-policy middleware.
+ * Requests that match no declared route fall through to the 404 handler.
+ */
+export const enforceAccessPolicy = (policies) => {
+  const compiled = compilePolicies(policies);
+
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS') return next();
+
+    const matched = matchPolicy(compiled, req.method, req.path);
+    if (!matched) return next();
+
+    req.accessPolicy = matched.key;
+    const { policy, params } = matched;
+
+    switch (policy.access) {
+      case 'public':
+        return next();
+      case 'authenticated':
+        return authenticateRoute(req, res, next);
+      case 'admin':
+        return authenticateRoute(req, res, () => (isApiKeyCaller(req) ? next() : requireAdmin(req, res, next)));
+      case 'owner':
+        return authenticateRoute(req, res, () => (isApiKeyCaller(req) ? next() : checkOwnership(policy, params)(req, res, next)));
+      default:
+        logger.error({ key: matched.key, policy }, 'Unknown access policy');
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+  };
+};
+
+// ─── Startup verification ───────────────────────────────────────────────────────
+
+const joinPaths = (base, path) => {
+  if (path === '/' || path === '') return base || '/';
+  return `${base}${path}`;
+};
+
+const routeLayersOf = (stack, base) => stack
+  .filter((layer) => layer.route)
+  .flatMap((layer) => Object.keys(layer.route.methods)
+    .filter((method) => method !== '_all')
+    .map((method) => ({
+      key: `${method.toUpperCase()} ${joinPaths(base, layer.route.path)}`,
+      permissionScoped: layer.route.stack.some((routeLayer) => routeLayer.handle.requiredPermissions?.length > 0),
+    })));
+
+const mountedRouteLayers = (app, mounts) => [
+  ...routeLayersOf(app._router?.stack || [], ''),
+  ...mounts.flatMap(([mountPath, router]) => routeLayersOf(router.stack, mountPath)),
+];
+
+/**
+ * List "METHOD /path" for every route on the app and on each mounted router.
+ * @param {import('express').Express} app
+ * @param {Array<[string, import('express').Router]>} mounts — [mountPath, router]
+ */
+export const listMountedRoutes = (app, mounts) => mountedRouteLayers(app, mounts).map((route) => route.key);
+
+/**
+ * Throw if any mounted route has no declared policy, and record which routes
+ * are guarded by requirePermission (the only ones API keys may call).
+ */
+export const verifyRoutePolicies = (app, mounts, policies) => {
+  const routeLayers = mountedRouteLayers(app, mounts);
+  const routes = routeLayers.map((route) => route.key);
+  const missing = routes.filter((route) => !policies[route]);
+  const unused = Object.keys(policies).filter((key) => !routes.includes(key));
+
+  if (unused.length > 0) {
+    logger.warn({ unused }, 'Access policies declared for routes that are not mounted');
+  }
+
+  if (missing.length > 0) {
+    logger.error({ missing }, 'Routes without an access policy');
+    throw new Error(`Access policy missing for ${missing.length} route(s): ${missing.join(', ')}`);
+  }
+
+  permissionScopedRoutes.clear();
+  routeLayers
+    .filter((route) => route.permissionScoped)
+    .forEach((route) => permissionScopedRoutes.add(route.key));
+
+  logger.info({
+    routes: Object.keys(policies).length,
+    api_key_routes: permissionScopedRoutes.size,
+  }, 'Access policies verified');
+};
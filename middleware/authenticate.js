@@ -1,21 +1,96 @@
 /**
  * Authentication Middleware
  *
- * Verifies the JWT access token from the accessToken cookie.
- * Checks:
+ * Verifies the JWT access token from the accessToken cookie, or a service
+ * account API key sent as `Authorization: Bearer sk_...` (see utils/apiKey.js).
+ *
+ * Cookie checks:
  *   1. Token is present and valid (not expired)
  *   2. token_version matches the DB (catches forced invalidation)
  *   3. User is still active
+ *   4. The token's session has not been logged out or revoked
+ *   5. For impersonation tokens: the impersonating SUPER_ADMIN is still
+ *      active, still SUPER_ADMIN and has not had their tokens revoked
+ *
+ * API key checks: the key exists, matches its hash, is neither revoked nor
+ * expired, and its service account is active. Key callers get a `req.user`
+ * with `auth_method: 'api_key'`, no user_id, and `permissions` set to the
+ * key's scope — `requirePermission` checks that instead of a role.
  *
  * On success, attaches `req.user` with decoded payload.
  */
 
 import { verifyAccessToken } from '../utils/jwt.js';
+import { readBearerToken, parseApiKey, apiKeyMatches } from '../utils/apiKey.js';
 import * as authDB from '../db/auth.db.js';
+import * as serviceAccountsDB from '../db/service_accounts.db.js';
 import logger from '../utils/logger.js';
 
+const IMPERSONATOR_ROLE = 'SUPER_ADMIN';
+
+/**
+ * The admin behind an impersonation token, or null if they may no longer
+ * impersonate anyone.
+ */
+const resolveImpersonator = async (claim) => {
+  const impersonator = await authDB.getUserForAuth(claim.user_id);
+  if (!impersonator || !impersonator.is_active) return null;
+  if ((impersonator.role_name || '').toUpperCase() !== IMPERSONATOR_ROLE) return null;
+  if (impersonator.token_version !== claim.token_version) return null;
+  return impersonator;
+};
+
+const rejectApiKey = (req, res, reason, keyPrefix = null) => {
+  logger.warn({ reason, key_prefix: keyPrefix, ip: req.ip, path: req.originalUrl }, 'API key rejected');
+  return res.status(401).json({ success: false, message: 'Invalid or expired API key.' });
+};
+
+const authenticateApiKey = async (req, res, next, token) => {
+  const parsed = parseApiKey(token);
+  if (!parsed) {
+    return rejectApiKey(req, res, 'malformed');
+  }
+
+  const apiKey = await serviceAccountsDB.findApiKeyForAuth(parsed.prefix);
+  if (!apiKey || !apiKeyMatches(token, apiKey.key_hash)) {
+    return rejectApiKey(req, res, 'unknown', parsed.prefix);
+  }
+  if (apiKey.revoked_at) {
+    return rejectApiKey(req, res, 'revoked', parsed.prefix);
+  }
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    return rejectApiKey(req, res, 'expired', parsed.prefix);
+  }
+  if (!apiKey.is_active) {
+    return res.status(403).json({ success: false, message: 'Service account is deactivated.' });
+  }
+
+  serviceAccountsDB.touchApiKey(apiKey.api_key_id, req.ip);
+
+  req.user = {
+    user_id: null,
+    role_id: null,
+    role_name: 'SERVICE_ACCOUNT',
+    username: apiKey.service_account_name,
+    email: null,
+    auth_method: 'api_key',
+    service_account_id: apiKey.service_account_id,
+    api_key_id: apiKey.api_key_id,
+    api_key_prefix: apiKey.key_prefix,
+    permissions: apiKey.permissions,
+  };
+
+  return next();
+};
+
 export const authenticate = async (req, res, next) => {
   try {
+    // 0. Service accounts authenticate with an API key instead of a cookie
+    const bearerToken = readBearerToken(req);
+    if (bearerToken) {
+      return await authenticateApiKey(req, res, next, bearerToken);
+    }
+
     // 1. Read access token from cookie
     const token = req.cookies?.accessToken;
 
@@ -51,7 +126,22 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'Token has been revoked. Please log in again.' });
     }
 
-    // 5. Attach user info to request
+    // 5. Session must still exist — logout and revocation take effect at once
+    if (!decoded.session_id || !await authDB.isSessionActive(decoded.session_id)) {
+      return res.status(401).json({ success: false, message: 'Session has ended. Please log in again.' });
+    }
+
+    // 6. Impersonation lasts only while the admin could still start it
+    let impersonator = null;
+    if (decoded.impersonator) {
+      impersonator = await resolveImpersonator(decoded.impersonator);
+      if (!impersonator) {
+        logger.warn({ impersonator_user_id: decoded.impersonator.user_id, user_id: decoded.user_id }, 'Impersonation token rejected');
+        return res.status(401).json({ success: false, message: 'Impersonation has ended. Please log in again.' });
+      }
+    }
+
+    // 7. Attach user info to request
     req.user = {
       user_id: decoded.user_id,
       role_id: decoded.role_id,
@@ -60,6 +150,14 @@ export const authenticate = async (req, res, next) => {
       token_version: decoded.token_version,
       username: user.username,
       email: user.email,
+      auth_method: 'session',
+      csrf: decoded.csrf || null,
+      impersonator: impersonator && {
+        user_id: impersonator.user_id,
+        username: impersonator.username,
+        role_name: impersonator.role_name,
+        expires_at: new Date(decoded.exp * 1000).toISOString(),
+      },
     };
 
     return next();
@@ -0,0 +1,39 @@
+/**
+ * CSRF Middleware
+ *
+ * Cookies are sent on cross-site requests (SameSite=None in production), so
+ * every unsafe request authenticated by the accessToken cookie must also
+ * carry the session's CSRF token in the `X-CSRF-Token` header (see
+ * utils/csrf.js). API-key callers authenticate with a header a browser never
+ * adds on its own, and are exempt.
+ *
+ * Runs after `authenticate`; mounted for all authenticated routes by
+ * middleware/accessPolicy.js.
+ */
+
+import logger from '../utils/logger.js';
+import { readCsrfHeader, csrfTokenMatches } from '../utils/csrf.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export const requireCsrfToken = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || req.user?.auth_method !== 'session') {
+    return next();
+  }
+
+  const token = readCsrfHeader(req);
+  if (!csrfTokenMatches(token, req.user.csrf)) {
+    logger.warn({
+      user_id: req.user.user_id,
+      session_id: req.user.session_id,
+      reason: token ? 'mismatch' : 'missing',
+      method: req.method,
+      path: req.originalUrl,
+      origin: req.get('Origin'),
+      ip: req.ip,
+    }, 'CSRF check failed');
+    return res.status(403).json({ success: false, message: 'Invalid or missing CSRF token.' });
+  }
+
+  return next();
+};
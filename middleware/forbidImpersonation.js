@@ -0,0 +1,29 @@
+/**
+ * Blocks a route while the caller is impersonating another user.
+ *
+ * Usage:
+ *   router.post('/change-password', forbidWhileImpersonating, handler);
+ *
+ * For account-security actions (password, 2FA, ending sessions) that only the
+ * account owner should take, even though the impersonating admin is otherwise
+ * authorised as them.
+ */
+
+import logger from '../utils/logger.js';
+
+export const forbidWhileImpersonating = (req, res, next) => {
+  if (!req.user?.impersonator) {
+    return next();
+  }
+
+  logger.warn({
+    user_id: req.user.user_id,
+    impersonator_user_id: req.user.impersonator.user_id,
+    path: req.originalUrl,
+  }, 'Action blocked while impersonating');
+
+  return res.status(403).json({
+    success: false,
+    message: 'This action is not available while impersonating another user.',
+  });
+};
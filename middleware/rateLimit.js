@@ -0,0 +1,127 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Sliding-window limits per IP and per user, configured per route in
+ * config/rateLimits.js. Counters live in Redis (shared by all instances) with
+ * an in-memory fallback while Redis is down.
+ *
+ * `enforceRateLimits` must be mounted AFTER `enforceAccessPolicy`, which sets
+ * `req.accessPolicy` (the matched "METHOD /path" key) and, for protected
+ * routes, `req.user`. `enforceIpRateLimit` is a coarse per-IP limit on every
+ * request and is mounted BEFORE it, so floods are turned away before any
+ * token verification or database work.
+ *
+ * Responses carry the IETF draft headers RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset (seconds) and RateLimit-Policy; rejections are 429 with
+ * Retry-After and counted in `rate_limit_rejected_total`.
+ *
+ * Set RATE_LIMIT_ENABLED=false to turn limiting off (e.g. load tests).
+ */
+
+import logger from '../utils/logger.js';
+import { rateLimitRejectedTotal } from '../utils/metrics.js';
+import { hitRateLimit } from '../services/cache/rateLimit.store.js';
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED?.trim().toLowerCase() !== 'false';
+
+const identify = (req, scope) => {
+  if (scope === 'user' && req.user?.user_id) {
+    return `user:${req.user.user_id}`;
+  }
+  if (scope === 'user' && req.user?.service_account_id) {
+    return `service:${req.user.service_account_id}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+const setHeaders = (res, policy, result) => {
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+  res.set('RateLimit-Limit', String(policy.max));
+  res.set('RateLimit-Remaining', String(Math.max(0, policy.max - result.count)));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  res.set('RateLimit-Policy', `${policy.max};w=${Math.ceil(policy.windowMs / 1000)}`);
+  return resetSeconds;
+};
+
+const reject = (req, res, policy, key, result) => {
+  const resetSeconds = setHeaders(res, policy, result);
+  res.set('Retry-After', String(resetSeconds));
+  rateLimitRejectedTotal.inc({ policy: policy.name, scope: policy.scope });
+
+  logger.warn({
+    policy: policy.name,
+    scope: policy.scope,
+    key,
+    route: req.accessPolicy,
+    ip: req.ip,
+    user_id: req.user?.user_id,
+  }, 'Rate limit exceeded');
+
+  return res.status(429).json({
+    success: false,
+    message: `Too many requests. Try again in ${resetSeconds} second(s).`,
+  });
+};
+
+/**
+ * Build the coarse per-IP limiter applied to every request, before the
+ * access policy runs.
+ * @param {{ name: string, max: number, windowMs: number }} policy
+ */
+export const enforceIpRateLimit = (policy) => async (req, res, next) => {
+  if (!isEnabled()) return next();
+
+  try {
+    const key = `${policy.name}:ip:${req.ip}`;
+    const result = await hitRateLimit(key, policy.windowMs, policy.max);
+    if (!result.allowed) {
+      return reject(req, res, policy, key, result);
+    }
+    return next();
+  } catch (err) {
+    // Never block traffic because the limiter itself failed
+    logger.error({ error: err.message, stack: err.stack }, 'IP rate limit middleware error');
+    return next();
+  }
+};
+
+/**
+ * Build the rate limiting middleware.
+ * @param {Record<string, Array<{ name: string, scope: 'ip'|'user', max: number, windowMs: number }>>} policies
+ * @param {{ name: string, scope: 'ip'|'user', max: number, windowMs: number }} defaultWriteLimit
+ */
+export const enforceRateLimits = (policies, defaultWriteLimit) => async (req, res, next) => {
+  if (!isEnabled()) return next();
+
+  const limits = policies[req.accessPolicy]
+    || (WRITE_METHODS.includes(req.method) ? [defaultWriteLimit] : []);
+  if (limits.length === 0) return next();
+
+  try {
+    // Report the tightest limit in the headers
+    let tightest = null;
+
+    for (const policy of limits) {
+      const key = `${policy.name}:${identify(req, policy.scope)}`;
+      const result = await hitRateLimit(key, policy.windowMs, policy.max);
+
+      if (!result.allowed) {
+        return reject(req, res, policy, key, result);
+      }
+
+      const remaining = policy.max - result.count;
+      if (!tightest || remaining < tightest.remaining) {
+        tightest = { policy, result, remaining };
+      }
+    }
+
+    setHeaders(res, tightest.policy, tightest.result);
+    return next();
+  } catch (err) {
+    // Never block traffic because the limiter itself failed
+    logger.error({ error: err.message, stack: err.stack }, 'Rate limit middleware error');
+    return next();
+  }
+};
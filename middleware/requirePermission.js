@@ -0,0 +1,80 @@
+/**
+ * Permission-based Authorization Middleware
+ *
+ * Usage:
+ *   router.post('/', requirePermission('jobs:create'), handler);
+ *
+ * Must run AFTER authentication — the route's access policy (see
+ * accessPolicy.js) or the `authenticate` middleware attaches `req.user`.
+ * Resolves the caller's permissions from role_permissions (cached in Redis)
+ * and checks that every listed permission is granted to the caller's role.
+ *
+ * SUPER_ADMIN is implicitly granted every permission so that a fresh
+ * role_permissions table can never lock all administrators out, and callers
+ * the OWNER access policy marked as resource owners skip the check.
+ *
+ * Service account API keys have no role: they are checked against the key's
+ * own permission scope, with no superuser or owner shortcut. Only routes
+ * guarded by requirePermission accept API keys at all (see accessPolicy.js),
+ * which is why the returned middleware is tagged with `requiredPermissions`.
+ */
+
+import logger from '../utils/logger.js';
+import { getRolePermissionNames } from '../services/cache/rolePermissions.cache.js';
+
+const SUPERUSER_ROLE = 'SUPER_ADMIN';
+
+/**
+ * Returns Express middleware that allows only callers holding all listed permissions.
+ * @param {...string} requiredPermissions — e.g. 'jobs:create'
+ */
+export const requirePermission = (...requiredPermissions) => {
+  const required = requiredPermissions.flat();
+
+  const middleware = async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Authentication required.' });
+      }
+
+      const isApiKey = req.user.auth_method === 'api_key';
+
+      if (!isApiKey && (req.user.role_name || '').toUpperCase() === SUPERUSER_ROLE) {
+        return next();
+      }
+
+      // OWNER access policy already established the caller owns this resource
+      if (!isApiKey && req.isResourceOwner) {
+        return next();
+      }
+
+      const granted = isApiKey ? req.user.permissions : await getRolePermissionNames(req.user.role_id);
+      const missing = required.filter((permission) => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        logger.warn({
+          user_id: req.user.user_id,
+          service_account_id: req.user.service_account_id,
+          role: req.user.role_name,
+          required,
+          missing,
+          path: req.originalUrl,
+        }, 'Permission authorization denied');
+
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.',
+        });
+      }
+
+      req.user.permissions = granted;
+      return next();
+    } catch (err) {
+      logger.error({ error: err.message, stack: err.stack }, 'requirePermission middleware error');
+      return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+  };
+
+  middleware.requiredPermissions = required;
+  return middleware;
+};
@@ -0,0 +1,34 @@
+/**
+ * Student Self-Service Middleware
+ *
+ * Resolves the student linked to the logged-in user through student_users and
+ * attaches it as `req.studentId`. Handlers behind this middleware must use
+ * `req.studentId` and never a student id taken from the request, so a student
+ * can only ever reach their own records.
+ *
+ * Must be used AFTER authentication, which attaches `req.user`.
+ */
+
+import logger from '../utils/logger.js';
+import { findStudentIdByUserId } from '../db/student_users.db.js';
+
+export const resolveStudent = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Authentication required.' });
+    }
+
+    const studentId = await findStudentIdByUserId(req.user.user_id);
+
+    if (!studentId) {
+      logger.warn({ user_id: req.user.user_id, path: req.originalUrl }, 'resolveStudent: user is not linked to a student');
+      return res.status(403).json({ success: false, message: 'No student profile is linked to this account.' });
+    }
+
+    req.studentId = studentId;
+    return next();
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack }, 'resolveStudent middleware error');
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
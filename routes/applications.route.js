@@ -1,5 +1,6 @@
 import express from 'express';
 import * as applicationController from '../controller/applications.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = express.Router();
 
@@ -8,7 +9,14 @@ const router = express.Router();
  * /applications:
  *   post:
  *     summary: Create a new application
+ *     description: >
+ *       The student must be eligible for the job (see check-eligibility) and
+ *       the job's application_deadline must not have passed. The eligibility
+ *       checks are stored with the application.
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
  *     requestBody:
  *       required: true
  *       content:
@@ -25,19 +33,26 @@ const router = express.Router();
  *                 example: 5
  *               status:
  *                 type: string
+ *                 enum: [APPLIED, SHORTLISTED, SELECTED, REJECTED, WITHDRAWN]
  *                 example: APPLIED
+ *               notes:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Application created successfully
  *       400:
  *         description: Validation error
+ *       404:
+ *         description: Student or job not found
  *       409:
  *         description: Application already exists for this student and job
+ *       422:
+ *         description: Student is not eligible for the job, or applications are closed
  *       500:
  *         description: Internal server error
  */
 // POST /applications - Create a new application
-router.post('/', applicationController.createApplication);
+router.post('/', requirePermission('applications:create'), applicationController.createApplication);
 
 /**
  * @swagger
@@ -45,6 +60,8 @@ router.post('/', applicationController.createApplication);
  *   get:
  *     summary: Get all applications with filtering and pagination
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: student_id
@@ -60,6 +77,7 @@ router.post('/', applicationController.createApplication);
  *         name: status
  *         schema:
  *           type: string
+ *           enum: [APPLIED, SHORTLISTED, SELECTED, REJECTED, WITHDRAWN]
  *         description: Filter by application status
  *       - in: query
  *         name: page
@@ -73,6 +91,18 @@ router.post('/', applicationController.createApplication);
  *           type: integer
  *           default: 20
  *         description: Number of results per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [application_id, student_id, job_id, status, applied_at, updated_at]
+ *           default: applied_at
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *           default: DESC
  *     responses:
  *       200:
  *         description: Paginated list of applications
@@ -80,7 +110,7 @@ router.post('/', applicationController.createApplication);
  *         description: Internal server error
  */
 // GET /applications - Get all applications with filtering and pagination
-router.get('/', applicationController.getAllApplications);
+router.get('/', requirePermission('applications:read'), applicationController.getAllApplications);
 
 /**
  * @swagger
@@ -88,6 +118,14 @@ router.get('/', applicationController.getAllApplications);
  *   get:
  *     summary: Get application statistics
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: job_id
+ *         schema:
+ *           type: integer
+ *         description: Limit the statistics to one job
  *     responses:
  *       200:
  *         description: Application statistics (counts by status, job, etc.)
@@ -96,24 +134,43 @@ router.get('/', applicationController.getAllApplications);
  *             schema:
  *               type: object
  *               properties:
- *                 total:
- *                   type: integer
- *                   example: 150
- *                 by_status:
+ *                 success: { type: boolean }
+ *                 data:
  *                   type: object
- *                   example: { APPLIED: 80, SHORTLISTED: 40, REJECTED: 30 }
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       example: 150
+ *                     unique_students:
+ *                       type: integer
+ *                       example: 90
+ *                     by_status:
+ *                       type: object
+ *                       example: { APPLIED: 80, SHORTLISTED: 40, SELECTED: 0, REJECTED: 30, WITHDRAWN: 0 }
+ *                     by_job:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         description: job_id, job_title, company_name, total and a count per status
  *       500:
  *         description: Internal server error
  */
 // GET /applications/stats - Get application statistics
-router.get('/stats', applicationController.getApplicationStats);
+router.get('/stats', requirePermission('applications:read'), applicationController.getApplicationStats);
 
 /**
  * @swagger
  * /applications/check-eligibility:
  *   post:
  *     summary: Check if a student is eligible for a job
+ *     description: >
+ *       Compares the student's batch, branch, academics, backlogs and internship
+ *       experience with the job's requirements. is_open tells whether the job
+ *       is still taking applications.
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
  *     requestBody:
  *       required: true
  *       content:
@@ -136,28 +193,53 @@ router.get('/stats', applicationController.getApplicationStats);
  *             schema:
  *               type: object
  *               properties:
- *                 eligible:
- *                   type: boolean
- *                   example: true
- *                 reasons:
- *                   type: array
- *                   items:
- *                     type: string
- *                   example: []
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     eligible:
+ *                       type: boolean
+ *                       example: true
+ *                     reasons:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: []
+ *                     checks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           criterion: { type: string, example: ug_cgpa }
+ *                           required: { nullable: true, example: 7 }
+ *                           actual: { nullable: true, example: 8.1 }
+ *                           passed: { type: boolean }
+ *                           reason: { type: string }
+ *                     is_open: { type: boolean }
+ *                     application_deadline: { type: string, format: date-time, nullable: true }
  *       400:
  *         description: Validation error
+ *       404:
+ *         description: Student or job not found
  *       500:
  *         description: Internal server error
  */
 // POST /applications/check-eligibility - Check eligibility for student and job
-router.post('/check-eligibility', applicationController.checkEligibility);
+router.post('/check-eligibility', requirePermission('applications:read'), applicationController.checkEligibility);
 
 /**
  * @swagger
  * /applications/bulk-eligibility-check:
  *   post:
  *     summary: Run a bulk eligibility check for multiple students or jobs
+ *     description: >
+ *       With job_id, checks the listed students (or every student) against that
+ *       job. Without it, checks the listed students against every job still
+ *       taking applications.
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
  *     requestBody:
  *       required: true
  *       content:
@@ -174,17 +256,22 @@ router.post('/check-eligibility', applicationController.checkEligibility);
  *                 items:
  *                   type: string
  *                 example: [STU2024001, STU2024002]
- *                 description: Specific student IDs to check (optional)
+ *                 description: Specific student IDs to check (optional with job_id, at most 500)
  *     responses:
  *       200:
- *         description: Bulk eligibility results
+ *         description: >
+ *           data.results ([{ job_id, student_id, full_name, eligible, reasons }]),
+ *           jobs_checked, students_checked, eligible_count and not_found
+ *           (listed student IDs that don't exist)
  *       400:
  *         description: Validation error
+ *       404:
+ *         description: Job not found
  *       500:
  *         description: Internal server error
  */
 // POST /applications/bulk-eligibility-check - Run bulk eligibility check
-router.post('/bulk-eligibility-check', applicationController.bulkEligibilityCheck);
+router.post('/bulk-eligibility-check', requirePermission('applications:read'), applicationController.bulkEligibilityCheck);
 
 /**
  * @swagger
@@ -192,6 +279,8 @@ router.post('/bulk-eligibility-check', applicationController.bulkEligibilityChec
  *   get:
  *     summary: Get all applications by student ID
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -209,7 +298,7 @@ router.post('/bulk-eligibility-check', applicationController.bulkEligibilityChec
  *         description: Internal server error
  */
 // GET /applications/student/:studentId - Get applications by student ID
-router.get('/student/:studentId', applicationController.getApplicationsByStudentId);
+router.get('/student/:studentId', requirePermission('applications:read'), applicationController.getApplicationsByStudentId);
 
 /**
  * @swagger
@@ -217,6 +306,8 @@ router.get('/student/:studentId', applicationController.getApplicationsByStudent
  *   get:
  *     summary: Get all applications for a job
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: jobId
@@ -234,7 +325,7 @@ router.get('/student/:studentId', applicationController.getApplicationsByStudent
  *         description: Internal server error
  */
 // GET /applications/job/:jobId - Get applications by job ID
-router.get('/job/:jobId', applicationController.getApplicationsByJobId);
+router.get('/job/:jobId', requirePermission('applications:read'), applicationController.getApplicationsByJobId);
 
 /**
  * @swagger
@@ -242,6 +333,8 @@ router.get('/job/:jobId', applicationController.getApplicationsByJobId);
  *   get:
  *     summary: Get an application by ID
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -258,7 +351,7 @@ router.get('/job/:jobId', applicationController.getApplicationsByJobId);
  *         description: Internal server error
  */
 // GET /applications/:id - Get application by ID
-router.get('/:id', applicationController.getApplicationById);
+router.get('/:id', requirePermission('applications:read'), applicationController.getApplicationById);
 
 /**
  * @swagger
@@ -266,6 +359,9 @@ router.get('/:id', applicationController.getApplicationById);
  *   put:
  *     summary: Update an application by ID
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -282,6 +378,7 @@ router.get('/:id', applicationController.getApplicationById);
  *             properties:
  *               status:
  *                 type: string
+ *                 enum: [APPLIED, SHORTLISTED, SELECTED, REJECTED, WITHDRAWN]
  *                 example: SHORTLISTED
  *               notes:
  *                 type: string
@@ -297,7 +394,7 @@ router.get('/:id', applicationController.getApplicationById);
  *         description: Internal server error
  */
 // PUT /applications/:id - Update application by ID
-router.put('/:id', applicationController.updateApplication);
+router.put('/:id', requirePermission('applications:update'), applicationController.updateApplication);
 
 /**
  * @swagger
@@ -305,6 +402,9 @@ router.put('/:id', applicationController.updateApplication);
  *   delete:
  *     summary: Delete an application by ID
  *     tags: [Applications]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -321,6 +421,6 @@ router.put('/:id', applicationController.updateApplication);
  *         description: Internal server error
  */
 // DELETE /applications/:id - Delete application by ID
-router.delete('/:id', applicationController.deleteApplication);
+router.delete('/:id', requirePermission('applications:delete'), applicationController.deleteApplication);
 
 export default router;
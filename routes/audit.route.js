@@ -0,0 +1,99 @@
+import { Router } from 'express';
+import * as auditController from '../controller/audit.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Get the audit log of administrative changes (newest first)
+ *     description: >
+ *       Every create, update and delete made through the API is recorded with
+ *       the acting user, request metadata and a field-level before/after diff.
+ *       Secrets such as password hashes are redacted.
+ *     tags: [Audit]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_id
+ *         schema: { type: integer }
+ *         description: User who made the change
+ *       - in: query
+ *         name: service_account_id
+ *         schema: { type: integer }
+ *         description: Service account whose API key made the change
+ *       - in: query
+ *         name: impersonated_user_id
+ *         schema: { type: integer }
+ *         description: User an admin was impersonating when making the change
+ *       - in: query
+ *         name: entity
+ *         schema: { type: string, example: company }
+ *       - in: query
+ *         name: entity_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: action
+ *         schema: { type: string, example: update }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           audit_id: { type: integer }
+ *                           actor_user_id: { type: integer, nullable: true }
+ *                           actor_username: { type: string, nullable: true }
+ *                           actor_role: { type: string, nullable: true }
+ *                           actor_service_account_id: { type: integer, nullable: true }
+ *                           actor_service_account: { type: string, nullable: true }
+ *                           impersonated_user_id: { type: integer, nullable: true }
+ *                           impersonated_username: { type: string, nullable: true }
+ *                           action: { type: string, example: update }
+ *                           entity: { type: string, example: company }
+ *                           entity_id: { type: string, nullable: true }
+ *                           before: { type: object, nullable: true }
+ *                           after: { type: object, nullable: true }
+ *                           changes:
+ *                             type: object
+ *                             nullable: true
+ *                             example: { company_name: { from: Acme, to: Acme Corp } }
+ *                           details: { type: object }
+ *                           ip_address: { type: string, nullable: true }
+ *                           user_agent: { type: string, nullable: true }
+ *                           request_method: { type: string, nullable: true }
+ *                           request_path: { type: string, nullable: true }
+ *                           created_at: { type: string, format: date-time }
+ *                     pagination: { type: object }
+ *       400:
+ *         description: Invalid filters
+ */
+router.get('/', requirePermission('audit:read'), auditController.getAuditLogs);
+
+export default router;
@@ -2,15 +2,38 @@
  * Auth Routes — /api/auth
  *
  * POST   /login         — Login with email + password
+ * POST   /login/mfa     — Second login step (TOTP or recovery code)
+ * POST   /login/mfa/setup — TOTP enrollment during login (MFA-mandatory roles)
  * POST   /refresh        — Refresh access token (uses cookie)
+ * POST   /forgot-password — Email a single-use password reset link
+ * POST   /reset-password  — Set a new password with a reset token
+ * POST   /activate       — Activate an invited account by choosing a password
  * POST   /logout         — Logout current session
  * POST   /logout-all     — Logout all sessions for the user
+ * POST   /change-password — Change own password (revokes other sessions)
+ * GET    /sessions      — List own active sessions
+ * DELETE /sessions/:sessionId — Revoke one of own sessions
+ * GET    /mfa           — Two-factor status
+ * POST   /mfa/setup     — Start TOTP enrollment
+ * POST   /mfa/enable    — Confirm enrollment, returns recovery codes
+ * POST   /mfa/recovery-codes — Regenerate recovery codes
+ * POST   /mfa/disable   — Turn off two-factor (if the role allows)
  * GET    /whoami         — Get current user info
+ * POST   /impersonate/stop — Stop impersonating, back to own identity
+ * POST   /impersonate/:userId — Act as another user (SUPER_ADMIN)
+ *
+ * Password, 2FA and session-ending actions are blocked while impersonating.
  */
 
 import { Router } from 'express';
 import * as authController from '../controller/auth.controller.js';
-import { authenticate } from '../middleware/authenticate.js';
+import * as mfaController from '../controller/mfa.controller.js';
+import * as sessionsController from '../controller/sessions.controller.js';
+import * as impersonationController from '../controller/impersonation.controller.js';
+import * as emailVerificationController from '../controller/emailVerification.controller.js';
+import * as notificationsController from '../controller/notifications.controller.js';
+import { requireRole } from '../middleware/requireRole.js';
+import { forbidWhileImpersonating } from '../middleware/forbidImpersonation.js';
 
 const router = Router();
 
@@ -37,7 +60,13 @@ const router = Router();
  *                 example: secret123
  *     responses:
  *       200:
- *         description: Login successful — sets httpOnly access and refresh token cookies
+ *         description: >
+ *           Login successful — sets httpOnly access and refresh token cookies and
+ *           returns `data.csrf_token` (also in the readable csrfToken cookie), which
+ *           must be sent as `X-CSRF-Token` on every POST/PUT/PATCH/DELETE.
+ *           If the account uses two-factor authentication (or its role requires it),
+ *           no cookies are set; the response carries `data.mfa_required: true`,
+ *           `data.enrollment_required` and a 5-minute `data.mfa_token` for /auth/login/mfa.
  *         content:
  *           application/json:
  *             schema:
@@ -87,6 +116,137 @@ const router = Router();
 // Public routes (no auth required)
 router.post('/login', authController.login);
 
+/**
+ * @swagger
+ * /auth/login/mfa:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     tags: [Auth]
+ *     description: >
+ *       Exchanges the `mfa_token` from /auth/login plus a TOTP code (or a
+ *       one-time recovery code) for session cookies. For enrollment tokens the
+ *       code confirms the secret from /auth/login/mfa/setup and the response
+ *       contains the recovery codes, shown only once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mfa_token]
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recovery_code:
+ *                 type: string
+ *                 example: ABCD-EFGH-IJKL-MNOP
+ *     responses:
+ *       200:
+ *         description: Login successful — sets httpOnly access and refresh token cookies and returns data.csrf_token
+ *       400:
+ *         description: Validation error (exactly one of code / recovery_code is required)
+ *       401:
+ *         description: Invalid code, or the MFA token expired
+ *       423:
+ *         description: Account is locked due to too many failed attempts
+ */
+router.post('/login/mfa', authController.loginMfa);
+
+/**
+ * @swagger
+ * /auth/login/mfa/setup:
+ *   post:
+ *     summary: Set up two-factor authentication during login
+ *     tags: [Auth]
+ *     description: >
+ *       For accounts whose role requires two-factor authentication but which
+ *       have not enrolled yet. Returns a TOTP secret and an otpauth:// URI to
+ *       render as a QR code.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mfa_token]
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *       401:
+ *         description: MFA token invalid or expired
+ *       409:
+ *         description: Two-factor authentication is already set up
+ */
+router.post('/login/mfa/setup', authController.loginMfaSetup);
+
+/**
+ * @swagger
+ * /auth/oidc/login:
+ *   get:
+ *     summary: Start single sign-on with the college identity provider (OIDC)
+ *     tags: [Auth]
+ *     description: >
+ *       Browser navigation, not an XHR. Redirects to the identity provider
+ *       (authorization code flow with PKCE); the provider returns to
+ *       /auth/oidc/callback.
+ *     parameters:
+ *       - in: query
+ *         name: return_to
+ *         schema:
+ *           type: string
+ *           example: /dashboard
+ *         description: Frontend path to land on after sign-in
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       400:
+ *         description: return_to is not a path
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.get('/oidc/login', authController.oidcLogin);
+
+/**
+ * @swagger
+ * /auth/oidc/callback:
+ *   get:
+ *     summary: Single sign-on callback from the identity provider
+ *     tags: [Auth]
+ *     description: >
+ *       Verifies state, exchanges the code, validates the ID token and maps its
+ *       verified email to a user — an existing account, or a new STUDENT user
+ *       for a student whose college_email matches. Then sets the same cookies
+ *       as a password login and redirects to OIDC_POST_LOGIN_REDIRECT.
+ *       On failure the redirect carries `?sso_error=<reason>`
+ *       (invalid_state, access_denied, provider_error, invalid_request,
+ *       exchange_failed, invalid_token, email_missing, email_unverified,
+ *       domain_not_allowed, no_account, account_inactive, account_locked,
+ *       server_error). When a second factor is needed it carries
+ *       `#mfa_token=...&enrollment_required=...` for POST /auth/login/mfa.
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema: { type: string }
+ *       - in: query
+ *         name: state
+ *         schema: { type: string }
+ *       - in: query
+ *         name: error
+ *         schema: { type: string }
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.get('/oidc/callback', authController.oidcCallback);
+
 /**
  * @swagger
  * /auth/refresh:
@@ -95,7 +255,14 @@ router.post('/login', authController.login);
  *     tags: [Auth]
  *     description: >
  *       Reads the `refreshToken` cookie to validate the session and issues new
- *       access + refresh token cookies (refresh token rotation).
+ *       access + refresh token cookies (refresh token rotation) and a new CSRF token.
+ *       When a `csrfToken` cookie is present, the `X-CSRF-Token` header must match it.
+ *     parameters:
+ *       - in: header
+ *         name: X-CSRF-Token
+ *         schema:
+ *           type: string
+ *         description: Current CSRF token (value of the csrfToken cookie)
  *     responses:
  *       200:
  *         description: Token refreshed — new cookies are set
@@ -110,15 +277,151 @@ router.post('/login', authController.login);
  *                 message:
  *                   type: string
  *                   example: Token refreshed successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     csrf_token:
+ *                       type: string
+ *                       description: Send as X-CSRF-Token on unsafe requests
  *       401:
  *         description: Refresh token missing, session not found, or session expired
  *       403:
- *         description: Account is deactivated
+ *         description: Account is deactivated, or the CSRF token does not match
  *       500:
  *         description: Internal server error
  */
 router.post('/refresh', authController.refreshToken);
 
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Auth]
+ *     description: >
+ *       Emails a single-use reset link valid for 30 minutes. The response is the
+ *       same whether or not the email belongs to an account.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: student@example.com
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/forgot-password', authController.forgotPassword);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset password with a token from the reset email
+ *     tags: [Auth]
+ *     description: >
+ *       Consumes the token, sets the new password and revokes all existing
+ *       sessions and access tokens for the account.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 64-character hex token from the reset link
+ *               password:
+ *                 type: string
+ *                 description: Must satisfy the password policy and differ from recent passwords
+ *                 example: NewSecret123
+ *     responses:
+ *       200:
+ *         description: Password reset — log in again
+ *       400:
+ *         description: Validation error, password rejected by policy/history, or token invalid, expired or already used
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reset-password', authController.resetPassword);
+
+/**
+ * @swagger
+ * /auth/activate:
+ *   post:
+ *     summary: Activate an invited account
+ *     tags: [Auth]
+ *     description: >
+ *       Sets the first password with the token from the invitation email and
+ *       activates the account. The password must satisfy the password policy;
+ *       a rejected password leaves the link usable. Log in afterwards.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 64-character hex token from the activation link
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account activated
+ *       400:
+ *         description: Validation error, password rejected by policy, or invalid/expired link
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/activate', authController.activateAccount);
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the token from the verification email
+ *     tags: [Auth]
+ *     description: >
+ *       Spends the token and marks the address it was sent to as verified. Works
+ *       without being logged in, since the link may be opened on another device.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 64-character hex token from the verification link
+ *     responses:
+ *       200:
+ *         description: Address verified — returns data.address_type and data.email
+ *       400:
+ *         description: Validation error, or token invalid, expired or already used
+ *       409:
+ *         description: The address changed after the link was sent
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/verify-email', emailVerificationController.verifyEmail);
+
 /**
  * @swagger
  * /auth/logout:
@@ -146,7 +449,7 @@ router.post('/refresh', authController.refreshToken);
  *         description: Not authenticated
  */
 // Protected routes (auth required)
-router.post('/logout', authenticate, authController.logout);
+router.post('/logout', authController.logout);
 
 /**
  * @swagger
@@ -173,10 +476,53 @@ router.post('/logout', authenticate, authController.logout);
  *                   example: Logged out from all 3 session(s)
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Not available while impersonating
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout-all', forbidWhileImpersonating, authController.logoutAll);
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change the current user's password
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     description: >
+ *       Verifies the current password, enforces the password policy (length,
+ *       character classes, not equal to email/username) and rejects recently
+ *       used passwords. All other sessions are revoked; the current session
+ *       receives fresh cookies.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [current_password, new_password]
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *                 example: oldSecret123
+ *               new_password:
+ *                 type: string
+ *                 example: NewSecret456
+ *     responses:
+ *       200:
+ *         description: Password changed — new cookies are set
+ *       400:
+ *         description: Validation error, wrong current password, or password rejected by policy/history
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not available while impersonating
  *       500:
  *         description: Internal server error
  */
-router.post('/logout-all', authenticate, authController.logoutAll);
+router.post('/change-password', forbidWhileImpersonating, authController.changePassword);
 
 /**
  * @swagger
@@ -218,6 +564,22 @@ router.post('/logout-all', authenticate, authController.logoutAll);
  *                     is_active:
  *                       type: boolean
  *                       example: true
+ *                     csrf_token:
+ *                       type: string
+ *                       nullable: true
+ *                       description: The session's current CSRF token
+ *                     impersonation:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Set while a SUPER_ADMIN is acting as this user
+ *                       properties:
+ *                         impersonator_user_id:
+ *                           type: integer
+ *                         impersonator_username:
+ *                           type: string
+ *                         expires_at:
+ *                           type: string
+ *                           format: date-time
  *       401:
  *         description: Not authenticated
  *       404:
@@ -225,6 +587,393 @@ router.post('/logout-all', authenticate, authController.logoutAll);
  *       500:
  *         description: Internal server error
  */
-router.get('/whoami', authenticate, authController.whoami);
+router.get('/whoami', authController.whoami);
+
+/**
+ * @swagger
+ * /auth/impersonate/stop:
+ *   post:
+ *     summary: Stop impersonating and return to your own identity
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     description: Replaces the impersonation access token with the admin's own. Recorded in security events and the audit log.
+ *     responses:
+ *       200:
+ *         description: Impersonation ended — new access cookie set, returns data.user and data.csrf_token
+ *       400:
+ *         description: Not impersonating anyone
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/impersonate/stop', impersonationController.stopImpersonation);
+
+/**
+ * @swagger
+ * /auth/impersonate/{userId}:
+ *   post:
+ *     summary: Act as another user (SUPER_ADMIN only)
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     description: >
+ *       Replaces the caller's access token with a time-boxed one for the target
+ *       user; the admin's session is kept, so refreshing or logging out ends the
+ *       impersonation. Requests are authorised as the target, but audit entries
+ *       name the admin as actor. Password, 2FA and session-ending actions are
+ *       blocked. SUPER_ADMIN accounts cannot be impersonated.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: 'Ticket #4821: eligible jobs page is empty'
+ *               duration_minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 60
+ *                 default: 30
+ *     responses:
+ *       200:
+ *         description: Impersonation started — returns data.user, data.expires_at and data.csrf_token
+ *       400:
+ *         description: Validation error or own user ID
+ *       403:
+ *         description: Caller is not SUPER_ADMIN, is already impersonating, or the target is protected
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Target account is deactivated
+ */
+router.post('/impersonate/:userId', requireRole(['SUPER_ADMIN']), forbidWhileImpersonating, impersonationController.startImpersonation);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions, most recently active first; `current` marks the calling session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       session_id:
+ *                         type: string
+ *                         format: uuid
+ *                       ip_address:
+ *                         type: string
+ *                         example: 203.0.113.7
+ *                       user_agent:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_activity:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         example: true
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/sessions', sessionsController.listMySessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     description: Revoking the calling session also clears its cookies.
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       400:
+ *         description: Invalid session ID
+ *       403:
+ *         description: Not available while impersonating
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', forbidWhileImpersonating, sessionsController.revokeMySession);
+
+/**
+ * @swagger
+ * /auth/notifications:
+ *   get:
+ *     summary: List your in-app notifications (newest first)
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     description: Includes security alerts such as sign-ins from a new device or network.
+ *     parameters:
+ *       - in: query
+ *         name: unread_only
+ *         schema: { type: boolean, default: false }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: data.notifications, data.unread_count and data.pagination
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/notifications', notificationsController.listMyNotifications);
+
+/**
+ * @swagger
+ * /auth/notifications/{notificationId}/read:
+ *   post:
+ *     summary: Mark one of your notifications as read
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Marked as read
+ *       400:
+ *         description: Invalid notification ID
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/notifications/:notificationId/read', notificationsController.markMyNotificationRead);
+
+/**
+ * @swagger
+ * /auth/email-verification:
+ *   get:
+ *     summary: Get the verification state of your email addresses
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     description: >
+ *       Lists the account address and, for students, the student record's email
+ *       and alt_email, each with verified and verified_at.
+ *       data.notifications_require_verification tells whether job notifications
+ *       skip unverified addresses.
+ *     responses:
+ *       200:
+ *         description: data.addresses and data.notifications_require_verification
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/email-verification', emailVerificationController.getEmailVerificationStatus);
+
+/**
+ * @swagger
+ * /auth/email-verification/send:
+ *   post:
+ *     summary: Email a verification link for one of your addresses
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     description: >
+ *       Sends a single-use link (valid for 24 hours by default); any earlier link
+ *       for the same address stops working. At most one email per minute and
+ *       five per day for each address.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [address_type]
+ *             properties:
+ *               address_type:
+ *                 type: string
+ *                 enum: [account, student_email, student_alt_email]
+ *     responses:
+ *       200:
+ *         description: Email sent — returns data.email and data.expires_at
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not available while impersonating
+ *       404:
+ *         description: No such address on file
+ *       409:
+ *         description: Address already verified
+ *       429:
+ *         description: Sent too recently or too often — see Retry-After
+ */
+router.post('/email-verification/send', forbidWhileImpersonating, emailVerificationController.sendEmailVerification);
+
+/**
+ * @swagger
+ * /auth/mfa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: enabled, required (by role), enabled_at, recovery_codes_remaining
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/mfa', mfaController.getMfaStatus);
+
+/**
+ * @swagger
+ * /auth/mfa/setup:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     description: Returns a new secret and an otpauth:// URI to render as a QR code. Confirm with /auth/mfa/enable.
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *       403:
+ *         description: Not available while impersonating
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/mfa/setup', forbidWhileImpersonating, mfaController.setupMfa);
+
+/**
+ * @swagger
+ * /auth/mfa/enable:
+ *   post:
+ *     summary: Confirm TOTP enrollment
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Enabled — returns recovery codes (shown only once)
+ *       400:
+ *         description: Invalid code or no setup in progress
+ *       403:
+ *         description: Not available while impersonating
+ */
+router.post('/mfa/enable', forbidWhileImpersonating, mfaController.enableMfa);
+
+/**
+ * @swagger
+ * /auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: New recovery codes; previous codes stop working
+ *       400:
+ *         description: Invalid code or two-factor not enabled
+ *       403:
+ *         description: Not available while impersonating
+ */
+router.post('/mfa/recovery-codes', forbidWhileImpersonating, mfaController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /auth/mfa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password, code]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       400:
+ *         description: Wrong password or code, or two-factor not enabled
+ *       403:
+ *         description: Two-factor authentication is mandatory for the user's role, or the caller is impersonating
+ */
+router.post('/mfa/disable', forbidWhileImpersonating, mfaController.disableMfa);
 
 export default router;
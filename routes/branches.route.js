@@ -1,6 +1,5 @@
 import { Router } from 'express';
-import { authenticate } from '../middleware/authenticate.js';
-import { requireRole } from '../middleware/requireRole.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 import * as branchesController from '../controller/branches.controller.js';
 
 const router = Router();
@@ -9,8 +8,18 @@ const router = Router();
  * @swagger
  * /branches:
  *   get:
- *     summary: List all branches with their full names
+ *     summary: List branches with their department and degree programme
  *     tags: [Branches]
+ *     parameters:
+ *       - in: query
+ *         name: include_inactive
+ *         schema: { type: boolean, default: false }
+ *       - in: query
+ *         name: department
+ *         schema: { type: string, example: CSE }
+ *       - in: query
+ *         name: programme
+ *         schema: { type: string, example: BE }
  *     responses:
  *       200:
  *         description: Branch list
@@ -27,6 +36,15 @@ const router = Router();
  *                     properties:
  *                       code: { type: string, example: CSE }
  *                       name: { type: string, example: Computer Science and Engineering }
+ *                       is_active: { type: boolean }
+ *                       department_code: { type: string, nullable: true, example: CSE }
+ *                       department_name: { type: string, nullable: true }
+ *                       programme_code: { type: string, nullable: true, example: BE }
+ *                       programme_name: { type: string, nullable: true }
+ *                       previous_codes:
+ *                         type: array
+ *                         items: { type: string }
+ *                         description: Codes the branch had before being renamed; still accepted
  */
 router.get('/', branchesController.listBranches);
 
@@ -34,10 +52,11 @@ router.get('/', branchesController.listBranches);
  * @swagger
  * /branches:
  *   post:
- *     summary: Add a new branch (Admin only)
+ *     summary: Add a new branch
  *     tags: [Branches]
  *     security:
  *       - cookieAuth: []
+ *       - csrfToken: []
  *     requestBody:
  *       required: true
  *       content:
@@ -53,24 +72,210 @@ router.get('/', branchesController.listBranches);
  *               name:
  *                 type: string
  *                 example: Artificial Intelligence and Machine Learning
+ *               department_code: { type: string, example: CSE }
+ *               programme_code: { type: string, example: BE }
  *     responses:
  *       201:
- *         description: Branch added, returns full updated list
+ *         description: Branch added
  *       400:
  *         description: Validation error
  *       409:
- *         description: Branch code already exists
+ *         description: Branch code is already in use (now or before a rename)
+ *       422:
+ *         description: Department or programme does not exist
+ */
+router.post('/', requirePermission('branches:create'), branchesController.createBranch);
+
+/**
+ * @swagger
+ * /branches/departments:
+ *   get:
+ *     summary: List departments with their number of active branches
+ *     tags: [Branches]
+ *     parameters:
+ *       - in: query
+ *         name: include_inactive
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Department list
+ */
+router.get('/departments', branchesController.listDepartments);
+
+/**
+ * @swagger
+ * /branches/departments:
+ *   post:
+ *     summary: Add a department
+ *     tags: [Branches]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name]
+ *             properties:
+ *               code: { type: string, example: DS }
+ *               name: { type: string, example: Data Science }
+ *     responses:
+ *       201:
+ *         description: Department added
+ *       409:
+ *         description: Department already exists
+ */
+router.post('/departments', requirePermission('branches:update'), branchesController.createDepartment);
+
+/**
+ * @swagger
+ * /branches/departments/{code}:
+ *   patch:
+ *     summary: Rename or (de)activate a department
+ *     tags: [Branches]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               is_active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Department updated
+ *       404:
+ *         description: Department not found
+ */
+router.patch('/departments/:code', requirePermission('branches:update'), branchesController.updateDepartment);
+
+/**
+ * @swagger
+ * /branches/programmes:
+ *   get:
+ *     summary: List degree programmes (B.E., M.Tech, MCA, ...)
+ *     tags: [Branches]
+ *     responses:
+ *       200:
+ *         description: Programme list
+ */
+router.get('/programmes', branchesController.listProgrammes);
+
+/**
+ * @swagger
+ * /branches/programmes:
+ *   post:
+ *     summary: Add a degree programme
+ *     tags: [Branches]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name, level, duration_years]
+ *             properties:
+ *               code: { type: string, example: MSC }
+ *               name: { type: string, example: Master of Science }
+ *               level: { type: string, enum: [UG, PG] }
+ *               duration_years: { type: integer, example: 2 }
+ *     responses:
+ *       201:
+ *         description: Programme added
+ *       409:
+ *         description: Programme already exists
+ */
+router.post('/programmes', requirePermission('branches:update'), branchesController.createProgramme);
+
+/**
+ * @swagger
+ * /branches/{code}:
+ *   get:
+ *     summary: Get a branch with its intake per admission year
+ *     description: The code may be the branch's current code or one it had before a rename.
+ *     tags: [Branches]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema: { type: string }
+ *         example: CSE
+ *     responses:
+ *       200:
+ *         description: Branch, with intakes ([{ admission_year, intake }])
+ *       404:
+ *         description: Branch not found
+ */
+router.get('/:code', branchesController.getBranch);
+
+/**
+ * @swagger
+ * /branches/{code}:
+ *   patch:
+ *     summary: Rename, move or (re)activate a branch
+ *     description: >
+ *       Changing the code keeps the old one as an alias, so students and job
+ *       requirements that hold it still refer to this branch; new jobs are
+ *       saved with the current code.
+ *     tags: [Branches]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string, example: CSAI }
+ *               name: { type: string }
+ *               department_code: { type: string, nullable: true }
+ *               programme_code: { type: string, nullable: true }
+ *               is_active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Branch updated
+ *       404:
+ *         description: Branch not found
+ *       409:
+ *         description: New code is already in use
+ *       422:
+ *         description: Department or programme does not exist
  */
-router.post('/', authenticate, requireRole(['ADMIN', 'SUPER_ADMIN']), branchesController.createBranch);
+router.patch('/:code', requirePermission('branches:update'), branchesController.updateBranch);
 
 /**
  * @swagger
  * /branches/{code}:
  *   delete:
- *     summary: Remove a branch by code (Admin only)
+ *     summary: Deactivate a branch
+ *     description: >
+ *       The branch is kept so existing students and jobs still resolve it, but
+ *       it is no longer listed or accepted for new jobs. Reactivate it with PATCH.
  *     tags: [Branches]
  *     security:
  *       - cookieAuth: []
+ *       - csrfToken: []
  *     parameters:
  *       - in: path
  *         name: code
@@ -79,10 +284,45 @@ router.post('/', authenticate, requireRole(['ADMIN', 'SUPER_ADMIN']), branchesCo
  *         example: MECH
  *     responses:
  *       200:
- *         description: Branch removed, returns full updated list
+ *         description: Branch deactivated
  *       404:
  *         description: Branch code not found
  */
-router.delete('/:code', authenticate, requireRole(['ADMIN', 'SUPER_ADMIN']), branchesController.deleteBranch);
+router.delete('/:code', requirePermission('branches:delete'), branchesController.deleteBranch);
+
+/**
+ * @swagger
+ * /branches/{code}/intakes/{year}:
+ *   put:
+ *     summary: Set a branch's intake for an admission year
+ *     tags: [Branches]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: year
+ *         required: true
+ *         schema: { type: integer, example: 2024 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [intake]
+ *             properties:
+ *               intake: { type: integer, example: 180 }
+ *     responses:
+ *       200:
+ *         description: Intake saved
+ *       404:
+ *         description: Branch not found
+ */
+router.put('/:code/intakes/:year', requirePermission('branches:update'), branchesController.setBranchIntake);
 
 export default router;
@@ -1,5 +1,6 @@
 import { Router } from "express";
 import * as combineController from "../controller/combine.controller.js";
+import { requirePermission } from "../middleware/requirePermission.js";
 
 const router = Router();
 
@@ -9,6 +10,8 @@ const router = Router();
  *   post:
  *     summary: Create job and job requirements in one request
  *     tags: [Combined Job + Requirements]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -63,7 +66,7 @@ const router = Router();
  *       400:
  *         description: Validation error
  */
-router.post("/", combineController.createCombinedJob);
+router.post("/", requirePermission("jobs:create"), combineController.createCombinedJob);
 
 /**
  * @swagger
@@ -71,6 +74,8 @@ router.post("/", combineController.createCombinedJob);
  *   put:
  *     summary: Full update of job and job requirements
  *     tags: [Combined Job + Requirements]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: jobId
@@ -100,6 +105,6 @@ router.post("/", combineController.createCombinedJob);
  *       404:
  *         description: Job not found
  */
-router.put("/:jobId", combineController.updateCombinedJob);
+router.put("/:jobId", requirePermission("jobs:update"), combineController.updateCombinedJob);
 
 export default router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as companyController from '../controller/companies.controller.js';
 import { upload } from '../utils/multer.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,6 +11,8 @@ const router = Router();
  *   post:
  *     summary: Create a new company
  *     tags: [Companies]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -63,7 +66,7 @@ const router = Router();
  *       400:
  *         description: Validation error
  */
-router.post('/', upload.single('company_logo'), companyController.createCompany);
+router.post('/', requirePermission('companies:create'), upload.single('company_logo'), companyController.createCompany);
 
 /**
  * @swagger
@@ -71,6 +74,8 @@ router.post('/', upload.single('company_logo'), companyController.createCompany)
  *   get:
  *     summary: Get all companies (paginated, searchable)
  *     tags: [Companies]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -91,7 +96,7 @@ router.post('/', upload.single('company_logo'), companyController.createCompany)
  *       200:
  *         description: Companies retrieved
  */
-router.get('/', companyController.getAllCompanies);
+router.get('/', requirePermission('companies:read'), companyController.getAllCompanies);
 
 /**
  * @swagger
@@ -99,6 +104,8 @@ router.get('/', companyController.getAllCompanies);
  *   get:
  *     summary: Get company by ID
  *     tags: [Companies]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -110,7 +117,7 @@ router.get('/', companyController.getAllCompanies);
  *       404:
  *         description: Not found
  */
-router.get('/:id', companyController.getCompanyById);
+router.get('/:id', requirePermission('companies:read'), companyController.getCompanyById);
 
 /**
  * @swagger
@@ -118,6 +125,8 @@ router.get('/:id', companyController.getCompanyById);
  *   put:
  *     summary: Update company by ID (full update)
  *     tags: [Companies]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -158,7 +167,7 @@ router.get('/:id', companyController.getCompanyById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', upload.single('company_logo'), companyController.updateCompany);
+router.put('/:id', requirePermission('companies:update'), upload.single('company_logo'), companyController.updateCompany);
 
 /**
  * @swagger
@@ -166,6 +175,8 @@ router.put('/:id', upload.single('company_logo'), companyController.updateCompan
  *   patch:
  *     summary: Partially update company by ID
  *     tags: [Companies]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -190,7 +201,7 @@ router.put('/:id', upload.single('company_logo'), companyController.updateCompan
  *       404:
  *         description: Not found
  */
-router.patch('/:id', upload.single('company_logo'), companyController.updateCompany);
+router.patch('/:id', requirePermission('companies:update'), upload.single('company_logo'), companyController.updateCompany);
 
 /**
  * @swagger
@@ -198,6 +209,8 @@ router.patch('/:id', upload.single('company_logo'), companyController.updateComp
  *   delete:
  *     summary: Delete company by ID
  *     tags: [Companies]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -209,6 +222,6 @@ router.patch('/:id', upload.single('company_logo'), companyController.updateComp
  *       404:
  *         description: Not found
  */
-router.delete('/:id', companyController.deleteCompany);
+router.delete('/:id', requirePermission('companies:delete'), companyController.deleteCompany);
 
 export default router;
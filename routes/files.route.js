@@ -1,6 +1,6 @@
 import { Router } from "express";
-import { authenticate } from "../middleware/authenticate.js";
 import { getPresignedUrl } from "../controller/files.controller.js";
+import { requirePermission } from "../middleware/requirePermission.js";
 
 const router = Router();
 
@@ -49,6 +49,6 @@ const router = Router();
  *       401:
  *         description: Authentication required
  */
-router.get("/presigned", authenticate, getPresignedUrl);
+router.get("/presigned", requirePermission("files:read"), getPresignedUrl);
 
 export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import * as jobEligibilityController from '../controller/job_eligibility.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /jobs/{jobId}/eligibility/near-misses:
+ *   get:
+ *     summary: Students who miss a job by exactly one criterion
+ *     description: >
+ *       Every student is checked against the job's requirements; those failing
+ *       a single criterion are listed with the required value and their own.
+ *       data.by_criterion counts near misses per criterion, ignoring the
+ *       criterion filter.
+ *     tags: [Job Eligibility]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 5
+ *       - in: query
+ *         name: criterion
+ *         schema:
+ *           type: string
+ *           enum: [graduation_year, branch, tenth_percent, twelfth_percent, ug_cgpa, backlogs, experience]
+ *         description: Only list students who miss on this criterion
+ *     responses:
+ *       200:
+ *         description: Near-miss report for the job
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:jobId/eligibility/near-misses', requirePermission('eligible_jobs:read'), jobEligibilityController.getNearMisses);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/eligibility/{studentId}:
+ *   get:
+ *     summary: Explain why a student is or isn't eligible for a job
+ *     description: >
+ *       Lists each criterion (graduation_year, branch, tenth_percent,
+ *       twelfth_percent, ug_cgpa, backlogs, experience) with the job's required
+ *       value, the student's value and whether it passed. A null required value
+ *       means the job doesn't set that criterion. Students may view their own.
+ *     tags: [Job Eligibility]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 5
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 1BY23CS132
+ *     responses:
+ *       200:
+ *         description: Per-criterion breakdown in data.checks; failing criteria also in data.reasons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 1BY23CS132 fails 1 of 7 criteria
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     eligible:
+ *                       type: boolean
+ *                       example: false
+ *                     checks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           criterion:
+ *                             type: string
+ *                             example: ug_cgpa
+ *                           required:
+ *                             example: 7.5
+ *                           actual:
+ *                             example: 7.2
+ *                           passed:
+ *                             type: boolean
+ *                             example: false
+ *                           reason:
+ *                             type: string
+ *                             example: UG CGPA 7.2 is below the minimum of 7.5
+ *       404:
+ *         description: Student or job not found
+ */
+router.get('/:jobId/eligibility/:studentId', requirePermission('eligible_jobs:read'), jobEligibilityController.explainEligibility);
+
+export default router;
@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import * as jobRequirementController from '../controller/job_requirements.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -9,6 +10,8 @@ const router = Router();
  *   get:
  *     summary: Get all job requirements (paginated, searchable)
  *     tags: [Job Requirements]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -29,7 +32,7 @@ const router = Router();
  *       200:
  *         description: Job requirements retrieved
  */
-router.get('/', jobRequirementController.getAllJobRequirements);
+router.get('/', requirePermission('job_requirements:read'), jobRequirementController.getAllJobRequirements);
 
 /**
  * @swagger
@@ -37,6 +40,8 @@ router.get('/', jobRequirementController.getAllJobRequirements);
  *   get:
  *     summary: Get job requirement by Job ID
  *     tags: [Job Requirements]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: jobId
@@ -48,7 +53,7 @@ router.get('/', jobRequirementController.getAllJobRequirements);
  *       404:
  *         description: Not found
  */
-router.get('/job/:jobId', jobRequirementController.getJobRequirementByJobId);
+router.get('/job/:jobId', requirePermission('job_requirements:read'), jobRequirementController.getJobRequirementByJobId);
 
 /**
  * @swagger
@@ -56,6 +61,8 @@ router.get('/job/:jobId', jobRequirementController.getJobRequirementByJobId);
  *   get:
  *     summary: Get job requirement by ID
  *     tags: [Job Requirements]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -67,6 +74,6 @@ router.get('/job/:jobId', jobRequirementController.getJobRequirementByJobId);
  *       404:
  *         description: Not found
  */
-router.get('/:id', jobRequirementController.getJobRequirementById);
+router.get('/:id', requirePermission('job_requirements:read'), jobRequirementController.getJobRequirementById);
 
 export default router;
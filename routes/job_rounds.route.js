@@ -0,0 +1,362 @@
+import express from 'express';
+import * as jobRoundController from '../controller/job_rounds.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+import { uploadExcel } from '../utils/multer.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /jobs/{jobId}/rounds:
+ *   get:
+ *     summary: Get the selection rounds of a job, in order
+ *     description: Each round carries is_final and its candidate count per status.
+ *     tags: [Job Rounds]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 5
+ *     responses:
+ *       200:
+ *         description: Rounds of the job
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:jobId/rounds', requirePermission('job_rounds:read'), jobRoundController.getJobRounds);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/rounds:
+ *   post:
+ *     summary: Add a selection round after the job's last round
+ *     tags: [Job Rounds]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Technical Interview
+ *               mode:
+ *                 type: string
+ *                 enum: [ONLINE, OFFLINE]
+ *                 default: OFFLINE
+ *               scheduled_at:
+ *                 type: string
+ *                 format: date-time
+ *               venue:
+ *                 type: string
+ *                 example: Seminar Hall 2
+ *               meeting_link:
+ *                 type: string
+ *                 format: uri
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Round created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Candidates have already cleared the final round
+ */
+router.post('/:jobId/rounds', requirePermission('job_rounds:create'), jobRoundController.createJobRound);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/rounds/{roundId}:
+ *   put:
+ *     summary: Update a round's name, mode, schedule or venue
+ *     tags: [Job Rounds]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               mode: { type: string, enum: [ONLINE, OFFLINE] }
+ *               scheduled_at: { type: string, format: date-time }
+ *               venue: { type: string }
+ *               meeting_link: { type: string, format: uri }
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Round updated
+ *       404:
+ *         description: Round not found for this job
+ */
+router.put('/:jobId/rounds/:roundId', requirePermission('job_rounds:update'), jobRoundController.updateJobRound);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/rounds/{roundId}:
+ *   delete:
+ *     summary: Delete a round with no candidates
+ *     description: Later rounds move up one place.
+ *     tags: [Job Rounds]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Round deleted
+ *       404:
+ *         description: Job or round not found
+ *       409:
+ *         description: Round has candidates
+ */
+router.delete('/:jobId/rounds/:roundId', requirePermission('job_rounds:delete'), jobRoundController.deleteJobRound);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/rounds/{roundId}/candidates:
+ *   get:
+ *     summary: Get the candidates of a round
+ *     tags: [Job Rounds]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [SHORTLISTED, CLEARED, REJECTED, ABSENT]
+ *     responses:
+ *       200:
+ *         description: Candidates with their status and remarks
+ *       404:
+ *         description: Round not found for this job
+ */
+router.get('/:jobId/rounds/:roundId/candidates', requirePermission('job_rounds:read'), jobRoundController.getRoundCandidates);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/rounds/{roundId}/candidates:
+ *   post:
+ *     summary: Shortlist students for a round
+ *     description: >
+ *       Students must have applied to the job and, past the first round, have
+ *       cleared the previous one (clearing a round shortlists the candidate for
+ *       the next automatically). Students that don't qualify are returned in
+ *       data.skipped with a reason.
+ *     tags: [Job Rounds]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [student_ids]
+ *             properties:
+ *               student_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [STU2024001, STU2024002]
+ *     responses:
+ *       200:
+ *         description: data.added and data.skipped
+ *       404:
+ *         description: Job or round not found
+ */
+router.post('/:jobId/rounds/:roundId/candidates', requirePermission('job_rounds:update'), jobRoundController.shortlistRoundCandidates);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/rounds/{roundId}/candidates/{studentId}:
+ *   put:
+ *     summary: Record a candidate's result in a round
+ *     description: >
+ *       CLEARED shortlists the candidate for the next round; in the final round
+ *       it selects them and creates their offer for the job. REJECTED and
+ *       ABSENT reject the application.
+ *     tags: [Job Rounds]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [SHORTLISTED, CLEARED, REJECTED, ABSENT]
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Result recorded
+ *       404:
+ *         description: Round not found, or the student is not a candidate in it
+ *       409:
+ *         description: The candidate's CLEARED result is locked (result in the next round, or offer created)
+ */
+router.put('/:jobId/rounds/:roundId/candidates/:studentId', requirePermission('job_rounds:update'), jobRoundController.updateRoundCandidate);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/rounds/{roundId}/results/import:
+ *   post:
+ *     summary: Record a round's results from the company's Excel sheet
+ *     description: >
+ *       Columns student_id and status (CLEARED/PASSED/SELECTED, REJECTED/FAILED,
+ *       ABSENT), optional remarks. All rows are recorded or none are.
+ *     tags: [Job Rounds]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Excel file (.xlsx or .xls)
+ *     responses:
+ *       200:
+ *         description: Results recorded, with counts advanced, selected, rejected and offers_created
+ *       400:
+ *         description: Validation errors in file (by row)
+ *       404:
+ *         description: Job or round not found
+ */
+router.post('/:jobId/rounds/:roundId/results/import', requirePermission('job_rounds:update'), uploadExcel.single('file'), jobRoundController.importRoundResults);
+
+/**
+ * @swagger
+ * /jobs/{jobId}/rounds/{roundId}/results/template:
+ *   get:
+ *     summary: Download the Excel template for round results
+ *     tags: [Job Rounds]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Excel template file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/:jobId/rounds/:roundId/results/template', requirePermission('job_rounds:read'), jobRoundController.downloadResultsTemplate);
+
+export default router;
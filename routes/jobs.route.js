@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import * as jobController from '../controller/jobs.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -9,6 +10,8 @@ const router = Router();
  *   post:
  *     summary: Create a new job
  *     tags: [Jobs]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -49,7 +52,7 @@ const router = Router();
  *       404:
  *         description: Company not found
  */
-router.post('/', jobController.createJob);
+router.post('/', requirePermission('jobs:create'), jobController.createJob);
 
 /**
  * @swagger
@@ -57,6 +60,8 @@ router.post('/', jobController.createJob);
  *   get:
  *     summary: Get all jobs (paginated, searchable)
  *     tags: [Jobs]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -77,7 +82,7 @@ router.post('/', jobController.createJob);
  *       200:
  *         description: Jobs retrieved
  */
-router.get('/', jobController.getAllJobs);
+router.get('/', requirePermission('jobs:read'), jobController.getAllJobs);
 
 /**
  * @swagger
@@ -85,6 +90,8 @@ router.get('/', jobController.getAllJobs);
  *   get:
  *     summary: Get jobs by company ID
  *     tags: [Jobs]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -103,7 +110,7 @@ router.get('/', jobController.getAllJobs);
  *       200:
  *         description: Company jobs retrieved
  */
-router.get('/company/:companyId', jobController.getJobsByCompanyId);
+router.get('/company/:companyId', requirePermission('jobs:read'), jobController.getJobsByCompanyId);
 
 /**
  * @swagger
@@ -111,6 +118,8 @@ router.get('/company/:companyId', jobController.getJobsByCompanyId);
  *   get:
  *     summary: Get job by ID
  *     tags: [Jobs]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -122,7 +131,7 @@ router.get('/company/:companyId', jobController.getJobsByCompanyId);
  *       404:
  *         description: Not found
  */
-router.get('/:id', jobController.getJobById);
+router.get('/:id', requirePermission('jobs:read'), jobController.getJobById);
 
 /**
  * @swagger
@@ -130,6 +139,8 @@ router.get('/:id', jobController.getJobById);
  *   put:
  *     summary: Update job by ID
  *     tags: [Jobs]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -158,7 +169,7 @@ router.get('/:id', jobController.getJobById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', jobController.updateJob);
+router.put('/:id', requirePermission('jobs:update'), jobController.updateJob);
 
 /**
  * @swagger
@@ -166,6 +177,8 @@ router.put('/:id', jobController.updateJob);
  *   delete:
  *     summary: Delete job by ID
  *     tags: [Jobs]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -177,6 +190,6 @@ router.put('/:id', jobController.updateJob);
  *       404:
  *         description: Not found
  */
-router.delete('/:id', jobController.deleteJob);
+router.delete('/:id', requirePermission('jobs:delete'), jobController.deleteJob);
 
 export default router;
@@ -0,0 +1,302 @@
+import { Router } from 'express';
+import * as meController from '../controller/me.controller.js';
+import { resolveStudent } from '../middleware/resolveStudent.js';
+
+const router = Router();
+
+// Every /api/me route acts on the student linked to the logged-in user
+router.use(resolveStudent);
+
+/**
+ * @swagger
+ * /me/profile:
+ *   get:
+ *     summary: Get the logged-in student's profile
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Student profile
+ *       403:
+ *         description: No student profile is linked to this account
+ */
+router.get('/profile', meController.getMyProfile);
+
+/**
+ * @swagger
+ * /me/profile:
+ *   patch:
+ *     summary: Update the logged-in student's contact details
+ *     description: Only alt_email, mobile and emergency_contact can be changed by the student.
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt_email: { type: string, format: email }
+ *               mobile: { type: string, example: '9876543210' }
+ *               emergency_contact: { type: string, example: '9876543210' }
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Validation error
+ */
+router.patch('/profile', meController.updateMyProfile);
+
+/**
+ * @swagger
+ * /me/academics:
+ *   get:
+ *     summary: Get the logged-in student's academic record
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Academic record
+ *       404:
+ *         description: No academic record
+ */
+router.get('/academics', meController.getMyAcademics);
+
+/**
+ * @swagger
+ * /me/address:
+ *   get:
+ *     summary: Get the logged-in student's address
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Address
+ *       404:
+ *         description: No address on record
+ */
+router.get('/address', meController.getMyAddress);
+
+/**
+ * @swagger
+ * /me/languages:
+ *   get:
+ *     summary: Get the logged-in student's languages
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Languages
+ */
+router.get('/languages', meController.getMyLanguages);
+
+/**
+ * @swagger
+ * /me/certifications:
+ *   get:
+ *     summary: Get the logged-in student's certifications
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Certifications
+ */
+router.get('/certifications', meController.getMyCertifications);
+
+/**
+ * @swagger
+ * /me/internships:
+ *   get:
+ *     summary: Get the logged-in student's internships
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Internships
+ */
+router.get('/internships', meController.getMyInternships);
+
+/**
+ * @swagger
+ * /me/documents:
+ *   get:
+ *     summary: Get the logged-in student's documents
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Documents
+ */
+router.get('/documents', meController.getMyDocuments);
+
+/**
+ * @swagger
+ * /me/offers:
+ *   get:
+ *     summary: Get the logged-in student's offers
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Offers
+ */
+router.get('/offers', meController.getMyOffers);
+
+/**
+ * @swagger
+ * /me/eligible-jobs:
+ *   get:
+ *     summary: Get jobs the logged-in student is eligible for
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Eligible jobs, earliest deadline first
+ */
+router.get('/eligible-jobs', meController.getMyEligibleJobs);
+
+/**
+ * @swagger
+ * /me/applications:
+ *   get:
+ *     summary: Get the logged-in student's job applications (newest first)
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Applications
+ */
+router.get('/applications', meController.getMyApplications);
+
+/**
+ * @swagger
+ * /me/applications:
+ *   post:
+ *     summary: Apply to a job as the logged-in student
+ *     description: >
+ *       Refused unless the student is eligible for the job and its
+ *       application_deadline has not passed.
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [job_id]
+ *             properties:
+ *               job_id: { type: integer, example: 5 }
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Already applied to this job
+ *       422:
+ *         description: Not eligible for the job, or applications are closed
+ */
+router.post('/applications', meController.applyForJob);
+
+/**
+ * @swagger
+ * /me/projects:
+ *   get:
+ *     summary: Get the logged-in student's projects
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Projects
+ */
+router.get('/projects', meController.getMyProjects);
+
+/**
+ * @swagger
+ * /me/projects:
+ *   post:
+ *     summary: Add a project for the logged-in student
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title: { type: string }
+ *               description: { type: string }
+ *               tools_used: { type: string }
+ *               repo_link: { type: string, format: uri }
+ *     responses:
+ *       201:
+ *         description: Project created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/projects', meController.createMyProject);
+
+/**
+ * @swagger
+ * /me/projects/{id}:
+ *   put:
+ *     summary: Update one of the logged-in student's projects
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Project updated
+ *       404:
+ *         description: Project not found
+ */
+router.put('/projects/:id', meController.updateMyProject);
+
+/**
+ * @swagger
+ * /me/projects/{id}:
+ *   delete:
+ *     summary: Delete one of the logged-in student's projects
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Project deleted
+ *       404:
+ *         description: Project not found
+ */
+router.delete('/projects/:id', meController.deleteMyProject);
+
+export default router;
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as permissionController from '../controller/permission.controller.js';
 import logger from '../utils/logger.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,6 +11,8 @@ const router = Router();
  *   post:
  *     summary: Create a new permission
  *     tags: [Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -39,7 +42,7 @@ const router = Router();
  *       409:
  *         description: Permission name already exists
  */
-router.post('/', permissionController.createPermission);
+router.post('/', requirePermission('permissions:create'), permissionController.createPermission);
 
 /**
  * @swagger
@@ -47,6 +50,8 @@ router.post('/', permissionController.createPermission);
  *   get:
  *     summary: Get all permissions (paginated)
  *     tags: [Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -64,7 +69,7 @@ router.post('/', permissionController.createPermission);
  *       200:
  *         description: Permissions retrieved successfully
  */
-router.get('/', permissionController.getAllPermissions);
+router.get('/', requirePermission('permissions:read'), permissionController.getAllPermissions);
 
 /**
  * @swagger
@@ -72,6 +77,8 @@ router.get('/', permissionController.getAllPermissions);
  *   get:
  *     summary: Check if a permission exists by name
  *     tags: [Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: permission_name
@@ -82,7 +89,7 @@ router.get('/', permissionController.getAllPermissions);
  *       200:
  *         description: Existence check result
  */
-router.get('/check/:permission_name', permissionController.checkPermissionExists);
+router.get('/check/:permission_name', requirePermission('permissions:read'), permissionController.checkPermissionExists);
 
 /**
  * @swagger
@@ -90,6 +97,8 @@ router.get('/check/:permission_name', permissionController.checkPermissionExists
  *   get:
  *     summary: Get permission by ID
  *     tags: [Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -101,7 +110,7 @@ router.get('/check/:permission_name', permissionController.checkPermissionExists
  *       404:
  *         description: Permission not found
  */
-router.get('/:id', permissionController.getPermissionById);
+router.get('/:id', requirePermission('permissions:read'), permissionController.getPermissionById);
 
 /**
  * @swagger
@@ -109,6 +118,8 @@ router.get('/:id', permissionController.getPermissionById);
  *   put:
  *     summary: Update permission by ID
  *     tags: [Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -138,7 +149,7 @@ router.get('/:id', permissionController.getPermissionById);
  *       409:
  *         description: Permission name already exists
  */
-router.put('/:id', permissionController.updatePermission);
+router.put('/:id', requirePermission('permissions:update'), permissionController.updatePermission);
 
 /**
  * @swagger
@@ -146,6 +157,8 @@ router.put('/:id', permissionController.updatePermission);
  *   delete:
  *     summary: Delete permission by ID
  *     tags: [Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -157,7 +170,7 @@ router.put('/:id', permissionController.updatePermission);
  *       404:
  *         description: Permission not found
  */
-router.delete('/:id', permissionController.deletePermission);
+router.delete('/:id', requirePermission('permissions:delete'), permissionController.deletePermission);
 
 // Log all permission route registrations
 logger.info({
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as rolePermissionController from '../controller/role_permissions.controller.js';
 import logger from '../utils/logger.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,6 +11,8 @@ const router = Router();
  *   post:
  *     summary: Assign a single permission to a role
  *     tags: [Role Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -32,7 +35,7 @@ const router = Router();
  *       409:
  *         description: Assignment already exists
  */
-router.post('/assign', rolePermissionController.assignPermissionToRole);
+router.post('/assign', requirePermission('role_permissions:create'), rolePermissionController.assignPermissionToRole);
 
 /**
  * @swagger
@@ -40,6 +43,8 @@ router.post('/assign', rolePermissionController.assignPermissionToRole);
  *   post:
  *     summary: Assign multiple permissions to a role
  *     tags: [Role Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -61,7 +66,7 @@ router.post('/assign', rolePermissionController.assignPermissionToRole);
  *       400:
  *         description: Validation error
  */
-router.post('/assign-multiple', rolePermissionController.assignPermissionsToRole);
+router.post('/assign-multiple', requirePermission('role_permissions:create'), rolePermissionController.assignPermissionsToRole);
 
 /**
  * @swagger
@@ -69,6 +74,8 @@ router.post('/assign-multiple', rolePermissionController.assignPermissionsToRole
  *   get:
  *     summary: Get all role-permission assignments
  *     tags: [Role Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -86,7 +93,7 @@ router.post('/assign-multiple', rolePermissionController.assignPermissionsToRole
  *       200:
  *         description: Assignments retrieved successfully
  */
-router.get('/', rolePermissionController.getAllRolePermissions);
+router.get('/', requirePermission('role_permissions:read'), rolePermissionController.getAllRolePermissions);
 
 /**
  * @swagger
@@ -94,6 +101,8 @@ router.get('/', rolePermissionController.getAllRolePermissions);
  *   get:
  *     summary: Get all permissions for a specific role
  *     tags: [Role Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: role_id
@@ -109,7 +118,7 @@ router.get('/', rolePermissionController.getAllRolePermissions);
  *       200:
  *         description: Role permissions retrieved
  */
-router.get('/role/:role_id', rolePermissionController.getRolePermissions);
+router.get('/role/:role_id', requirePermission('role_permissions:read'), rolePermissionController.getRolePermissions);
 
 /**
  * @swagger
@@ -117,6 +126,8 @@ router.get('/role/:role_id', rolePermissionController.getRolePermissions);
  *   delete:
  *     summary: Remove a specific permission from a role
  *     tags: [Role Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -137,7 +148,7 @@ router.get('/role/:role_id', rolePermissionController.getRolePermissions);
  *       404:
  *         description: Assignment not found
  */
-router.delete('/remove', rolePermissionController.removePermissionFromRole);
+router.delete('/remove', requirePermission('role_permissions:delete'), rolePermissionController.removePermissionFromRole);
 
 /**
  * @swagger
@@ -145,6 +156,8 @@ router.delete('/remove', rolePermissionController.removePermissionFromRole);
  *   delete:
  *     summary: Remove all permissions from a role
  *     tags: [Role Permissions]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: role_id
@@ -154,6 +167,6 @@ router.delete('/remove', rolePermissionController.removePermissionFromRole);
  *       200:
  *         description: All permissions removed from role
  */
-router.delete('/role/:role_id', rolePermissionController.removeAllPermissionsFromRole);
+router.delete('/role/:role_id', requirePermission('role_permissions:delete'), rolePermissionController.removeAllPermissionsFromRole);
 
 export default router;
\ No newline at end of file
@@ -9,6 +9,7 @@ import {
   getRolesformenu
 } from '../controller/roles.controller.js';
 import logger from '../utils/logger.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = express.Router();
 
@@ -32,6 +33,8 @@ router.use((req, res, next) => {
  *   post:
  *     summary: Create a new role
  *     tags: [Roles]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -49,6 +52,10 @@ router.use((req, res, next) => {
  *                 type: string
  *                 maxLength: 255
  *                 example: Administrator with full access
+ *               mfa_required:
+ *                 type: boolean
+ *                 description: Require two-factor authentication for users with this role
+ *                 example: false
  *     responses:
  *       201:
  *         description: Role created successfully
@@ -57,7 +64,7 @@ router.use((req, res, next) => {
  *       409:
  *         description: Role name already exists
  */
-router.post('/', createRole);
+router.post('/', requirePermission('roles:create'), createRole);
 
 /**
  * @swagger
@@ -65,6 +72,8 @@ router.post('/', createRole);
  *   get:
  *     summary: Get all roles (paginated)
  *     tags: [Roles]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -82,7 +91,7 @@ router.post('/', createRole);
  *       200:
  *         description: Roles retrieved successfully
  */
-router.get('/', getAllRoles);
+router.get('/', requirePermission('roles:read'), getAllRoles);
 
 /**
  * @swagger
@@ -90,6 +99,8 @@ router.get('/', getAllRoles);
  *   get:
  *     summary: Check if a role exists by name
  *     tags: [Roles]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: role_name
@@ -100,7 +111,7 @@ router.get('/', getAllRoles);
  *       200:
  *         description: Role existence check result
  */
-router.get('/check/:role_name', checkRoleExists);
+router.get('/check/:role_name', requirePermission('roles:read'), checkRoleExists);
 
 /**
  * @swagger
@@ -108,6 +119,8 @@ router.get('/check/:role_name', checkRoleExists);
  *   get:
  *     summary: Search roles by name (not implemented)
  *     tags: [Roles]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: searchTerm
@@ -117,7 +130,7 @@ router.get('/check/:role_name', checkRoleExists);
  *       200:
  *         description: Search results
  */
-router.get('/search/:searchTerm', async (req, res) => {
+router.get('/search/:searchTerm', requirePermission('roles:read'), async (req, res) => {
   try {
     const { searchTerm } = req.params;
     logger.info({ searchTerm, ip: req.ip }, 'Role search request received');
@@ -138,11 +151,13 @@ router.get('/search/:searchTerm', async (req, res) => {
  *   get:
  *     summary: Get total count of roles (not implemented)
  *     tags: [Roles]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Total role count
  */
-router.get('/count/total', async (req, res) => {
+router.get('/count/total', requirePermission('roles:read'), async (req, res) => {
   try {
     logger.info({ ip: req.ip }, 'Role count request received');
     res.status(200).json({ success: true, message: 'Count endpoint - not implemented yet', data: { count: 0 } });
@@ -152,7 +167,7 @@ router.get('/count/total', async (req, res) => {
   }
 });
 
-router.get('/menu', getRolesformenu);
+router.get('/menu', requirePermission('roles:read'), getRolesformenu);
 
 /**
  * @swagger
@@ -160,6 +175,8 @@ router.get('/menu', getRolesformenu);
  *   get:
  *     summary: Get a single role by ID
  *     tags: [Roles]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: role_id
@@ -171,7 +188,7 @@ router.get('/menu', getRolesformenu);
  *       404:
  *         description: Role not found
  */
-router.get('/:role_id', (req, res, next) => {
+router.get('/:role_id', requirePermission('roles:read'), (req, res, next) => {
   req.params.id = req.params.role_id;
   getRoleById(req, res, next);
 });
@@ -181,6 +198,8 @@ router.get('/:role_id', (req, res, next) => {
  *   put:
  *     summary: Update a role by ID
  *     tags: [Roles]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: role_id
@@ -199,13 +218,16 @@ router.get('/:role_id', (req, res, next) => {
  *               role_description:
  *                 type: string
  *                 example: Moderator with limited access
+ *               mfa_required:
+ *                 type: boolean
+ *                 description: Require two-factor authentication for users with this role (unchanged if omitted)
  *     responses:
  *       200:
  *         description: Role updated
  *       404:
  *         description: Role not found
  */
-router.put('/:role_id', (req, res, next) => {
+router.put('/:role_id', requirePermission('roles:update'), (req, res, next) => {
   req.params.id = req.params.role_id;
   updateRole(req, res, next);
 });
@@ -216,6 +238,8 @@ router.put('/:role_id', (req, res, next) => {
  *   delete:
  *     summary: Delete a role by ID
  *     tags: [Roles]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: role_id
@@ -227,7 +251,7 @@ router.put('/:role_id', (req, res, next) => {
  *       404:
  *         description: Role not found
  */
-router.delete('/:role_id', (req, res, next) => {
+router.delete('/:role_id', requirePermission('roles:delete'), (req, res, next) => {
   req.params.id = req.params.role_id;
   deleteRole(req, res, next);
 });
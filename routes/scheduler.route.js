@@ -0,0 +1,104 @@
+import { Router } from 'express';
+import * as schedulerController from '../controller/scheduler.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /scheduler/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: >
+ *       Every registered job with its cron schedule, when this instance next
+ *       fires it, and its latest run on any instance. Each occurrence runs on
+ *       exactly one replica, chosen through a Redis lock.
+ *     tags: [Scheduler]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name: { type: string, example: session-cleanup }
+ *                       description: { type: string }
+ *                       schedule: { type: string, example: '*\/30 * * * *' }
+ *                       next_run_at: { type: string, format: date-time, nullable: true }
+ *                       last_run: { type: object, nullable: true }
+ */
+router.get('/jobs', requirePermission('scheduler:read'), schedulerController.getScheduledJobs);
+
+/**
+ * @swagger
+ * /scheduler/jobs/{name}/runs:
+ *   get:
+ *     summary: Get the run history of a background job (newest first)
+ *     tags: [Scheduler]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string, example: session-cleanup }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [running, succeeded, failed] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: >
+ *           data.runs (run_id, trigger, triggered_by, instance_id, status,
+ *           result, error, started_at, finished_at, duration_ms) and data.pagination
+ *       400:
+ *         description: Invalid filters
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:name/runs', requirePermission('scheduler:read'), schedulerController.getJobRuns);
+
+/**
+ * @swagger
+ * /scheduler/jobs/{name}/run:
+ *   post:
+ *     summary: Run a background job now
+ *     description: >
+ *       Starts the job outside its schedule and returns the new run; the job
+ *       finishes in the background, so check its runs for the outcome.
+ *     tags: [Scheduler]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string, example: session-cleanup }
+ *     responses:
+ *       202:
+ *         description: Job started
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ *       503:
+ *         description: Redis is unavailable, so the job can't be locked
+ */
+router.post('/jobs/:name/run', requirePermission('scheduler:run'), schedulerController.runJob);
+
+export default router;
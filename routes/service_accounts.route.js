@@ -0,0 +1,214 @@
+import { Router } from 'express';
+import * as serviceAccountController from '../controller/service_accounts.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /service-accounts:
+ *   post:
+ *     summary: Create a service account for a worker or script
+ *     tags: [Service Accounts]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 pattern: '^[a-z0-9][a-z0-9._-]*$'
+ *                 example: eligibility-worker
+ *               description:
+ *                 type: string
+ *                 example: Recomputes student eligibility after job changes
+ *     responses:
+ *       201:
+ *         description: Service account created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Name already exists
+ */
+router.post('/', requirePermission('service_accounts:create'), serviceAccountController.createServiceAccount);
+
+/**
+ * @swagger
+ * /service-accounts:
+ *   get:
+ *     summary: List service accounts with their active key counts
+ *     tags: [Service Accounts]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Service accounts retrieved
+ */
+router.get('/', requirePermission('service_accounts:read'), serviceAccountController.getAllServiceAccounts);
+
+/**
+ * @swagger
+ * /service-accounts/{id}:
+ *   get:
+ *     summary: Get a service account with its API keys (prefixes, scopes, last use — never the keys)
+ *     tags: [Service Accounts]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Service account retrieved
+ *       404:
+ *         description: Service account not found
+ */
+router.get('/:id', requirePermission('service_accounts:read'), serviceAccountController.getServiceAccountById);
+
+/**
+ * @swagger
+ * /service-accounts/{id}:
+ *   put:
+ *     summary: Update a service account; is_active=false stops all of its keys
+ *     tags: [Service Accounts]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description: { type: string }
+ *               is_active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Service account updated
+ *       404:
+ *         description: Service account not found
+ */
+router.put('/:id', requirePermission('service_accounts:update'), serviceAccountController.updateServiceAccount);
+
+/**
+ * @swagger
+ * /service-accounts/{id}:
+ *   delete:
+ *     summary: Delete a service account and all of its API keys
+ *     tags: [Service Accounts]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Service account deleted
+ *       404:
+ *         description: Service account not found
+ */
+router.delete('/:id', requirePermission('service_accounts:delete'), serviceAccountController.deleteServiceAccount);
+
+/**
+ * @swagger
+ * /service-accounts/{id}/keys:
+ *   post:
+ *     summary: Issue an API key scoped to a set of permissions
+ *     description: >
+ *       The key is returned once, in `data.api_key`, and only its hash is stored.
+ *       Send it as `Authorization: Bearer <key>`. Callers can only grant
+ *       permissions they hold themselves (SUPER_ADMIN can grant any).
+ *     tags: [Service Accounts]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, permissions]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: production
+ *               permissions:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: [students:read, student_academics:read, jobs:read]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Omit or null for a key that never expires
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     api_key_id: { type: integer }
+ *                     key_prefix: { type: string, example: 3f9a1c2b7d4e }
+ *                     api_key: { type: string, example: sk_3f9a1c2b7d4e_... }
+ *                     permissions:
+ *                       type: array
+ *                       items: { type: string }
+ *                     expires_at: { type: string, format: date-time, nullable: true }
+ *       403:
+ *         description: Requested permissions the caller does not hold
+ *       422:
+ *         description: Unknown permission name
+ */
+router.post('/:id/keys', requirePermission('service_accounts:create'), serviceAccountController.createApiKey);
+
+/**
+ * @swagger
+ * /service-accounts/{id}/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Service Accounts]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id/keys/:keyId', requirePermission('service_accounts:delete'), serviceAccountController.revokeApiKey);
+
+export default router;
@@ -2,6 +2,7 @@ import { Router } from 'express';
 import * as studentController from '../controller/student.controller.js';
 import { upload } from '../utils/multer.js';
 import logger from '../utils/logger.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -11,6 +12,8 @@ const router = Router();
  *   post:
  *     summary: Create a new student
  *     tags: [Students]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -103,7 +106,7 @@ const router = Router();
  *       400:
  *         description: Validation error or student already exists
  */
-router.post('/', upload.single('student_photo'), studentController.createStudent);
+router.post('/', requirePermission('students:create'), upload.single('student_photo'), studentController.createStudent);
 
 /**
  * @swagger
@@ -111,11 +114,13 @@ router.post('/', upload.single('student_photo'), studentController.createStudent
  *   get:
  *     summary: Get all students
  *     tags: [Students]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Students retrieved successfully
  */
-router.get('/', studentController.getAllStudents);
+router.get('/', requirePermission('students:read'), studentController.getAllStudents);
 
 /**
  * @swagger
@@ -123,6 +128,8 @@ router.get('/', studentController.getAllStudents);
  *   get:
  *     summary: Get student by ID
  *     tags: [Students]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -134,7 +141,7 @@ router.get('/', studentController.getAllStudents);
  *       404:
  *         description: Student not found
  */
-router.get('/:id', studentController.getStudentById);
+router.get('/:id', requirePermission('students:read'), studentController.getStudentById);
 
 /**
  * @swagger
@@ -142,6 +149,8 @@ router.get('/:id', studentController.getStudentById);
  *   put:
  *     summary: Update student (full update)
  *     tags: [Students]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -203,7 +212,7 @@ router.get('/:id', studentController.getStudentById);
  *       404:
  *         description: Student not found
  */
-router.put('/:id', upload.single('student_photo'), studentController.updateStudentById);
+router.put('/:id', requirePermission('students:update'), upload.single('student_photo'), studentController.updateStudentById);
 
 /**
  * @swagger
@@ -211,6 +220,8 @@ router.put('/:id', upload.single('student_photo'), studentController.updateStude
  *   patch:
  *     summary: Partially update student
  *     tags: [Students]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -271,7 +282,7 @@ router.put('/:id', upload.single('student_photo'), studentController.updateStude
  *       404:
  *         description: Student not found
  */
-router.patch('/:id', upload.single('student_photo'), studentController.patchStudentById);
+router.patch('/:id', requirePermission('students:update'), upload.single('student_photo'), studentController.patchStudentById);
 
 /**
  * @swagger
@@ -279,6 +290,8 @@ router.patch('/:id', upload.single('student_photo'), studentController.patchStud
  *   delete:
  *     summary: Delete student
  *     tags: [Students]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -290,6 +303,6 @@ router.patch('/:id', upload.single('student_photo'), studentController.patchStud
  *       404:
  *         description: Student not found
  */
-router.delete('/:id', studentController.deleteStudentById);
+router.delete('/:id', requirePermission('students:delete'), studentController.deleteStudentById);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { Router } from "express";
 import { getEligibleJobs } from "../controller/studentEligibleJobs.controller.js";
+import { requirePermission } from "../middleware/requirePermission.js";
 
 const router = Router();
 
@@ -12,6 +13,8 @@ const router = Router();
  *       Reads the Redis sorted set `student:{studentId}:jobs` (written by the eligibility service)
  *       and fetches full job details from PostgreSQL. Results are sorted by deadline (earliest first).
  *     tags: [Student Eligible Jobs]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -65,6 +68,6 @@ const router = Router();
  *       500:
  *         description: Internal server error
  */
-router.get("/:studentId/eligible-jobs", getEligibleJobs);
+router.get("/:studentId/eligible-jobs", requirePermission("eligible_jobs:read"), getEligibleJobs);
 
 export default router;
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as studentAcademicController from '../controller/student_academics.controller.js';
 import logger from '../utils/logger.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,6 +11,8 @@ const router = Router();
  *   post:
  *     summary: Create a new student academic record
  *     tags: [Student Academics]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -79,7 +82,7 @@ const router = Router();
  *       400:
  *         description: Validation error
  */
-router.post('/', studentAcademicController.createStudentAcademic);
+router.post('/', requirePermission('student_academics:create'), studentAcademicController.createStudentAcademic);
 
 /**
  * @swagger
@@ -87,11 +90,13 @@ router.post('/', studentAcademicController.createStudentAcademic);
  *   get:
  *     summary: Get all student academic records
  *     tags: [Student Academics]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Records retrieved
  */
-router.get('/', studentAcademicController.getAllStudentAcademics);
+router.get('/', requirePermission('student_academics:read'), studentAcademicController.getAllStudentAcademics);
 
 /**
  * @swagger
@@ -99,6 +104,8 @@ router.get('/', studentAcademicController.getAllStudentAcademics);
  *   get:
  *     summary: Get students menu for dropdowns
  *     tags: [Student Academics]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: search
@@ -110,7 +117,7 @@ router.get('/', studentAcademicController.getAllStudentAcademics);
  *       200:
  *         description: Menu data retrieved
  */
-router.get('/menu', studentAcademicController.getStudentsMenu);
+router.get('/menu', requirePermission('student_academics:read'), studentAcademicController.getStudentsMenu);
 
 /**
  * @swagger
@@ -118,6 +125,8 @@ router.get('/menu', studentAcademicController.getStudentsMenu);
  *   get:
  *     summary: Get academics with filters
  *     tags: [Student Academics]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: minTenthPercent
@@ -138,7 +147,7 @@ router.get('/menu', studentAcademicController.getStudentsMenu);
  *       200:
  *         description: Filtered results
  */
-router.get('/filter', studentAcademicController.getAcademicsWithFilters);
+router.get('/filter', requirePermission('student_academics:read'), studentAcademicController.getAcademicsWithFilters);
 
 /**
  * @swagger
@@ -146,6 +155,8 @@ router.get('/filter', studentAcademicController.getAcademicsWithFilters);
  *   get:
  *     summary: Get academics by category
  *     tags: [Student Academics]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: category
@@ -155,7 +166,7 @@ router.get('/filter', studentAcademicController.getAcademicsWithFilters);
  *       200:
  *         description: Category results
  */
-router.get('/category/:category', studentAcademicController.getAcademicsByCategory);
+router.get('/category/:category', requirePermission('student_academics:read'), studentAcademicController.getAcademicsByCategory);
 
 /**
  * @swagger
@@ -163,6 +174,8 @@ router.get('/category/:category', studentAcademicController.getAcademicsByCatego
  *   get:
  *     summary: Get academic record by student ID
  *     tags: [Student Academics]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -174,7 +187,7 @@ router.get('/category/:category', studentAcademicController.getAcademicsByCatego
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentAcademicController.getStudentAcademicById);
+router.get('/:id', requirePermission('student_academics:read'), studentAcademicController.getStudentAcademicById);
 
 /**
  * @swagger
@@ -182,6 +195,8 @@ router.get('/:id', studentAcademicController.getStudentAcademicById);
  *   put:
  *     summary: Update academic record (full update)
  *     tags: [Student Academics]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -236,7 +251,7 @@ router.get('/:id', studentAcademicController.getStudentAcademicById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', studentAcademicController.updateStudentAcademicById);
+router.put('/:id', requirePermission('student_academics:update'), studentAcademicController.updateStudentAcademicById);
 
 /**
  * @swagger
@@ -244,6 +259,8 @@ router.put('/:id', studentAcademicController.updateStudentAcademicById);
  *   patch:
  *     summary: Partially update academic record
  *     tags: [Student Academics]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -297,7 +314,7 @@ router.put('/:id', studentAcademicController.updateStudentAcademicById);
  *       404:
  *         description: Not found
  */
-router.patch('/:id', studentAcademicController.patchStudentAcademicById);
+router.patch('/:id', requirePermission('student_academics:update'), studentAcademicController.patchStudentAcademicById);
 
 /**
  * @swagger
@@ -305,6 +322,8 @@ router.patch('/:id', studentAcademicController.patchStudentAcademicById);
  *   delete:
  *     summary: Delete academic record
  *     tags: [Student Academics]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -316,6 +335,6 @@ router.patch('/:id', studentAcademicController.patchStudentAcademicById);
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentAcademicController.deleteStudentAcademicById);
+router.delete('/:id', requirePermission('student_academics:delete'), studentAcademicController.deleteStudentAcademicById);
 
 export default router;
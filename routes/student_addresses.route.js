@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as studentAddressController from '../controller/student_addresses.controller.js';
 import logger from '../utils/logger.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,6 +11,8 @@ const router = Router();
  *   post:
  *     summary: Create a new student address
  *     tags: [Student Addresses]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -50,7 +53,7 @@ const router = Router();
  *       400:
  *         description: Validation error
  */
-router.post('/', studentAddressController.createStudentAddress);
+router.post('/', requirePermission('student_addresses:create'), studentAddressController.createStudentAddress);
 
 /**
  * @swagger
@@ -58,11 +61,13 @@ router.post('/', studentAddressController.createStudentAddress);
  *   get:
  *     summary: Get all student addresses
  *     tags: [Student Addresses]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Addresses retrieved
  */
-router.get('/', studentAddressController.getAllStudentAddresses);
+router.get('/', requirePermission('student_addresses:read'), studentAddressController.getAllStudentAddresses);
 
 /**
  * @swagger
@@ -70,6 +75,8 @@ router.get('/', studentAddressController.getAllStudentAddresses);
  *   get:
  *     summary: Get students menu for dropdowns
  *     tags: [Student Addresses]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: search
@@ -81,7 +88,7 @@ router.get('/', studentAddressController.getAllStudentAddresses);
  *       200:
  *         description: Menu data retrieved
  */
-router.get('/menu', studentAddressController.getStudentsMenu);
+router.get('/menu', requirePermission('student_addresses:read'), studentAddressController.getStudentsMenu);
 
 /**
  * @swagger
@@ -89,6 +96,8 @@ router.get('/menu', studentAddressController.getStudentsMenu);
  *   get:
  *     summary: Get address by student ID
  *     tags: [Student Addresses]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -100,7 +109,7 @@ router.get('/menu', studentAddressController.getStudentsMenu);
  *       404:
  *         description: Not found
  */
-router.get('/student/:studentId', studentAddressController.getAddressByStudentId);
+router.get('/student/:studentId', requirePermission('student_addresses:read'), studentAddressController.getAddressByStudentId);
 
 /**
  * @swagger
@@ -108,6 +117,8 @@ router.get('/student/:studentId', studentAddressController.getAddressByStudentId
  *   get:
  *     summary: Get student address by ID
  *     tags: [Student Addresses]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -119,7 +130,7 @@ router.get('/student/:studentId', studentAddressController.getAddressByStudentId
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentAddressController.getStudentAddressById);
+router.get('/:id', requirePermission('student_addresses:read'), studentAddressController.getStudentAddressById);
 
 /**
  * @swagger
@@ -127,6 +138,8 @@ router.get('/:id', studentAddressController.getStudentAddressById);
  *   put:
  *     summary: Update student address (full update)
  *     tags: [Student Addresses]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -161,7 +174,7 @@ router.get('/:id', studentAddressController.getStudentAddressById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', studentAddressController.updateStudentAddressById);
+router.put('/:id', requirePermission('student_addresses:update'), studentAddressController.updateStudentAddressById);
 
 /**
  * @swagger
@@ -169,6 +182,8 @@ router.put('/:id', studentAddressController.updateStudentAddressById);
  *   patch:
  *     summary: Partially update student address
  *     tags: [Student Addresses]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -190,7 +205,7 @@ router.put('/:id', studentAddressController.updateStudentAddressById);
  *       404:
  *         description: Not found
  */
-router.patch('/:id', studentAddressController.patchStudentAddressById);
+router.patch('/:id', requirePermission('student_addresses:update'), studentAddressController.patchStudentAddressById);
 
 /**
  * @swagger
@@ -198,6 +213,8 @@ router.patch('/:id', studentAddressController.patchStudentAddressById);
  *   delete:
  *     summary: Delete student address
  *     tags: [Student Addresses]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -209,6 +226,6 @@ router.patch('/:id', studentAddressController.patchStudentAddressById);
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentAddressController.deleteStudentAddressById);
+router.delete('/:id', requirePermission('student_addresses:delete'), studentAddressController.deleteStudentAddressById);
 
 export default router;
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as studentCertificationController from '../controller/student_certifications.controller.js';
 import { upload, uploadExcel } from '../utils/multer.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,11 +11,13 @@ const router = Router();
  *   get:
  *     summary: Download Excel template for certification import
  *     tags: [Student Certifications]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Excel template file
  */
-router.get('/template', studentCertificationController.downloadTemplate);
+router.get('/template', requirePermission('student_certifications:read'), studentCertificationController.downloadTemplate);
 
 /**
  * @swagger
@@ -22,6 +25,8 @@ router.get('/template', studentCertificationController.downloadTemplate);
  *   get:
  *     summary: Search certifications by skill name
  *     tags: [Student Certifications]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: skill
@@ -34,7 +39,7 @@ router.get('/template', studentCertificationController.downloadTemplate);
  *       400:
  *         description: Missing skill parameter
  */
-router.get('/search', studentCertificationController.searchCertificationsBySkill);
+router.get('/search', requirePermission('student_certifications:read'), studentCertificationController.searchCertificationsBySkill);
 
 /**
  * @swagger
@@ -42,6 +47,8 @@ router.get('/search', studentCertificationController.searchCertificationsBySkill
  *   post:
  *     summary: Import certifications from Excel file
  *     tags: [Student Certifications]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -59,9 +66,9 @@ router.get('/search', studentCertificationController.searchCertificationsBySkill
  *       400:
  *         description: Validation errors
  */
-router.post('/import', uploadExcel.single('file'), studentCertificationController.importFromExcel);
+router.post('/import', requirePermission('student_certifications:create'), uploadExcel.single('file'), studentCertificationController.importFromExcel);
 
-router.get('/import', (req, res) => {
+router.get('/import', requirePermission('student_certifications:read'), (req, res) => {
     res.status(405).json({
         success: false,
         message: "Use POST method to import Excel file. Send file with field name 'file'.",
@@ -75,6 +82,8 @@ router.get('/import', (req, res) => {
  *   post:
  *     summary: Create a new student certification (with file upload)
  *     tags: [Student Certifications]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -131,7 +140,7 @@ router.get('/import', (req, res) => {
  *       400:
  *         description: Validation error
  */
-router.post('/', upload.single('certificate'), studentCertificationController.createStudentCertification);
+router.post('/', requirePermission('student_certifications:create'), upload.single('certificate'), studentCertificationController.createStudentCertification);
 
 /**
  * @swagger
@@ -139,11 +148,13 @@ router.post('/', upload.single('certificate'), studentCertificationController.cr
  *   get:
  *     summary: Get all student certifications
  *     tags: [Student Certifications]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Certifications retrieved
  */
-router.get('/', studentCertificationController.getAllStudentCertifications);
+router.get('/', requirePermission('student_certifications:read'), studentCertificationController.getAllStudentCertifications);
 
 /**
  * @swagger
@@ -151,6 +162,8 @@ router.get('/', studentCertificationController.getAllStudentCertifications);
  *   get:
  *     summary: Get all certifications for a specific student
  *     tags: [Student Certifications]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -160,7 +173,7 @@ router.get('/', studentCertificationController.getAllStudentCertifications);
  *       200:
  *         description: Student certifications retrieved
  */
-router.get('/student/:studentId', studentCertificationController.getCertificationsByStudentId);
+router.get('/student/:studentId', requirePermission('student_certifications:read'), studentCertificationController.getCertificationsByStudentId);
 
 /**
  * @swagger
@@ -168,6 +181,8 @@ router.get('/student/:studentId', studentCertificationController.getCertificatio
  *   get:
  *     summary: Get certification by ID
  *     tags: [Student Certifications]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -179,7 +194,7 @@ router.get('/student/:studentId', studentCertificationController.getCertificatio
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentCertificationController.getStudentCertificationById);
+router.get('/:id', requirePermission('student_certifications:read'), studentCertificationController.getStudentCertificationById);
 
 /**
  * @swagger
@@ -187,6 +202,8 @@ router.get('/:id', studentCertificationController.getStudentCertificationById);
  *   put:
  *     summary: Update certification by ID (with optional file re-upload)
  *     tags: [Student Certifications]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -227,7 +244,7 @@ router.get('/:id', studentCertificationController.getStudentCertificationById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', upload.single('certificate'), studentCertificationController.updateStudentCertificationById);
+router.put('/:id', requirePermission('student_certifications:update'), upload.single('certificate'), studentCertificationController.updateStudentCertificationById);
 
 /**
  * @swagger
@@ -235,6 +252,8 @@ router.put('/:id', upload.single('certificate'), studentCertificationController.
  *   delete:
  *     summary: Delete certification by ID
  *     tags: [Student Certifications]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -246,6 +265,6 @@ router.put('/:id', upload.single('certificate'), studentCertificationController.
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentCertificationController.deleteStudentCertificationById);
+router.delete('/:id', requirePermission('student_certifications:delete'), studentCertificationController.deleteStudentCertificationById);
 
 export default router;
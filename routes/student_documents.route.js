@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as studentDocumentController from '../controller/student_documents.controller.js';
 import { upload, uploadExcel } from '../utils/multer.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,6 +11,8 @@ const router = Router();
  *   get:
  *     summary: Download Excel template for document import
  *     tags: [Student Documents]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Excel template file
@@ -19,7 +22,7 @@ const router = Router();
  *               type: string
  *               format: binary
  */
-router.get('/template', studentDocumentController.downloadTemplate);
+router.get('/template', requirePermission('student_documents:read'), studentDocumentController.downloadTemplate);
 
 /**
  * @swagger
@@ -27,6 +30,8 @@ router.get('/template', studentDocumentController.downloadTemplate);
  *   post:
  *     summary: Import documents metadata from Excel file
  *     tags: [Student Documents]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -44,9 +49,9 @@ router.get('/template', studentDocumentController.downloadTemplate);
  *       400:
  *         description: Validation errors
  */
-router.post('/import', uploadExcel.single('file'), studentDocumentController.importFromExcel);
+router.post('/import', requirePermission('student_documents:create'), uploadExcel.single('file'), studentDocumentController.importFromExcel);
 
-router.get('/import', (req, res) => {
+router.get('/import', requirePermission('student_documents:read'), (req, res) => {
     res.status(405).json({
         success: false,
         message: "Use POST method to import Excel file. Send file with field name 'file'.",
@@ -60,6 +65,8 @@ router.get('/import', (req, res) => {
  *   post:
  *     summary: Create a new student document (with file upload)
  *     tags: [Student Documents]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -102,7 +109,7 @@ router.get('/import', (req, res) => {
  *       400:
  *         description: Validation error or missing file
  */
-router.post('/', upload.single('document'), studentDocumentController.createStudentDocument);
+router.post('/', requirePermission('student_documents:create'), upload.single('document'), studentDocumentController.createStudentDocument);
 
 /**
  * @swagger
@@ -110,11 +117,13 @@ router.post('/', upload.single('document'), studentDocumentController.createStud
  *   get:
  *     summary: Get all student documents
  *     tags: [Student Documents]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Documents retrieved
  */
-router.get('/', studentDocumentController.getAllStudentDocuments);
+router.get('/', requirePermission('student_documents:read'), studentDocumentController.getAllStudentDocuments);
 
 /**
  * @swagger
@@ -122,6 +131,8 @@ router.get('/', studentDocumentController.getAllStudentDocuments);
  *   get:
  *     summary: Get all documents for a specific student
  *     tags: [Student Documents]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -131,7 +142,7 @@ router.get('/', studentDocumentController.getAllStudentDocuments);
  *       200:
  *         description: Student documents retrieved
  */
-router.get('/student/:studentId', studentDocumentController.getDocumentsByStudentId);
+router.get('/student/:studentId', requirePermission('student_documents:read'), studentDocumentController.getDocumentsByStudentId);
 
 /**
  * @swagger
@@ -139,6 +150,8 @@ router.get('/student/:studentId', studentDocumentController.getDocumentsByStuden
  *   get:
  *     summary: Get document by ID
  *     tags: [Student Documents]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -150,7 +163,7 @@ router.get('/student/:studentId', studentDocumentController.getDocumentsByStuden
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentDocumentController.getStudentDocumentById);
+router.get('/:id', requirePermission('student_documents:read'), studentDocumentController.getStudentDocumentById);
 
 /**
  * @swagger
@@ -158,6 +171,8 @@ router.get('/:id', studentDocumentController.getStudentDocumentById);
  *   put:
  *     summary: Update document by ID (with optional file re-upload)
  *     tags: [Student Documents]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -191,7 +206,7 @@ router.get('/:id', studentDocumentController.getStudentDocumentById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', upload.single('document'), studentDocumentController.updateStudentDocumentById);
+router.put('/:id', requirePermission('student_documents:update'), upload.single('document'), studentDocumentController.updateStudentDocumentById);
 
 /**
  * @swagger
@@ -199,6 +214,8 @@ router.put('/:id', upload.single('document'), studentDocumentController.updateSt
  *   delete:
  *     summary: Delete document by ID
  *     tags: [Student Documents]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -210,6 +227,6 @@ router.put('/:id', upload.single('document'), studentDocumentController.updateSt
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentDocumentController.deleteStudentDocumentById);
+router.delete('/:id', requirePermission('student_documents:delete'), studentDocumentController.deleteStudentDocumentById);
 
 export default router;
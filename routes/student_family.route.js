@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as studentFamilyController from '../controller/student_family.controller.js';
 import { uploadExcel } from '../utils/multer.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,11 +11,13 @@ const router = Router();
  *   get:
  *     summary: Download Excel template for family import
  *     tags: [Student Family]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Excel template file
  */
-router.get('/template', studentFamilyController.downloadTemplate);
+router.get('/template', requirePermission('student_family:read'), studentFamilyController.downloadTemplate);
 
 /**
  * @swagger
@@ -22,6 +25,8 @@ router.get('/template', studentFamilyController.downloadTemplate);
  *   post:
  *     summary: Import family records from Excel file
  *     tags: [Student Family]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -39,9 +44,9 @@ router.get('/template', studentFamilyController.downloadTemplate);
  *       400:
  *         description: Validation errors
  */
-router.post('/import', uploadExcel.single('file'), studentFamilyController.importFromExcel);
+router.post('/import', requirePermission('student_family:create'), uploadExcel.single('file'), studentFamilyController.importFromExcel);
 
-router.get('/import', (req, res) => {
+router.get('/import', requirePermission('student_family:read'), (req, res) => {
     res.status(405).json({
         success: false,
         message: "Use POST method to import Excel file. Send file with field name 'file'.",
@@ -55,6 +60,8 @@ router.get('/import', (req, res) => {
  *   post:
  *     summary: Create a new student family record
  *     tags: [Student Family]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -98,7 +105,7 @@ router.get('/import', (req, res) => {
  *       409:
  *         description: Family record already exists for student
  */
-router.post('/', studentFamilyController.createStudentFamily);
+router.post('/', requirePermission('student_family:create'), studentFamilyController.createStudentFamily);
 
 /**
  * @swagger
@@ -106,11 +113,13 @@ router.post('/', studentFamilyController.createStudentFamily);
  *   get:
  *     summary: Get all student family records
  *     tags: [Student Family]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Family records retrieved
  */
-router.get('/', studentFamilyController.getAllStudentFamilies);
+router.get('/', requirePermission('student_family:read'), studentFamilyController.getAllStudentFamilies);
 
 /**
  * @swagger
@@ -118,6 +127,8 @@ router.get('/', studentFamilyController.getAllStudentFamilies);
  *   get:
  *     summary: Get family record by student ID
  *     tags: [Student Family]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -129,7 +140,7 @@ router.get('/', studentFamilyController.getAllStudentFamilies);
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentFamilyController.getStudentFamilyById);
+router.get('/:id', requirePermission('student_family:read'), studentFamilyController.getStudentFamilyById);
 
 /**
  * @swagger
@@ -137,6 +148,8 @@ router.get('/:id', studentFamilyController.getStudentFamilyById);
  *   put:
  *     summary: Update family record by student ID
  *     tags: [Student Family]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -164,7 +177,7 @@ router.get('/:id', studentFamilyController.getStudentFamilyById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', studentFamilyController.updateStudentFamilyById);
+router.put('/:id', requirePermission('student_family:update'), studentFamilyController.updateStudentFamilyById);
 
 /**
  * @swagger
@@ -172,6 +185,8 @@ router.put('/:id', studentFamilyController.updateStudentFamilyById);
  *   delete:
  *     summary: Delete family record by student ID
  *     tags: [Student Family]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -183,6 +198,6 @@ router.put('/:id', studentFamilyController.updateStudentFamilyById);
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentFamilyController.deleteStudentFamilyById);
+router.delete('/:id', requirePermission('student_family:delete'), studentFamilyController.deleteStudentFamilyById);
 
 export default router;
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as studentInternshipController from '../controller/student_internships.controller.js';
 import { uploadExcel } from '../utils/multer.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,6 +11,8 @@ const router = Router();
  *   get:
  *     summary: Download Excel template for internship import
  *     tags: [Student Internships]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Excel template file
@@ -19,7 +22,7 @@ const router = Router();
  *               type: string
  *               format: binary
  */
-router.get('/template', studentInternshipController.downloadTemplate);
+router.get('/template', requirePermission('student_internships:read'), studentInternshipController.downloadTemplate);
 
 /**
  * @swagger
@@ -27,6 +30,8 @@ router.get('/template', studentInternshipController.downloadTemplate);
  *   post:
  *     summary: Import internships from Excel file
  *     tags: [Student Internships]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -45,9 +50,9 @@ router.get('/template', studentInternshipController.downloadTemplate);
  *       400:
  *         description: Validation errors in file
  */
-router.post('/import', uploadExcel.single('file'), studentInternshipController.importFromExcel);
+router.post('/import', requirePermission('student_internships:create'), uploadExcel.single('file'), studentInternshipController.importFromExcel);
 
-router.get('/import', (req, res) => {
+router.get('/import', requirePermission('student_internships:read'), (req, res) => {
     res.status(405).json({
         success: false,
         message: "Use POST method to import Excel file. Send file with field name 'file'.",
@@ -61,6 +66,8 @@ router.get('/import', (req, res) => {
  *   post:
  *     summary: Create a new student internship
  *     tags: [Student Internships]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -98,7 +105,7 @@ router.get('/import', (req, res) => {
  *       400:
  *         description: Validation error
  */
-router.post('/', studentInternshipController.createStudentInternship);
+router.post('/', requirePermission('student_internships:create'), studentInternshipController.createStudentInternship);
 
 /**
  * @swagger
@@ -106,11 +113,13 @@ router.post('/', studentInternshipController.createStudentInternship);
  *   get:
  *     summary: Get all student internships
  *     tags: [Student Internships]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Internships retrieved
  */
-router.get('/', studentInternshipController.getAllStudentInternships);
+router.get('/', requirePermission('student_internships:read'), studentInternshipController.getAllStudentInternships);
 
 /**
  * @swagger
@@ -118,6 +127,8 @@ router.get('/', studentInternshipController.getAllStudentInternships);
  *   get:
  *     summary: Get all internships for a specific student
  *     tags: [Student Internships]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -127,7 +138,7 @@ router.get('/', studentInternshipController.getAllStudentInternships);
  *       200:
  *         description: Student internships retrieved
  */
-router.get('/student/:studentId', studentInternshipController.getInternshipsByStudentId);
+router.get('/student/:studentId', requirePermission('student_internships:read'), studentInternshipController.getInternshipsByStudentId);
 
 /**
  * @swagger
@@ -135,6 +146,8 @@ router.get('/student/:studentId', studentInternshipController.getInternshipsBySt
  *   get:
  *     summary: Get internship by ID
  *     tags: [Student Internships]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -146,7 +159,7 @@ router.get('/student/:studentId', studentInternshipController.getInternshipsBySt
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentInternshipController.getStudentInternshipById);
+router.get('/:id', requirePermission('student_internships:read'), studentInternshipController.getStudentInternshipById);
 
 /**
  * @swagger
@@ -154,6 +167,8 @@ router.get('/:id', studentInternshipController.getStudentInternshipById);
  *   put:
  *     summary: Update internship by ID
  *     tags: [Student Internships]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -180,7 +195,7 @@ router.get('/:id', studentInternshipController.getStudentInternshipById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', studentInternshipController.updateStudentInternshipById);
+router.put('/:id', requirePermission('student_internships:update'), studentInternshipController.updateStudentInternshipById);
 
 /**
  * @swagger
@@ -188,6 +203,8 @@ router.put('/:id', studentInternshipController.updateStudentInternshipById);
  *   delete:
  *     summary: Delete internship by ID
  *     tags: [Student Internships]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -199,6 +216,6 @@ router.put('/:id', studentInternshipController.updateStudentInternshipById);
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentInternshipController.deleteStudentInternshipById);
+router.delete('/:id', requirePermission('student_internships:delete'), studentInternshipController.deleteStudentInternshipById);
 
 export default router;
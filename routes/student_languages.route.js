@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import * as studentLanguageController from '../controller/student_languages.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -11,6 +12,8 @@ const router = Router();
  *   post:
  *     summary: Create a single language entry
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -37,7 +40,7 @@ const router = Router();
  *       400:
  *         description: Validation error (includes allowedLanguages list)
  */
-router.post('/', studentLanguageController.createStudentLanguage);
+router.post('/', requirePermission('student_languages:create'), studentLanguageController.createStudentLanguage);
 
 /**
  * @swagger
@@ -45,6 +48,8 @@ router.post('/', studentLanguageController.createStudentLanguage);
  *   post:
  *     summary: Bulk create languages for a student
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -66,7 +71,7 @@ router.post('/', studentLanguageController.createStudentLanguage);
  *       400:
  *         description: Validation error
  */
-router.post('/bulk', studentLanguageController.bulkCreateStudentLanguages);
+router.post('/bulk', requirePermission('student_languages:create'), studentLanguageController.bulkCreateStudentLanguages);
 
 // ===== READ OPERATIONS - GENERAL =====
 
@@ -76,11 +81,13 @@ router.post('/bulk', studentLanguageController.bulkCreateStudentLanguages);
  *   get:
  *     summary: Get all student languages
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Languages retrieved
  */
-router.get('/', studentLanguageController.getAllStudentLanguages);
+router.get('/', requirePermission('student_languages:read'), studentLanguageController.getAllStudentLanguages);
 
 /**
  * @swagger
@@ -88,11 +95,13 @@ router.get('/', studentLanguageController.getAllStudentLanguages);
  *   get:
  *     summary: Get the list of allowed languages
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Allowed languages list
  */
-router.get('/allowed-languages', studentLanguageController.getAllowedLanguages);
+router.get('/allowed-languages', requirePermission('student_languages:read'), studentLanguageController.getAllowedLanguages);
 
 /**
  * @swagger
@@ -100,6 +109,8 @@ router.get('/allowed-languages', studentLanguageController.getAllowedLanguages);
  *   get:
  *     summary: Get student languages menu for search bar
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: search
@@ -111,7 +122,7 @@ router.get('/allowed-languages', studentLanguageController.getAllowedLanguages);
  *       200:
  *         description: Menu data retrieved
  */
-router.get('/menu', studentLanguageController.getStudentLanguagesMenu);
+router.get('/menu', requirePermission('student_languages:read'), studentLanguageController.getStudentLanguagesMenu);
 
 /**
  * @swagger
@@ -119,6 +130,8 @@ router.get('/menu', studentLanguageController.getStudentLanguagesMenu);
  *   get:
  *     summary: Advanced search for student languages
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: language
@@ -139,7 +152,7 @@ router.get('/menu', studentLanguageController.getStudentLanguagesMenu);
  *       200:
  *         description: Search results
  */
-router.get('/search', studentLanguageController.searchStudentLanguages);
+router.get('/search', requirePermission('student_languages:read'), studentLanguageController.searchStudentLanguages);
 
 /**
  * @swagger
@@ -147,6 +160,8 @@ router.get('/search', studentLanguageController.searchStudentLanguages);
  *   get:
  *     summary: Get proficient students (level >= minLevel)
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: minLevel
@@ -155,7 +170,7 @@ router.get('/search', studentLanguageController.searchStudentLanguages);
  *       200:
  *         description: Proficient students list
  */
-router.get('/proficient', studentLanguageController.getProficientStudents);
+router.get('/proficient', requirePermission('student_languages:read'), studentLanguageController.getProficientStudents);
 
 // ===== READ OPERATIONS - BY LANGUAGE =====
 
@@ -165,6 +180,8 @@ router.get('/proficient', studentLanguageController.getProficientStudents);
  *   get:
  *     summary: Get all students who know a specific language
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: language
@@ -177,7 +194,7 @@ router.get('/proficient', studentLanguageController.getProficientStudents);
  *       400:
  *         description: Invalid language
  */
-router.get('/language/:language', studentLanguageController.getStudentsByLanguage);
+router.get('/language/:language', requirePermission('student_languages:read'), studentLanguageController.getStudentsByLanguage);
 
 /**
  * @swagger
@@ -185,6 +202,8 @@ router.get('/language/:language', studentLanguageController.getStudentsByLanguag
  *   get:
  *     summary: Get experts in a specific language
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: language
@@ -200,7 +219,7 @@ router.get('/language/:language', studentLanguageController.getStudentsByLanguag
  *       400:
  *         description: Invalid language
  */
-router.get('/language/:language/experts', studentLanguageController.getLanguageExperts);
+router.get('/language/:language/experts', requirePermission('student_languages:read'), studentLanguageController.getLanguageExperts);
 
 // ===== READ OPERATIONS - BY STUDENT =====
 
@@ -210,6 +229,8 @@ router.get('/language/:language/experts', studentLanguageController.getLanguageE
  *   get:
  *     summary: Get all languages for a student
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -219,7 +240,7 @@ router.get('/language/:language/experts', studentLanguageController.getLanguageE
  *       200:
  *         description: Student languages retrieved
  */
-router.get('/student/:studentId', studentLanguageController.getLanguagesByStudentId);
+router.get('/student/:studentId', requirePermission('student_languages:read'), studentLanguageController.getLanguagesByStudentId);
 
 /**
  * @swagger
@@ -227,6 +248,8 @@ router.get('/student/:studentId', studentLanguageController.getLanguagesByStuden
  *   get:
  *     summary: Get student's top languages
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -239,7 +262,7 @@ router.get('/student/:studentId', studentLanguageController.getLanguagesByStuden
  *       200:
  *         description: Top languages retrieved
  */
-router.get('/student/:studentId/top', studentLanguageController.getStudentTopLanguages);
+router.get('/student/:studentId/top', requirePermission('student_languages:read'), studentLanguageController.getStudentTopLanguages);
 
 // ===== UPDATE OPERATIONS =====
 
@@ -249,6 +272,8 @@ router.get('/student/:studentId/top', studentLanguageController.getStudentTopLan
  *   put:
  *     summary: Bulk update student's languages
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -269,7 +294,7 @@ router.get('/student/:studentId/top', studentLanguageController.getStudentTopLan
  *       200:
  *         description: Languages updated
  */
-router.put('/student/:studentId/bulk', studentLanguageController.bulkUpdateStudentLanguages);
+router.put('/student/:studentId/bulk', requirePermission('student_languages:update'), studentLanguageController.bulkUpdateStudentLanguages);
 
 /**
  * @swagger
@@ -277,6 +302,8 @@ router.put('/student/:studentId/bulk', studentLanguageController.bulkUpdateStude
  *   put:
  *     summary: Update language entry by ID
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -300,7 +327,7 @@ router.put('/student/:studentId/bulk', studentLanguageController.bulkUpdateStude
  *       404:
  *         description: Not found
  */
-router.put('/:id', studentLanguageController.updateStudentLanguageById);
+router.put('/:id', requirePermission('student_languages:update'), studentLanguageController.updateStudentLanguageById);
 
 /**
  * @swagger
@@ -308,6 +335,8 @@ router.put('/:id', studentLanguageController.updateStudentLanguageById);
  *   patch:
  *     summary: Partially update language entry by ID
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -329,7 +358,7 @@ router.put('/:id', studentLanguageController.updateStudentLanguageById);
  *       404:
  *         description: Not found
  */
-router.patch('/:id', studentLanguageController.updateStudentLanguageById);
+router.patch('/:id', requirePermission('student_languages:update'), studentLanguageController.updateStudentLanguageById);
 
 // ===== DELETE OPERATIONS =====
 
@@ -339,6 +368,8 @@ router.patch('/:id', studentLanguageController.updateStudentLanguageById);
  *   delete:
  *     summary: Delete all languages for a student
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -348,7 +379,7 @@ router.patch('/:id', studentLanguageController.updateStudentLanguageById);
  *       200:
  *         description: All languages deleted
  */
-router.delete('/student/:studentId', studentLanguageController.deleteAllStudentLanguages);
+router.delete('/student/:studentId', requirePermission('student_languages:delete'), studentLanguageController.deleteAllStudentLanguages);
 
 /**
  * @swagger
@@ -356,6 +387,8 @@ router.delete('/student/:studentId', studentLanguageController.deleteAllStudentL
  *   delete:
  *     summary: Delete a specific language for a student
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -371,7 +404,7 @@ router.delete('/student/:studentId', studentLanguageController.deleteAllStudentL
  *       404:
  *         description: Not found
  */
-router.delete('/student/:studentId/:language', studentLanguageController.deleteStudentSpecificLanguage);
+router.delete('/student/:studentId/:language', requirePermission('student_languages:delete'), studentLanguageController.deleteStudentSpecificLanguage);
 
 /**
  * @swagger
@@ -379,6 +412,8 @@ router.delete('/student/:studentId/:language', studentLanguageController.deleteS
  *   delete:
  *     summary: Delete language entry by ID
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -390,7 +425,7 @@ router.delete('/student/:studentId/:language', studentLanguageController.deleteS
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentLanguageController.deleteStudentLanguageById);
+router.delete('/:id', requirePermission('student_languages:delete'), studentLanguageController.deleteStudentLanguageById);
 
 /**
  * @swagger
@@ -398,6 +433,8 @@ router.delete('/:id', studentLanguageController.deleteStudentLanguageById);
  *   get:
  *     summary: Get language entry by ID
  *     tags: [Student Languages]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -409,6 +446,6 @@ router.delete('/:id', studentLanguageController.deleteStudentLanguageById);
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentLanguageController.getStudentLanguageById);
+router.get('/:id', requirePermission('student_languages:read'), studentLanguageController.getStudentLanguageById);
 
 export default router;
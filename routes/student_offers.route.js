@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import * as studentOfferController from '../controller/student_offers.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -9,6 +10,8 @@ const router = Router();
  *   post:
  *     summary: Create a new student offer
  *     tags: [Student Offers]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -64,7 +67,7 @@ const router = Router();
  *       409:
  *         description: Offer already exists
  */
-router.post('/', studentOfferController.createStudentOffer);
+router.post('/', requirePermission('student_offers:create'), studentOfferController.createStudentOffer);
 
 /**
  * @swagger
@@ -72,6 +75,8 @@ router.post('/', studentOfferController.createStudentOffer);
  *   get:
  *     summary: Get all student offers (paginated, filterable)
  *     tags: [Student Offers]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -101,7 +106,7 @@ router.post('/', studentOfferController.createStudentOffer);
  *       200:
  *         description: Offers retrieved
  */
-router.get('/', studentOfferController.getAllStudentOffers);
+router.get('/', requirePermission('student_offers:read'), studentOfferController.getAllStudentOffers);
 
 /**
  * @swagger
@@ -109,6 +114,8 @@ router.get('/', studentOfferController.getAllStudentOffers);
  *   get:
  *     summary: Get offers by student ID
  *     tags: [Student Offers]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -124,7 +131,7 @@ router.get('/', studentOfferController.getAllStudentOffers);
  *       200:
  *         description: Student offers retrieved
  */
-router.get('/student/:studentId', studentOfferController.getOffersByStudentId);
+router.get('/student/:studentId', requirePermission('student_offers:read'), studentOfferController.getOffersByStudentId);
 
 /**
  * @swagger
@@ -132,6 +139,8 @@ router.get('/student/:studentId', studentOfferController.getOffersByStudentId);
  *   get:
  *     summary: Get offers by job ID
  *     tags: [Student Offers]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: jobId
@@ -147,7 +156,7 @@ router.get('/student/:studentId', studentOfferController.getOffersByStudentId);
  *       200:
  *         description: Job offers retrieved
  */
-router.get('/job/:jobId', studentOfferController.getOffersByJobId);
+router.get('/job/:jobId', requirePermission('student_offers:read'), studentOfferController.getOffersByJobId);
 
 /**
  * @swagger
@@ -155,6 +164,8 @@ router.get('/job/:jobId', studentOfferController.getOffersByJobId);
  *   get:
  *     summary: Get student offer by ID
  *     tags: [Student Offers]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -166,7 +177,7 @@ router.get('/job/:jobId', studentOfferController.getOffersByJobId);
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentOfferController.getStudentOfferById);
+router.get('/:id', requirePermission('student_offers:read'), studentOfferController.getStudentOfferById);
 
 /**
  * @swagger
@@ -174,6 +185,8 @@ router.get('/:id', studentOfferController.getStudentOfferById);
  *   put:
  *     summary: Update student offer by ID
  *     tags: [Student Offers]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -202,7 +215,7 @@ router.get('/:id', studentOfferController.getStudentOfferById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', studentOfferController.updateStudentOffer);
+router.put('/:id', requirePermission('student_offers:update'), studentOfferController.updateStudentOffer);
 
 /**
  * @swagger
@@ -210,6 +223,8 @@ router.put('/:id', studentOfferController.updateStudentOffer);
  *   delete:
  *     summary: Delete student offer by ID
  *     tags: [Student Offers]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -221,6 +236,6 @@ router.put('/:id', studentOfferController.updateStudentOffer);
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentOfferController.deleteStudentOffer);
+router.delete('/:id', requirePermission('student_offers:delete'), studentOfferController.deleteStudentOffer);
 
 export default router;
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as studentProjectController from '../controller/student_projects.controller.js';
 import { uploadExcel } from '../utils/multer.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,11 +11,13 @@ const router = Router();
  *   get:
  *     summary: Download Excel template for project import
  *     tags: [Student Projects]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Excel template file
  */
-router.get('/template', studentProjectController.downloadTemplate);
+router.get('/template', requirePermission('student_projects:read'), studentProjectController.downloadTemplate);
 
 /**
  * @swagger
@@ -22,6 +25,8 @@ router.get('/template', studentProjectController.downloadTemplate);
  *   get:
  *     summary: Search projects by tools used
  *     tags: [Student Projects]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: tools
@@ -34,7 +39,7 @@ router.get('/template', studentProjectController.downloadTemplate);
  *       400:
  *         description: Missing tools parameter
  */
-router.get('/search', studentProjectController.searchProjectsByTools);
+router.get('/search', requirePermission('student_projects:read'), studentProjectController.searchProjectsByTools);
 
 /**
  * @swagger
@@ -42,6 +47,8 @@ router.get('/search', studentProjectController.searchProjectsByTools);
  *   post:
  *     summary: Import projects from Excel file
  *     tags: [Student Projects]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -59,9 +66,9 @@ router.get('/search', studentProjectController.searchProjectsByTools);
  *       400:
  *         description: Validation errors
  */
-router.post('/import', uploadExcel.single('file'), studentProjectController.importFromExcel);
+router.post('/import', requirePermission('student_projects:create'), uploadExcel.single('file'), studentProjectController.importFromExcel);
 
-router.get('/import', (req, res) => {
+router.get('/import', requirePermission('student_projects:read'), (req, res) => {
     res.status(405).json({
         success: false,
         message: "Use POST method to import Excel file. Send file with field name 'file'.",
@@ -75,6 +82,8 @@ router.get('/import', (req, res) => {
  *   post:
  *     summary: Create a new student project
  *     tags: [Student Projects]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -105,7 +114,7 @@ router.get('/import', (req, res) => {
  *       400:
  *         description: Validation error
  */
-router.post('/', studentProjectController.createStudentProject);
+router.post('/', requirePermission('student_projects:create'), studentProjectController.createStudentProject);
 
 /**
  * @swagger
@@ -113,11 +122,13 @@ router.post('/', studentProjectController.createStudentProject);
  *   get:
  *     summary: Get all student projects
  *     tags: [Student Projects]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Projects retrieved
  */
-router.get('/', studentProjectController.getAllStudentProjects);
+router.get('/', requirePermission('student_projects:read'), studentProjectController.getAllStudentProjects);
 
 /**
  * @swagger
@@ -125,6 +136,8 @@ router.get('/', studentProjectController.getAllStudentProjects);
  *   get:
  *     summary: Get all projects for a specific student
  *     tags: [Student Projects]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: studentId
@@ -134,7 +147,7 @@ router.get('/', studentProjectController.getAllStudentProjects);
  *       200:
  *         description: Student projects retrieved
  */
-router.get('/student/:studentId', studentProjectController.getProjectsByStudentId);
+router.get('/student/:studentId', requirePermission('student_projects:read'), studentProjectController.getProjectsByStudentId);
 
 /**
  * @swagger
@@ -142,6 +155,8 @@ router.get('/student/:studentId', studentProjectController.getProjectsByStudentI
  *   get:
  *     summary: Get project by ID
  *     tags: [Student Projects]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -153,7 +168,7 @@ router.get('/student/:studentId', studentProjectController.getProjectsByStudentI
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentProjectController.getStudentProjectById);
+router.get('/:id', requirePermission('student_projects:read'), studentProjectController.getStudentProjectById);
 
 /**
  * @swagger
@@ -161,6 +176,8 @@ router.get('/:id', studentProjectController.getStudentProjectById);
  *   put:
  *     summary: Update project by ID
  *     tags: [Student Projects]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -187,7 +204,7 @@ router.get('/:id', studentProjectController.getStudentProjectById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', studentProjectController.updateStudentProjectById);
+router.put('/:id', requirePermission('student_projects:update'), studentProjectController.updateStudentProjectById);
 
 /**
  * @swagger
@@ -195,6 +212,8 @@ router.put('/:id', studentProjectController.updateStudentProjectById);
  *   delete:
  *     summary: Delete project by ID
  *     tags: [Student Projects]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -206,6 +225,6 @@ router.put('/:id', studentProjectController.updateStudentProjectById);
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentProjectController.deleteStudentProjectById);
+router.delete('/:id', requirePermission('student_projects:delete'), studentProjectController.deleteStudentProjectById);
 
 export default router;
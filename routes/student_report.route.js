@@ -4,6 +4,7 @@ import {
     getStudentReportData,
     getAllStudentsSummary
 } from '../controller/student_report.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = express.Router();
 
@@ -13,11 +14,13 @@ const router = express.Router();
  *   get:
  *     summary: Get all students summary
  *     tags: [Student Reports]
+ *     security:
+ *       - cookieAuth: []
  *     responses:
  *       200:
  *         description: Students summary retrieved
  */
-router.get('/summary', getAllStudentsSummary);
+router.get('/summary', requirePermission('student_report:read'), getAllStudentsSummary);
 
 /**
  * @swagger
@@ -25,6 +28,8 @@ router.get('/summary', getAllStudentsSummary);
  *   get:
  *     summary: Generate PDF report for a student
  *     tags: [Student Reports]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -42,7 +47,7 @@ router.get('/summary', getAllStudentsSummary);
  *       404:
  *         description: Student not found
  */
-router.get('/:id/pdf', generateStudentReport);
+router.get('/:id/pdf', requirePermission('student_report:read'), generateStudentReport);
 
 /**
  * @swagger
@@ -50,6 +55,8 @@ router.get('/:id/pdf', generateStudentReport);
  *   get:
  *     summary: Get student report data as JSON
  *     tags: [Student Reports]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -61,6 +68,6 @@ router.get('/:id/pdf', generateStudentReport);
  *       404:
  *         description: Student not found
  */
-router.get('/:id', getStudentReportData);
+router.get('/:id', requirePermission('student_report:read'), getStudentReportData);
 
 export default router;
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as studentUserController from '../controller/student_users.controller.js';
 import logger from '../utils/logger.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = Router();
 
@@ -10,6 +11,8 @@ const router = Router();
  *   post:
  *     summary: Create a new student-user association
  *     tags: [Student Users]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -27,7 +30,7 @@ const router = Router();
  *       400:
  *         description: Validation error
  */
-router.post('/', studentUserController.createStudentUser);
+router.post('/', requirePermission('student_users:create'), studentUserController.createStudentUser);
 
 /**
  * @swagger
@@ -35,6 +38,8 @@ router.post('/', studentUserController.createStudentUser);
  *   post:
  *     summary: Bulk create student-user associations
  *     tags: [Student Users]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -51,7 +56,7 @@ router.post('/', studentUserController.createStudentUser);
  *       201:
  *         description: Associations created
  */
-router.post('/bulk', studentUserController.bulkCreateStudentUsers);
+router.post('/bulk', requirePermission('student_users:create'), studentUserController.bulkCreateStudentUsers);
 
 /**
  * @swagger
@@ -59,6 +64,8 @@ router.post('/bulk', studentUserController.bulkCreateStudentUsers);
  *   get:
  *     summary: Get all student-user associations (paginated)
  *     tags: [Student Users]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -79,7 +86,7 @@ router.post('/bulk', studentUserController.bulkCreateStudentUsers);
  *       200:
  *         description: Associations retrieved
  */
-router.get('/', studentUserController.getAllStudentUsers);
+router.get('/', requirePermission('student_users:read'), studentUserController.getAllStudentUsers);
 
 /**
  * @swagger
@@ -87,6 +94,8 @@ router.get('/', studentUserController.getAllStudentUsers);
  *   get:
  *     summary: Get all students with full user information
  *     tags: [Student Users]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -101,7 +110,7 @@ router.get('/', studentUserController.getAllStudentUsers);
  *       200:
  *         description: Students with user info retrieved
  */
-router.get('/students', studentUserController.getAllStudents);
+router.get('/students', requirePermission('student_users:read'), studentUserController.getAllStudents);
 
 /**
  * @swagger
@@ -109,6 +118,8 @@ router.get('/students', studentUserController.getAllStudents);
  *   get:
  *     summary: Get student-user by user ID
  *     tags: [Student Users]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: user_id
@@ -120,7 +131,7 @@ router.get('/students', studentUserController.getAllStudents);
  *       404:
  *         description: Not found
  */
-router.get('/user/:user_id', studentUserController.getStudentUserByUserId);
+router.get('/user/:user_id', requirePermission('student_users:read'), studentUserController.getStudentUserByUserId);
 
 /**
  * @swagger
@@ -128,6 +139,8 @@ router.get('/user/:user_id', studentUserController.getStudentUserByUserId);
  *   get:
  *     summary: Get student-user by student ID
  *     tags: [Student Users]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -139,7 +152,7 @@ router.get('/user/:user_id', studentUserController.getStudentUserByUserId);
  *       404:
  *         description: Not found
  */
-router.get('/:id', studentUserController.getStudentUserById);
+router.get('/:id', requirePermission('student_users:read'), studentUserController.getStudentUserById);
 
 /**
  * @swagger
@@ -147,6 +160,8 @@ router.get('/:id', studentUserController.getStudentUserById);
  *   put:
  *     summary: Update a student-user association
  *     tags: [Student Users]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -168,7 +183,7 @@ router.get('/:id', studentUserController.getStudentUserById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', studentUserController.updateStudentUser);
+router.put('/:id', requirePermission('student_users:update'), studentUserController.updateStudentUser);
 
 /**
  * @swagger
@@ -176,6 +191,8 @@ router.put('/:id', studentUserController.updateStudentUser);
  *   delete:
  *     summary: Delete a student-user association
  *     tags: [Student Users]
+ *     security:
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -187,6 +204,6 @@ router.put('/:id', studentUserController.updateStudentUser);
  *       404:
  *         description: Not found
  */
-router.delete('/:id', studentUserController.deleteStudentUser);
+router.delete('/:id', requirePermission('student_users:delete'), studentUserController.deleteStudentUser);
 
 export default router;
\ No newline at end of file
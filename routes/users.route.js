@@ -1,7 +1,10 @@
 import { Router } from 'express';
 import * as userController from '../controller/users.controller.js';
-import { authenticate } from '../middleware/authenticate.js';
-import { requireRole } from '../middleware/requireRole.js';
+import * as sessionsController from '../controller/sessions.controller.js';
+import * as invitationsController from '../controller/invitations.controller.js';
+import * as securityEventsController from '../controller/security_events.controller.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+import { uploadExcel } from '../utils/multer.js';
 
 const router = Router();
 
@@ -9,8 +12,10 @@ const router = Router();
  * @swagger
  * /users/register:
  *   post:
- *     summary: Register a new user
+ *     summary: Register a new user (Admin only)
  *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -48,10 +53,14 @@ const router = Router();
  *         description: User created successfully
  *       400:
  *         description: Validation error or missing student_id for STUDENT role
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden — requires ADMIN or SUPER_ADMIN role
  *       500:
  *         description: Internal server error
  */
-// Public
+// Admin only — see config/accessPolicies.js
 router.post('/register', userController.createUser);
 
 /**
@@ -87,7 +96,178 @@ router.post('/register', userController.createUser);
  *         description: Internal server error
  */
 // Protected — require authentication
-router.get('/', authenticate, userController.getAllUsers);
+router.get('/', requirePermission('users:read'), userController.getAllUsers);
+
+/**
+ * @swagger
+ * /users/invite:
+ *   post:
+ *     summary: Invite a user by email (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     description: >
+ *       Creates the user inactive, without a usable password, and emails a
+ *       single-use activation link (POST /auth/activate). The link expires after
+ *       INVITATION_LIFETIME_DAYS (default 7) and can be resent.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role_id]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: asha.k@college.edu
+ *               username:
+ *                 type: string
+ *                 description: Defaults to the part of the email before @
+ *               role_id:
+ *                 type: integer
+ *                 example: 3
+ *               student_id:
+ *                 type: string
+ *                 example: STU2024001
+ *                 description: Required when the role is STUDENT
+ *     responses:
+ *       201:
+ *         description: User invited; data.email_sent is false if the email could not be delivered
+ *       400:
+ *         description: Validation error or missing student_id for STUDENT role
+ *       403:
+ *         description: Only a SUPER_ADMIN can assign the SUPER_ADMIN role
+ *       409:
+ *         description: Email or student ID already in use
+ */
+router.post('/invite', requirePermission('users:invite'), invitationsController.inviteUser);
+
+/**
+ * @swagger
+ * /users/invite/bulk:
+ *   post:
+ *     summary: Invite students from a spreadsheet (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     description: >
+ *       Columns student_id and email (required) and username (optional); up to
+ *       500 rows. Every row is validated first; then each student is invited
+ *       separately and the per-row outcome is reported.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Excel or CSV file (.xlsx, .xls, .csv)
+ *     responses:
+ *       201:
+ *         description: At least one student invited — data.results has a status per row
+ *       400:
+ *         description: Invalid file or rows, or no student could be invited
+ */
+router.post('/invite/bulk', requirePermission('users:invite'), uploadExcel.single('file'), invitationsController.bulkInviteStudents);
+
+/**
+ * @swagger
+ * /users/invite/template:
+ *   get:
+ *     summary: Download the Excel template for bulk invites
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Excel template file
+ */
+router.get('/invite/template', requirePermission('users:invite'), invitationsController.downloadInviteTemplate);
+
+/**
+ * @swagger
+ * /users/invitations:
+ *   get:
+ *     summary: List invitations
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, expired, accepted, revoked]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Username, email or student ID
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Paginated invitations
+ */
+router.get('/invitations', requirePermission('users:read'), invitationsController.getInvitations);
+
+/**
+ * @swagger
+ * /users/invitations/{userId}/resend:
+ *   post:
+ *     summary: Resend an invitation with a new link (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     description: Works for pending and expired invitations; the previous link stops working.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+router.post('/invitations/:userId/resend', requirePermission('users:invite'), invitationsController.resendInvitation);
+
+/**
+ * @swagger
+ * /users/invitations/{userId}:
+ *   delete:
+ *     summary: Revoke an invitation that has not been accepted (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     description: The link stops working; the user stays inactive.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: No open invitation for this user
+ */
+router.delete('/invitations/:userId', requirePermission('users:invite'), invitationsController.revokeInvitation);
 
 /**
  * @swagger
@@ -114,7 +294,7 @@ router.get('/', authenticate, userController.getAllUsers);
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', authenticate, userController.getUserById);
+router.get('/:id', requirePermission('users:read'), userController.getUserById);
 
 /**
  * @swagger
@@ -165,13 +345,13 @@ router.get('/:id', authenticate, userController.getUserById);
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', authenticate, userController.updateUser);
+router.put('/:id', requirePermission('users:update'), userController.updateUser);
 
 /**
  * @swagger
  * /users/{id}:
  *   delete:
- *     summary: Delete a user by ID (Admin only)
+ *     summary: Delete a user by ID
  *     tags: [Users]
  *     security:
  *       - cookieAuth: []
@@ -188,10 +368,126 @@ router.put('/:id', authenticate, userController.updateUser);
  *       401:
  *         description: Not authenticated
  *       403:
- *         description: Forbidden — requires ADMIN or SUPER_ADMIN role
+ *         description: Forbidden — requires the users:delete permission
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', authenticate, requireRole(['ADMIN', 'SUPER_ADMIN']), userController.deleteUser);
+router.delete('/:id', requirePermission('users:delete'), userController.deleteUser);
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (admin)
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions with IP address, user agent and expiry
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/sessions', requirePermission('sessions:read'), sessionsController.listUserSessions);
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   delete:
+ *     summary: Revoke all of a user's sessions (admin)
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ */
+router.delete('/:id/sessions', requirePermission('sessions:delete'), sessionsController.revokeAllUserSessions);
+
+/**
+ * @swagger
+ * /users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions (admin)
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id/sessions/:sessionId', requirePermission('sessions:delete'), sessionsController.revokeUserSession);
+
+/**
+ * @swagger
+ * /users/{id}/security-events:
+ *   get:
+ *     summary: Get a user's security events timeline (admin)
+ *     description: >
+ *       Newest first: account lockouts, suspicious logins (new device, new
+ *       network, login right after a lockout), refresh token reuse,
+ *       impersonation and similar events.
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: event_type
+ *         schema: { type: string, example: suspicious_login }
+ *       - in: query
+ *         name: severity
+ *         schema: { type: string, enum: [low, medium, high, critical] }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: data.user, data.events (event_type, severity, ip_address, user_agent, details, created_at) and data.pagination
+ *       400:
+ *         description: Invalid user ID or filters
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/security-events', requirePermission('security_events:read'), securityEventsController.getUserSecurityEvents);
 
 export default router;
@@ -0,0 +1,38 @@
+/**
+ * Applying to jobs. Whoever submits the application — the student
+ * (/api/me/applications) or the placement office (/api/applications) — the
+ * student must be eligible for the job (see ../eligibility/eligibility.service.js)
+ * and the job's application_deadline must not have passed.
+ */
+
+import logger from '../../utils/logger.js';
+import { AppError } from '../../utils/errors.js';
+import * as applicationsDB from '../../db/applications.db.js';
+import { checkEligibility } from '../eligibility/eligibility.service.js';
+
+/**
+ * @param {{ student_id: string, job_id: number, status?: string, notes?: string }} application
+ * @param {number|null} appliedBy  user submitting the application
+ * @throws {AppError} 404 unknown student or job, 422 not eligible or closed,
+ *                    409 already applied
+ */
+export async function submitApplication({ student_id, job_id, status, notes }, appliedBy) {
+  const eligibility = await checkEligibility(student_id, job_id);
+
+  if (!eligibility.is_open) {
+    throw new AppError(422, `Applications for this job closed on ${new Date(eligibility.application_deadline).toISOString()}`);
+  }
+  if (!eligibility.eligible) {
+    logger.info({ student_id, job_id, reasons: eligibility.reasons }, 'Application refused: student not eligible');
+    throw new AppError(422, `Student is not eligible for this job: ${eligibility.reasons.join('; ')}`);
+  }
+
+  return applicationsDB.createApplication({
+    student_id: eligibility.student_id,
+    job_id,
+    status,
+    notes,
+    eligibility: eligibility.checks,
+    applied_by: appliedBy,
+  });
+}
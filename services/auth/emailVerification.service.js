@@ -0,0 +1,159 @@
+/**
+ * Email verification for the addresses placement mail goes to: the account
+ * address (users.email) and, for students, students.email and
+ * students.alt_email. Routes: GET /api/auth/email-verification,
+ * POST /api/auth/email-verification/send and POST /api/auth/verify-email.
+ *
+ * A link carries a random token of which only the SHA-256 is stored, along
+ * with the address it was sent to. Changing an address clears its
+ * verification (a trigger in migration 012), so a link for an old address
+ * verifies nothing.
+ *
+ * Configuration:
+ *   EMAIL_VERIFICATION_URL             frontend page that reads ?token= (default http://localhost:3000/verify-email)
+ *   EMAIL_VERIFICATION_LIFETIME_HOURS  how long a link stays valid (default 24)
+ *   NOTIFY_VERIFIED_EMAILS_ONLY        'true' to send job notifications to verified addresses only
+ */
+
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+import { AppError } from '../../utils/errors.js';
+import * as emailVerificationDB from '../../db/email_verification.db.js';
+import { recordAudit } from '../../db/audit.db.js';
+import { sendMail } from '../mail/mailer.js';
+import { emailVerificationEmail } from '../mail/templates.js';
+
+const TOKEN_BYTES = 32;
+const DEFAULT_LIFETIME_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Resend throttling, per user and address
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_DAY = 5;
+const DAY_MS = 24 * HOUR_MS;
+
+export const VERIFICATION_TOKEN_LENGTH = TOKEN_BYTES * 2;
+export const { ADDRESS_TYPES } = emailVerificationDB;
+
+const ADDRESS_LABELS = {
+  account: 'account email',
+  student_email: 'student email',
+  student_alt_email: 'alternate email',
+};
+
+function getLifetimeHours() {
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_LIFETIME_HOURS, 10);
+  return Number.isInteger(hours) && hours > 0 ? hours : DEFAULT_LIFETIME_HOURS;
+}
+
+function buildVerificationUrl(token) {
+  const url = new URL(process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/verify-email');
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+export function hashVerificationToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function throttled(message, retryAfterMs) {
+  const err = new AppError(429, message);
+  err.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  return err;
+}
+
+export function notifyVerifiedEmailsOnly() {
+  return process.env.NOTIFY_VERIFIED_EMAILS_ONLY === 'true';
+}
+
+/**
+ * Verification state of every address the user can verify.
+ * @returns {Promise<Array<{ address_type: string, email: string|null, verified: boolean, verified_at: Date|null }>>}
+ */
+export async function getVerificationStatus(userId) {
+  const owner = await emailVerificationDB.getUserAddresses(userId);
+  if (!owner) {
+    throw new AppError(404, 'User not found');
+  }
+
+  return owner.addresses.map((address) => ({
+    ...address,
+    verified: address.verified_at !== null,
+  }));
+}
+
+/**
+ * Email a verification link for one of the user's addresses.
+ *
+ * Throws AppError 404 for an address the user doesn't have, 409 when it is
+ * already verified, and 429 (with `retryAfterSeconds`) when links for it were
+ * sent too recently or too often.
+ *
+ * @returns {Promise<{ address_type: string, email: string, expires_at: Date }>}
+ */
+export async function sendVerification(userId, addressType) {
+  const owner = await emailVerificationDB.getUserAddresses(userId);
+  const address = owner?.addresses.find((candidate) => candidate.address_type === addressType);
+  if (!address || !address.email) {
+    throw new AppError(404, `No ${ADDRESS_LABELS[addressType]} on file`);
+  }
+  if (address.verified_at) {
+    throw new AppError(409, `Your ${ADDRESS_LABELS[addressType]} is already verified`);
+  }
+
+  const now = Date.now();
+  const recent = await emailVerificationDB.getRecentSends(userId, addressType, new Date(now - DAY_MS));
+  if (recent.count >= MAX_SENDS_PER_DAY) {
+    throw throttled('Too many verification emails for this address today. Try again later.',
+      new Date(recent.first_sent_at).getTime() + DAY_MS - now);
+  }
+  if (recent.last_sent_at && now - new Date(recent.last_sent_at).getTime() < RESEND_COOLDOWN_MS) {
+    throw throttled('A verification email was sent moments ago. Check your inbox before asking for another.',
+      new Date(recent.last_sent_at).getTime() + RESEND_COOLDOWN_MS - now);
+  }
+
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+  const expiresAt = new Date(now + getLifetimeHours() * HOUR_MS);
+  await emailVerificationDB.createVerificationToken({
+    user_id: userId,
+    address_type: addressType,
+    student_id: addressType === 'account' ? null : owner.student_id,
+    email: address.email,
+    token_hash: hashVerificationToken(token),
+    expires_at: expiresAt,
+  });
+
+  await sendMail({
+    to: address.email,
+    ...emailVerificationEmail({
+      username: owner.username,
+      verifyUrl: buildVerificationUrl(token),
+      expiresInHours: getLifetimeHours(),
+    }),
+  });
+
+  logger.info({ user_id: userId, address_type: addressType }, 'Email verification sent');
+  return { address_type: addressType, email: address.email, expires_at: expiresAt };
+}
+
+/**
+ * Spend a verification token. Returns null for an unknown, expired or used
+ * token; otherwise the verified address, with `verified: false` if it was
+ * changed after the link was sent.
+ */
+export async function verifyToken(token) {
+  const result = await emailVerificationDB.consumeVerificationToken(hashVerificationToken(token));
+  if (!result) return null;
+
+  if (result.verified) {
+    await recordAudit({
+      action: 'verify_email',
+      entity: result.address_type === 'account' ? 'user' : 'student',
+      entity_id: result.address_type === 'account' ? result.user_id : result.student_id,
+      details: { address_type: result.address_type, email: result.email },
+    });
+  }
+
+  logger.info({ user_id: result.user_id, address_type: result.address_type, verified: result.verified }, 'Email verification token used');
+  return result;
+}
@@ -0,0 +1,144 @@
+/**
+ * Invite-based onboarding shared by the single and bulk invite endpoints
+ * (invitations.controller.js); activation itself is POST /api/auth/activate.
+ *
+ * An invited user is created inactive with a password nobody knows. The
+ * emailed link carries a random token of which only the SHA-256 is stored
+ * (like password reset links); resending replaces it.
+ *
+ * Configuration:
+ *   ACTIVATION_URL            frontend page that reads ?token= (default http://localhost:3000/activate)
+ *   INVITATION_LIFETIME_DAYS  how long a link stays valid (default 7)
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import logger from '../../utils/logger.js';
+import { AppError } from '../../utils/errors.js';
+import * as usersDB from '../../db/users.db.js';
+import * as invitationsDB from '../../db/invitations.db.js';
+import { sendMail } from '../mail/mailer.js';
+import { invitationEmail } from '../mail/templates.js';
+
+const TOKEN_BYTES = 32;
+const BCRYPT_ROUNDS = 12;
+const DEFAULT_LIFETIME_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const INVITATION_TOKEN_LENGTH = TOKEN_BYTES * 2;
+
+function getLifetimeDays() {
+  const days = parseInt(process.env.INVITATION_LIFETIME_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_LIFETIME_DAYS;
+}
+
+function buildActivationUrl(token) {
+  const url = new URL(process.env.ACTIVATION_URL || 'http://localhost:3000/activate');
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+export function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newInvitationToken() {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+  return {
+    token,
+    tokenHash: hashInvitationToken(token),
+    expiresAt: new Date(Date.now() + getLifetimeDays() * DAY_MS),
+  };
+}
+
+/**
+ * Email the activation link. Delivery failures are logged and reported, not
+ * thrown: the invitation exists and can be resent.
+ */
+async function deliverInvitation(user, token, inviter) {
+  try {
+    await sendMail({
+      to: user.email,
+      ...invitationEmail({
+        username: user.username,
+        activationUrl: buildActivationUrl(token),
+        expiresInDays: getLifetimeDays(),
+        invitedBy: inviter?.username,
+      }),
+    });
+    return true;
+  } catch (err) {
+    logger.error({ error: err.message, user_id: user.user_id }, 'Failed to send invitation email');
+    return false;
+  }
+}
+
+/**
+ * Create an inactive user and email them an activation link.
+ * Throws AppError (409) when the email or student ID is already taken.
+ *
+ * @param {{ username: string, email: string, role_id: number, student_id?: string }} invitee
+ * @param {{ user_id: number, username: string }} inviter
+ * @returns {Promise<{ user: object, expires_at: Date, email_sent: boolean }>}
+ */
+export async function inviteUser(invitee, inviter) {
+  const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), BCRYPT_ROUNDS);
+
+  const created = await usersDB.createUser({
+    ...invitee,
+    password_hash: unusableHash,
+    is_active: false,
+  });
+  const user = created.data;
+
+  const { token, tokenHash, expiresAt } = newInvitationToken();
+  try {
+    await invitationsDB.createInvitation({
+      user_id: user.user_id,
+      token_hash: tokenHash,
+      invited_by: inviter?.user_id,
+      expires_at: expiresAt,
+    });
+  } catch (err) {
+    // Without an invitation nobody could ever activate the account
+    await usersDB.deleteUser(user.user_id).catch((deleteErr) => {
+      logger.error({ error: deleteErr.message, user_id: user.user_id }, 'Failed to remove user after invitation error');
+    });
+    throw err;
+  }
+
+  const emailSent = await deliverInvitation(user, token, inviter);
+  logger.info({ user_id: user.user_id, invited_by: inviter?.user_id, email_sent: emailSent }, 'User invited');
+
+  return { user, expires_at: expiresAt, email_sent: emailSent };
+}
+
+/**
+ * Send a new link for a pending or expired invitation; the previous link stops working.
+ * @returns {Promise<{ invitation: object, email_sent: boolean }>}
+ */
+export async function resendInvitation(userId, inviter) {
+  const existing = await invitationsDB.getInvitationByUserId(userId);
+  if (!existing.success) {
+    throw new AppError(404, 'Invitation not found');
+  }
+  if (['accepted', 'revoked'].includes(existing.data.status)) {
+    throw new AppError(409, `Invitation has already been ${existing.data.status}`);
+  }
+
+  const { token, tokenHash, expiresAt } = newInvitationToken();
+  const reissued = await invitationsDB.reissueInvitation({
+    user_id: userId,
+    token_hash: tokenHash,
+    invited_by: inviter?.user_id,
+    expires_at: expiresAt,
+  });
+
+  const emailSent = await deliverInvitation(existing.data, token, inviter);
+  logger.info({ user_id: userId, send_count: reissued.data.send_count, email_sent: emailSent }, 'Invitation resent');
+
+  return {
+    invitation: { ...existing.data, ...reissued.data, status: 'pending' },
+    email_sent: emailSent,
+  };
+}
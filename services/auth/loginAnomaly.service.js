@@ -0,0 +1,151 @@
+/**
+ * Login anomaly detection. Every successful login (password, 2FA or SSO) is
+ * compared with the account's logins over the last 90 days:
+ *
+ *   new_device           user agent not seen before (version numbers ignored,
+ *                        so browser updates don't count)
+ *   new_network          IP outside every /24 (IPv4) or /48 (IPv6) seen before
+ *   login_after_lockout  first login within a day of the account being locked
+ *
+ * The first two need an earlier login to compare with, so a first-ever login
+ * is never flagged for them. Anything unusual is recorded as a
+ * 'suspicious_login' security event, and the user gets an in-app notification
+ * and an email.
+ *
+ * Configuration:
+ *   LOGIN_ALERT_EMAILS  'false' to notify in-app only
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import logger from '../../utils/logger.js';
+import * as loginHistoryDB from '../../db/login_history.db.js';
+import * as securityEventsDB from '../../db/security_events.db.js';
+import * as notificationsDB from '../../db/notifications.db.js';
+import { sendMail } from '../mail/mailer.js';
+import { loginAlertEmail } from '../mail/templates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 90;
+const LOCKOUT_WINDOW_MS = DAY_MS;
+
+// How long login_history is kept (see services/scheduler/jobs.js)
+export const LOGIN_HISTORY_RETENTION_DAYS = 180;
+
+const REASONS = {
+  new_device: 'Signed in from a device or browser not used on this account recently',
+  new_network: 'Signed in from a network (IP range) not used on this account recently',
+  login_after_lockout: 'Signed in shortly after the account was locked for too many failed attempts',
+};
+
+/** Hash of the user agent with version numbers stripped. */
+export function deviceHash(userAgent) {
+  const normalized = String(userAgent || '')
+    .toLowerCase()
+    .replace(/\d+([._]\d+)*/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function severityOf(anomalies) {
+  if (anomalies.includes('login_after_lockout')) return 'high';
+  if (anomalies.includes('new_device') && anomalies.includes('new_network')) return 'high';
+  return 'medium';
+}
+
+async function notifyUser(user, anomalies, { ip, userAgent, method, at }) {
+  const reasons = anomalies.map((anomaly) => REASONS[anomaly]);
+
+  await notificationsDB.createNotification({
+    user_id: user.user_id,
+    category: 'security',
+    title: 'Unusual sign-in to your account',
+    body: `${reasons.join('. ')}. If this wasn't you, change your password and sign out of your other sessions.`,
+    data: { anomalies, ip_address: ip, user_agent: userAgent, method, at },
+  });
+
+  if (!user.email || process.env.LOGIN_ALERT_EMAILS === 'false') return;
+  try {
+    await sendMail({
+      to: user.email,
+      ...loginAlertEmail({
+        username: user.username,
+        reasons,
+        when: at,
+        ipAddress: ip,
+        userAgent,
+      }),
+    });
+  } catch (err) {
+    logger.error({ error: err.message, user_id: user.user_id }, 'Failed to send login alert email');
+  }
+}
+
+/**
+ * Compare a successful login with the account's history, record it, and
+ * report anything unusual. Never throws: a failure here must not fail the login.
+ *
+ * @param {{ user_id: number, username: string, email?: string }} user
+ * @param {{ ip?: string, userAgent?: string, method: 'password'|'mfa'|'oidc' }} context
+ * @returns {Promise<string[]>} the anomalies found
+ */
+export async function assessLogin(user, { ip: rawIp, userAgent, method }) {
+  // Anything that isn't an address would fail the inet cast in the history queries
+  const ip = rawIp && net.isIP(rawIp) ? rawIp : null;
+  try {
+    const now = Date.now();
+    const hash = deviceHash(userAgent);
+
+    const baseline = await loginHistoryDB.getLoginBaseline(user.user_id, {
+      ipAddress: ip,
+      deviceHash: hash,
+      since: new Date(now - LOOKBACK_DAYS * DAY_MS),
+      lockoutSince: new Date(now - LOCKOUT_WINDOW_MS),
+    });
+
+    const anomalies = [];
+    if (baseline.prior_logins > 0) {
+      if (!baseline.known_device) anomalies.push('new_device');
+      if (ip && !baseline.known_network) anomalies.push('new_network');
+    }
+    if (baseline.lockout_at) anomalies.push('login_after_lockout');
+
+    const login = await loginHistoryDB.recordLogin({
+      user_id: user.user_id,
+      method,
+      ip_address: ip,
+      user_agent: userAgent,
+      device_hash: hash,
+      anomalies,
+    });
+
+    if (anomalies.length === 0) return anomalies;
+
+    await securityEventsDB.recordSecurityEvent({
+      user_id: user.user_id,
+      event_type: 'suspicious_login',
+      severity: severityOf(anomalies),
+      ip_address: ip,
+      user_agent: userAgent,
+      details: {
+        anomalies,
+        method,
+        login_id: login.login_id,
+        ip_network: login.ip_network,
+        lockout_at: baseline.lockout_at,
+      },
+    });
+    await notifyUser(user, anomalies, { ip, userAgent, method, at: new Date(login.created_at).toISOString() });
+
+    return anomalies;
+  } catch (err) {
+    logger.error({ error: err.message, stack: err.stack, user_id: user.user_id }, 'Login anomaly check failed');
+    return [];
+  }
+}
+
+/** Drop login history past its retention period. Returns the number removed. */
+export async function pruneLoginHistory() {
+  return loginHistoryDB.deleteLoginsBefore(new Date(Date.now() - LOGIN_HISTORY_RETENTION_DAYS * DAY_MS));
+}
@@ -0,0 +1,79 @@
+/**
+ * TOTP two-factor logic shared by the login step (auth.controller.js) and
+ * the self-service /api/auth/mfa endpoints (mfa.controller.js).
+ */
+
+import * as mfaDB from '../../db/mfa.db.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Create a pending secret for a user who has not enabled MFA yet.
+ * @returns {Promise<{ secret: string, otpauth_uri: string } | null>} null if already enabled
+ */
+export const beginEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  const saved = await mfaDB.savePendingSecret(user.user_id, encryptTotpSecret(secret));
+  if (!saved) return null;
+
+  return {
+    secret,
+    otpauth_uri: buildOtpauthUri(secret, user.email || user.username),
+  };
+};
+
+/**
+ * Check a TOTP code against the stored secret and burn its time step.
+ */
+export const verifyCode = async (userId, code, state = null) => {
+  const mfa = state || await mfaDB.getMfaState(userId);
+  if (!mfa?.secret_encrypted) return false;
+
+  const step = verifyTotp(decryptTotpSecret(mfa.secret_encrypted), code, mfa.last_used_step);
+  if (step === null) return false;
+
+  return mfaDB.markStepUsed(userId, step);
+};
+
+/**
+ * Issue a new set of recovery codes, replacing any existing ones.
+ * @returns {Promise<string[]>} plain codes — shown to the user once
+ */
+export const issueRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  await mfaDB.replaceRecoveryCodes(userId, codes.map(hashRecoveryCode));
+  return codes;
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ * @returns {Promise<string[] | null>} recovery codes, or null if the code is wrong
+ */
+export const completeEnrollment = async (userId, code) => {
+  const mfa = await mfaDB.getMfaState(userId);
+  if (!mfa?.secret_encrypted || mfa.enabled) return null;
+
+  if (!await verifyCode(userId, code, mfa)) return null;
+
+  await mfaDB.enableMfa(userId);
+  return issueRecoveryCodes(userId);
+};
+
+/**
+ * Verify the second factor of an enrolled user: a TOTP code or a recovery code.
+ */
+export const verifySecondFactor = async (userId, { code, recovery_code: recoveryCode }) => {
+  if (recoveryCode) {
+    return mfaDB.consumeRecoveryCode(userId, hashRecoveryCode(recoveryCode));
+  }
+  return verifyCode(userId, code);
+};
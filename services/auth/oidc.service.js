@@ -0,0 +1,326 @@
+/**
+ * OpenID Connect single sign-on — authorization code flow with PKCE (S256).
+ *
+ * Works with any standards-compliant provider (Google Workspace, Microsoft
+ * Entra ID single-tenant, or a local mock such as mock-oauth2-server) found
+ * through `${OIDC_ISSUER}/.well-known/openid-configuration`.
+ *
+ *   OIDC_ISSUER                   issuer URL; SSO is off when unset
+ *   OIDC_CLIENT_ID                required
+ *   OIDC_CLIENT_SECRET            optional; without it the app is a public client
+ *   OIDC_REDIRECT_URI             this API's callback, e.g. https://api.example.edu/api/auth/oidc/callback
+ *   OIDC_SCOPES                   default "openid email profile"
+ *   OIDC_ALLOWED_DOMAINS          comma-separated email domains; empty allows any
+ *   OIDC_REQUIRE_EMAIL_VERIFIED   default true; Entra ID sends no email_verified claim
+ *   OIDC_AUTO_PROVISION           default true; create STUDENT users matched by college_email
+ *   OIDC_POST_LOGIN_REDIRECT      frontend URL to land on afterwards
+ *
+ * Plain-http issuers are accepted outside production so a local mock works.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import logger from '../../utils/logger.js';
+import { AppError } from '../../utils/errors.js';
+import * as oidcDB from '../../db/oidc.db.js';
+import * as usersDB from '../../db/users.db.js';
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+// Unknown kids trigger a JWKS refetch, but not more often than this
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const BCRYPT_ROUNDS = 12;
+const STUDENT_ROLE = 'STUDENT';
+
+/**
+ * SSO failure with a short machine-readable reason, passed to the frontend
+ * as `?sso_error=<reason>`.
+ */
+export class SsoError extends AppError {
+  constructor(reason, message, statusCode = 401) {
+    super(statusCode, message);
+    this.reason = reason;
+  }
+}
+
+// ─── Configuration ──────────────────────────────────────────────────────────────
+
+const envFlag = (name, fallback) => {
+  const value = process.env[name]?.trim().toLowerCase();
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return fallback;
+};
+
+export function getOidcConfig() {
+  return {
+    issuer: process.env.OIDC_ISSUER?.trim().replace(/\/+$/, '') || null,
+    clientId: process.env.OIDC_CLIENT_ID?.trim() || null,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI?.trim() || null,
+    scopes: process.env.OIDC_SCOPES?.trim() || 'openid email profile',
+    allowedDomains: (process.env.OIDC_ALLOWED_DOMAINS || '')
+      .split(',')
+      .map((domain) => domain.trim().toLowerCase())
+      .filter(Boolean),
+    requireEmailVerified: envFlag('OIDC_REQUIRE_EMAIL_VERIFIED', true),
+    autoProvision: envFlag('OIDC_AUTO_PROVISION', true),
+    postLoginRedirect: process.env.OIDC_POST_LOGIN_REDIRECT?.trim() || 'http://localhost:5173/',
+  };
+}
+
+export function isOidcEnabled() {
+  const config = getOidcConfig();
+  return Boolean(config.issuer && config.clientId && config.redirectUri);
+}
+
+// ─── Provider metadata ──────────────────────────────────────────────────────────
+
+let discoveryCache = null; // { issuer, metadata, fetchedAt }
+let jwksCache = null;      // { uri, keys, fetchedAt }
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`${url} responded ${response.status}: ${detail}`);
+  }
+  return body;
+}
+
+async function getProviderMetadata() {
+  const { issuer } = getOidcConfig();
+  if (discoveryCache?.issuer === issuer && Date.now() - discoveryCache.fetchedAt < DISCOVERY_TTL_MS) {
+    return discoveryCache.metadata;
+  }
+
+  if (process.env.NODE_ENV === 'production' && !issuer.startsWith('https://')) {
+    throw new Error('OIDC_ISSUER must use https in production');
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer?.replace(/\/+$/, '') !== issuer) {
+    throw new Error(`OIDC discovery issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+  }
+
+  discoveryCache = { issuer, metadata, fetchedAt: Date.now() };
+  return metadata;
+}
+
+async function getSigningKey(kid) {
+  const { jwks_uri: uri } = await getProviderMetadata();
+
+  const findKey = () => {
+    const keys = jwksCache.keys.filter((key) => key.use !== 'enc');
+    // A token without kid is only acceptable when there is a single candidate
+    return kid ? keys.find((key) => key.kid === kid) : (keys.length === 1 ? keys[0] : null);
+  };
+
+  const stale = !jwksCache || jwksCache.uri !== uri || Date.now() - jwksCache.fetchedAt > JWKS_TTL_MS;
+  if (stale) {
+    jwksCache = { uri, keys: (await fetchJson(uri)).keys || [], fetchedAt: Date.now() };
+  }
+
+  let jwk = findKey();
+  if (!jwk && Date.now() - jwksCache.fetchedAt > JWKS_MIN_REFRESH_MS) {
+    // Provider may have rotated its keys since we last looked
+    jwksCache = { uri, keys: (await fetchJson(uri)).keys || [], fetchedAt: Date.now() };
+    jwk = findKey();
+  }
+
+  if (!jwk) {
+    throw new SsoError('invalid_token', `No signing key found for kid ${kid}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// ─── Authorization request ──────────────────────────────────────────────────────
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Build the provider redirect plus the values the callback must check.
+ * @returns {Promise<{ url: string, state: string, nonce: string, codeVerifier: string }>}
+ */
+export async function createAuthorizationRequest() {
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata();
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken(48);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+// ─── Callback ───────────────────────────────────────────────────────────────────
+
+/**
+ * Exchange the authorization code and return the verified ID token claims.
+ */
+export async function completeAuthorization({ code, codeVerifier, nonce }) {
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata();
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (config.clientSecret) {
+    form.set('client_secret', config.clientSecret);
+  }
+
+  let tokens;
+  try {
+    tokens = await fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: form.toString(),
+    });
+  } catch (err) {
+    logger.warn({ error: err.message }, 'OIDC code exchange failed');
+    throw new SsoError('exchange_failed', 'Could not complete sign-in with the identity provider');
+  }
+
+  if (!tokens?.id_token) {
+    throw new SsoError('invalid_token', 'Identity provider returned no ID token');
+  }
+
+  return verifyIdToken(tokens.id_token, { nonce, issuer: metadata.issuer });
+}
+
+async function verifyIdToken(idToken, { nonce, issuer }) {
+  const { clientId } = getOidcConfig();
+
+  const header = jwt.decode(idToken, { complete: true })?.header;
+  if (!header) {
+    throw new SsoError('invalid_token', 'Malformed ID token');
+  }
+
+  let claims;
+  try {
+    const key = await getSigningKey(header.kid);
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer,
+      audience: clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (err) {
+    if (err instanceof SsoError) throw err;
+    logger.warn({ error: err.message }, 'OIDC ID token rejected');
+    throw new SsoError('invalid_token', 'ID token could not be verified');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new SsoError('invalid_token', 'ID token nonce mismatch');
+  }
+  // With several audiences the token must have been issued to us
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new SsoError('invalid_token', 'ID token authorized party mismatch');
+  }
+
+  return claims;
+}
+
+// ─── Account mapping ────────────────────────────────────────────────────────────
+
+function checkEmail(claims) {
+  const config = getOidcConfig();
+  const email = claims.email?.trim().toLowerCase();
+
+  if (!email) {
+    throw new SsoError('email_missing', 'The identity provider did not share an email address', 403);
+  }
+  if (config.requireEmailVerified && claims.email_verified !== true && claims.email_verified !== 'true') {
+    throw new SsoError('email_unverified', 'Your email address is not verified with the identity provider', 403);
+  }
+
+  const domain = email.split('@')[1];
+  if (config.allowedDomains.length > 0 && !config.allowedDomains.includes(domain)) {
+    throw new SsoError('domain_not_allowed', 'Sign in with your college account', 403);
+  }
+  return email;
+}
+
+async function provisionStudentUser(student, email, claims) {
+  const roleId = await oidcDB.getRoleIdByName(STUDENT_ROLE);
+  if (!roleId) {
+    throw new Error(`Role ${STUDENT_ROLE} does not exist`);
+  }
+
+  // Nobody knows this password; the student can set one via forgot-password
+  const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), BCRYPT_ROUNDS);
+
+  const created = await usersDB.createUser({
+    username: student.full_name || claims.name || email.split('@')[0],
+    password_hash: unusableHash,
+    email,
+    role_id: roleId,
+    student_id: student.student_id,
+  });
+
+  logger.info({ user_id: created.data.user_id, student_id: student.student_id }, 'OIDC: provisioned student user');
+  return oidcDB.findUserByIdForSso(created.data.user_id);
+}
+
+/**
+ * Find (or create) the local user for verified ID token claims:
+ *   1. a user already linked to this issuer + subject
+ *   2. a user with this email
+ *   3. the user linked to the student with this college_email
+ *   4. a new STUDENT user for that student, when auto-provisioning is on
+ * The identity is linked on every success.
+ *
+ * @returns {Promise<{ user: object, provisioned: boolean }>}
+ */
+export async function resolveSsoUser(claims) {
+  const config = getOidcConfig();
+  const email = checkEmail(claims);
+  const identity = { issuer: claims.iss, subject: String(claims.sub), email };
+
+  let user = await oidcDB.findUserByIdentity(identity.issuer, identity.subject);
+  let provisioned = false;
+
+  if (!user) {
+    user = await oidcDB.findUserByEmailInsensitive(email);
+  }
+
+  if (!user) {
+    const student = await oidcDB.findStudentByCollegeEmail(email);
+    if (student?.user_id) {
+      user = await oidcDB.findUserByIdForSso(student.user_id);
+    } else if (student && config.autoProvision) {
+      user = await provisionStudentUser(student, email, claims);
+      provisioned = true;
+    }
+  }
+
+  if (!user) {
+    throw new SsoError('no_account', 'No account is associated with this email', 403);
+  }
+
+  await oidcDB.linkIdentity({ user_id: user.user_id, ...identity });
+  return { user, provisioned };
+}
@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import { redis } from "../../db/redis.js";
+import logger from "../../utils/logger.js";
+import { rateLimitFallbackTotal } from "../../utils/metrics.js";
+
+// ──────── Redis key ────────
+// Pattern:  ratelimit:{policy}:{scope}:{id}  →  sorted set of request timestamps (ms)
+//
+// Sliding-window log: every accepted request is a member scored by its
+// timestamp; members older than the window are trimmed before counting.
+const rateLimitKey = (key) => `ratelimit:${key}`;
+
+const isRedisReady = () => redis.status === "ready";
+
+// Trim, count and (if under the limit) record the hit atomically.
+// Returns { count, allowed (1/0), oldest timestamp in the window }.
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local member = ARGV[4]
+
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local count = redis.call('ZCARD', key)
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', key, now, member)
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', key, window)
+
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+return { count, allowed, tonumber(oldest[2] or now) }
+`;
+
+// ──────── In-memory fallback ────────
+// Used while Redis is unavailable. Per-process only, so limits are looser
+// when several instances run, but requests are never left unlimited.
+const memoryWindows = new Map();
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+// Longer than any configured window; idle keys past this are dropped
+const MEMORY_IDLE_TTL_MS = 60 * 60 * 1000;
+
+const hitMemory = (key, windowMs, limit, now) => {
+  const timestamps = (memoryWindows.get(key) || []).filter((ts) => ts > now - windowMs);
+  const allowed = timestamps.length < limit;
+  if (allowed) timestamps.push(now);
+  memoryWindows.set(key, timestamps);
+
+  return { count: timestamps.length, allowed, oldest: timestamps[0] ?? now };
+};
+
+const sweepTimer = setInterval(() => {
+  const now = Date.now();
+  for (const [key, timestamps] of memoryWindows) {
+    if (!timestamps.length || timestamps[timestamps.length - 1] < now - MEMORY_IDLE_TTL_MS) {
+      memoryWindows.delete(key);
+    }
+  }
+}, MEMORY_SWEEP_INTERVAL_MS);
+sweepTimer.unref();
+
+/**
+ * Record a request against a sliding window.
+ * @param {string} key — e.g. "login:ip:203.0.113.7"
+ * @param {number} windowMs
+ * @param {number} limit — max requests per window
+ * @returns {Promise<{ count: number, allowed: boolean, resetAt: number }>} resetAt in epoch ms
+ */
+export async function hitRateLimit(key, windowMs, limit) {
+  const now = Date.now();
+
+  if (isRedisReady()) {
+    try {
+      const member = `${now}-${crypto.randomUUID()}`;
+      const [count, allowed, oldest] = await redis.eval(
+        SLIDING_WINDOW_SCRIPT, 1, rateLimitKey(key), now, windowMs, limit, member
+      );
+      return { count, allowed: allowed === 1, resetAt: Number(oldest) + windowMs };
+    } catch (error) {
+      logger.warn({ key, error: error.message }, "Rate limit check failed in Redis, using in-memory fallback");
+    }
+  }
+
+  rateLimitFallbackTotal.inc();
+  const { count, allowed, oldest } = hitMemory(key, windowMs, limit, now);
+  return { count, allowed, resetAt: oldest + windowMs };
+}
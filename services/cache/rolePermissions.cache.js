@@ -0,0 +1,104 @@
+import { redis } from "../../db/redis.js";
+import logger from "../../utils/logger.js";
+import { getPermissionNamesByRoleId } from "../../db/role_permissions.db.js";
+
+// ──────── Redis key ────────
+// Pattern:  role:{roleId}:permissions  →  JSON array of permission names
+const ROLE_PERMISSIONS_TTL_SECONDS = 10 * 60;
+const rolePermissionsKey = (roleId) => `role:${roleId}:permissions`;
+
+const isRedisReady = () => redis.status === "ready";
+
+// Without a connection, commands queue until Redis returns; don't hold the
+// request for that. Entries left behind expire after ROLE_PERMISSIONS_TTL_SECONDS.
+const skipInvalidation = (context) => {
+  if (isRedisReady()) return false;
+  logger.warn({ ...context, redisStatus: redis.status }, "Redis unavailable; role permissions cache not invalidated");
+  return true;
+};
+
+const readFromCache = async (roleId) => {
+  if (!isRedisReady()) return null;
+
+  try {
+    const cachedValue = await redis.get(rolePermissionsKey(roleId));
+    return cachedValue ? JSON.parse(cachedValue) : null;
+  } catch (error) {
+    logger.warn({
+      roleId,
+      error: error.message,
+    }, "Failed to read role permissions from Redis");
+    return null;
+  }
+};
+
+const writeToCache = async (roleId, permissions) => {
+  if (!isRedisReady()) return;
+
+  try {
+    await redis.set(
+      rolePermissionsKey(roleId),
+      JSON.stringify(permissions),
+      "EX",
+      ROLE_PERMISSIONS_TTL_SECONDS
+    );
+  } catch (error) {
+    logger.warn({
+      roleId,
+      error: error.message,
+    }, "Failed to cache role permissions in Redis");
+  }
+};
+
+/**
+ * Resolve the permission names granted to a role.
+ * Reads through Redis; falls back to PostgreSQL when Redis is unavailable.
+ */
+export async function getRolePermissionNames(roleId) {
+  if (!roleId) return [];
+
+  const cached = await readFromCache(roleId);
+  if (cached) return cached;
+
+  const permissions = await getPermissionNamesByRoleId(roleId);
+  await writeToCache(roleId, permissions);
+  return permissions;
+}
+
+/**
+ * Drop the cached permissions of a single role.
+ * Call after any change to that role's role_permissions rows.
+ */
+export async function invalidateRolePermissions(roleId) {
+  if (skipInvalidation({ roleId })) return;
+
+  try {
+    await redis.del(rolePermissionsKey(roleId));
+    logger.info({ roleId }, "Role permissions cache invalidated");
+  } catch (error) {
+    logger.warn({
+      roleId,
+      error: error.message,
+    }, "Failed to invalidate role permissions cache");
+  }
+}
+
+/**
+ * Drop the cached permissions of every role.
+ * Used when a permission itself is renamed or deleted.
+ */
+export async function invalidateAllRolePermissions() {
+  if (skipInvalidation({})) return;
+
+  try {
+    let cursor = "0";
+    do {
+      const [nextCursor, keys] = await redis.scan(cursor, "MATCH", "role:*:permissions", "COUNT", 100);
+      if (keys.length) await redis.del(...keys);
+      cursor = nextCursor;
+    } while (cursor !== "0");
+    logger.info("All role permissions caches invalidated");
+  } catch (error) {
+    logger.warn({ error: error.message }, "Failed to invalidate role permissions caches");
+  }
+}
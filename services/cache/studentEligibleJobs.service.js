@@ -4,13 +4,21 @@ import logger from "../../utils/logger.js";
 
 // ──────── Redis key ────────
 // Pattern:  student:{studentId}:jobs  →  Sorted Set (score = deadline, value = jobId)
-const studentJobsKey = (studentId) => `student:${studentId.toUpperCase()}:jobs`;
+// Written by services/eligibility/eligibilityCache.service.js
+export const studentJobsKey = (studentId) => `student:${studentId.toUpperCase()}:jobs`;
 
 // ──────── READ: get job IDs + deadline scores from Redis ────────
 
+// Jobs stay in the set until their deadline passes; the nightly rebuild would
+// only drop them the next morning, so expired ones are pruned on every read.
 async function getEligibleJobIdsWithScores(studentId) {
     const key = studentJobsKey(studentId);
-    const raw = await redis.zrange(key, 0, -1, "WITHSCORES");
+    const now = Date.now();
+    const [[pruneError], [readError, raw]] = await redis.multi()
+        .zremrangebyscore(key, "-inf", `(${now}`)
+        .zrangebyscore(key, now, "+inf", "WITHSCORES")
+        .exec();
+    if (pruneError || readError) throw pruneError || readError;
 
     // raw = ["101", "1741219200000", "105", "1741824000000", …]
     const result = [];
@@ -46,7 +54,8 @@ const JOB_DETAILS_QUERY = `
 // ──────── Main dashboard function ────────
 
 /**
- * 1. ZRANGE student:{id}:jobs 0 -1 WITHSCORES  →  job IDs from Redis
+ * 1. ZRANGEBYSCORE student:{id}:jobs now +inf   →  job IDs from Redis
+ *    (ZREMRANGEBYSCORE first drops jobs whose deadline has passed)
  * 2. SELECT … WHERE job_id = ANY(…)            →  full details from PostgreSQL
  *
  * Returns { jobs: [ { job_id, company_name, … } ], count }
@@ -0,0 +1,263 @@
+/**
+ * Student ↔ job eligibility, judged in-process from PostgreSQL.
+ *
+ * A student is eligible for a job when every criterion of its requirements
+ * holds:
+ *
+ *   graduation_year  the student's batch is the job's year_of_graduation
+ *   branch           the student's branch is allowed (ALL, or no branches
+ *                    listed, allows every branch); renamed branches match
+ *                    under their old and new codes
+ *   tenth_percent    at least the minimum 10th percentage
+ *   twelfth_percent  at least the minimum 12th percentage; a diploma
+ *                    percentage counts for students without a 12th
+ *   ug_cgpa          at least the minimum UG CGPA
+ *   backlogs         current arrears no more than backlogs_allowed
+ *   experience       internship experience of at least min_experience_yrs
+ *
+ * A criterion the job doesn't set always holds. Whether the job is still
+ * taking applications is not part of eligibility.
+ */
+
+import { AppError } from '../../utils/errors.js';
+import * as eligibilityDB from '../../db/eligibility.db.js';
+import { resolveBranchCodes } from '../../db/branches.db.js';
+
+const WILDCARD_BRANCH = 'ALL';
+
+/** Criteria in the order evaluateEligibility checks them. */
+export const ELIGIBILITY_CRITERIA = Object.freeze([
+  'graduation_year',
+  'branch',
+  'tenth_percent',
+  'twelfth_percent',
+  'ug_cgpa',
+  'backlogs',
+  'experience',
+]);
+
+const round = (value, digits = 2) => (value === null || value === undefined ? value : Number(Number(value).toFixed(digits)));
+
+/**
+ * Build a function mapping any branch code (current or previous) to the
+ * branch's current code, for the branches of these students and jobs.
+ */
+export async function createBranchResolver(profiles, jobs) {
+  const codes = [
+    ...profiles.map((profile) => profile.branch),
+    ...jobs.flatMap((job) => job.allowed_branches || []),
+  ].filter(Boolean).map((code) => String(code).trim().toUpperCase());
+
+  const resolved = await resolveBranchCodes(codes);
+  const current = new Map(resolved.map((row) => [row.code, row.current_code]));
+
+  return (code) => {
+    const upper = String(code ?? '').trim().toUpperCase();
+    return current.get(upper) ?? upper;
+  };
+}
+
+/**
+ * Judge one student against one job.
+ *
+ * @param {object} profile   a row from eligibilityDB.getEligibilityProfiles
+ * @param {object} job       a row from eligibilityDB.getEligibilityJobs
+ * @param {(code: string) => string} [canonicalBranch]  see createBranchResolver
+ * @returns {{ student_id: string, job_id: number, eligible: boolean,
+ *             checks: { criterion: string, required: any, actual: any, passed: boolean, reason?: string }[],
+ *             reasons: string[] }}
+ */
+export function evaluateEligibility(profile, job, canonicalBranch = (code) => String(code ?? '').trim().toUpperCase()) {
+  const checks = [];
+  const add = (criterion, required, actual, passed, reason) => {
+    checks.push(passed ? { criterion, required, actual, passed } : { criterion, required, actual, passed, reason });
+  };
+
+  // Minimum scores: unset or zero means no requirement
+  const atLeast = (criterion, label, required, actual) => {
+    const min = required === null || required === undefined || Number(required) <= 0 ? null : Number(required);
+    if (min === null) return add(criterion, null, round(actual), true);
+    if (actual === null || actual === undefined) {
+      return add(criterion, min, null, false, `No ${label} on record (minimum ${min})`);
+    }
+    const passed = Number(actual) >= min;
+    add(criterion, min, round(actual), passed, `${label} ${round(actual)} is below the minimum of ${min}`);
+  };
+
+  const batch = job.year_of_graduation ?? null;
+  add(
+    'graduation_year',
+    batch,
+    profile.graduation_year ?? null,
+    batch === null || Number(profile.graduation_year) === Number(batch),
+    `Open to the ${batch} batch only; student graduates in ${profile.graduation_year ?? 'an unknown year'}`
+  );
+
+  const allowed = (job.allowed_branches || []).map(canonicalBranch);
+  const branch = profile.branch ? canonicalBranch(profile.branch) : null;
+  const anyBranch = allowed.length === 0 || allowed.includes(WILDCARD_BRANCH);
+  add(
+    'branch',
+    anyBranch ? null : allowed,
+    branch,
+    anyBranch || (branch !== null && allowed.includes(branch)),
+    `Branch ${branch ?? '(none)'} is not among the allowed branches (${allowed.join(', ')})`
+  );
+
+  atLeast('tenth_percent', '10th percentage', job.tenth_percent, profile.tenth_percent);
+  atLeast('twelfth_percent', '12th / diploma percentage', job.twelfth_percent, profile.twelfth_percent ?? profile.diploma_percent);
+  atLeast('ug_cgpa', 'UG CGPA', job.ug_cgpa, profile.ug_cgpa);
+
+  const maxBacklogs = job.backlogs_allowed ?? null;
+  const arrears = profile.has_academics ? (profile.updated_arrears ?? 0) : null;
+  if (maxBacklogs === null) {
+    add('backlogs', null, arrears, true);
+  } else if (arrears === null) {
+    add('backlogs', maxBacklogs, null, false, `No academic record to check backlogs against (at most ${maxBacklogs} allowed)`);
+  } else {
+    add('backlogs', maxBacklogs, arrears, arrears <= maxBacklogs, `${arrears} active backlog(s); at most ${maxBacklogs} allowed`);
+  }
+
+  atLeast('experience', 'experience (years)', job.min_experience_yrs, profile.experience_years);
+
+  const reasons = checks.filter((check) => !check.passed).map((check) => check.reason);
+  return {
+    student_id: profile.student_id,
+    job_id: job.job_id,
+    eligible: reasons.length === 0,
+    checks,
+    reasons,
+  };
+}
+
+/**
+ * Check one student against one job.
+ * @throws {AppError} 404 if either doesn't exist
+ */
+export async function checkEligibility(studentId, jobId) {
+  const [[profile], [job]] = await Promise.all([
+    eligibilityDB.getEligibilityProfiles([studentId]),
+    eligibilityDB.getEligibilityJobs([jobId]),
+  ]);
+  if (!profile) throw new AppError(404, `Student ${studentId} not found`);
+  if (!job) throw new AppError(404, `Job ${jobId} not found`);
+
+  const canonicalBranch = await createBranchResolver([profile], [job]);
+  return {
+    ...evaluateEligibility(profile, job, canonicalBranch),
+    full_name: profile.full_name,
+    job_title: job.job_title,
+    company_name: job.company_name,
+    application_deadline: job.application_deadline,
+    is_open: job.is_open,
+  };
+}
+
+/**
+ * Check many students against one job (every student when `student_ids` is
+ * not given), or — without a `job_id` — the given students against every
+ * job still taking applications.
+ *
+ * @param {{ job_id?: number, student_ids?: string[] }} params
+ * @throws {AppError} 404 if the job doesn't exist
+ */
+export async function checkEligibilityBulk({ job_id, student_ids }) {
+  const jobs = job_id
+    ? await eligibilityDB.getEligibilityJobs([job_id])
+    : await eligibilityDB.getEligibilityJobs(null, { openOnly: true });
+  if (job_id && jobs.length === 0) throw new AppError(404, `Job ${job_id} not found`);
+
+  const profiles = await eligibilityDB.getEligibilityProfiles(student_ids ?? null);
+  const found = new Set(profiles.map((profile) => profile.student_id.toUpperCase()));
+  const notFound = (student_ids || []).filter((id) => !found.has(id.toUpperCase()));
+
+  const canonicalBranch = await createBranchResolver(profiles, jobs);
+  const results = [];
+  for (const job of jobs) {
+    for (const profile of profiles) {
+      const { eligible, reasons } = evaluateEligibility(profile, job, canonicalBranch);
+      results.push({
+        job_id: job.job_id,
+        student_id: profile.student_id,
+        full_name: profile.full_name,
+        eligible,
+        reasons,
+      });
+    }
+  }
+
+  return {
+    jobs_checked: jobs.length,
+    students_checked: profiles.length,
+    eligible_count: results.filter((result) => result.eligible).length,
+    not_found: notFound,
+    results,
+  };
+}
+
+/**
+ * The one check a student failed, when they miss the job by exactly one
+ * criterion; null when they are eligible or fail more than one.
+ *
+ * @param {ReturnType<typeof evaluateEligibility>} evaluation
+ */
+export function nearMissOf(evaluation) {
+  const failed = evaluation.checks.filter((check) => !check.passed);
+  return failed.length === 1 ? failed[0] : null;
+}
+
+/**
+ * Students who miss a job by exactly one criterion, for placement officers
+ * deciding on relaxations. Optionally limited to one criterion.
+ *
+ * @param {number} jobId
+ * @param {{ criterion?: string }} [options]
+ * @throws {AppError} 404 if the job doesn't exist
+ */
+export async function findNearMisses(jobId, { criterion } = {}) {
+  const [job] = await eligibilityDB.getEligibilityJobs([jobId]);
+  if (!job) throw new AppError(404, `Job ${jobId} not found`);
+
+  const profiles = await eligibilityDB.getEligibilityProfiles();
+  const canonicalBranch = await createBranchResolver(profiles, [job]);
+
+  let eligibleCount = 0;
+  const byCriterion = Object.fromEntries(ELIGIBILITY_CRITERIA.map((name) => [name, 0]));
+  const nearMisses = [];
+
+  for (const profile of profiles) {
+    const evaluation = evaluateEligibility(profile, job, canonicalBranch);
+    if (evaluation.eligible) {
+      eligibleCount++;
+      continue;
+    }
+
+    const miss = nearMissOf(evaluation);
+    if (!miss) continue;
+
+    byCriterion[miss.criterion]++;
+    if (criterion && miss.criterion !== criterion) continue;
+
+    nearMisses.push({
+      student_id: profile.student_id,
+      full_name: profile.full_name,
+      branch: profile.branch,
+      criterion: miss.criterion,
+      required: miss.required,
+      actual: miss.actual,
+      reason: miss.reason,
+    });
+  }
+
+  return {
+    job_id: job.job_id,
+    job_title: job.job_title,
+    company_name: job.company_name,
+    is_open: job.is_open,
+    students_checked: profiles.length,
+    eligible_count: eligibleCount,
+    near_miss_count: nearMisses.length,
+    by_criterion: byCriterion,
+    near_misses: nearMisses,
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Keeps the eligible-jobs cache read by the student dashboard
+ * (../cache/studentEligibleJobs.service.js) up to date, using the in-process
+ * evaluator in ./eligibility.service.js:
+ *
+ *   student:{studentId}:jobs  sorted set of job ids the student is eligible
+ *                             for and can still apply to, scored by
+ *                             application deadline (ms)
+ *
+ * A job is refreshed for every student when its requirements change, and a
+ * student against every open job when their academics change (see
+ * subscribeToEligibilityChanges). Jobs whose deadline has passed are pruned
+ * when a set is read. The whole cache is rebuilt nightly
+ * (services/scheduler/jobs.js), which also drops the sets of students who no
+ * longer exist. Without Redis the refresh is skipped; the next rebuild
+ * catches up.
+ */
+
+import { redis } from '../../db/redis.js';
+import logger from '../../utils/logger.js';
+import * as eligibilityDB from '../../db/eligibility.db.js';
+import { studentJobsKey } from '../cache/studentEligibleJobs.service.js';
+import { eligibilityEvents, ELIGIBILITY_EVENTS } from '../events/eligibilityEvents.js';
+import { evaluateEligibility, createBranchResolver } from './eligibility.service.js';
+
+// Score for jobs without a deadline: the latest date JavaScript can represent
+const NO_DEADLINE_SCORE = 8.64e15;
+// Students written per Redis round trip
+const BATCH_SIZE = 500;
+const STUDENT_JOBS_PATTERN = studentJobsKey('*');
+
+const deadlineScore = (job) =>
+  (job.application_deadline ? new Date(job.application_deadline).getTime() : NO_DEADLINE_SCORE);
+
+const redisReady = (action) => {
+  if (redis.status === 'ready') return true;
+  logger.warn({ action, redisStatus: redis.status }, 'Redis unavailable; eligible-jobs cache not updated');
+  return false;
+};
+
+/** Open jobs a student is eligible for, as [score, jobId] pairs for ZADD. */
+const eligibleEntries = (profile, jobs, canonicalBranch) => jobs
+  .filter((job) => job.is_open && evaluateEligibility(profile, job, canonicalBranch).eligible)
+  .flatMap((job) => [deadlineScore(job), String(job.job_id)]);
+
+// Replace the cached sets of these students, BATCH_SIZE at a time
+const writeStudentSets = async (profiles, jobs) => {
+  const canonicalBranch = await createBranchResolver(profiles, jobs);
+  let eligiblePairs = 0;
+
+  for (let i = 0; i < profiles.length; i += BATCH_SIZE) {
+    const batch = redis.multi();
+    for (const profile of profiles.slice(i, i + BATCH_SIZE)) {
+      const key = studentJobsKey(profile.student_id);
+      const entries = eligibleEntries(profile, jobs, canonicalBranch);
+      batch.del(key);
+      if (entries.length > 0) batch.zadd(key, ...entries);
+      eligiblePairs += entries.length / 2;
+    }
+    await batch.exec();
+  }
+
+  return eligiblePairs;
+};
+
+// Delete cached sets whose student is not among these profiles
+const removeStaleStudentSets = async (profiles) => {
+  const current = new Set(profiles.map((profile) => studentJobsKey(profile.student_id)));
+  let removed = 0;
+  let cursor = '0';
+
+  do {
+    const [next, keys] = await redis.scan(cursor, 'MATCH', STUDENT_JOBS_PATTERN, 'COUNT', BATCH_SIZE);
+    const stale = keys.filter((key) => !current.has(key));
+    if (stale.length > 0) removed += await redis.del(...stale);
+    cursor = next;
+  } while (cursor !== '0');
+
+  return removed;
+};
+
+/**
+ * Re-evaluate one job for every student, adding it to or removing it from
+ * each student's set. Returns the number of students it is cached for.
+ */
+export async function refreshJobEligibility(jobId) {
+  if (!redisReady('refreshJobEligibility')) return null;
+
+  const [job] = await eligibilityDB.getEligibilityJobs([jobId]);
+  const profiles = await eligibilityDB.getEligibilityProfiles();
+  const canonicalBranch = await createBranchResolver(profiles, job ? [job] : []);
+  const member = String(jobId);
+  let eligible = 0;
+
+  for (let i = 0; i < profiles.length; i += BATCH_SIZE) {
+    const batch = redis.pipeline();
+    for (const profile of profiles.slice(i, i + BATCH_SIZE)) {
+      const key = studentJobsKey(profile.student_id);
+      if (job?.is_open && evaluateEligibility(profile, job, canonicalBranch).eligible) {
+        batch.zadd(key, deadlineScore(job), member);
+        eligible++;
+      } else {
+        batch.zrem(key, member);
+      }
+    }
+    await batch.exec();
+  }
+
+  logger.info({ jobId, students: profiles.length, eligible }, 'Job eligibility refreshed');
+  return eligible;
+}
+
+/**
+ * Recompute one student's set against every open job. Returns the number of
+ * jobs they are eligible for, or null if the student doesn't exist.
+ */
+export async function refreshStudentEligibility(studentId) {
+  if (!redisReady('refreshStudentEligibility')) return null;
+
+  const profiles = await eligibilityDB.getEligibilityProfiles([studentId]);
+  if (profiles.length === 0) {
+    await redis.del(studentJobsKey(studentId));
+    return null;
+  }
+
+  const jobs = await eligibilityDB.getEligibilityJobs(null, { openOnly: true });
+  const eligible = await writeStudentSets(profiles, jobs);
+
+  logger.info({ studentId, jobs: jobs.length, eligible }, 'Student eligibility refreshed');
+  return eligible;
+}
+
+/** Drop a student's set, e.g. once the student is deleted. */
+export async function removeStudentEligibility(studentId) {
+  if (!redisReady('removeStudentEligibility')) return;
+  await redis.del(studentJobsKey(studentId));
+}
+
+/**
+ * Recompute every student's set against every open job, and delete the sets
+ * of students that no longer exist.
+ * @returns {Promise<{ students: number, open_jobs: number, eligible_pairs: number, stale_removed: number }|null>}
+ */
+export async function rebuildEligibilityCache() {
+  if (!redisReady('rebuildEligibilityCache')) return null;
+
+  const [profiles, jobs] = await Promise.all([
+    eligibilityDB.getEligibilityProfiles(),
+    eligibilityDB.getEligibilityJobs(null, { openOnly: true }),
+  ]);
+  const eligiblePairs = await writeStudentSets(profiles, jobs);
+  const staleRemoved = await removeStaleStudentSets(profiles);
+
+  logger.info({ students: profiles.length, openJobs: jobs.length, eligiblePairs, staleRemoved }, 'Eligibility cache rebuilt');
+  return { students: profiles.length, open_jobs: jobs.length, eligible_pairs: eligiblePairs, stale_removed: staleRemoved };
+}
+
+// Event handlers run detached from the request that emitted the event
+const refreshInBackground = (refresh, context) => {
+  refresh().catch((error) => {
+    logger.warn({ ...context, error: error.message }, 'Eligible-jobs cache refresh failed');
+  });
+};
+
+/**
+ * Keep the cache in step with services/events/eligibilityEvents.js: a student
+ * whose academics change is re-evaluated against every open job, a deleted
+ * student's set is dropped, and a job whose requirements change is
+ * re-evaluated against every student. Called once at startup.
+ */
+export function subscribeToEligibilityChanges() {
+  eligibilityEvents.on(ELIGIBILITY_EVENTS.STUDENT_DELETED, ({ student_id: studentId, source }) => {
+    refreshInBackground(() => removeStudentEligibility(studentId), { studentId, source });
+  });
+
+  eligibilityEvents.on(ELIGIBILITY_EVENTS.STUDENT_ACADEMICS_CHANGED, ({ student_id: studentId, source }) => {
+    refreshInBackground(() => refreshStudentEligibility(studentId), { studentId, source });
+  });
+
+  eligibilityEvents.on(ELIGIBILITY_EVENTS.JOB_REQUIREMENTS_CHANGED, ({ job_id: jobId, source }) => {
+    refreshInBackground(() => refreshJobEligibility(jobId), { jobId, source });
+  });
+}
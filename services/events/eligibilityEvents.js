@@ -0,0 +1,39 @@
+/**
+ * In-process events for changes that alter which jobs a student is eligible
+ * for. Emitted once the change is committed; the eligible-jobs cache
+ * (services/eligibility/eligibilityCache.service.js) recomputes on them.
+ *
+ *   student-academics-changed  { student_id, source }
+ *       a student's academics, branch or batch changed, their academic
+ *       record was deleted, or an internship of theirs (their experience)
+ *       was added, changed or removed
+ *   student-deleted            { student_id, source }
+ *       the student no longer exists
+ *   job-requirements-changed   { job_id, source }
+ *       a job's requirements, batch or application deadline changed, or the
+ *       job was created or deleted
+ *
+ * `source` names the db function that made the change, for logs.
+ */
+
+import { EventEmitter } from 'node:events';
+
+export const ELIGIBILITY_EVENTS = Object.freeze({
+  STUDENT_ACADEMICS_CHANGED: 'student-academics-changed',
+  STUDENT_DELETED: 'student-deleted',
+  JOB_REQUIREMENTS_CHANGED: 'job-requirements-changed',
+});
+
+export const eligibilityEvents = new EventEmitter();
+
+export function emitStudentAcademicsChanged(studentId, source) {
+  eligibilityEvents.emit(ELIGIBILITY_EVENTS.STUDENT_ACADEMICS_CHANGED, { student_id: studentId, source });
+}
+
+export function emitStudentDeleted(studentId, source) {
+  eligibilityEvents.emit(ELIGIBILITY_EVENTS.STUDENT_DELETED, { student_id: studentId, source });
+}
+
+export function emitJobRequirementsChanged(jobId, source) {
+  eligibilityEvents.emit(ELIGIBILITY_EVENTS.JOB_REQUIREMENTS_CHANGED, { job_id: jobId, source });
+}
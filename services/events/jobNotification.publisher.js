@@ -0,0 +1,62 @@
+import logger from '../../utils/logger.js';
+import { publishEvent, TOPICS } from '../../utils/kafka.js';
+import { getNotificationAddresses } from '../../db/email_verification.db.js';
+import { notifyVerifiedEmailsOnly } from '../auth/emailVerification.service.js';
+
+/**
+ * Resolve who receives mail about a job. With NOTIFY_VERIFIED_EMAILS_ONLY
+ * set, unverified addresses are dropped and students left without any are
+ * reported as withheld rather than mailed.
+ */
+export async function resolveJobNotificationRecipients(studentIds) {
+  const verifiedOnly = notifyVerifiedEmailsOnly();
+  const addresses = await getNotificationAddresses(studentIds, { verifiedOnly });
+
+  const recipients = addresses.filter(({ emails }) => emails.length > 0);
+  const withheld = addresses.filter(({ emails }) => emails.length === 0).map(({ student_id }) => student_id);
+
+  return { verifiedOnly, recipients, withheld };
+}
+
+export function buildJobNotificationEvent({ jobId, recipients, timestamp }) {
+  return {
+    event: 'JOB_NOTIFICATION',
+    jobId,
+    recipients: recipients.map(({ student_id, emails }) => ({ studentId: student_id, emails })),
+    timestamp: timestamp || new Date().toISOString()
+  };
+}
+
+export async function publishJobNotificationEvent({ jobId, studentIds, timestamp }) {
+  if (!jobId) {
+    throw new Error('jobId is required to publish JOB_NOTIFICATION event');
+  }
+
+  const { verifiedOnly, recipients, withheld } = await resolveJobNotificationRecipients(studentIds || []);
+  if (withheld.length > 0) {
+    logger.info({ jobId, withheld: withheld.length, verifiedOnly }, 'Job notification withheld from students without a usable email');
+  }
+
+  const eventPayload = buildJobNotificationEvent({ jobId, recipients, timestamp });
+  if (eventPayload.recipients.length === 0) {
+    return { ...eventPayload, withheld };
+  }
+
+  try {
+    await publishEvent(TOPICS.JOB_NOTIFICATION_SEND, eventPayload, {
+      key: String(jobId),
+      headers: {
+        'x-event-name': eventPayload.event
+      }
+    });
+  } catch (error) {
+    logger.error({
+      jobId,
+      topic: TOPICS.JOB_NOTIFICATION_SEND,
+      error: error.message
+    }, 'Failed to publish JOB_NOTIFICATION event');
+    throw error;
+  }
+
+  return { ...eventPayload, withheld };
+}
@@ -0,0 +1,56 @@
+/**
+ * Mailer — single entry point for outgoing email.
+ *
+ * The transport is chosen by MAIL_TRANSPORT:
+ *   smtp   — deliver through an SMTP server (see transports/smtp.transport.js)
+ *   outbox — store in the mail_outbox table
+ *   file   — write JSON files to MAIL_OUTBOX_DIR (default outside production)
+ *
+ * Production has no default: MAIL_TRANSPORT must be set explicitly so reset
+ * links are never silently written to disk on a live server.
+ */
+
+import logger from '../../utils/logger.js';
+import { createSmtpTransport } from './transports/smtp.transport.js';
+import { createFileTransport } from './transports/file.transport.js';
+import { createOutboxTransport } from './transports/outbox.transport.js';
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+  file: createFileTransport,
+};
+
+let transport = null;
+
+const resolveTransport = () => {
+  if (transport) return transport;
+
+  const configured = process.env.MAIL_TRANSPORT?.trim().toLowerCase();
+  const name = configured || (process.env.NODE_ENV === 'production' ? null : 'file');
+
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production (smtp | outbox | file)');
+  }
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected smtp | outbox | file)`);
+  }
+
+  transport = TRANSPORTS[name]();
+  logger.info({ transport: name }, 'Mailer transport initialised');
+  return transport;
+};
+
+/**
+ * Send one email.
+ * @param {{ to: string, subject: string, text?: string, html?: string }} message
+ * @returns {Promise<{ id: string|number }>}
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const active = resolveTransport();
+  const from = process.env.MAIL_FROM || 'no-reply@localhost';
+
+  const result = await active.send({ from, to, subject, text, html });
+  logger.info({ transport: active.name, to, subject, id: result.id }, 'Mail sent');
+  return result;
+};
@@ -0,0 +1,96 @@
+/**
+ * Email templates. Each returns { subject, text, html } for sendMail().
+ */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const passwordResetEmail = ({ username, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: [
+    `Hi ${username},`,
+    '',
+    'We received a request to reset your password. Open the link below to choose a new one:',
+    resetUrl,
+    '',
+    `The link expires in ${expiresInMinutes} minutes and can be used once.`,
+    'If you did not request this, you can ignore this email.',
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(username)},</p>
+    <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+    <p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>
+    <p>The link expires in ${expiresInMinutes} minutes and can be used once.</p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `,
+});
+
+export const invitationEmail = ({ username, activationUrl, expiresInDays, invitedBy }) => ({
+  subject: 'Activate your account',
+  text: [
+    `Hi ${username},`,
+    '',
+    `${invitedBy ? `${invitedBy} has invited you` : 'You have been invited'} to the placement portal. Open the link below to choose your password and activate your account:`,
+    activationUrl,
+    '',
+    `The link expires in ${expiresInDays} day(s) and can be used once. Ask an administrator to resend it if it expires.`,
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(username)},</p>
+    <p>${invitedBy ? `${escapeHtml(invitedBy)} has invited you` : 'You have been invited'} to the placement portal. Click the link below to choose your password and activate your account:</p>
+    <p><a href="${escapeHtml(activationUrl)}">Activate account</a></p>
+    <p>The link expires in ${expiresInDays} day(s) and can be used once. Ask an administrator to resend it if it expires.</p>
+  `,
+});
+
+export const emailVerificationEmail = ({ username, verifyUrl, expiresInHours }) => ({
+  subject: 'Verify your email address',
+  text: [
+    `Hi ${username},`,
+    '',
+    'Placement notifications will be sent to this address. Open the link below to confirm it belongs to you:',
+    verifyUrl,
+    '',
+    `The link expires in ${expiresInHours} hour(s) and can be used once.`,
+    'If you did not request this, you can ignore this email.',
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(username)},</p>
+    <p>Placement notifications will be sent to this address. Click the link below to confirm it belongs to you:</p>
+    <p><a href="${escapeHtml(verifyUrl)}">Verify email address</a></p>
+    <p>The link expires in ${expiresInHours} hour(s) and can be used once.</p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `,
+});
+
+export const loginAlertEmail = ({ username, reasons, when, ipAddress, userAgent }) => ({
+  subject: 'Unusual sign-in to your account',
+  text: [
+    `Hi ${username},`,
+    '',
+    'Your account was just signed in to, and something about it was unusual:',
+    ...reasons.map((reason) => `  - ${reason}`),
+    '',
+    `Time: ${when}`,
+    `IP address: ${ipAddress || 'unknown'}`,
+    `Device: ${userAgent || 'unknown'}`,
+    '',
+    'If this was you, no action is needed.',
+    'If it was not, change your password right away and sign out of your other sessions.',
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(username)},</p>
+    <p>Your account was just signed in to, and something about it was unusual:</p>
+    <ul>${reasons.map((reason) => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>
+    <p>
+      Time: ${escapeHtml(when)}<br>
+      IP address: ${escapeHtml(ipAddress || 'unknown')}<br>
+      Device: ${escapeHtml(userAgent || 'unknown')}
+    </p>
+    <p>If this was you, no action is needed.</p>
+    <p>If it was not, change your password right away and sign out of your other sessions.</p>
+  `,
+});
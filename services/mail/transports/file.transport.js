@@ -0,0 +1,25 @@
+/**
+ * File mail transport (MAIL_TRANSPORT=file) for local development.
+ *
+ * Writes every message as a JSON file under MAIL_OUTBOX_DIR (default
+ * ./logs/mail, which is git-ignored) instead of delivering it.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { mkdir, writeFile } from 'fs/promises';
+
+export const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'logs/mail');
+
+  return {
+    name: 'file',
+    async send(message) {
+      await mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomUUID()}`;
+      const file = path.join(dir, `${id}.json`);
+      await writeFile(file, JSON.stringify({ ...message, created_at: new Date().toISOString() }, null, 2));
+      return { id, file };
+    },
+  };
+};
@@ -0,0 +1,27 @@
+/**
+ * Database outbox mail transport (MAIL_TRANSPORT=outbox).
+ *
+ * Records each message in the mail_outbox table with status 'pending' so it
+ * can be inspected locally or relayed by a separate sender.
+ */
+
+import pool from '../../../db/connection.js';
+
+export const createOutboxTransport = () => ({
+  name: 'outbox',
+  async send(message) {
+    const query = `
+      INSERT INTO mail_outbox (to_address, from_address, subject, text_body, html_body)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING mail_id
+    `;
+    const result = await pool.query(query, [
+      message.to,
+      message.from,
+      message.subject,
+      message.text || null,
+      message.html || null,
+    ]);
+    return { id: result.rows[0].mail_id };
+  },
+});
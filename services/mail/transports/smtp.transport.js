@@ -0,0 +1,32 @@
+/**
+ * SMTP mail transport (MAIL_TRANSPORT=smtp), backed by nodemailer.
+ *
+ * Env: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for implicit TLS),
+ *      SMTP_USER, SMTP_PASS
+ */
+
+import nodemailer from 'nodemailer';
+
+export const createSmtpTransport = () => {
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    throw new Error('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
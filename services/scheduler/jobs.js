@@ -0,0 +1,43 @@
+/**
+ * Background jobs run by the scheduler (./scheduler.js). Register new jobs
+ * here; schedules are cron expressions in the server's local time.
+ *
+ * Configuration:
+ *   SESSION_CLEANUP_SCHEDULE        cron expression for session-cleanup (default every 30 minutes)
+ *   LOGIN_HISTORY_CLEANUP_SCHEDULE  cron expression for login-history-cleanup (default daily at 03:15)
+ *   ELIGIBILITY_REBUILD_SCHEDULE    cron expression for eligibility-rebuild (default daily at 02:30)
+ */
+
+import { registerJob } from './scheduler.js';
+import { cleanExpiredSessions } from '../../db/auth.db.js';
+import { pruneLoginHistory, LOGIN_HISTORY_RETENTION_DAYS } from '../auth/loginAnomaly.service.js';
+import { rebuildEligibilityCache } from '../eligibility/eligibilityCache.service.js';
+
+export function registerScheduledJobs() {
+  registerJob({
+    name: 'session-cleanup',
+    schedule: process.env.SESSION_CLEANUP_SCHEDULE || '*/30 * * * *',
+    description: 'Delete expired sessions and retired refresh tokens',
+    handler: async () => ({ sessions_removed: await cleanExpiredSessions() }),
+  });
+
+  registerJob({
+    name: 'login-history-cleanup',
+    schedule: process.env.LOGIN_HISTORY_CLEANUP_SCHEDULE || '15 3 * * *',
+    description: `Delete login history older than ${LOGIN_HISTORY_RETENTION_DAYS} days`,
+    handler: async () => ({ logins_removed: await pruneLoginHistory() }),
+  });
+
+  registerJob({
+    name: 'eligibility-rebuild',
+    schedule: process.env.ELIGIBILITY_REBUILD_SCHEDULE || '30 2 * * *',
+    description: 'Recompute every student\'s eligible jobs and drop jobs past their deadline',
+    lockTtlMs: 15 * 60 * 1000,
+    handler: async () => {
+      const summary = await rebuildEligibilityCache();
+      // Recorded as a failed run, so the history shows the cache went stale
+      if (!summary) throw new Error('Redis unavailable; eligibility cache not rebuilt');
+      return summary;
+    },
+  });
+}
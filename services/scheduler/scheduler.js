@@ -0,0 +1,272 @@
+/**
+ * In-process scheduler for periodic background work.
+ *
+ * Jobs are registered with a cron expression (utils/cron.js) and run on every
+ * replica's timer, but only one replica actually runs each occurrence:
+ *
+ *  1. the replica that first claims `scheduler:occurrence:{job}:{time}` in
+ *     Redis owns that occurrence, so clock skew can't make two replicas run it;
+ *  2. it then takes `scheduler:lock:{job}`, held (and renewed) while the job
+ *     runs, so a slow run never overlaps the next one or a manual trigger.
+ *
+ * Without Redis nothing can be locked, so scheduled runs are skipped rather
+ * than risk running everywhere at once. Every run is recorded in
+ * scheduled_job_runs; GET/POST /api/scheduler/jobs lists jobs and triggers them.
+ *
+ * Configuration:
+ *   SCHEDULER_ENABLED  'false' to keep this process from running scheduled jobs
+ *                      (manual triggers still work)
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import { redis } from '../../db/redis.js';
+import logger from '../../utils/logger.js';
+import { AppError } from '../../utils/errors.js';
+import * as schedulerDB from '../../db/scheduler.db.js';
+import { parseCron, nextCronDate } from '../../utils/cron.js';
+import { scheduledJobRunsTotal } from '../../utils/metrics.js';
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LOCK_TTL_MS = 5 * 60 * 1000;
+// Long enough to outlast any clock skew between replicas
+const OCCURRENCE_CLAIM_TTL_MS = 10 * 60 * 1000;
+// setTimeout can't wait longer than this; longer waits are re-armed
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+const lockKey = (name) => `scheduler:lock:${name}`;
+const occurrenceKey = (name, scheduledAt) => `scheduler:occurrence:${name}:${scheduledAt.getTime()}`;
+
+// Only touch the lock while it still holds our token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+const EXTEND_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const jobs = new Map();
+let running = false;
+
+const isRedisReady = () => redis.status === 'ready';
+
+// ─── Locking ────────────────────────────────────────────────────────────────────
+
+async function acquireLock(job) {
+  const token = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+  const acquired = await redis.set(lockKey(job.name), token, 'PX', job.lockTtlMs, 'NX');
+  return acquired === 'OK' ? token : null;
+}
+
+async function extendLock(job, token) {
+  return redis.eval(EXTEND_LOCK_SCRIPT, 1, lockKey(job.name), token, job.lockTtlMs);
+}
+
+async function releaseLock(job, token) {
+  return redis.eval(RELEASE_LOCK_SCRIPT, 1, lockKey(job.name), token);
+}
+
+// ─── Running ────────────────────────────────────────────────────────────────────
+
+/**
+ * Run the job's handler under a lock we already hold and close its run
+ * record. Never rejects: failures are recorded on the run.
+ */
+async function completeRun(job, token, run) {
+  const renewal = setInterval(() => {
+    extendLock(job, token).catch((err) => {
+      logger.warn({ job: job.name, error: err.message }, 'Failed to renew scheduler lock');
+    });
+  }, Math.floor(job.lockTtlMs / 3));
+  renewal.unref();
+
+  let outcome;
+  try {
+    const result = await job.handler({ run_id: run.run_id, trigger: run.trigger });
+    outcome = { status: 'succeeded', result: result ?? null };
+  } catch (err) {
+    logger.error({ job: job.name, run_id: run.run_id, error: err.message, stack: err.stack }, 'Scheduled job failed');
+    outcome = { status: 'failed', error: err.message };
+  } finally {
+    clearInterval(renewal);
+    await releaseLock(job, token).catch((err) => {
+      logger.warn({ job: job.name, error: err.message }, 'Failed to release scheduler lock');
+    });
+  }
+
+  scheduledJobRunsTotal.inc({ job: job.name, status: outcome.status });
+  try {
+    const finished = await schedulerDB.finishRun(run.run_id, outcome);
+    logger.info({ job: job.name, run_id: run.run_id, status: outcome.status, duration_ms: finished?.duration_ms }, 'Scheduled job finished');
+  } catch (err) {
+    logger.error({ job: job.name, run_id: run.run_id, error: err.message }, 'Failed to record scheduled job result');
+  }
+}
+
+/**
+ * Record a run and start it in the background under a lock we hold.
+ * @returns {Promise<{ run: object, done: Promise<void> }>}
+ */
+async function beginRun(job, token, { trigger, triggeredBy = null }) {
+  let run;
+  try {
+    run = await schedulerDB.startRun({
+      job_name: job.name,
+      trigger,
+      triggered_by: triggeredBy,
+      instance_id: INSTANCE_ID,
+    });
+  } catch (err) {
+    await releaseLock(job, token).catch(() => {});
+    throw err;
+  }
+
+  logger.info({ job: job.name, run_id: run.run_id, trigger, triggered_by: triggeredBy }, 'Scheduled job started');
+  return { run, done: completeRun(job, token, run) };
+}
+
+async function runOccurrence(job, scheduledAt) {
+  if (!isRedisReady()) {
+    logger.warn({ job: job.name }, 'Redis unavailable, skipping scheduled job');
+    scheduledJobRunsTotal.inc({ job: job.name, status: 'skipped' });
+    return;
+  }
+
+  const claimed = await redis.set(occurrenceKey(job.name, scheduledAt), INSTANCE_ID, 'PX', OCCURRENCE_CLAIM_TTL_MS, 'NX');
+  if (claimed !== 'OK') {
+    return; // another replica has this occurrence
+  }
+
+  const token = await acquireLock(job);
+  if (!token) {
+    logger.warn({ job: job.name }, 'Previous run still in progress, skipping scheduled job');
+    scheduledJobRunsTotal.inc({ job: job.name, status: 'skipped' });
+    return;
+  }
+
+  const { done } = await beginRun(job, token, { trigger: 'schedule' });
+  await done;
+}
+
+// ─── Timers ─────────────────────────────────────────────────────────────────────
+
+function armTimer(job) {
+  const delay = Math.min(Math.max(job.nextRunAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY_MS);
+  job.timer = setTimeout(() => onTimer(job), delay);
+  job.timer.unref();
+}
+
+function scheduleNext(job, after = new Date()) {
+  job.nextRunAt = nextCronDate(job.cron, after);
+  if (!job.nextRunAt) {
+    logger.warn({ job: job.name, schedule: job.schedule }, 'Scheduled job never fires, not scheduling it');
+    return;
+  }
+  armTimer(job);
+}
+
+async function onTimer(job) {
+  const scheduledAt = job.nextRunAt;
+  if (Date.now() < scheduledAt.getTime()) {
+    armTimer(job); // a wait longer than setTimeout allows
+    return;
+  }
+
+  scheduleNext(job, scheduledAt);
+  try {
+    await runOccurrence(job, scheduledAt);
+  } catch (err) {
+    logger.error({ job: job.name, error: err.message, stack: err.stack }, 'Scheduled job could not be started');
+  }
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────────
+
+/**
+ * Register a job. The handler receives `{ run_id, trigger }` and may return a
+ * JSON-serialisable summary, stored as the run's result.
+ *
+ * @param {{ name: string, schedule: string, description?: string,
+ *           handler: (run: { run_id: number, trigger: 'schedule'|'manual' }) => Promise<object|void>,
+ *           lockTtlMs?: number }} job
+ */
+export function registerJob({ name, schedule, description = '', handler, lockTtlMs = DEFAULT_LOCK_TTL_MS }) {
+  if (jobs.has(name)) {
+    throw new Error(`Scheduled job "${name}" is already registered`);
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Scheduled job "${name}" needs a handler`);
+  }
+
+  const job = { name, schedule, description, handler, lockTtlMs, cron: parseCron(schedule), timer: null, nextRunAt: null };
+  jobs.set(name, job);
+  if (running) scheduleNext(job);
+}
+
+export function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    logger.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+  if (running) return;
+
+  running = true;
+  jobs.forEach((job) => scheduleNext(job));
+  logger.info({ jobs: [...jobs.keys()], instance_id: INSTANCE_ID }, 'Scheduler started');
+}
+
+export function stopScheduler() {
+  running = false;
+  jobs.forEach((job) => {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+  });
+}
+
+/**
+ * Registered jobs with their schedule and, while the scheduler runs, when
+ * this instance next fires them.
+ */
+export function listJobs() {
+  return [...jobs.values()].map((job) => ({
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    next_run_at: job.nextRunAt,
+  }));
+}
+
+export function hasJob(name) {
+  return jobs.has(name);
+}
+
+/**
+ * Run a job now, outside its schedule. Resolves once the run has started
+ * (with its run record); the job itself finishes in the background.
+ * Throws AppError 404 for an unknown job, 409 while it is already running and
+ * 503 when Redis is unavailable for locking.
+ */
+export async function triggerJob(name, triggeredBy = null) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new AppError(404, `Scheduled job "${name}" not found`);
+  }
+  if (!isRedisReady()) {
+    throw new AppError(503, 'Job locking is unavailable right now. Try again later.');
+  }
+
+  const token = await acquireLock(job);
+  if (!token) {
+    throw new AppError(409, `Job "${name}" is already running`);
+  }
+
+  const { run } = await beginRun(job, token, { trigger: 'manual', triggeredBy });
+  return run;
+}
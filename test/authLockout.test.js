@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import bcrypt from 'bcrypt';
+import pool from '../db/connection.js';
+import { encryptTotpSecret, generateTotpSecret } from '../utils/totp.js';
+import { login, loginMfa } from '../controller/auth.controller.js';
+
+const EMAIL = 'student@example.com';
+const PASSWORD = 'Correct-Horse-1';
+
+// In-memory users row behind the queries login and loginMfa make
+const createFakeDb = async () => {
+  const user = {
+    user_id: 42,
+    username: 'student',
+    email: EMAIL,
+    password_hash: await bcrypt.hash(PASSWORD, 4),
+    role_id: 3,
+    role_name: 'STUDENT',
+    is_active: true,
+    is_locked: false,
+    failed_attempts: 0,
+    lock_until: null,
+    must_change_password: false,
+    token_version: 1,
+  };
+  const mfa = {
+    enabled: true,
+    mfa_required: false,
+    secret_encrypted: encryptTotpSecret(generateTotpSecret()),
+    // Every time step counts as already used, so no code can verify
+    last_used_step: Number.MAX_SAFE_INTEGER,
+    recovery_codes_remaining: 0,
+  };
+
+  const query = async (sql) => {
+    const rows = (list) => ({ rows: list, rowCount: list.length });
+    if (/FROM user_mfa|LEFT JOIN user_mfa/.test(sql)) return rows([{ ...mfa }]);
+    if (/WHERE u\.email = \$1/.test(sql)) return rows([{ ...user }]);
+    if (/WHERE u\.user_id = \$1/.test(sql)) return rows([{ ...user }]);
+    if (/failed_attempts = failed_attempts \+ 1/.test(sql)) {
+      user.failed_attempts += 1;
+      return rows([{ failed_attempts: user.failed_attempts }]);
+    }
+    if (/failed_attempts = 0/.test(sql)) {
+      Object.assign(user, { failed_attempts: 0, is_locked: false, lock_until: null });
+      return rows([]);
+    }
+    if (/is_locked = true/.test(sql)) {
+      Object.assign(user, { is_locked: true, lock_until: new Date(Date.now() + 15 * 60 * 1000) });
+      return rows([]);
+    }
+    if (/token_version = token_version \+ 1/.test(sql)) {
+      user.token_version += 1;
+      return rows([{ token_version: user.token_version }]);
+    }
+    if (/INSERT INTO security_events/.test(sql)) return rows([{ event_id: 1, created_at: new Date() }]);
+    return rows([]);
+  };
+
+  return { user, query };
+};
+
+const fakeRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.cookie = () => res;
+  res.clearCookie = () => res;
+  return res;
+};
+
+const fakeReq = (body) => ({
+  body,
+  ip: '203.0.113.7',
+  headers: { 'user-agent': 'node-test' },
+  cookies: {},
+  get: () => undefined,
+});
+
+const passwordLogin = async () => {
+  const res = fakeRes();
+  await login(fakeReq({ email: EMAIL, password: PASSWORD }), res);
+  return res;
+};
+
+const badCode = async (mfaToken) => {
+  const res = fakeRes();
+  await loginMfa(fakeReq({ mfa_token: mfaToken, code: '123456' }), res);
+  return res;
+};
+
+describe('login with two-factor authentication', () => {
+  let db;
+
+  before(async () => {
+    db = await createFakeDb();
+    mock.method(pool, 'query', db.query);
+  });
+
+  after(() => mock.restoreAll());
+
+  it('does not clear failed code attempts on a password login', async () => {
+    let res = await passwordLogin();
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.mfa_required, true);
+
+    for (let i = 0; i < 4; i += 1) {
+      const attempt = await badCode(res.body.data.mfa_token);
+      assert.equal(attempt.statusCode, 401);
+    }
+    assert.equal(db.user.failed_attempts, 4);
+
+    res = await passwordLogin();
+    assert.equal(res.statusCode, 200);
+    assert.equal(db.user.failed_attempts, 4);
+
+    const locked = await badCode(res.body.data.mfa_token);
+    assert.equal(locked.statusCode, 423);
+    assert.equal(db.user.is_locked, true);
+
+    // And the password alone can't get back in while locked
+    assert.equal((await passwordLogin()).statusCode, 423);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronDate } from '../utils/cron.js';
+
+const sorted = (set) => [...set].sort((a, b) => a - b);
+
+// Local-time dates, like the scheduler uses
+const local = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseCron', () => {
+  it('expands values, lists, ranges and steps', () => {
+    const schedule = parseCron('5,10 */6 1-3 */4 1-5');
+    assert.deepEqual(sorted(schedule.minutes), [5, 10]);
+    assert.deepEqual(sorted(schedule.hours), [0, 6, 12, 18]);
+    assert.deepEqual(sorted(schedule.daysOfMonth), [1, 2, 3]);
+    assert.deepEqual(sorted(schedule.months), [1, 5, 9]);
+    assert.deepEqual(sorted(schedule.daysOfWeek), [1, 2, 3, 4, 5]);
+  });
+
+  it('steps through ranges and from a start value', () => {
+    assert.deepEqual(sorted(parseCron('10-40/10 * * * *').minutes), [10, 20, 30, 40]);
+    assert.deepEqual(sorted(parseCron('50/5 * * * *').minutes), [50, 55]);
+  });
+
+  it('accepts month and weekday names in any case', () => {
+    const schedule = parseCron('0 0 * jan,Jul MON-fri');
+    assert.deepEqual(sorted(schedule.months), [1, 7]);
+    assert.deepEqual(sorted(schedule.daysOfWeek), [1, 2, 3, 4, 5]);
+  });
+
+  it('treats 7 as Sunday', () => {
+    assert.deepEqual(sorted(parseCron('0 0 * * 7').daysOfWeek), [0]);
+    assert.deepEqual(sorted(parseCron('0 0 * * 5-7').daysOfWeek), [0, 5, 6]);
+  });
+
+  it('expands macros', () => {
+    const schedule = parseCron('@daily');
+    assert.deepEqual(sorted(schedule.minutes), [0]);
+    assert.deepEqual(sorted(schedule.hours), [0]);
+    assert.equal(schedule.dayOfMonthRestricted, false);
+    assert.equal(schedule.dayOfWeekRestricted, false);
+    assert.deepEqual(sorted(parseCron('@weekly').daysOfWeek), [0]);
+  });
+
+  it('marks only day fields not starting with * as restricted', () => {
+    const schedule = parseCron('0 0 */2 * 1');
+    assert.equal(schedule.dayOfMonthRestricted, false);
+    assert.equal(schedule.dayOfWeekRestricted, true);
+  });
+
+  for (const expression of [
+    '* * * *',
+    '* * * * * *',
+    '60 * * * *',
+    '* 24 * * *',
+    '* * 0 * *',
+    '* * * 13 *',
+    '* * * * 8',
+    '5-1 * * * *',
+    '*/0 * * * *',
+    '*/x * * * *',
+    '1-2-3 * * * *',
+    '1// * * * *',
+    ', * * * *',
+    '* * * foo *',
+  ]) {
+    it(`rejects "${expression}"`, () => {
+      assert.throws(() => parseCron(expression), /Invalid cron expression/);
+    });
+  }
+});
+
+describe('nextCronDate', () => {
+  it('returns the next matching minute, strictly after the given time', () => {
+    const schedule = parseCron('*/15 * * * *');
+    assert.deepEqual(nextCronDate(schedule, local(2026, 3, 10, 9, 0)), local(2026, 3, 10, 9, 15));
+    assert.deepEqual(nextCronDate(schedule, local(2026, 3, 10, 9, 14)), local(2026, 3, 10, 9, 15));
+  });
+
+  it('rolls over hours, days, months and years', () => {
+    assert.deepEqual(nextCronDate(parseCron('30 2 * * *'), local(2026, 3, 10, 3, 0)), local(2026, 3, 11, 2, 30));
+    assert.deepEqual(nextCronDate(parseCron('0 0 1 * *'), local(2026, 3, 10)), local(2026, 4, 1));
+    assert.deepEqual(nextCronDate(parseCron('@yearly'), local(2026, 3, 10)), local(2027, 1, 1));
+  });
+
+  it('fires on a day matching either day field when both are restricted', () => {
+    // The 13th, or any Friday: Tue 2026-03-10 → Fri 13th → Fri 20th
+    const schedule = parseCron('0 9 13 * 5');
+    const first = nextCronDate(schedule, local(2026, 3, 10, 12, 0));
+    assert.deepEqual(first, local(2026, 3, 13, 9, 0));
+    assert.deepEqual(nextCronDate(schedule, first), local(2026, 3, 20, 9, 0));
+    // A Monday that is the 13th still qualifies through day of month
+    assert.deepEqual(nextCronDate(parseCron('0 9 13 * 5'), local(2026, 4, 10, 12, 0)), local(2026, 4, 13, 9, 0));
+  });
+
+  it('uses only the restricted day field when the other is *', () => {
+    // Fridays only: the 13th of April 2026 is a Monday and must not match
+    assert.deepEqual(nextCronDate(parseCron('0 9 * * 5'), local(2026, 4, 11)), local(2026, 4, 17, 9, 0));
+    // The 13th only: Friday 2026-04-17 must not match
+    assert.deepEqual(nextCronDate(parseCron('0 9 13 * *'), local(2026, 4, 14)), local(2026, 5, 13, 9, 0));
+  });
+
+  it('treats a stepped * day field as unrestricted for the OR rule', () => {
+    // "*/2" doesn't restrict on its own, so only Mondays count: Monday the
+    // 2nd fires although "*/2" covers odd days only
+    assert.deepEqual(nextCronDate(parseCron('0 0 */2 * 1'), local(2026, 3, 1)), local(2026, 3, 2));
+  });
+
+  it('returns null for a schedule that never fires', () => {
+    assert.equal(nextCronDate(parseCron('0 0 30 2 *'), local(2026, 1, 1)), null);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateEligibility, nearMissOf, ELIGIBILITY_CRITERIA } from '../services/eligibility/eligibility.service.js';
+
+// Rows shaped like eligibilityDB.getEligibilityProfiles / getEligibilityJobs
+const profile = (overrides = {}) => ({
+  student_id: 'STU001',
+  full_name: 'Test Student',
+  branch: 'CSE',
+  graduation_year: 2026,
+  has_academics: true,
+  tenth_percent: '85.00',
+  twelfth_percent: '80.00',
+  diploma_percent: null,
+  ug_cgpa: '7.80',
+  updated_arrears: 0,
+  experience_years: 0.5,
+  ...overrides,
+});
+
+const job = (overrides = {}) => ({
+  job_id: 1,
+  year_of_graduation: 2026,
+  allowed_branches: ['CSE', 'ISE'],
+  tenth_percent: 75,
+  twelfth_percent: 75,
+  ug_cgpa: 7.5,
+  backlogs_allowed: 0,
+  min_experience_yrs: null,
+  ...overrides,
+});
+
+const check = (evaluation, criterion) => evaluation.checks.find((c) => c.criterion === criterion);
+
+describe('evaluateEligibility', () => {
+  it('passes a student meeting every criterion', () => {
+    const evaluation = evaluateEligibility(profile(), job());
+    assert.equal(evaluation.eligible, true);
+    assert.deepEqual(evaluation.reasons, []);
+    assert.deepEqual(evaluation.checks.map((c) => c.criterion), ELIGIBILITY_CRITERIA);
+    assert.ok(evaluation.checks.every((c) => c.passed && !('reason' in c)));
+  });
+
+  it('reports required and actual values for each criterion', () => {
+    const evaluation = evaluateEligibility(profile(), job());
+    assert.deepEqual(check(evaluation, 'ug_cgpa'), { criterion: 'ug_cgpa', required: 7.5, actual: 7.8, passed: true });
+    assert.deepEqual(check(evaluation, 'branch'), { criterion: 'branch', required: ['CSE', 'ISE'], actual: 'CSE', passed: true });
+    assert.deepEqual(check(evaluation, 'experience'), { criterion: 'experience', required: null, actual: 0.5, passed: true });
+  });
+
+  const failures = [
+    ['graduation_year', profile({ graduation_year: 2025 }), job()],
+    ['branch', profile({ branch: 'MECH' }), job()],
+    ['tenth_percent', profile({ tenth_percent: '70.00' }), job()],
+    ['twelfth_percent', profile({ twelfth_percent: '70.00' }), job()],
+    ['ug_cgpa', profile({ ug_cgpa: '7.40' }), job()],
+    ['backlogs', profile({ updated_arrears: 1 }), job()],
+    ['experience', profile({ experience_years: 0.5 }), job({ min_experience_yrs: 1 })],
+  ];
+
+  for (const [criterion, student, posting] of failures) {
+    it(`fails only ${criterion} when only ${criterion} is short`, () => {
+      const evaluation = evaluateEligibility(student, posting);
+      assert.equal(evaluation.eligible, false);
+      assert.deepEqual(evaluation.checks.filter((c) => !c.passed).map((c) => c.criterion), [criterion]);
+      assert.equal(evaluation.reasons.length, 1);
+      assert.equal(typeof check(evaluation, criterion).reason, 'string');
+    });
+  }
+
+  it('accepts a score exactly at the minimum', () => {
+    assert.equal(evaluateEligibility(profile({ ug_cgpa: '7.50' }), job()).eligible, true);
+  });
+
+  it('ignores criteria the job does not set, or sets to zero', () => {
+    const posting = job({
+      year_of_graduation: null,
+      allowed_branches: [],
+      tenth_percent: null,
+      twelfth_percent: 0,
+      ug_cgpa: null,
+      backlogs_allowed: null,
+    });
+    const student = profile({ graduation_year: 2020, branch: 'MECH', tenth_percent: null, ug_cgpa: null, updated_arrears: 5 });
+    assert.equal(evaluateEligibility(student, posting).eligible, true);
+  });
+
+  it('lets ALL allow every branch', () => {
+    assert.equal(evaluateEligibility(profile({ branch: 'MECH' }), job({ allowed_branches: ['ALL'] })).eligible, true);
+  });
+
+  it('matches branches through the resolver, case-insensitively', () => {
+    const renamed = { CS: 'CSE' };
+    const canonical = (code) => {
+      const upper = String(code).trim().toUpperCase();
+      return renamed[upper] ?? upper;
+    };
+    assert.equal(evaluateEligibility(profile({ branch: 'cs' }), job(), canonical).eligible, true);
+    assert.equal(evaluateEligibility(profile({ branch: 'cs' }), job()).eligible, false);
+  });
+
+  it('counts a diploma percentage when there is no 12th', () => {
+    const student = profile({ twelfth_percent: null, diploma_percent: '78.00' });
+    const evaluation = evaluateEligibility(student, job());
+    assert.equal(evaluation.eligible, true);
+    assert.equal(check(evaluation, 'twelfth_percent').actual, 78);
+  });
+
+  it('fails a set minimum when the student has no score on record', () => {
+    const evaluation = evaluateEligibility(profile({ ug_cgpa: null }), job());
+    assert.deepEqual(check(evaluation, 'ug_cgpa').actual, null);
+    assert.equal(check(evaluation, 'ug_cgpa').passed, false);
+  });
+
+  it('fails a backlog limit for a student without an academic record', () => {
+    const student = profile({ has_academics: false, updated_arrears: null });
+    assert.equal(check(evaluateEligibility(student, job()), 'backlogs').passed, false);
+    assert.equal(check(evaluateEligibility(student, job({ backlogs_allowed: null })), 'backlogs').passed, true);
+  });
+
+  it('allows backlogs up to the limit', () => {
+    assert.equal(evaluateEligibility(profile({ updated_arrears: 2 }), job({ backlogs_allowed: 2 })).eligible, true);
+    assert.equal(evaluateEligibility(profile({ updated_arrears: 3 }), job({ backlogs_allowed: 2 })).eligible, false);
+  });
+});
+
+describe('nearMissOf', () => {
+  it('is null for an eligible student', () => {
+    assert.equal(nearMissOf(evaluateEligibility(profile(), job())), null);
+  });
+
+  it('returns the single failed check', () => {
+    const miss = nearMissOf(evaluateEligibility(profile({ ug_cgpa: '7.20' }), job()));
+    assert.equal(miss.criterion, 'ug_cgpa');
+    assert.equal(miss.required, 7.5);
+    assert.equal(miss.actual, 7.2);
+    assert.equal(miss.passed, false);
+  });
+
+  it('is null when more than one criterion fails', () => {
+    assert.equal(nearMissOf(evaluateEligibility(profile({ ug_cgpa: '7.20', branch: 'MECH' }), job())), null);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import {
+  generateAccessToken,
+  verifyAccessToken,
+  generateMfaToken,
+  verifyMfaToken,
+  generateOidcStateToken,
+  verifyOidcStateToken,
+} from '../utils/jwt.js';
+
+const accessPayload = {
+  user_id: 7,
+  role_id: 2,
+  role_name: 'ADMIN',
+  session_id: 'session-1',
+  token_version: 3,
+  csrf_token: 'csrf',
+};
+
+describe('token claims', () => {
+  afterEach(() => {
+    delete process.env.JWT_ISSUER;
+  });
+
+  it('issues access tokens for the access audience', () => {
+    const decoded = verifyAccessToken(generateAccessToken(accessPayload));
+    assert.equal(decoded.user_id, 7);
+    assert.equal(decoded.aud, 'access');
+    assert.equal(decoded.iss, 'login-ert');
+  });
+
+  it('does not accept MFA pending or OIDC state tokens as access tokens', () => {
+    const mfaToken = generateMfaToken({ user_id: 7, token_version: 3, enrollment: false });
+    const stateToken = generateOidcStateToken({ state: 's', nonce: 'n', code_verifier: 'v', return_to: '/' });
+
+    assert.throws(() => verifyAccessToken(mfaToken), jwt.JsonWebTokenError);
+    assert.throws(() => verifyAccessToken(stateToken), jwt.JsonWebTokenError);
+    assert.equal(verifyMfaToken(mfaToken).user_id, 7);
+    assert.equal(verifyOidcStateToken(stateToken).state, 's');
+  });
+
+  it('does not accept an access token in place of the other kinds', () => {
+    const accessToken = generateAccessToken(accessPayload);
+    assert.throws(() => verifyMfaToken(accessToken), jwt.JsonWebTokenError);
+    assert.throws(() => verifyOidcStateToken(accessToken), jwt.JsonWebTokenError);
+  });
+
+  it('rejects tokens from another issuer', () => {
+    process.env.JWT_ISSUER = 'other-service';
+    const foreign = generateAccessToken(accessPayload);
+    delete process.env.JWT_ISSUER;
+
+    assert.throws(() => verifyAccessToken(foreign), /issuer invalid/);
+  });
+});
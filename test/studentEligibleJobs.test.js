@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { redis } from '../db/redis.js';
+import pool from '../db/connection.js';
+import { getStudentEligibleJobs, studentJobsKey } from '../services/cache/studentEligibleJobs.service.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const HOUR = 60 * 60 * 1000;
+
+// Minimal sorted sets: key → Map(member → score)
+const createFakeRedis = () => {
+  const sets = new Map();
+  const bound = (value) => {
+    if (value === '-inf') return { score: -Infinity, exclusive: false };
+    if (value === '+inf') return { score: Infinity, exclusive: false };
+    const text = String(value);
+    return text.startsWith('(')
+      ? { score: Number(text.slice(1)), exclusive: true }
+      : { score: Number(text), exclusive: false };
+  };
+  const inRange = (score, min, max) =>
+    (min.exclusive ? score > min.score : score >= min.score)
+    && (max.exclusive ? score < max.score : score <= max.score);
+
+  const multi = () => {
+    const commands = [];
+    const chain = {
+      zremrangebyscore(key, min, max) {
+        commands.push(() => {
+          const set = sets.get(key) || new Map();
+          let removed = 0;
+          for (const [member, score] of set) {
+            if (inRange(score, bound(min), bound(max))) {
+              set.delete(member);
+              removed++;
+            }
+          }
+          return removed;
+        });
+        return chain;
+      },
+      zrangebyscore(key, min, max) {
+        commands.push(() => [...(sets.get(key) || new Map())]
+          .filter(([, score]) => inRange(score, bound(min), bound(max)))
+          .sort(([, a], [, b]) => a - b)
+          .flatMap(([member, score]) => [member, String(score)]));
+        return chain;
+      },
+      async exec() {
+        return commands.map((command) => [null, command()]);
+      },
+    };
+    return chain;
+  };
+
+  return { sets, multi };
+};
+
+describe('getStudentEligibleJobs', () => {
+  let fake;
+
+  before(() => {
+    fake = createFakeRedis();
+    mock.method(Date, 'now', () => NOW);
+    mock.method(redis, 'multi', fake.multi);
+    mock.method(pool, 'query', async (sql, [jobIds]) => ({
+      rows: jobIds.map((jobId) => ({ job_id: jobId, job_title: `Job ${jobId}` })),
+    }));
+  });
+
+  after(() => mock.restoreAll());
+
+  it('drops jobs whose deadline has passed from the cached set', async () => {
+    const key = studentJobsKey('stu001');
+    fake.sets.set(key, new Map([
+      ['1', NOW - HOUR],
+      ['2', NOW + HOUR],
+      ['3', NOW],
+      ['4', NOW + 2 * HOUR],
+    ]));
+
+    const result = await getStudentEligibleJobs('stu001');
+
+    assert.deepEqual(result.jobs.map((job) => job.job_id), [3, 2, 4]);
+    assert.equal(result.count, 3);
+    assert.deepEqual([...fake.sets.get(key).keys()].sort(), ['2', '3', '4']);
+  });
+});
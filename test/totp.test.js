@@ -0,0 +1,98 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  verifyTotp,
+  generateTotpSecret,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  hashRecoveryCode,
+} from '../utils/totp.js';
+
+// RFC 6238 Appendix B: SHA-1 seed "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Unix time → the last 6 digits of the RFC's 8-digit codes
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+const at = (seconds) => mock.method(Date, 'now', () => seconds * 1000);
+
+describe('verifyTotp', () => {
+  beforeEach(() => mock.restoreAll());
+
+  for (const [seconds, code] of RFC_VECTORS) {
+    it(`accepts the RFC 6238 code for T=${seconds}`, () => {
+      at(seconds);
+      assert.equal(verifyTotp(RFC_SECRET, code), Math.floor(seconds / 30));
+    });
+  }
+
+  // 081804 is the code for step 37037036 (T=1111111080..1111111109)
+  const STEP = 37037036;
+
+  it('accepts a code one step either side of now', () => {
+    at((STEP - 1) * 30 + 5);
+    assert.equal(verifyTotp(RFC_SECRET, '081804'), STEP);
+    at((STEP + 1) * 30 + 5);
+    assert.equal(verifyTotp(RFC_SECRET, '081804'), STEP);
+  });
+
+  it('rejects a code two steps away', () => {
+    at((STEP - 2) * 30 + 5);
+    assert.equal(verifyTotp(RFC_SECRET, '081804'), null);
+    at((STEP + 2) * 30 + 5);
+    assert.equal(verifyTotp(RFC_SECRET, '081804'), null);
+  });
+
+  it('rejects a code whose step was already used', () => {
+    at(59);
+    assert.equal(verifyTotp(RFC_SECRET, '287082', 1), null);
+    assert.equal(verifyTotp(RFC_SECRET, '287082', 0), 1);
+  });
+
+  it('rejects codes that are not six digits', () => {
+    at(59);
+    for (const code of ['', '28708', '2870820', 'abcdef', null, undefined]) {
+      assert.equal(verifyTotp(RFC_SECRET, code), null);
+    }
+  });
+
+  it('rejects the wrong code', () => {
+    at(59);
+    assert.equal(verifyTotp(RFC_SECRET, '287083'), null);
+  });
+});
+
+describe('generateTotpSecret', () => {
+  it('returns 160 bits of base32', () => {
+    assert.match(generateTotpSecret(), /^[A-Z2-7]{32}$/);
+  });
+});
+
+describe('secret encryption', () => {
+  it('round-trips a secret with a fresh IV each time', () => {
+    const first = encryptTotpSecret(RFC_SECRET);
+    const second = encryptTotpSecret(RFC_SECRET);
+    assert.notEqual(first, second);
+    assert.equal(decryptTotpSecret(first), RFC_SECRET);
+  });
+
+  it('refuses a tampered ciphertext', () => {
+    const [iv, tag, ciphertext] = encryptTotpSecret(RFC_SECRET).split(':');
+    const flipped = Buffer.from(ciphertext, 'base64');
+    flipped[0] ^= 1;
+    assert.throws(() => decryptTotpSecret([iv, tag, flipped.toString('base64')].join(':')));
+  });
+});
+
+describe('hashRecoveryCode', () => {
+  it('ignores case, spaces and dashes', () => {
+    assert.equal(hashRecoveryCode('abcd-efgh ijkl-mnop'), hashRecoveryCode('ABCDEFGHIJKLMNOP'));
+  });
+});
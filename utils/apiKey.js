@@ -0,0 +1,54 @@
+/**
+ * API key helpers for service accounts.
+ *
+ * Keys look like `sk_<prefix>_<secret>`: the 12-character hex prefix is stored
+ * in clear to find the key (and to show it in lists and logs), the secret is
+ * 32 random bytes. Only the SHA-256 of the whole key is stored — keys are
+ * high-entropy, so a slow hash like bcrypt buys nothing.
+ */
+
+import crypto from 'crypto';
+
+const KEY_PREFIX = 'sk';
+const PREFIX_BYTES = 6;
+const SECRET_BYTES = 32;
+
+const KEY_PATTERN = /^sk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create a new key. The plaintext `key` is shown to the caller once and never stored.
+ * @returns {{ key: string, prefix: string, hash: string }}
+ */
+export function generateApiKey() {
+  const prefix = crypto.randomBytes(PREFIX_BYTES).toString('hex');
+  const secret = crypto.randomBytes(SECRET_BYTES).toString('base64url');
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+  return { key, prefix, hash: hashApiKey(key) };
+}
+
+/**
+ * Split a presented key into its prefix, or null if it is not shaped like one.
+ * @returns {{ prefix: string } | null}
+ */
+export function parseApiKey(key) {
+  const match = KEY_PATTERN.exec(key || '');
+  return match ? { prefix: match[1] } : null;
+}
+
+/** Constant-time comparison of a presented key against a stored hash. */
+export function apiKeyMatches(key, storedHash) {
+  const expected = Buffer.from(storedHash || '', 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/** Read `Authorization: Bearer <token>`, or null. */
+export function readBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token.trim() : null;
+}
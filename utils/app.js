@@ -10,6 +10,12 @@ import { metricsMiddleware, metricsHandler } from './metrics.js';
 import pool from '../db/connection.js'; // Import database connection
 import cookieParser from '../middleware/cookieParser.js';
 import { setupSwagger } from './swagger.js';
+import { enforceAccessPolicy } from '../middleware/accessPolicy.js';
+import { ACCESS_POLICIES } from '../config/accessPolicies.js';
+import { enforceIpRateLimit, enforceRateLimits } from '../middleware/rateLimit.js';
+import { RATE_LIMITS, DEFAULT_WRITE_LIMIT, GLOBAL_IP_LIMIT } from '../config/rateLimits.js';
+import { auditContext } from './auditContext.js';
+import { getJwks } from './jwtKeys.js';
 
 // Import routes
 import rolesRoutes from '../routes/roles.route.js';
@@ -36,8 +42,14 @@ import studentOffersRoutes from '../routes/student_offers.route.js';
 import studentEligibleJobsRoutes from '../routes/studentEligibleJobs.route.js';
 import authRoutes from '../routes/auth.route.js';
 import filesRoutes from '../routes/files.route.js';
+import meRoutes from '../routes/me.route.js';
+import auditRoutes from '../routes/audit.route.js';
+import schedulerRoutes from '../routes/scheduler.route.js';
+import serviceAccountsRoutes from '../routes/service_accounts.route.js';
+import applicationsRoutes from '../routes/applications.route.js';
+import jobRoundsRoutes from '../routes/job_rounds.route.js';
+import jobEligibilityRoutes from '../routes/job_eligibility.route.js';
 import { redis } from '../db/redis.js';
-// import applicationsRoutes from '../routes/applications.route.js';
 const app = express();
 
 const DEFAULT_CORS_ORIGINS = [
@@ -111,7 +123,8 @@ app.use(cors({
     return callback(null, false);
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'X-CSRF-Token'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
   credentials: true, // Enable credentials (cookies)
   optionsSuccessStatus: 200
 }));
@@ -169,11 +182,29 @@ app.use((req, res, next) => {
   next();
 });
 
+// Coarse per-IP limit on all traffic, ahead of token checks and db lookups
+app.use(enforceIpRateLimit(GLOBAL_IP_LIMIT));
+
+// Route-level access policy (public / authenticated / admin / owner), see config/accessPolicies.js
+app.use(enforceAccessPolicy(ACCESS_POLICIES));
+
+// Per-route, per-IP / per-user sliding-window rate limits, see config/rateLimits.js
+app.use(enforceRateLimits(RATE_LIMITS, DEFAULT_WRITE_LIMIT));
+
+// Attribute db writes to the current user/request in audit_log, see db/audit.db.js
+app.use(auditContext());
+
 // ===== ROUTES =====
 
 // Prometheus metrics endpoint (scraped by Prometheus; no auth by design in internal deploys)
 app.get('/metrics', metricsHandler);
 
+// Public keys for verifying access tokens (see utils/jwtKeys.js)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getJwks());
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   logger.info('Health check requested');
@@ -342,31 +373,41 @@ app.get('/api/health/complete', async (req, res) => {
 });
 
 // API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/files', filesRoutes);
-app.use('/api/users', usersRoutes);
-app.use('/api/roles', rolesRoutes);
-app.use('/api/permissions', permissionsRoutes);
-app.use('/api/role-permissions', rolePermissionsRoutes);
-app.use('/api/student-users', studentUsersRoutes);
-app.use('/api/students', studentRoutes);
-app.use('/api/student-addresses', studentAddressesRoutes);
-app.use('/api/student-languages', studentLanguagesRoutes);
-app.use('/api/student-academics', studentAcademicsRoutes);
-app.use('/api/student-internships', studentInternshipsRoutes);
-app.use('/api/student-documents', studentDocumentsRoutes);
-app.use('/api/student-projects', studentProjectsRoutes);
-app.use('/api/student-family', studentFamilyRoutes);
-app.use('/api/student-certifications', studentCertificationsRoutes);
-app.use('/api/student-report', studentReportRoutes);
-app.use('/api/companies', companiesRoutes);
-app.use('/api/jobs', jobsRoutes);
-app.use('/api/job-requirements', jobRequirementsRoutes);
-app.use('/api/jobs-with-requirements', combineRoutes);
-app.use('/api/branches', branchesRoutes);
-app.use('/api/student-offers', studentOffersRoutes);
-app.use('/api/students', studentEligibleJobsRoutes);
-// app.use('/api/applications', applicationsRoutes);
+export const apiRouters = [
+  ['/api/auth', authRoutes],
+  ['/api/files', filesRoutes],
+  ['/api/me', meRoutes],
+  ['/api/users', usersRoutes],
+  ['/api/audit', auditRoutes],
+  ['/api/scheduler', schedulerRoutes],
+  ['/api/service-accounts', serviceAccountsRoutes],
+  ['/api/roles', rolesRoutes],
+  ['/api/permissions', permissionsRoutes],
+  ['/api/role-permissions', rolePermissionsRoutes],
+  ['/api/student-users', studentUsersRoutes],
+  ['/api/students', studentRoutes],
+  ['/api/student-addresses', studentAddressesRoutes],
+  ['/api/student-languages', studentLanguagesRoutes],
+  ['/api/student-academics', studentAcademicsRoutes],
+  ['/api/student-internships', studentInternshipsRoutes],
+  ['/api/student-documents', studentDocumentsRoutes],
+  ['/api/student-projects', studentProjectsRoutes],
+  ['/api/student-family', studentFamilyRoutes],
+  ['/api/student-certifications', studentCertificationsRoutes],
+  ['/api/student-report', studentReportRoutes],
+  ['/api/companies', companiesRoutes],
+  ['/api/jobs', jobsRoutes],
+  ['/api/jobs', jobRoundsRoutes],
+  ['/api/jobs', jobEligibilityRoutes],
+  ['/api/job-requirements', jobRequirementsRoutes],
+  ['/api/jobs-with-requirements', combineRoutes],
+  ['/api/branches', branchesRoutes],
+  ['/api/student-offers', studentOffersRoutes],
+  ['/api/students', studentEligibleJobsRoutes],
+  ['/api/applications', applicationsRoutes],
+];
+
+apiRouters.forEach(([mountPath, router]) => app.use(mountPath, router));
 
 // ===== SWAGGER DOCS =====
 setupSwagger(app);
@@ -388,15 +429,23 @@ app.get('/api', (req, res) => {
       roles: '/api/roles',
       permissions: '/api/permissions',
       role_permissions: '/api/role-permissions',
-      student_users: '/api/student-users'
+      student_users: '/api/student-users',
+      me: '/api/me/profile',
+      audit: '/api/audit',
+      service_accounts: '/api/service-accounts'
     },
     documentation: {
       register: 'POST /api/users/register',
       login: 'POST /api/auth/login',
+      sso_login: 'GET /api/auth/oidc/login',
       refresh: 'POST /api/auth/refresh',
+      forgot_password: 'POST /api/auth/forgot-password',
+      reset_password: 'POST /api/auth/reset-password',
       logout: 'POST /api/auth/logout',
       logout_all: 'POST /api/auth/logout-all',
+      change_password: 'POST /api/auth/change-password',
       whoami: 'GET /api/auth/whoami',
+      sessions: 'GET /api/auth/sessions',
       users: 'GET /api/users',
       roles: 'GET /api/roles',
       permissions: 'GET /api/permissions',
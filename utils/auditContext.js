@@ -0,0 +1,47 @@
+/**
+ * Request context for the audit log.
+ *
+ * `auditContext` is mounted once in utils/app.js, after `enforceAccessPolicy`,
+ * and keeps the current request in AsyncLocalStorage so the db layer can
+ * attribute writes (see `audited` in db/audit.db.js) without every controller
+ * passing the actor down.
+ */
+
+import { AsyncLocalStorage, AsyncResource } from 'node:async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+export const auditContext = () => (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+/**
+ * Wrap a middleware whose `next` may be called from outside the request's
+ * async context — multer calls it from busboy's stream events, where the
+ * store is gone — so the rest of the chain still sees the request.
+ */
+export const withAuditContext = (middleware) => (req, res, next) => {
+  middleware(req, res, AsyncResource.bind(next));
+};
+
+/**
+ * Who is making the current change, and from where.
+ * While impersonating, the actor is the admin and `impersonated_user_id` the
+ * account they act as. Outside a request (jobs, consumers, scripts) every
+ * field is null.
+ */
+export const getAuditActor = () => {
+  const req = storage.getStore()?.req;
+  const impersonator = req?.user?.impersonator;
+
+  return {
+    actor_user_id: (impersonator ?? req?.user)?.user_id ?? null,
+    actor_service_account_id: req?.user?.service_account_id ?? null,
+    actor_role: (impersonator ?? req?.user)?.role_name ?? null,
+    impersonated_user_id: impersonator ? req.user.user_id : null,
+    ip_address: req?.ip ?? null,
+    user_agent: req?.get('User-Agent') ?? null,
+    request_method: req?.method ?? null,
+    request_path: req?.originalUrl ?? null,
+  };
+};
@@ -1,76 +1,24 @@
-import fs from 'fs';
-import path from 'path';
-import logger from './logger.js';
-
-const DEFAULT_PATH = path.resolve('config/branches.json');
-
-const getBranchesFilePath = () =>
-  process.env.BRANCHES_CONFIG_PATH
-    ? path.resolve(process.env.BRANCHES_CONFIG_PATH)
-    : DEFAULT_PATH;
-
-/**
- * Read all branches from the JSON file.
- * Returns an array of { code, name } objects.
- */
-export const readBranches = () => {
-  const filePath = getBranchesFilePath();
-  try {
-    const raw = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(raw);
-  } catch (err) {
-    logger.error({ filePath, error: err.message }, 'Failed to read branches config');
-    throw new Error('Could not load branches configuration');
-  }
-};
-
-/**
- * Persist the branches array back to the JSON file.
- */
-const writeBranches = (branches) => {
-  const filePath = getBranchesFilePath();
-  try {
-    fs.writeFileSync(filePath, JSON.stringify(branches, null, 2), 'utf-8');
-  } catch (err) {
-    logger.error({ filePath, error: err.message }, 'Failed to write branches config');
-    throw new Error('Could not save branches configuration');
-  }
-};
+import * as branchesDB from '../db/branches.db.js';
 
 /**
- * Return only the branch codes — used for Joi validation.
+ * Branch codes that may be referenced — used for Joi validation. Includes the
+ * previous codes of renamed branches, so clients holding an old code keep
+ * working; pass `includeInactive` to also accept deactivated branches.
+ *
+ * @param {{ includeInactive?: boolean }} [options]
+ * @returns {Promise<string[]>}
  */
-export const getBranchCodes = () => readBranches().map((b) => b.code);
+export const getBranchCodes = (options) => branchesDB.getBranchCodes(options);
 
 /**
- * Add a new branch. Throws if the code already exists.
+ * Map branch codes to the current code of the branch they refer to, dropping
+ * duplicates. Codes that match no branch are kept as given.
+ *
+ * @param {string[]} codes
+ * @returns {Promise<string[]>}
  */
-export const addBranch = (code, name) => {
-  const branches = readBranches();
-  const upper = code.trim().toUpperCase();
-
-  if (branches.some((b) => b.code === upper)) {
-    throw new Error(`Branch with code "${upper}" already exists`);
-  }
-
-  const updated = [...branches, { code: upper, name: name.trim() }];
-  writeBranches(updated);
-  return updated;
-};
-
-/**
- * Remove a branch by code. Throws if not found.
- */
-export const removeBranch = (code) => {
-  const branches = readBranches();
-  const upper = code.trim().toUpperCase();
-  const index = branches.findIndex((b) => b.code === upper);
-
-  if (index === -1) {
-    throw new Error(`Branch with code "${upper}" not found`);
-  }
-
-  const updated = branches.filter((b) => b.code !== upper);
-  writeBranches(updated);
-  return updated;
+export const canonicalizeBranchCodes = async (codes) => {
+  const resolved = await branchesDB.resolveBranchCodes(codes);
+  const current = new Map(resolved.map((row) => [row.code, row.current_code]));
+  return [...new Set(codes.map((code) => current.get(code.trim().toUpperCase()) ?? code))];
 };
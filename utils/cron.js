@@ -0,0 +1,163 @@
+/**
+ * Minimal cron expression support for the job scheduler
+ * (services/scheduler/scheduler.js).
+ *
+ * Five fields — minute hour day-of-month month day-of-week — each a list of
+ * values, ranges and steps (`*`, `5`, `1-5`, `*\/15`, `10-40/10`, `MON-FRI`).
+ * Month and weekday names are accepted; Sunday is 0 or 7. As in classic cron,
+ * when both day fields are restricted a day matching either one qualifies.
+ * Also accepts @yearly, @monthly, @weekly, @daily and @hourly.
+ *
+ * Times are in the process's local time zone (set TZ to change it).
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, namesStartAt: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, namesStartAt: 0 },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Give up looking for a match this far ahead (e.g. "0 0 30 2 *" never fires)
+const MAX_LOOKAHEAD_YEARS = 5;
+
+const parseValue = (text, field, expression) => {
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (index === -1) {
+    throw new Error(`Invalid cron expression "${expression}": bad ${field.name} value "${text}"`);
+  }
+  return index + field.namesStartAt;
+};
+
+const parseField = (text, field, expression) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '' || stepText === '') {
+      throw new Error(`Invalid cron expression "${expression}": bad ${field.name} field "${text}"`);
+    }
+
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || !/^\d+$/.test(stepText ?? '1')) {
+      throw new Error(`Invalid cron expression "${expression}": bad ${field.name} step "${stepText}"`);
+    }
+
+    let low;
+    let high;
+    if (range === '*') {
+      [low, high] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [lowText, highText, rest] = range.split('-');
+      if (rest !== undefined) {
+        throw new Error(`Invalid cron expression "${expression}": bad ${field.name} range "${range}"`);
+      }
+      [low, high] = [parseValue(lowText, field, expression), parseValue(highText, field, expression)];
+    } else {
+      low = parseValue(range, field, expression);
+      // "5/15" means from 5 to the end of the range, every 15
+      high = stepText === undefined ? low : field.max;
+    }
+
+    if (low < field.min || high > field.max) {
+      throw new Error(`Invalid cron expression "${expression}": ${field.name} "${part}" is outside ${field.min}-${field.max}`);
+    }
+    if (low > high) {
+      throw new Error(`Invalid cron expression "${expression}": bad ${field.name} range "${range}"`);
+    }
+
+    for (let value = low; value <= high; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression. Throws on anything malformed, so schedules can be
+ * checked when a job is registered.
+ */
+export function parseCron(expression) {
+  const source = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // A field starting with "*" doesn't restrict the day on its own
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*'),
+  };
+}
+
+const dayMatches = (schedule, date) => {
+  const domMatch = schedule.daysOfMonth.has(date.getDate());
+  const dowMatch = schedule.daysOfWeek.has(date.getDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (schedule.dayOfMonthRestricted) return domMatch;
+  if (schedule.dayOfWeekRestricted) return dowMatch;
+  return true;
+};
+
+/**
+ * The first time strictly after `after` that the schedule fires, or null if
+ * it never fires within the next few years.
+ *
+ * @param {ReturnType<typeof parseCron>} schedule
+ * @param {Date} [after]
+ * @returns {Date|null}
+ */
+export function nextCronDate(schedule, after = new Date()) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  while (date < limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
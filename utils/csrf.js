@@ -0,0 +1,38 @@
+/**
+ * CSRF token helpers.
+ *
+ * A fresh token is issued with every access token (login, refresh, password
+ * change). The browser gets it in the readable `csrfToken` cookie and in the
+ * response body; the access token carries only its SHA-256 (`csrf` claim), so
+ * the pair is bound to the session and a token planted by another site or
+ * subdomain is useless. Unsafe cookie-authenticated requests must echo the
+ * token in the `X-CSRF-Token` header, see middleware/csrf.js.
+ */
+
+import crypto from 'crypto';
+
+const TOKEN_BYTES = 32;
+
+export const CSRF_COOKIE = 'csrfToken';
+export const CSRF_HEADER = 'x-csrf-token';
+
+export function generateCsrfToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+export function hashCsrfToken(token) {
+  return crypto.createHash('sha256').update(token).digest('base64url');
+}
+
+export function readCsrfHeader(req) {
+  const value = req.get(CSRF_HEADER);
+  return typeof value === 'string' && value.length > 0 ? value : null;
+}
+
+/** Constant-time comparison of a presented token against the stored hash. */
+export function csrfTokenMatches(token, expectedHash) {
+  if (!token || !expectedHash) return false;
+  const presented = Buffer.from(hashCsrfToken(token));
+  const expected = Buffer.from(expectedHash);
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
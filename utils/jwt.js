@@ -2,17 +2,34 @@
  * JWT Utility — Access token generation & verification.
  *
  * Refresh tokens are NOT JWTs; they are opaque crypto.randomBytes strings
- * stored hashed (bcrypt) in user_sessions. Only access tokens use JWT.
+ * stored hashed (bcrypt) in user_sessions. Only access tokens (and the
+ * short-lived MFA / OIDC state tokens) use JWT.
+ *
+ * Tokens are signed with the asymmetric key from utils/jwtKeys.js (RS256 or
+ * EdDSA) and carry its `kid`; any key in the ring verifies, so keys can be
+ * rotated without logging everyone out. Other services verify access tokens
+ * with the public keys at /.well-known/jwks.json — and must check
+ * `iss` (JWT_ISSUER) and `aud` ("access"), since every token kind shares them.
  */
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { getSigningKey, getVerificationKey } from './jwtKeys.js';
+import { CSRF_COOKIE, hashCsrfToken } from './csrf.js';
 
 // ─── Configuration ──────────────────────────────────────────────────────────────
 // Evaluated lazily via functions so that process.env is read AFTER dotenv.config()
 
-const ACCESS_TOKEN_EXPIRY = '15m';
+const ACCESS_TOKEN_EXPIRY_SECONDS = 15 * 60;
+const ACCESS_TOKEN_AUDIENCE = 'access';
+const MFA_TOKEN_EXPIRY_SECONDS = 5 * 60;
+const MFA_TOKEN_AUDIENCE = 'mfa';
+const OIDC_STATE_EXPIRY_SECONDS = 10 * 60;
+const OIDC_STATE_AUDIENCE = 'oidc-state';
+const OIDC_STATE_COOKIE = 'oidcState';
+const OIDC_STATE_COOKIE_PATH = '/api/auth/oidc';
 
-function getAccessTokenSecret() {
-  return process.env.JWT_SECRET || 'your_jwt_secret_key';
+function getIssuer() {
+  return process.env.JWT_ISSUER?.trim() || 'login-ert';
 }
 
 function isProduction() {
@@ -57,17 +74,128 @@ function getAuthCookieBaseOptions() {
   return cookieOptions;
 }
 
+// ─── Signing ────────────────────────────────────────────────────────────────────
+// jsonwebtoken has no EdDSA support, so Ed25519 tokens are built and checked
+// here; errors use jsonwebtoken's classes so callers handle both alike.
+
+const base64urlJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signEdDsa(payload, key, { expiresIn, audience, issuer }) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { ...payload, iat: now, exp: now + expiresIn, aud: audience, iss: issuer };
+
+  const signingInput = `${base64urlJson({ alg: 'EdDSA', typ: 'JWT', kid: key.kid })}.${base64urlJson(claims)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), key.privateKey).toString('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+function verifyEdDsa(token, key, { audience, issuer }) {
+  const [header, payload, signature] = token.split('.');
+  const valid = crypto.verify(null, Buffer.from(`${header}.${payload}`), key.publicKey, Buffer.from(signature, 'base64url'));
+  if (!valid) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || now >= claims.exp) {
+    throw new jwt.TokenExpiredError('jwt expired', new Date((claims.exp || 0) * 1000));
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf) {
+    throw new jwt.NotBeforeError('jwt not active', new Date(claims.nbf * 1000));
+  }
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(audience)) {
+    throw new jwt.JsonWebTokenError(`jwt audience invalid. expected: ${audience}`);
+  }
+  if (claims.iss !== issuer) {
+    throw new jwt.JsonWebTokenError(`jwt issuer invalid. expected: ${issuer}`);
+  }
+  return claims;
+}
+
+/**
+ * Sign a token. Every kind of token has its own `audience`, and all carry
+ * the same `iss`, so one kind can never be passed off as another.
+ */
+function signToken(payload, { expiresIn, audience }) {
+  const key = getSigningKey();
+  const issuer = getIssuer();
+  if (key.alg === 'EdDSA') {
+    return signEdDsa(payload, key, { expiresIn, audience, issuer });
+  }
+  return jwt.sign(payload, key.privateKey, {
+    algorithm: key.alg,
+    keyid: key.kid,
+    expiresIn,
+    audience,
+    issuer,
+  });
+}
+
+/**
+ * Verify a token signed by any key in the ring, issued here for `audience`.
+ * Throws jsonwebtoken errors.
+ */
+function verifyToken(token, { audience }) {
+  const header = typeof token === 'string' ? jwt.decode(token, { complete: true })?.header : null;
+  if (!header) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const key = getVerificationKey(header.kid);
+  // The key, not the token, decides the algorithm
+  if (!key || header.alg !== key.alg) {
+    throw new jwt.JsonWebTokenError('invalid signing key');
+  }
+
+  const issuer = getIssuer();
+  if (key.alg === 'EdDSA') {
+    return verifyEdDsa(token, key, { audience, issuer });
+  }
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.alg],
+    audience,
+    issuer,
+  });
+}
+
 // ─── Access Token ───────────────────────────────────────────────────────────────
 
 /**
  * Generate a signed JWT access token.
- * Payload must contain: user_id, role_id, session_id, token_version
+ * Payload must contain: user_id, role_id, session_id, token_version, csrf_token
+ * (only the CSRF token's hash is embedded)
  */
-export function generateAccessToken({ user_id, role_id, role_name, session_id, token_version }) {
-  return jwt.sign(
-    { user_id, role_id, role_name, session_id, token_version },
-    getAccessTokenSecret(),
-    { expiresIn: ACCESS_TOKEN_EXPIRY }
+export function generateAccessToken({ user_id, role_id, role_name, session_id, token_version, csrf_token }) {
+  return signToken(
+    { user_id, role_id, role_name, session_id, token_version, csrf: hashCsrfToken(csrf_token) },
+    { expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS, audience: ACCESS_TOKEN_AUDIENCE }
+  );
+}
+
+/**
+ * Access token for a SUPER_ADMIN acting as another user. It belongs to the
+ * admin's own session but names the target as `user_id`; `impersonator`
+ * records who is really behind it. Not renewable: a refresh issues the
+ * admin's own token again.
+ */
+export function generateImpersonationToken({ user_id, role_id, role_name, session_id, token_version, csrf_token, impersonator, expires_in }) {
+  return signToken(
+    {
+      user_id,
+      role_id,
+      role_name,
+      session_id,
+      token_version,
+      csrf: hashCsrfToken(csrf_token),
+      impersonator: {
+        user_id: impersonator.user_id,
+        username: impersonator.username,
+        token_version: impersonator.token_version,
+      },
+    },
+    { expiresIn: expires_in, audience: ACCESS_TOKEN_AUDIENCE }
   );
 }
 
@@ -76,7 +204,72 @@ export function generateAccessToken({ user_id, role_id, role_name, session_id, t
  * Throws on invalid / expired token — callers should catch.
  */
 export function verifyAccessToken(token) {
-  return jwt.verify(token, getAccessTokenSecret());
+  return verifyToken(token, { audience: ACCESS_TOKEN_AUDIENCE });
+}
+
+// ─── MFA Pending Token ──────────────────────────────────────────────────────────
+
+/**
+ * Short-lived token proving the password step of login succeeded.
+ * Exchanged for a session at POST /api/auth/login/mfa.
+ * `enrollment` is true when the user still has to set up TOTP.
+ */
+export function generateMfaToken({ user_id, token_version, enrollment }) {
+  return signToken(
+    { user_id, token_version, enrollment: Boolean(enrollment) },
+    { expiresIn: MFA_TOKEN_EXPIRY_SECONDS, audience: MFA_TOKEN_AUDIENCE }
+  );
+}
+
+/**
+ * Verify an MFA pending token. Throws on invalid / expired token.
+ */
+export function verifyMfaToken(token) {
+  return verifyToken(token, { audience: MFA_TOKEN_AUDIENCE });
+}
+
+// ─── OIDC Login State ───────────────────────────────────────────────────────────
+
+/**
+ * Signed state for an OIDC login in flight (state, nonce, PKCE verifier,
+ * where to go afterwards). Kept in a cookie so the callback needs no
+ * server-side storage.
+ */
+export function generateOidcStateToken({ state, nonce, code_verifier, return_to }) {
+  return signToken(
+    { state, nonce, code_verifier, return_to },
+    { expiresIn: OIDC_STATE_EXPIRY_SECONDS, audience: OIDC_STATE_AUDIENCE }
+  );
+}
+
+/**
+ * Verify an OIDC state token. Throws on invalid / expired token.
+ */
+export function verifyOidcStateToken(token) {
+  return verifyToken(token, { audience: OIDC_STATE_AUDIENCE });
+}
+
+// The provider redirects back with a top-level cross-site GET, which
+// SameSite=Strict cookies would not survive
+function getOidcStateCookieOptions() {
+  const base = getAuthCookieBaseOptions();
+  return {
+    ...base,
+    sameSite: base.sameSite === 'none' ? 'none' : 'lax',
+    path: OIDC_STATE_COOKIE_PATH,
+  };
+}
+
+export function setOidcStateCookie(res, stateToken) {
+  res.cookie(OIDC_STATE_COOKIE, stateToken, { ...getOidcStateCookieOptions(), maxAge: OIDC_STATE_EXPIRY_SECONDS * 1000 });
+}
+
+export function readOidcStateCookie(req) {
+  return req.cookies?.[OIDC_STATE_COOKIE] || null;
+}
+
+export function clearOidcStateCookie(res) {
+  res.clearCookie(OIDC_STATE_COOKIE, getOidcStateCookieOptions());
 }
 
 // ─── Cookie Helpers ─────────────────────────────────────────────────────────────
@@ -85,7 +278,7 @@ export function verifyAccessToken(token) {
 export function getAccessTokenCookieOptions() {
   return {
     ...getAuthCookieBaseOptions(),
-    maxAge: 15 * 60 * 1000, // 15 minutes
+    maxAge: ACCESS_TOKEN_EXPIRY_SECONDS * 1000,
   };
 }
 
@@ -97,19 +290,40 @@ export function getRefreshTokenCookieOptions() {
   };
 }
 
+/** Options for the CSRF cookie — readable by the frontend, lives as long as the session. */
+function getCsrfCookieOptions() {
+  return {
+    ...getRefreshTokenCookieOptions(),
+    httpOnly: false,
+  };
+}
+
 /**
- * Set both accessToken and refreshToken cookies on a response object.
+ * Set the accessToken, refreshToken and csrfToken cookies on a response object.
  */
-export function setAuthCookies(res, accessToken, rawRefreshToken) {
-  res.cookie('accessToken', accessToken, getAccessTokenCookieOptions());
+export function setAuthCookies(res, accessToken, rawRefreshToken, csrfToken) {
+  setAccessCookies(res, accessToken, csrfToken);
   res.cookie('refreshToken', rawRefreshToken, getRefreshTokenCookieOptions());
 }
 
 /**
- * Clear both auth cookies.
+ * Replace the accessToken and csrfToken cookies, keeping the session's
+ * refresh token. `maxAgeMs` overrides the access cookie lifetime.
+ */
+export function setAccessCookies(res, accessToken, csrfToken, { maxAgeMs } = {}) {
+  res.cookie('accessToken', accessToken, {
+    ...getAccessTokenCookieOptions(),
+    ...(maxAgeMs && { maxAge: maxAgeMs }),
+  });
+  res.cookie(CSRF_COOKIE, csrfToken, getCsrfCookieOptions());
+}
+
+/**
+ * Clear all auth cookies.
  */
 export function clearAuthCookies(res) {
   const clearOptions = getAuthCookieBaseOptions();
   res.clearCookie('accessToken', clearOptions);
   res.clearCookie('refreshToken', clearOptions);
+  res.clearCookie(CSRF_COOKIE, { ...clearOptions, httpOnly: false });
 }
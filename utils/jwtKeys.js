@@ -0,0 +1,146 @@
+/**
+ * Key ring for the tokens signed by utils/jwt.js.
+ *
+ *   JWT_SIGNING_KEY (or JWT_SIGNING_KEY_FILE)
+ *       PEM private key that signs new tokens: RSA (>= 2048 bits) → RS256,
+ *       Ed25519 → EdDSA. "\n" escapes are accepted for single-line env values.
+ *   JWT_SIGNING_KID
+ *       Key id put in the `kid` header; defaults to the RFC 7638 thumbprint.
+ *   JWT_VERIFICATION_KEYS (or JWT_VERIFICATION_KEYS_FILE)
+ *       JSON array of extra public keys, [{ "kid": "...", "key": "<PEM>" }],
+ *       still accepted and published in the JWKS.
+ *
+ * Zero-downtime rotation: add the new public key to JWT_VERIFICATION_KEYS and
+ * deploy; switch JWT_SIGNING_KEY to the new key and move the old public key
+ * into JWT_VERIFICATION_KEYS; remove it once the longest token lifetime has
+ * passed.
+ *
+ * With no signing key outside production an ephemeral Ed25519 key is
+ * generated (tokens die with the process). In production it is a startup error.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import logger from './logger.js';
+
+const MIN_RSA_BITS = 2048;
+
+let keyRing = null;
+
+// ─── Loading ────────────────────────────────────────────────────────────────────
+
+function readConfigValue(name) {
+  const file = process.env[`${name}_FILE`]?.trim();
+  if (file) return fs.readFileSync(file, 'utf8');
+  return process.env[name] || null;
+}
+
+// Single-line env values carry PEM newlines as "\n"
+const unescapePem = (pem) => pem.replace(/\\n/g, '\n');
+
+function algorithmFor(publicKey) {
+  if (publicKey.asymmetricKeyType === 'ed25519') return 'EdDSA';
+  if (publicKey.asymmetricKeyType === 'rsa') {
+    const bits = publicKey.asymmetricKeyDetails?.modulusLength;
+    if (bits < MIN_RSA_BITS) {
+      throw new Error(`RSA JWT keys must be at least ${MIN_RSA_BITS} bits (got ${bits})`);
+    }
+    return 'RS256';
+  }
+  throw new Error(`Unsupported JWT key type "${publicKey.asymmetricKeyType}"; use RSA or Ed25519`);
+}
+
+/** RFC 7638 JWK thumbprint, used as the default kid. */
+function thumbprint(publicKey) {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const members = jwk.kty === 'RSA'
+    ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+    : { crv: jwk.crv, kty: jwk.kty, x: jwk.x };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+function loadSigningKey() {
+  const pem = readConfigValue('JWT_SIGNING_KEY');
+
+  if (!pem) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SIGNING_KEY (or JWT_SIGNING_KEY_FILE) must be set in production');
+    }
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    logger.warn('JWT_SIGNING_KEY not set — using an ephemeral key; tokens will not survive a restart');
+    return { kid: thumbprint(publicKey), alg: 'EdDSA', privateKey, publicKey };
+  }
+
+  const privateKey = crypto.createPrivateKey(unescapePem(pem));
+  const publicKey = crypto.createPublicKey(privateKey);
+  return {
+    kid: process.env.JWT_SIGNING_KID?.trim() || thumbprint(publicKey),
+    alg: algorithmFor(publicKey),
+    privateKey,
+    publicKey,
+  };
+}
+
+function loadVerificationKeys() {
+  const raw = readConfigValue('JWT_VERIFICATION_KEYS');
+  if (!raw) return [];
+
+  const entries = JSON.parse(raw);
+  if (!Array.isArray(entries)) {
+    throw new Error('JWT_VERIFICATION_KEYS must be a JSON array of { kid, key }');
+  }
+
+  return entries.map(({ kid, key }) => {
+    const publicKey = crypto.createPublicKey(unescapePem(key));
+    return { kid: kid || thumbprint(publicKey), alg: algorithmFor(publicKey), publicKey };
+  });
+}
+
+function getKeyRing() {
+  if (keyRing) return keyRing;
+
+  const signing = loadSigningKey();
+  const verification = new Map([[signing.kid, signing]]);
+  for (const key of loadVerificationKeys()) {
+    if (verification.has(key.kid)) {
+      throw new Error(`Duplicate JWT key id "${key.kid}"`);
+    }
+    verification.set(key.kid, key);
+  }
+
+  keyRing = { signing, verification };
+  logger.info({ signing_kid: signing.kid, alg: signing.alg, verification_kids: [...verification.keys()] }, 'JWT keys loaded');
+  return keyRing;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────────
+
+/**
+ * Load and validate the keys now. Called at startup so a missing or broken
+ * key stops the server instead of failing the first login.
+ */
+export function assertJwtKeysConfigured() {
+  getKeyRing();
+}
+
+/** @returns {{ kid: string, alg: 'RS256'|'EdDSA', privateKey: crypto.KeyObject }} */
+export function getSigningKey() {
+  return getKeyRing().signing;
+}
+
+/** @returns {{ kid: string, alg: 'RS256'|'EdDSA', publicKey: crypto.KeyObject } | null} */
+export function getVerificationKey(kid) {
+  return getKeyRing().verification.get(kid) || null;
+}
+
+/** Public keys as a JWK Set, for /.well-known/jwks.json. */
+export function getJwks() {
+  return {
+    keys: [...getKeyRing().verification.values()].map(({ kid, alg, publicKey }) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg,
+      use: 'sig',
+    })),
+  };
+}
@@ -35,6 +35,26 @@ const httpRequestTotal = new Counter({
   registers: [registry],
 });
 
+const rateLimitRejectedTotal = new Counter({
+  name: 'rate_limit_rejected_total',
+  help: 'Requests rejected by the rate limiter',
+  labelNames: ['policy', 'scope'],
+  registers: [registry],
+});
+
+const rateLimitFallbackTotal = new Counter({
+  name: 'rate_limit_fallback_total',
+  help: 'Rate limit checks served by the in-memory fallback because Redis was unavailable',
+  registers: [registry],
+});
+
+const scheduledJobRunsTotal = new Counter({
+  name: 'scheduled_job_runs_total',
+  help: 'Background job runs by outcome; skipped runs could not take the job lock',
+  labelNames: ['job', 'status'],
+  registers: [registry],
+});
+
 function metricsMiddleware(req, res, next) {
   const start = Date.now();
   res.on('finish', () => {
@@ -56,4 +76,13 @@ async function metricsHandler(_req, res) {
   res.end(await registry.metrics());
 }
 
-export { registry, metricsMiddleware, metricsHandler, httpRequestDuration, httpRequestTotal };
+export {
+  registry,
+  metricsMiddleware,
+  metricsHandler,
+  httpRequestDuration,
+  httpRequestTotal,
+  rateLimitRejectedTotal,
+  rateLimitFallbackTotal,
+  scheduledJobRunsTotal,
+};
@@ -1,6 +1,7 @@
 import multer from "multer";
 import path from "path";
 import logger from "../utils/logger.js";
+import { withAuditContext } from "./auditContext.js";
 
 const storage = multer.memoryStorage();
 
@@ -261,10 +262,10 @@ const multerInstance = multer({
 });
 
 export const upload = {
-  single:  (fieldName)          => [multerInstance.single(fieldName),          logParsedRequest(fieldName), signatureGuard, multerErrorHandler],
-  array:   (fieldName, maxCount) => [multerInstance.array(fieldName, maxCount), logParsedRequest(fieldName), signatureGuard, multerErrorHandler],
-  fields:  (fields)              => [multerInstance.fields(fields),             logParsedRequest(fields.map((field) => field.name).join(',')), signatureGuard, multerErrorHandler],
-  none:    ()                    => [multerInstance.none(),                                     multerErrorHandler],
+  single:  (fieldName)          => [withAuditContext(multerInstance.single(fieldName)),          logParsedRequest(fieldName), signatureGuard, multerErrorHandler],
+  array:   (fieldName, maxCount) => [withAuditContext(multerInstance.array(fieldName, maxCount)), logParsedRequest(fieldName), signatureGuard, multerErrorHandler],
+  fields:  (fields)              => [withAuditContext(multerInstance.fields(fields)),             logParsedRequest(fields.map((field) => field.name).join(',')), signatureGuard, multerErrorHandler],
+  none:    ()                    => [withAuditContext(multerInstance.none()),                                     multerErrorHandler],
 };
 
 // ------------------------------
@@ -305,5 +306,5 @@ const excelMulterInstance = multer({
 });
 
 export const uploadExcel = {
-  single: (fieldName) => [excelMulterInstance.single(fieldName), signatureGuard, multerErrorHandler],
+  single: (fieldName) => [withAuditContext(excelMulterInstance.single(fieldName)), signatureGuard, multerErrorHandler],
 };
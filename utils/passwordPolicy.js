@@ -0,0 +1,77 @@
+/**
+ * Password Policy — rules applied whenever a user picks a new password.
+ *
+ * Configured through environment variables (read lazily, after dotenv):
+ *   PASSWORD_MIN_LENGTH      — minimum length (default 8)
+ *   PASSWORD_REQUIRE_UPPER   — require an uppercase letter (default true)
+ *   PASSWORD_REQUIRE_LOWER   — require a lowercase letter (default true)
+ *   PASSWORD_REQUIRE_DIGIT   — require a digit (default true)
+ *   PASSWORD_REQUIRE_SYMBOL  — require a non-alphanumeric character (default false)
+ *   PASSWORD_HISTORY_SIZE    — previous passwords that may not be reused (default 5)
+ */
+
+const MAX_PASSWORD_LENGTH = 100;
+
+function readBoolean(name, fallback) {
+  const value = process.env[name]?.trim().toLowerCase();
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return fallback;
+}
+
+function readInteger(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+export function getPasswordPolicy() {
+  return {
+    minLength: readInteger('PASSWORD_MIN_LENGTH', 8),
+    requireUpper: readBoolean('PASSWORD_REQUIRE_UPPER', true),
+    requireLower: readBoolean('PASSWORD_REQUIRE_LOWER', true),
+    requireDigit: readBoolean('PASSWORD_REQUIRE_DIGIT', true),
+    requireSymbol: readBoolean('PASSWORD_REQUIRE_SYMBOL', false),
+    historySize: readInteger('PASSWORD_HISTORY_SIZE', 5),
+  };
+}
+
+/**
+ * Check a candidate password against the policy.
+ * @param {string} password
+ * @param {{ email?: string, username?: string }} [user] — identifiers the password may not equal
+ * @returns {string[]} human-readable violations; empty when the password is acceptable
+ */
+export function checkPasswordPolicy(password, user = {}) {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`Password must be at most ${MAX_PASSWORD_LENGTH} characters long`);
+  }
+  if (policy.requireUpper && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLower && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireDigit && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  const lowered = password.toLowerCase();
+  const emailLocalPart = user.email?.split('@')[0];
+  const identifiers = [user.email, emailLocalPart, user.username]
+    .filter(Boolean)
+    .map((value) => value.toLowerCase());
+  if (identifiers.includes(lowered)) {
+    errors.push('Password must not be the same as your email or username');
+  }
+
+  return errors;
+}
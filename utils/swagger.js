@@ -32,6 +32,17 @@ const options = {
                     name: 'token',
                     description: 'JWT token set as an HttpOnly cookie after login',
                 },
+                csrfToken: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-CSRF-Token',
+                    description: 'Required with cookieAuth on POST/PUT/PATCH/DELETE. Issued at login and refresh (csrfToken cookie and data.csrf_token)',
+                },
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Service account API key (sk_<prefix>_<secret>), limited to the permissions granted to the key',
+                },
             },
         },
     },
@@ -0,0 +1,179 @@
+/**
+ * TOTP (RFC 6238) helpers — HMAC-SHA1, 6 digits, 30-second steps, the
+ * defaults every authenticator app understands.
+ *
+ * Secrets are stored encrypted (AES-256-GCM) with a key derived from
+ * MFA_ENCRYPTION_KEY (at least 32 characters), so a database dump alone does
+ * not reveal them. Outside production a fixed development key stands in when
+ * it is unset; in production that is a startup error.
+ */
+
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+// Accept codes from one step either side to absorb clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ─── Base32 ─────────────────────────────────────────────────────────────────────
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ─── Codes ──────────────────────────────────────────────────────────────────────
+
+/** New random base32 secret for enrollment. */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Verify a code. Returns the matched time step (store it to block replays),
+ * or null if the code is wrong or its step is not after `lastUsedStep`.
+ */
+export function verifyTotp(secret, code, lastUsedStep = null) {
+  if (!/^\d{6}$/.test(String(code || ''))) return null;
+
+  const step = currentStep();
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift += 1) {
+    const candidate = step + drift;
+    if (lastUsedStep !== null && candidate <= Number(lastUsedStep)) continue;
+    const expected = codeForStep(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/** otpauth:// URI for authenticator apps; render it as a QR code client-side. */
+export function buildOtpauthUri(secret, accountName) {
+  const issuer = process.env.MFA_ISSUER || 'Placement Portal';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ─── Recovery codes ─────────────────────────────────────────────────────────────
+
+const RECOVERY_CODE_BYTES = 10; // 80 bits → 16 base32 characters
+
+/** Fresh one-time recovery codes, formatted XXXX-XXXX-XXXX-XXXX. */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => base32Encode(crypto.randomBytes(RECOVERY_CODE_BYTES))
+    .match(/.{4}/g)
+    .join('-'));
+}
+
+/** Recovery codes are high-entropy, so a plain SHA-256 is enough at rest. */
+export function hashRecoveryCode(code) {
+  const normalized = String(code).replace(/[\s-]/g, '').toUpperCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// ─── Secret encryption ──────────────────────────────────────────────────────────
+
+const MIN_ENCRYPTION_KEY_LENGTH = 32;
+const DEV_ENCRYPTION_KEY = 'your_mfa_encryption_key';
+
+let encryptionKey = null;
+
+function getEncryptionKey() {
+  if (encryptionKey) return encryptionKey;
+
+  let secret = process.env.MFA_ENCRYPTION_KEY;
+  if (!secret || secret.length < MIN_ENCRYPTION_KEY_LENGTH) {
+    const problem = secret
+      ? `MFA_ENCRYPTION_KEY must be at least ${MIN_ENCRYPTION_KEY_LENGTH} characters`
+      : 'MFA_ENCRYPTION_KEY must be set';
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`${problem} in production`);
+    }
+    logger.warn(`${problem}${secret ? '' : ' — using the development key'}; 2FA secrets are not safely encrypted`);
+    secret ||= DEV_ENCRYPTION_KEY;
+  }
+
+  encryptionKey = crypto.createHash('sha256').update(secret).digest();
+  return encryptionKey;
+}
+
+/**
+ * Check the encryption key now. Called at startup so a missing key stops the
+ * server instead of failing the first 2FA enrollment.
+ */
+export function assertMfaKeyConfigured() {
+  getEncryptionKey();
+}
+
+/** Encrypt a secret for storage as "iv:tag:ciphertext" (base64 parts). */
+export function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+}
+
+export function decryptTotpSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}